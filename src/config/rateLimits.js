@@ -0,0 +1,72 @@
+/**
+ * Límites de Solicitudes
+ * ======================
+ * Grupos de rutas con su límite de solicitudes por ventana deslizante (ver
+ * middlewares/rateLimit). Se montan en `index.js`:
+ *   app.use('/api/users/login', rateLimit(RATE_LIMITS.login));
+ * salvo en los routers que autentican cada ruta por separado (calendarRoutes
+ * y dataRoutes), que los montan después de authenticate.
+ *
+ * Cada grupo puede ajustarse con variables de entorno, p. ej. para `login`:
+ *   RATE_LIMIT_LOGIN_MAX=20 RATE_LIMIT_LOGIN_WINDOW_SECONDS=600
+ * (taskWrites usa RATE_LIMIT_TASK_WRITES_MAX...).
+ */
+
+/**
+ * Cantidad de escrituras de tareas de una solicitud: un lote (POST /bulk)
+ * cuenta cada tarea que toca, como si fueran peticiones individuales
+ * @param {Object} req - Express request (con el body ya parseado)
+ * @returns {number}
+ */
+const taskWriteCount = (req) => {
+  const { operations } = req.body || {};
+  if (req.method !== 'POST' || req.path !== '/bulk' || !Array.isArray(operations)) return 1;
+  return operations.reduce((count, operation) => (
+    count + (operation && Array.isArray(operation.ids) ? operation.ids.length : 1)
+  ), 0);
+};
+
+/**
+ * Construye la configuración de un grupo, con los valores del entorno si existen
+ * @param {string} name - Nombre del grupo (también forma parte de la clave en Redis)
+ * @param {Object} defaults - { limit, windowSeconds, keyBy, methods, cost }
+ * @returns {{ name: string, limit: number, windowMs: number, keyBy: string, methods?: Array<string>, cost?: Function }}
+ */
+const group = (name, { limit, windowSeconds, ...options }) => {
+  const prefix = `RATE_LIMIT_${name.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase()}`;
+  return {
+    name,
+    limit: parseInt(process.env[`${prefix}_MAX`], 10) || limit,
+    windowMs: (parseInt(process.env[`${prefix}_WINDOW_SECONDS`], 10) || windowSeconds) * 1000,
+    ...options
+  };
+};
+
+const RATE_LIMITS = {
+  // Toda la API, por IP y antes de autenticar: frena la prueba de tokens y las rutas públicas
+  ip: group('ip', { limit: 1200, windowSeconds: 60, keyBy: 'ip' }),
+  // Cada registro calcula un hash bcrypt (costo 10): el límite más estricto, por IP
+  register: group('register', { limit: 5, windowSeconds: 60 * 60, keyBy: 'ip' }),
+  // Frena la prueba de contraseñas desde una misma IP
+  login: group('login', { limit: 10, windowSeconds: 15 * 60, keyBy: 'ip' }),
+  // Todas las rutas autenticadas, por usuario
+  api: group('api', { limit: 600, windowSeconds: 60, keyBy: 'user' }),
+  // Feeds de calendario: se autentican con el token de la URL, por IP
+  calendarFeed: group('calendarFeed', { limit: 60, windowSeconds: 60, keyBy: 'ip' }),
+  // Exportación e importación completas: cada una recorre toda la base, por usuario
+  dataTransfer: group('dataTransfer', { limit: 10, windowSeconds: 15 * 60, keyBy: 'user' }),
+  // Altas, cambios y bajas de tareas, por usuario; un lote cuenta cada tarea que toca
+  // (uno con más tareas que el límite se rechaza con 413, ver bulkController) y una
+  // importación de calendario, cada evento o tarea del archivo (ver calendarRoutes)
+  taskWrites: group('taskWrites', {
+    limit: 60,
+    windowSeconds: 60,
+    keyBy: 'user',
+    methods: ['POST', 'PUT', 'DELETE'],
+    cost: taskWriteCount
+  })
+};
+
+module.exports = {
+  RATE_LIMITS
+};
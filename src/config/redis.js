@@ -1,12 +1,28 @@
 // src/config/redis.js
+// STORAGE_DRIVER elige dónde se guardan los datos:
+//   redis  (por defecto) - el servidor de REDIS_URL
+//   memory               - en el proceso (ver storage/memoryClient), para demos
+//                          locales sin Redis; los datos se pierden al reiniciar
+// Los tests usan siempre el mock, que también guarda los datos en memoria.
 require('dotenv').config();
 
+const STORAGE_DRIVERS = ['redis', 'memory'];
+const STORAGE_DRIVER = process.env.NODE_ENV === 'test' ? 'memory' : (process.env.STORAGE_DRIVER || 'redis');
+
+if (!STORAGE_DRIVERS.includes(STORAGE_DRIVER)) {
+  throw new Error(`STORAGE_DRIVER inválido: "${STORAGE_DRIVER}" (usa ${STORAGE_DRIVERS.join(' o ')})`);
+}
+
 let client;
 
 if (process.env.NODE_ENV === 'test') {
   // Usar el mock
   const mockRedis = require('../../tests/config/redis.mock');
   client = mockRedis.createClient();
+} else if (STORAGE_DRIVER === 'memory') {
+  // Guardar los datos en memoria
+  const { createMemoryClient } = require('../storage/memoryClient');
+  client = createMemoryClient();
 } else {
   // Usar Redis real
   const { createClient } = require('redis');
@@ -20,7 +36,7 @@ client.on('error', (err) => {
 const connectRedis = async () => {
   try {
     await client.connect();
-    console.log('Conectado a Redis');
+    console.log(STORAGE_DRIVER === 'memory' ? 'Usando almacenamiento en memoria' : 'Conectado a Redis');
   } catch (error) {
     console.error('Error al conectar a Redis:', error);
     process.exit(1);
@@ -28,6 +44,7 @@ const connectRedis = async () => {
 };
 
 module.exports = {
+  STORAGE_DRIVER,
   client,
   connectRedis
 };
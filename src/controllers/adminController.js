@@ -0,0 +1,43 @@
+/**
+ * Controlador de Administración
+ * =============================
+ * Operaciones de mantenimiento reservadas a los administradores (ver
+ * requireAdmin). Por ahora, la verificación y reparación de la consistencia
+ * entre los Hashes y sus índices (ver consistencyCheck); la misma revisión
+ * puede ejecutarse desde la línea de comandos con npm run consistency:check.
+ */
+
+const { checkConsistency } = require('../services/consistencyCheck');
+
+/**
+ * Reporta las inconsistencias sin modificar nada
+ * @param {Object} req - Express request autenticada como administrador
+ * @param {Object} res - Express response con { scanned, issues, repaired: false }
+ * @param {Function} next - Siguiente middleware
+ */
+const getConsistencyReport = async (req, res, next) => {
+  try {
+    return res.json(await checkConsistency());
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Reporta las inconsistencias y repara las que tienen una reparación segura
+ * @param {Object} req - Express request autenticada como administrador
+ * @param {Object} res - Express response con { scanned, issues, repaired: true }
+ * @param {Function} next - Siguiente middleware
+ */
+const repairConsistency = async (req, res, next) => {
+  try {
+    return res.json(await checkConsistency({ repair: true }));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  getConsistencyReport,
+  repairConsistency
+};
@@ -0,0 +1,259 @@
+/**
+ * Controlador de Operaciones por Lotes sobre Tareas
+ * =================================================
+ * Aplica en una sola petición una lista de altas, modificaciones y bajas de
+ * tareas del usuario autenticado, más atajos que se expanden en una
+ * modificación por tarea:
+ *   { op: 'create', data }                    - data como en POST /api/tasks
+ *   { op: 'update', id, data, ifMatch }       - data como en PUT /api/tasks/:id
+ *   { op: 'delete', id, ifMatch, permanent } - permanent: true la purga en lugar de enviarla a la papelera
+ *   { op: 'setStatus', ids, status }
+ *   { op: 'setPriority', ids, priorityId }    - priorityId null la quita
+ *   { op: 'addTag', ids, tagId }
+ *   { op: 'removeTag', ids, tagId }
+ *
+ * Todas las operaciones se validan a la vez contra el estado previo al lote y
+ * luego se aplican en orden. Una misma tarea no puede aparecer en dos
+ * operaciones del lote. Con atomic=true, si alguna operación no es válida no
+ * se aplica ninguna, y las válidas se escriben todas en una sola transacción
+ * WATCH/MULTI: si otra petición modifica a la vez alguna de las tareas
+ * (If-Match) no se escribe ninguna.
+ *
+ * Cada operación produce un resultado { index, op, id, status, data | error }
+ * con el status HTTP que tendría la petición individual (424 = no se aplicó
+ * porque falló otra operación del lote atómico).
+ */
+
+const { getTaskTagIds } = require('../services/taskRelations');
+const {
+  prepareCreate,
+  applyCreate,
+  prepareUpdate,
+  applyUpdate,
+  prepareDelete,
+  applyDelete,
+  applyAll
+} = require('../services/taskOperations');
+const { sendError } = require('../utils/httpErrors');
+const { RATE_LIMITS } = require('../config/rateLimits');
+
+// Límite de operaciones tras expandir los atajos (el de las recibidas está en
+// taskSchemas). Cada una cuenta como una escritura en RATE_LIMITS.taskWrites:
+// un lote más grande que ese límite no entraría nunca en la ventana.
+const MAX_ITEMS = Math.min(500, RATE_LIMITS.taskWrites.limit);
+
+// Atajos: campo del body que reciben y modificación que generan para cada tarea
+const SHORTCUTS = {
+  setStatus: { field: 'status', toData: (status) => ({ status }) },
+  setPriority: { field: 'priorityId', toData: (priorityId) => ({ priorityId }) },
+  addTag: {
+    field: 'tagId',
+    toData: (tagId, tagIds) => ({ tagIds: tagIds.includes(String(tagId)) ? tagIds : [...tagIds, String(tagId)] })
+  },
+  removeTag: {
+    field: 'tagId',
+    toData: (tagId, tagIds) => ({ tagIds: tagIds.filter((id) => id !== String(tagId)) })
+  }
+};
+
+const NOT_APPLIED = { status: 424, message: 'No se aplicó porque otra operación del lote falló' };
+
+/**
+ * Expande las operaciones recibidas en ítems individuales (un ítem por tarea)
+ * @param {Array<Object>} operations - body.operations
+ * @returns {Array<Object>} [{ index, op, id, data, ifMatch, permanent, error }]
+ */
+const expandOperations = (operations) => operations.flatMap((operation, index) => {
+  const { op } = operation || {};
+  const item = { index, op: op || null, id: null };
+
+  if (op === 'create') {
+    if (!operation.data || typeof operation.data !== 'object') {
+      return [{ ...item, error: { status: 400, message: 'create requiere data' } }];
+    }
+    return [{ ...item, data: operation.data }];
+  }
+
+  if (op === 'update' || op === 'delete') {
+    if (operation.id === undefined || operation.id === null || operation.id === '') {
+      return [{ ...item, error: { status: 400, message: `${op} requiere id` } }];
+    }
+    const id = String(operation.id);
+    if (op === 'update' && (!operation.data || typeof operation.data !== 'object')) {
+      return [{ ...item, id, error: { status: 400, message: 'update requiere data' } }];
+    }
+    return [{ ...item, id, data: operation.data, ifMatch: operation.ifMatch, permanent: operation.permanent === true }];
+  }
+
+  const shortcut = SHORTCUTS[op];
+  if (!shortcut) {
+    return [{
+      ...item,
+      error: { status: 400, message: `op debe ser una de: create, update, delete, ${Object.keys(SHORTCUTS).join(', ')}` }
+    }];
+  }
+  if (!Array.isArray(operation.ids) || operation.ids.length === 0) {
+    return [{ ...item, error: { status: 400, message: `${op} requiere ids (arreglo no vacío)` } }];
+  }
+  if (operation[shortcut.field] === undefined) {
+    return [{ ...item, error: { status: 400, message: `${op} requiere ${shortcut.field}` } }];
+  }
+  return operation.ids.map((id) => ({ ...item, id: String(id), shortcut, value: operation[shortcut.field] }));
+});
+
+/**
+ * Valida un ítem sin escribir nada
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} item - Ítem de expandOperations
+ * @returns {Promise<{ error: Object }|{ plan: Object }>}
+ */
+const prepareItem = async (user, item) => {
+  if (item.op === 'create') {
+    const prepared = await prepareCreate(user, item.data);
+    return prepared.error ? prepared : { plan: prepared };
+  }
+  if (item.op === 'delete') {
+    return prepareDelete(user, item.id, item.ifMatch, item.permanent);
+  }
+
+  let { data } = item;
+  if (item.shortcut) {
+    const tagIds = item.op === 'addTag' || item.op === 'removeTag' ? await getTaskTagIds(item.id) : [];
+    data = item.shortcut.toData(item.value, tagIds);
+  }
+  return prepareUpdate(user, item.id, data, item.ifMatch);
+};
+
+/**
+ * Operación de taskOperations que aplica un ítem (los atajos son modificaciones)
+ * @param {Object} item - Ítem de expandOperations
+ * @returns {string} 'create' | 'update' | 'delete'
+ */
+const operationOf = (item) => (item.op === 'create' || item.op === 'delete' ? item.op : 'update');
+
+/**
+ * Convierte lo que devuelve applyCreate, applyUpdate o applyDelete en el
+ * resultado de un ítem
+ * @param {Object} item - Ítem de expandOperations
+ * @param {Object} result - Resultado de la operación
+ * @returns {{ status: number, data?: Object, error?: Object }}
+ */
+const toOutcome = (item, result) => {
+  const op = operationOf(item);
+  if (op === 'create') return { status: 201, data: result };
+  if (result.error) return { status: result.error.status, error: result.error };
+  return op === 'delete' ? { status: 200 } : { status: 200, data: result.response };
+};
+
+/**
+ * Aplica un ítem ya validado
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} item - Ítem de expandOperations
+ * @param {Object} plan - Resultado de prepareItem
+ * @returns {Promise<{ status: number, data?: Object, error?: Object }>}
+ */
+const applyItem = async (user, item, plan) => {
+  const op = operationOf(item);
+  if (op === 'create') return toOutcome(item, await applyCreate(plan));
+  if (op === 'delete') return toOutcome(item, await applyDelete(plan, user));
+  return toOutcome(item, await applyUpdate(plan, user));
+};
+
+/**
+ * Formatea el resultado de un ítem para la respuesta
+ * @param {Object} item - Ítem de expandOperations
+ * @param {Object} outcome - { status, data, error }
+ * @returns {Object} { index, op, id, status, data | error }
+ */
+const formatResult = ({ index, op, id }, { status, data, error }) => {
+  const result = { index, op, id: id || (data && data.id) || null, status };
+  if (error) result.error = error.message;
+  else if (data) result.data = data;
+  return result;
+};
+
+/**
+ * Ejecuta un lote de operaciones sobre tareas
+ * @param {Object} req - Express request con body { atomic, operations }
+ * @param {Object} res - Express response con { atomic, applied, summary: { succeeded, failed }, results }
+ *   (200; 422 si el lote atómico no es válido; 409 si otra petición modificó a la vez alguna de sus tareas)
+ * @param {Function} next - Siguiente middleware
+ */
+const bulkTasks = async (req, res, next) => {
+  try {
+    const { operations, atomic = false } = req.body;
+
+    const items = expandOperations(operations);
+    if (items.length > MAX_ITEMS) {
+      return sendError(res, 413, `Un lote afecta como máximo ${MAX_ITEMS} tareas`);
+    }
+
+    // Una tarea sólo puede aparecer una vez: cada operación se valida contra el estado previo
+    const seen = new Set();
+    for (const item of items) {
+      if (item.error || !item.id) continue;
+      if (seen.has(item.id)) {
+        item.error = { status: 409, message: `La tarea ${item.id} ya aparece en otra operación del lote` };
+      }
+      seen.add(item.id);
+    }
+
+    // Validación de todos los ítems a la vez, contra el estado previo al lote
+    const prepared = await Promise.all(items.map((item) => (item.error ? item : prepareItem(req.user, item))));
+
+    const outcomes = prepared.map((result) => (result.error ? { status: result.error.status, error: result.error } : null));
+    const invalid = outcomes.some(Boolean);
+
+    let interrupted = false;
+    if (!atomic) {
+      for (let i = 0; i < items.length; i++) {
+        if (outcomes[i]) continue;
+        try {
+          outcomes[i] = await applyItem(req.user, items[i], prepared[i].plan);
+        } catch (error) {
+          console.error('[bulkTasks] Error en la operación', items[i].index, error);
+          outcomes[i] = { status: 500, error: { message: 'Error al aplicar la operación' } };
+        }
+      }
+    } else if (invalid) {
+      for (let i = 0; i < items.length; i++) {
+        if (!outcomes[i]) outcomes[i] = { status: NOT_APPLIED.status, error: NOT_APPLIED };
+      }
+    } else {
+      // Todo el lote en una transacción: si una tarea cambió, no se escribe nada
+      const applied = await applyAll(
+        items.map((item, i) => ({ op: operationOf(item), plan: prepared[i].plan })),
+        req.user
+      );
+      if (applied.error) {
+        interrupted = true;
+        for (let i = 0; i < items.length; i++) {
+          outcomes[i] = i === applied.index
+            ? { status: applied.error.status, error: applied.error }
+            : { status: NOT_APPLIED.status, error: NOT_APPLIED };
+        }
+      } else {
+        applied.results.forEach((result, i) => { outcomes[i] = toOutcome(items[i], result); });
+      }
+    }
+
+    const results = items.map((item, i) => formatResult(item, outcomes[i]));
+    const succeeded = results.filter((result) => !result.error).length;
+    const body = {
+      atomic,
+      applied: succeeded > 0,
+      summary: { succeeded, failed: results.length - succeeded },
+      results
+    };
+
+    if (atomic && invalid) return res.status(422).json(body);
+    if (interrupted) return res.status(409).json(body);
+    return res.json(body);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  bulkTasks
+};
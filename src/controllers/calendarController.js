@@ -0,0 +1,127 @@
+/**
+ * Controlador de Calendario
+ * =========================
+ * Gestiona los feeds .ics de tareas del usuario (crear, listar y revocar),
+ * sirve cada feed a partir de su token y permite importar tareas desde un
+ * archivo .ics (ver calendarFeed).
+ *
+ * GET /api/calendar/:token.ics no usa la sesión: el token del feed es la
+ * credencial, porque las aplicaciones de calendario sólo conocen la URL.
+ */
+
+const {
+  createFeed,
+  listFeeds,
+  getFeed,
+  revokeFeed,
+  renderFeed,
+  importCalendar: importCalendarFile
+} = require('../services/calendarFeed');
+const { sendError } = require('../utils/httpErrors');
+
+/**
+ * Arma la URL pública de un feed
+ * @param {Object} req - Express request
+ * @param {string} token - Token del feed
+ * @returns {string}
+ */
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`;
+
+/**
+ * Crea un feed de calendario para el usuario autenticado
+ * @param {Object} req - Express request con body { name, type: 'event'|'todo', projectId, tagId, status }
+ * @param {Object} res - Express response con el feed y su url
+ * @param {Function} next - Siguiente middleware
+ */
+const createCalendarFeed = async (req, res, next) => {
+  try {
+    const result = await createFeed(req.user.id, req.body);
+    if (result.error) {
+      return sendError(res, 400, result.error);
+    }
+    return res.status(201).json({ ...result.feed, url: feedUrl(req, result.feed.token) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Lista los feeds de calendario del usuario autenticado
+ * @param {Object} req - Express request autenticada
+ * @param {Object} res - Express response con [{ token, url, ... }]
+ * @param {Function} next - Siguiente middleware
+ */
+const getCalendarFeeds = async (req, res, next) => {
+  try {
+    const feeds = await listFeeds(req.user.id);
+    return res.json(feeds.map((feed) => ({ ...feed, url: feedUrl(req, feed.token) })));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Revoca un feed de calendario
+ * @param {Object} req - Express request con param { token }
+ * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
+ */
+const revokeCalendarFeed = async (req, res, next) => {
+  try {
+    if (!(await revokeFeed(req.user.id, req.params.token))) {
+      return sendError(res, 404, 'Feed de calendario no encontrado');
+    }
+    return res.json({ message: 'Feed de calendario revocado' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Sirve un feed de calendario. Express agrega un ETag del contenido y
+ * responde 304 si el calendario no cambió desde la última consulta.
+ * @param {Object} req - Express request con param { token }
+ * @param {Object} res - Express response con el calendario (text/calendar)
+ * @param {Function} next - Siguiente middleware
+ */
+const getCalendarFeed = async (req, res, next) => {
+  try {
+    const feed = await getFeed(req.params.token);
+    if (!feed) {
+      return sendError(res, 404, 'Feed de calendario no encontrado');
+    }
+    return res.type('text/calendar; charset=utf-8').send(await renderFeed(feed));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Crea tareas a partir de un archivo .ics
+ * @param {Object} req - Express request con el archivo como body (text/calendar) y query { projectId }
+ * @param {Object} res - Express response con { summary: { created, failed }, results }
+ * @param {Function} next - Siguiente middleware
+ */
+const importCalendar = async (req, res, next) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body) {
+      return sendError(res, 400, 'Envía el archivo .ics con Content-Type text/calendar');
+    }
+
+    const result = await importCalendarFile(req.user, req.body, { projectId: req.query.projectId });
+    if (result.error) {
+      return sendError(res, 400, result.error);
+    }
+    return res.json(result);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  createCalendarFeed,
+  getCalendarFeeds,
+  revokeCalendarFeed,
+  getCalendarFeed,
+  importCalendar
+};
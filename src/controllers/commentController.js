@@ -0,0 +1,180 @@
+/**
+ * Controlador de Comentarios
+ * ==========================
+ * Permite conversar sobre una tarea sin sobrescribir su descripción.
+ * Los comentarios se guardan como Hashes (comment:{id}) indexados por tarea
+ * en un Sorted Set (ver commentRepository) y se listan del más reciente al más
+ * antiguo. Sólo el dueño de la tarea accede a sus comentarios y sólo el autor
+ * puede editarlos o eliminarlos; cada cambio se publica en el bus de eventos.
+ */
+
+const { findTaskById } = require('../repositories/taskRepository');
+const {
+  insertComment,
+  findCommentById,
+  findTaskComments,
+  updateCommentBody,
+  deleteComment: removeComment
+} = require('../repositories/commentRepository');
+const { buildCommentResponse } = require('../services/commentService');
+const { publishEvent } = require('../services/eventBus');
+const { sendError } = require('../utils/httpErrors');
+const { parsePagination } = require('../schemas/common');
+
+/**
+ * Obtiene la tarea si existe y pertenece al usuario autenticado
+ * @param {string} taskId - ID de la tarea
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {Promise<{ error: { status: number, message: string } }|{ task: Object }>}
+ */
+const loadTask = async (taskId, user) => {
+  const task = await findTaskById(taskId);
+  if (!task) {
+    return { error: { status: 404, message: 'Tarea no encontrada' } };
+  }
+  if (task.ownerId !== user.id) {
+    return { error: { status: 403, message: 'No tienes permiso sobre esta tarea' } };
+  }
+  return { task };
+};
+
+/**
+ * Obtiene un comentario de la tarea y verifica que el usuario sea su autor
+ * @param {string} taskId - ID de la tarea
+ * @param {string} commentId - ID del comentario
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {Promise<{ error: { status: number, message: string } }|{ comment: Object }>}
+ */
+const loadOwnComment = async (taskId, commentId, user) => {
+  const comment = await findCommentById(commentId);
+  if (!comment || comment.taskId !== taskId) {
+    return { error: { status: 404, message: 'Comentario no encontrado' } };
+  }
+  if (comment.authorId !== user.id) {
+    return { error: { status: 403, message: 'Sólo el autor puede modificar el comentario' } };
+  }
+  return { comment };
+};
+
+/**
+ * Lista los comentarios de una tarea, del más reciente al más antiguo
+ * @param {Object} req - Express request con param { id } y query { limit, cursor }
+ * @param {Object} res - Express response con { data, total, nextCursor }
+ * @param {Function} next - Siguiente middleware
+ */
+const getTaskComments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { error } = await loadTask(id, req.user);
+    if (error) {
+      return sendError(res, error.status, error.message);
+    }
+
+    const { limit, offset } = parsePagination(req.query);
+
+    const { comments, total, nextOffset } = await findTaskComments(id, offset, limit);
+
+    return res.json({
+      data: await Promise.all(comments.map(buildCommentResponse)),
+      total,
+      nextCursor: nextOffset < total ? nextOffset.toString() : null
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Agrega un comentario a una tarea
+ * @param {Object} req - Express request con param { id } y body { body }
+ * @param {Object} res - Express response con el comentario creado
+ * @param {Function} next - Siguiente middleware
+ */
+const createComment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { body } = req.body;
+
+    const { task, error } = await loadTask(id, req.user);
+    if (error) {
+      return sendError(res, error.status, error.message);
+    }
+
+    const comment = await buildCommentResponse(await insertComment({ taskId: id, authorId: req.user.id, body }));
+    await publishEvent({ type: 'comment.created', entityId: comment.id, ownerId: task.ownerId, data: comment });
+    return res.status(201).json(comment);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Edita el texto de un comentario (queda marcado como editado)
+ * @param {Object} req - Express request con params { id, commentId } y body { body }
+ * @param {Object} res - Express response con el comentario actualizado
+ * @param {Function} next - Siguiente middleware
+ */
+const updateComment = async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+    const { body } = req.body;
+
+    const { task, error: taskError } = await loadTask(id, req.user);
+    if (taskError) {
+      return sendError(res, taskError.status, taskError.message);
+    }
+    const { comment: existing, error } = await loadOwnComment(id, commentId, req.user);
+    if (error) {
+      return sendError(res, error.status, error.message);
+    }
+
+    const data = body !== existing.body ? await updateCommentBody(commentId, body) : existing;
+
+    const comment = await buildCommentResponse(data);
+    await publishEvent({ type: 'comment.updated', entityId: commentId, ownerId: task.ownerId, data: comment });
+    return res.json(comment);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Elimina un comentario
+ * @param {Object} req - Express request con params { id, commentId }
+ * @param {Object} res - Express response con mensaje de confirmación
+ * @param {Function} next - Siguiente middleware
+ */
+const deleteComment = async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const { task, error: taskError } = await loadTask(id, req.user);
+    if (taskError) {
+      return sendError(res, taskError.status, taskError.message);
+    }
+    const { error } = await loadOwnComment(id, commentId, req.user);
+    if (error) {
+      return sendError(res, error.status, error.message);
+    }
+
+    await removeComment(id, commentId);
+
+    await publishEvent({
+      type: 'comment.deleted',
+      entityId: commentId,
+      ownerId: task.ownerId,
+      data: { id: commentId, taskId: id }
+    });
+    return res.json({ message: 'Comentario eliminado correctamente' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  getTaskComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,84 @@
+/**
+ * Controlador de Exportación e Importación
+ * ========================================
+ * Expone el volcado completo de datos (ver dataTransfer) en JSON o CSV y su
+ * carga desde esos mismos formatos. Ambas operaciones abarcan los datos de
+ * todos los usuarios, por lo que están reservadas a los administradores.
+ */
+
+const {
+  exportData: buildExport,
+  toCsv,
+  fromCsv,
+  planImport,
+  commitImport
+} = require('../services/dataTransfer');
+const { ERROR_CODES, sendError } = require('../utils/httpErrors');
+
+/**
+ * Exporta usuarios (sin contraseñas), prioridades, etiquetas y tareas
+ * @param {Object} req - Express request con query { format } (json por defecto, o csv)
+ * @param {Object} res - Express response con el documento como adjunto
+ * @param {Function} next - Siguiente middleware
+ */
+const exportData = async (req, res, next) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    const dump = await buildExport();
+    const filename = `redistaskflow-${dump.exportedAt.slice(0, 10)}.${format}`;
+    res.attachment(filename);
+    if (format === 'csv') {
+      return res.type('text/csv').send(toCsv(dump));
+    }
+    return res.json(dump);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Importa un documento generado por exportData, asignando IDs nuevos.
+ * Por defecto es un dry-run: valida y resume sin escribir nada; con
+ * ?dryRun=false aplica la importación y devuelve la correspondencia de IDs.
+ * @param {Object} req - Express request con el documento en el body (application/json o text/csv)
+ *   y query { dryRun }
+ * @param {Object} res - Express response con { dryRun, summary, idMap } (400 INVALID_IMPORT con
+ *   una entrada por problema en details si no es válido)
+ * @param {Function} next - Siguiente middleware
+ */
+const importData = async (req, res, next) => {
+  try {
+    const { dryRun = 'true' } = req.query;
+
+    let dump = req.body;
+    if (req.is('text/csv')) {
+      const parsed = fromCsv(typeof req.body === 'string' ? req.body : '');
+      if (parsed.error) {
+        return sendError(res, 400, parsed.error);
+      }
+      dump = parsed.dump;
+    }
+
+    const { errors, summary, plan } = await planImport(dump);
+    if (errors.length > 0) {
+      return sendError(res, 400, 'El documento no es válido; no se importó nada', {
+        code: ERROR_CODES.INVALID_IMPORT,
+        details: errors
+      });
+    }
+    if (dryRun === 'true') {
+      return res.json({ dryRun: true, summary });
+    }
+
+    const idMap = await commitImport(plan, req.user);
+    return res.status(201).json({ dryRun: false, summary, idMap });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  exportData,
+  importData
+};
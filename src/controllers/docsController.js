@@ -0,0 +1,49 @@
+/**
+ * Controlador de Documentación
+ * ============================
+ * Sirve la especificación OpenAPI (docs/openapi) como JSON y una página con
+ * Swagger UI para explorarla y probar la API desde el navegador. Los archivos
+ * de Swagger UI salen del paquete swagger-ui-dist instalado (ver docsRoutes):
+ * la página no depende de un CDN y su versión es la de package.json.
+ */
+
+const spec = require('../docs/openapi');
+
+/**
+ * Responde la especificación OpenAPI
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response con el documento OpenAPI 3
+ */
+const getOpenApiSpec = (req, res) => res.json(spec);
+
+/**
+ * Responde la página interactiva de la documentación
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response con el HTML de Swagger UI
+ */
+const getDocsPage = (req, res) => {
+  // baseUrl evita depender de la barra final de /api/docs para resolver las URL relativas
+  const specUrl = `${req.baseUrl}/openapi.json`;
+  const assetsUrl = `${req.baseUrl}/assets`;
+
+  return res.type('html').send(`<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>${spec.info.title}</title>
+  <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+};
+
+module.exports = {
+  getOpenApiSpec,
+  getDocsPage
+};
@@ -0,0 +1,107 @@
+/**
+ * Controlador de Eventos (Server-Sent Events)
+ * ===========================================
+ * Mantiene abierta una conexión SSE por cliente y le envía los cambios en
+ * tareas, comentarios, proyectos, etiquetas, prioridades y estados publicados
+ * por cualquier instancia de la API (ver eventBus). Cada usuario sólo recibe
+ * los eventos de sus tareas, de los comentarios en ellas y de sus proyectos;
+ * las etiquetas, prioridades y estados son compartidos y se envían a todos.
+ *
+ * Un comentario periódico (heartbeat) evita que proxies cierren la conexión
+ * por inactividad, y el header Last-Event-ID permite reanudar sin perder eventos.
+ */
+
+const { subscribe, getEventsSince } = require('../services/eventBus');
+const { sendError } = require('../utils/httpErrors');
+const { EVENT_ID } = require('../schemas/eventSchemas');
+
+const ENTITY_TYPES = ['task', 'tag', 'priority', 'status', 'comment', 'project'];
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 25000;
+
+/**
+ * Compara IDs de eventos ("ms-secuencia")
+ * @returns {number} Negativo si a < b, positivo si a > b, 0 si son iguales
+ */
+const compareEventIds = (a, b) => {
+  const [msA, seqA] = a.split('-').map(Number);
+  const [msB, seqB] = b.split('-').map(Number);
+  return (msA - msB) || (seqA - seqB);
+};
+
+/**
+ * Indica si un usuario puede ver un evento
+ * @param {Object} event - Evento publicado
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {boolean}
+ */
+const canSee = (event, user) => !event.ownerId || event.ownerId === user.id;
+
+/**
+ * Abre el stream SSE de eventos
+ * @param {Object} req - Solicitud Express autenticada, query { types } (p. ej. "task,tag")
+ *   y header Last-Event-ID (o query lastEventId) para reanudar
+ * @param {Object} res - Respuesta Express que queda abierta
+ * @param {Function} next - Siguiente middleware
+ */
+const streamEvents = async (req, res, next) => {
+  const types = req.query.types ? req.query.types.split(',') : ENTITY_TYPES;
+  const invalid = types.filter((type) => !ENTITY_TYPES.includes(type));
+  if (invalid.length > 0) {
+    return sendError(res, 400, `types debe contener sólo: ${ENTITY_TYPES.join(', ')}`);
+  }
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId !== undefined && !EVENT_ID.test(lastEventId)) {
+    return sendError(res, 400, 'Last-Event-ID inválido');
+  }
+
+  const wants = (event) => types.includes(event.entity) && canSee(event, req.user);
+
+  // Último ID enviado: evita duplicados entre la reanudación y los eventos en vivo
+  let lastSentId = lastEventId || null;
+  const send = (event) => {
+    if (!wants(event)) return;
+    if (lastSentId && compareEventIds(event.id, lastSentId) <= 0) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    lastSentId = event.id;
+  };
+
+  // Mientras se reenvían los eventos perdidos, los nuevos se guardan en un buffer
+  let buffer = [];
+  let unsubscribe;
+  try {
+    unsubscribe = await subscribe((event) => (buffer ? buffer.push(event) : send(event)));
+  } catch (error) {
+    return next(error);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    if (lastEventId) {
+      const missed = await getEventsSince(lastEventId);
+      missed.forEach(send);
+    }
+  } catch (error) {
+    console.error('[streamEvents] Error al reanudar:', error);
+  }
+
+  buffer.forEach(send);
+  buffer = null;
+};
+
+module.exports = {
+  streamEvents
+};
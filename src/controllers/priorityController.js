@@ -3,55 +3,71 @@
  * ==========================
  * Maneja la lógica para crear, listar, actualizar y eliminar registros
  * de tipo "Prioridad" en Redis. Cada prioridad se almacena como un Hash:
- *   priority:{id} => { id, name, color, order }
+ *   priority:{id} => { id, name, color, order, version }
  *
  * Además, se utiliza un contador (priorityIdCounter) para autogenerar IDs,
- * y un Set (priorityIdsSet) para poder listar todas las prioridades sin usar SCAN.
+ * y un Set (priorityIdsSet) para poder listar todas las prioridades sin usar SCAN;
+ * los registros se leen y guardan a través de priorityRepository.
+ * Cada cambio queda registrado en el historial (history:priority:{id}) y se
+ * publica en el bus de eventos. La versión se envía como ETag y PUT/DELETE
+ * aceptan If-Match (ver versioning). El listado puede servirse desde la caché
+ * de listados (ver listCache).
  */
 
-const { client } = require('../config/redis');
-
-// Nombre del set para almacenar las claves de cada prioridad
-const PRIORITY_SET = 'priorityIdsSet';
+const {
+  priorityKey,
+  formatPriority,
+  insertPriority,
+  findPriorityById,
+  findAllPriorities
+} = require('../repositories/priorityRepository');
+const { getPriorityTaskKeys } = require('../services/taskRelations');
+const { trashCatalogEntry, purgeEntry } = require('../services/trashService');
+const { setPriorityScore } = require('../services/taskIndexes');
+const { queueActivity } = require('../services/activityLog');
+const { publishEvent } = require('../services/eventBus');
+const {
+  setETag,
+  getPreconditionError,
+  writeIfMatch
+} = require('../services/versioning');
+const { sendCachedList, invalidateLists } = require('../services/listCache');
+const { sendError } = require('../utils/httpErrors');
+
+// Campos de la prioridad que se auditan en el historial
+const HISTORY_FIELDS = ['name', 'color', 'order'];
 
 /**
  * Crea una nueva prioridad en Redis
  * @param {Object} req - Solicitud Express con campos { name, color, order }
  * @param {Object} res - Respuesta Express con la prioridad creada
+ * @param {Function} next - Siguiente middleware
  */
-const createPriority = async (req, res) => {
+const createPriority = async (req, res, next) => {
   try {
     const { name, color = '#000000', order = 1 } = req.body;
 
-    // Validación básica
-    if (!name) {
-      return res.status(400).json({ message: 'El nombre es obligatorio' });
-    }
-
-    // Generar un nuevo ID incremental
-    const newPriorityId = await client.incr('priorityIdCounter');
-
-    // Almacenar la prioridad como un Hash en Redis
-    await client.hSet(`priority:${newPriorityId}`, {
-      id: newPriorityId.toString(),
-      name,
-      color,
-      order: order.toString()
+    // Guardar la prioridad con un nuevo ID incremental y añadirla al set,
+    // con su alta en el historial en la misma transacción
+    const created = await insertPriority({ name, color, order }, (transaction, data) => queueActivity(transaction, {
+      entity: 'priority',
+      id: data.id,
+      action: 'created',
+      actor: req.user,
+      before: {},
+      after: data,
+      fields: HISTORY_FIELDS
+    }));
+    await publishEvent({
+      type: 'priority.created',
+      entityId: created.id,
+      data: { id: created.id, name, color, order }
     });
 
-    // Añadimos la clave al set para poder listar luego
-    await client.sAdd(PRIORITY_SET, `priority:${newPriorityId}`);
-
     // Responder con la prioridad creada
-    res.status(201).json({
-      id: newPriorityId,
-      name,
-      color,
-      order
-    });
+    setETag(res, created).status(201).json(formatPriority(created));
   } catch (error) {
-    console.error('[createPriority] Error:', error);
-    res.status(500).json({ message: 'Error al crear prioridad', error });
+    return next(error);
   }
 };
 
@@ -59,35 +75,18 @@ const createPriority = async (req, res) => {
  * Obtiene todas las prioridades almacenadas en Redis
  * @param {Object} req - Solicitud Express
  * @param {Object} res - Respuesta Express con arreglo de prioridades
+ * @param {Function} next - Siguiente middleware
  */
-const getAllPriorities = async (req, res) => {
+const getAllPriorities = async (req, res, next) => {
   try {
-    // 1) Obtener las claves del set (p.ej. ["priority:1", "priority:2", ...])
-    const keys = await client.sMembers(PRIORITY_SET); // Retorna array de strings
-    const priorities = [];
-
-    // 2) Para cada clave, obtenemos el Hash de Redis
-    for (const key of keys) {
-      const data = await client.hGetAll(key);
-      // data es un objeto { id, name, color, order: '...' }
-      if (data && data.id) {
-        priorities.push({
-          id: data.id,
-          name: data.name,
-          color: data.color,
-          order: parseInt(data.order, 10) // Convertimos a número
-        });
-      }
-    }
-
-    // 3) Ordenar las prioridades por 'order' ascendente (opcional)
-    priorities.sort((a, b) => a.order - b.order);
+    return await sendCachedList(res, { list: 'priorities' }, async () => {
+      const priorities = (await findAllPriorities()).map(formatPriority);
 
-    // 4) Responder
-    res.json(priorities);
+      // Ordenar las prioridades por 'order' ascendente
+      return priorities.sort((a, b) => a.order - b.order);
+    });
   } catch (error) {
-    console.error('[getAllPriorities] Error:', error);
-    res.status(500).json({ message: 'Error al obtener prioridades', error });
+    return next(error);
   }
 };
 
@@ -95,97 +94,120 @@ const getAllPriorities = async (req, res) => {
  * Obtiene una prioridad por ID
  * @param {Object} req - Solicitud Express con param { id }
  * @param {Object} res - Respuesta Express con la prioridad o 404 si no existe
+ * @param {Function} next - Siguiente middleware
  */
-const getPriorityById = async (req, res) => {
+const getPriorityById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const key = `priority:${id}`;
-
-    // Obtener el Hash de Redis
-    const data = await client.hGetAll(key);
 
-    // Si no hay 'data.id', significa que no existe
-    if (!data || !data.id) {
-      return res.status(404).json({ message: 'Prioridad no encontrada' });
+    const data = await findPriorityById(id);
+    if (!data) {
+      return sendError(res, 404, 'Prioridad no encontrada');
     }
 
-    // Convertir 'order' a número
-    const priority = {
-      id: data.id,
-      name: data.name,
-      color: data.color,
-      order: parseInt(data.order, 10)
-    };
-
-    res.json(priority);
+    setETag(res, data).json(formatPriority(data));
   } catch (error) {
-    console.error('[getPriorityById] Error:', error);
-    res.status(500).json({ message: 'Error al obtener prioridad', error });
+    return next(error);
   }
 };
 
 /**
  * Actualiza una prioridad en Redis
  * @param {Object} req - Solicitud Express con param { id }, body { name, color, order }
- * @param {Object} res - Respuesta Express con la prioridad actualizada
+ *   y el header If-Match opcional
+ * @param {Object} res - Respuesta Express con la prioridad actualizada (412 si cambió desde If-Match)
+ * @param {Function} next - Siguiente middleware
  */
-const updatePriority = async (req, res) => {
+const updatePriority = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { name, color, order } = req.body;
 
-    // Verificar si existe la prioridad en Redis
-    const key = `priority:${id}`;
-    const existing = await client.hGetAll(key);
-    if (!existing || !existing.id) {
-      return res.status(404).json({ message: 'Prioridad no encontrada' });
+    // Verificar si existe la prioridad
+    const existing = await findPriorityById(id);
+    if (!existing) {
+      return sendError(res, 404, 'Prioridad no encontrada');
+    }
+
+    // Actualizar sólo los campos provistos, junto con la nueva versión
+    const fields = {};
+    if (name !== undefined) fields.name = name;
+    if (color !== undefined) fields.color = color;
+    if (order !== undefined) fields.order = order.toString();
+    const written = await writeIfMatch(priorityKey(id), req.get('If-Match'), fields, (transaction, before, after) => {
+      queueActivity(transaction, {
+        entity: 'priority',
+        id,
+        action: 'updated',
+        actor: req.user,
+        before,
+        after,
+        fields: HISTORY_FIELDS
+      });
+    });
+    if (written.error) {
+      return sendError(res, written.error.status, written.error.message);
     }
 
-    // Actualizar sólo los campos provistos
-    if (name !== undefined) await client.hSet(key, 'name', name);
-    if (color !== undefined) await client.hSet(key, 'color', color);
-    if (order !== undefined) await client.hSet(key, 'order', order.toString());
+    if (order !== undefined) {
+      // Las tareas con esta prioridad se reordenan en el índice de prioridad
+      const taskKeys = await getPriorityTaskKeys(id);
+      await setPriorityScore(taskKeys, parseInt(order, 10));
+      // Los listados ordenados por prioridad se calcularon con el orden anterior
+      await invalidateLists(priorityKey(id), fields);
+    }
 
     // Obtener la data actualizada
-    const updated = await client.hGetAll(key);
-    res.json({
-      id: updated.id,
-      name: updated.name,
-      color: updated.color,
-      order: parseInt(updated.order, 10)
-    });
+    const updated = await findPriorityById(id);
+    const priority = formatPriority(updated);
+    await publishEvent({ type: 'priority.updated', entityId: id, data: priority });
+    setETag(res, updated).json(priority);
   } catch (error) {
-    console.error('[updatePriority] Error:', error);
-    res.status(500).json({ message: 'Error al actualizar prioridad', error });
+    return next(error);
   }
 };
 
 /**
  * Elimina una prioridad de Redis
- * @param {Object} req - Solicitud Express con param { id }
+ * Si hay tareas que la usan, query { strategy } decide qué hacer con ellas:
+ *   reject (por defecto, responde 409), detach (se les quita la prioridad)
+ *   o reassign (se les asigna la prioridad indicada en query { reassignTo }).
+ * La prioridad pasa a la papelera (ver trashService); con query { permanent: 'true' }
+ * se purga en el acto. Con el header If-Match responde 412 si la prioridad
+ * cambió desde que se leyó.
+ * @param {Object} req - Solicitud Express con param { id } y query { strategy, reassignTo, permanent }
  * @param {Object} res - Respuesta Express con mensaje de confirmación
+ * @param {Function} next - Siguiente middleware
  */
-const deletePriority = async (req, res) => {
+const deletePriority = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const key = `priority:${id}`;
 
     // Verificar si la prioridad existe
-    const data = await client.hGetAll(key);
-    if (!data || !data.id) {
-      return res.status(404).json({ message: 'Prioridad no encontrada' });
+    const data = await findPriorityById(id);
+    if (!data) {
+      return sendError(res, 404, 'Prioridad no encontrada');
+    }
+    const preconditionError = getPreconditionError(req, data);
+    if (preconditionError) {
+      return sendError(res, preconditionError.status, preconditionError.message);
     }
 
-    // Eliminar la key de Redis
-    await client.del(key);
+    // Liberar las tareas que usan la prioridad según la estrategia pedida y
+    // enviarla a la papelera en una transacción, comprobando otra vez la
+    // versión; con ?permanent=true se purga en el acto
+    const { strategy = 'reject', reassignTo } = req.query;
+    const trashed = await trashCatalogEntry('priority', id, req.get('If-Match'), { strategy, reassignTo }, req.user);
+    if (trashed.error) {
+      return sendError(res, trashed.error.status, trashed.error.message);
+    }
+    if (req.query.permanent === 'true') await purgeEntry(priorityKey(id));
 
-    // Quitamos la clave del set para que no aparezca en la lista
-    await client.sRem(PRIORITY_SET, key);
+    await publishEvent({ type: 'priority.deleted', entityId: id, data: { id } });
 
     res.json({ message: 'Prioridad eliminada correctamente' });
   } catch (error) {
-    console.error('[deletePriority] Error:', error);
-    res.status(500).json({ message: 'Error al eliminar prioridad', error });
+    return next(error);
   }
 };
 
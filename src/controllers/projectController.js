@@ -0,0 +1,291 @@
+/**
+ * Controlador de Proyectos
+ * ========================
+ * Agrupa las tareas en proyectos con un tablero Kanban: cada proyecto tiene
+ * columnas ordenadas y cada tarea del proyecto está en una de ellas, en una
+ * posición (ver projectRepository y boardService). Las tareas se asignan a un
+ * proyecto con projectId al crearlas o editarlas, y se mueven entre columnas
+ * con POST /api/tasks/:id/move.
+ *
+ * Cada usuario sólo ve y modifica sus propios proyectos.
+ */
+
+const {
+  insertProject,
+  findProjectById,
+  findUserProjects,
+  updateProject: saveProject,
+  deleteProject: removeProject
+} = require('../repositories/projectRepository');
+const {
+  DEFAULT_COLUMNS,
+  formatProject,
+  getProjectColumns,
+  getProjectBoard: loadBoard,
+  clearProjectBoard,
+  createColumn: addColumn,
+  findColumn,
+  updateColumn: saveColumn,
+  countColumnTasks,
+  deleteColumn: removeColumn
+} = require('../services/boardService');
+const { buildTaskResponses } = require('../services/taskService');
+const { publishEvent } = require('../services/eventBus');
+const { sendError } = require('../utils/httpErrors');
+
+/**
+ * Verifica que el proyecto exista y pertenezca al usuario autenticado
+ * @param {Object|null} data - Hash del proyecto (null si no existe)
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {{ status: number, message: string }|null} Error a responder, o null si hay acceso
+ */
+const getAccessError = (data, user) => {
+  if (!data) {
+    return { status: 404, message: 'Proyecto no encontrado' };
+  }
+  if (data.ownerId !== user.id) {
+    return { status: 403, message: 'No tienes permiso sobre este proyecto' };
+  }
+  return null;
+};
+
+/**
+ * Crea un nuevo proyecto con sus columnas
+ * @param {Object} req - Express request, con body { name, description, columns }
+ *   (columns: nombres de las columnas en orden; por defecto Por hacer, En curso y Hecho)
+ * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
+ */
+const createProject = async (req, res, next) => {
+  try {
+    const { name, description = '', columns = DEFAULT_COLUMNS } = req.body;
+
+    const data = await insertProject({ name, description, ownerId: req.user.id });
+
+    const created = [];
+    for (const column of columns) {
+      created.push(await addColumn(data.id, column.trim()));
+    }
+
+    const project = { ...formatProject(data), columns: created };
+    await publishEvent({ type: 'project.created', entityId: data.id, ownerId: req.user.id, data: project });
+    return res.status(201).json(project);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Lista los proyectos del usuario autenticado
+ * @param {Object} req - Express request autenticada
+ * @param {Object} res - Express response con arreglo de proyectos
+ * @param {Function} next - Siguiente middleware
+ */
+const getAllProjects = async (req, res, next) => {
+  try {
+    const projects = await findUserProjects(req.user.id);
+    return res.json(projects.map(formatProject));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtiene un proyecto por ID, con sus columnas en orden
+ * @param {Object} req - Express request con param { id }
+ * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
+ */
+const getProjectById = async (req, res, next) => {
+  try {
+    const data = await findProjectById(req.params.id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    return res.json({ ...formatProject(data), columns: await getProjectColumns(data.id) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtiene el tablero completo de un proyecto: columnas en orden y, en cada
+ * una, sus tareas en orden
+ * @param {Object} req - Express request con param { id }
+ * @param {Object} res - Express response con { project, columns: [{ id, name, tasks }] }
+ * @param {Function} next - Siguiente middleware
+ */
+const getProjectBoard = async (req, res, next) => {
+  try {
+    const data = await findProjectById(req.params.id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    const columns = [];
+    for (const column of await loadBoard(data.id)) {
+      columns.push({ ...column, tasks: await buildTaskResponses(column.tasks) });
+    }
+
+    return res.json({ project: formatProject(data), columns });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Actualiza el nombre o la descripción de un proyecto
+ * @param {Object} req - Express request con param { id } y body { name, description }
+ * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
+ */
+const updateProject = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    const existing = await findProjectById(id);
+    const accessError = getAccessError(existing, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    const project = formatProject(await saveProject(id, { name, description }));
+    await publishEvent({ type: 'project.updated', entityId: id, ownerId: existing.ownerId, data: project });
+    return res.json(project);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Elimina un proyecto y sus columnas. Las tareas no se borran: quedan sin proyecto.
+ * @param {Object} req - Express request con param { id }
+ * @param {Object} res - Express response con mensaje de confirmación
+ * @param {Function} next - Siguiente middleware
+ */
+const deleteProject = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const data = await findProjectById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    await clearProjectBoard(data);
+    await removeProject(data);
+
+    await publishEvent({ type: 'project.deleted', entityId: id, ownerId: data.ownerId, data: { id } });
+    return res.json({ message: 'Proyecto eliminado correctamente' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Agrega una columna al proyecto
+ * @param {Object} req - Express request con param { id } y body { name, position }
+ *   (position: índice en el que se inserta; por defecto, al final)
+ * @param {Object} res - Express response con las columnas del proyecto
+ * @param {Function} next - Siguiente middleware
+ */
+const createColumn = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, position } = req.body;
+
+    const data = await findProjectById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    const column = await addColumn(id, name.trim(), position);
+    if (column.error) {
+      return sendError(res, column.error.status, column.error.message);
+    }
+    return res.status(201).json({ ...column, columns: await getProjectColumns(id) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Renombra una columna o la cambia de lugar
+ * @param {Object} req - Express request con params { id, columnId } y body { name, position }
+ * @param {Object} res - Express response con las columnas del proyecto
+ * @param {Function} next - Siguiente middleware
+ */
+const updateColumn = async (req, res, next) => {
+  try {
+    const { id, columnId } = req.params;
+    const { name, position } = req.body;
+
+    const data = await findProjectById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+    if (!(await findColumn(id, columnId))) {
+      return sendError(res, 404, 'Columna no encontrada');
+    }
+
+    const saved = await saveColumn(id, columnId, { name: name === undefined ? undefined : name.trim(), index: position });
+    if (saved.error) {
+      return sendError(res, saved.error.status, saved.error.message);
+    }
+
+    return res.json({ id: columnId, columns: await getProjectColumns(id) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Elimina una columna vacía (con tareas responde 409: hay que moverlas antes)
+ * @param {Object} req - Express request con params { id, columnId }
+ * @param {Object} res - Express response con mensaje de confirmación
+ * @param {Function} next - Siguiente middleware
+ */
+const deleteColumn = async (req, res, next) => {
+  try {
+    const { id, columnId } = req.params;
+
+    const data = await findProjectById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+    if (!(await findColumn(id, columnId))) {
+      return sendError(res, 404, 'Columna no encontrada');
+    }
+
+    const taskCount = await countColumnTasks(columnId);
+    if (taskCount > 0) {
+      return sendError(res, 409, `La columna tiene ${taskCount} tarea(s); muévelas antes de eliminarla`);
+    }
+
+    await removeColumn(id, columnId);
+
+    return res.json({ message: 'Columna eliminada correctamente' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  createProject,
+  getAllProjects,
+  getProjectById,
+  getProjectBoard,
+  updateProject,
+  deleteProject,
+  createColumn,
+  updateColumn,
+  deleteColumn
+};
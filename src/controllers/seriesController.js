@@ -0,0 +1,139 @@
+/**
+ * Controlador de Series Recurrentes
+ * =================================
+ * Permite consultar, modificar y detener las series creadas al dar de alta
+ * una tarea con `recurrence` (ver recurrenceService). Las ocurrencias son
+ * tareas normales: se listan con GET /api/tasks?seriesId={id}.
+ */
+
+const { validateRelations } = require('../services/taskRelations');
+const {
+  formatSeries,
+  validateRecurrence,
+  updateSeries: applySeriesChanges,
+  stopSeries: deactivateSeries,
+  findSeriesById,
+  findUserSeries
+} = require('../services/recurrenceService');
+const { sendError } = require('../utils/httpErrors');
+
+/**
+ * Verifica que la serie exista y pertenezca al usuario autenticado
+ * @param {Object|null} data - Hash de la serie (null si no existe)
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {{ status: number, message: string }|null} Error a responder, o null si hay acceso
+ */
+const getAccessError = (data, user) => {
+  if (!data) {
+    return { status: 404, message: 'Serie no encontrada' };
+  }
+  if (data.ownerId !== user.id) {
+    return { status: 403, message: 'No tienes permiso sobre esta serie' };
+  }
+  return null;
+};
+
+/**
+ * Lista las series del usuario autenticado
+ * @param {Object} req - Express request autenticada
+ * @param {Object} res - Express response con arreglo de series
+ * @param {Function} next - Siguiente middleware
+ */
+const getAllSeries = async (req, res, next) => {
+  try {
+    const series = await findUserSeries(req.user.id);
+    return res.json(series.map(formatSeries));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtiene una serie por ID
+ * @param {Object} req - Express request con param { id }
+ * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
+ */
+const getSeriesById = async (req, res, next) => {
+  try {
+    const data = await findSeriesById(req.params.id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    return res.json(formatSeries(data));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Modifica una serie; los cambios se aplican a las ocurrencias futuras
+ * @param {Object} req - Express request con param { id } y body
+ *   { recurrence, recurrenceMode, title, description, priorityId, tagIds }
+ * @param {Object} res - Express response con la serie actualizada
+ * @param {Function} next - Siguiente middleware
+ */
+const updateSeries = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { recurrence, recurrenceMode, title, description, priorityId, tagIds } = req.body;
+
+    const data = await findSeriesById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    const recurrenceResult = validateRecurrence(recurrence, recurrenceMode);
+    if (recurrenceResult.error) {
+      return sendError(res, 400, recurrenceResult.error);
+    }
+    const relationError = await validateRelations({ priorityId, tagIds });
+    if (relationError) {
+      return sendError(res, 400, relationError);
+    }
+
+    const series = await applySeriesChanges(id, {
+      rule: recurrenceResult.rule,
+      mode: recurrenceResult.mode,
+      title,
+      description,
+      priorityId,
+      tagIds
+    });
+    return res.json(series);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Detiene una serie: no se generan más ocurrencias
+ * @param {Object} req - Express request con param { id }
+ * @param {Object} res - Express response con la serie detenida
+ * @param {Function} next - Siguiente middleware
+ */
+const stopSeries = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const data = await findSeriesById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    return res.json(await deactivateSeries(id));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  getAllSeries,
+  getSeriesById,
+  updateSeries,
+  stopSeries
+};
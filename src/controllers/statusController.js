@@ -0,0 +1,265 @@
+/**
+ * Controlador de Estados
+ * ======================
+ * Maneja la lógica para crear, listar, actualizar y eliminar los estados que
+ * pueden tener las tareas. Cada estado se almacena como un Hash:
+ *   status:{id} => { id, name, color, order, closed }
+ *
+ * Además, se utiliza un contador (statusIdCounter) para autogenerar IDs, un
+ * Set (statusIdsSet) para listarlos y un Set por estado con las transiciones
+ * permitidas (statusTransitions:{id}). Las reglas del flujo y el acceso a
+ * Redis están en statusWorkflow. Cada cambio queda registrado en el historial
+ * (history:status:{id}) y se publica en el bus de eventos. El flujo es
+ * global: sólo los administradores pueden modificarlo (ver statusRoutes).
+ */
+
+const {
+  getStatus,
+  getStatuses,
+  findStatusByName,
+  insertStatus,
+  updateStatusRecord,
+  removeStatus
+} = require('../services/statusWorkflow');
+const { findTasksByKeys } = require('../repositories/taskRepository');
+const { buildTaskResponses } = require('../services/taskService');
+const { queueActivity, recordActivity } = require('../services/activityLog');
+const { countTrashedTasksWithStatus } = require('../services/trashService');
+const { publishEvent } = require('../services/eventBus');
+const { sendError } = require('../utils/httpErrors');
+
+// Campos del estado que se auditan en el historial
+const HISTORY_FIELDS = ['name', 'color', 'order', 'closed', 'transitions'];
+
+/**
+ * Obtiene los valores auditables de un estado
+ * @param {Object} status - Estado formateado
+ * @returns {Object}
+ */
+const snapshotStatus = (status) => ({
+  name: status.name,
+  color: status.color,
+  order: status.order.toString(),
+  closed: status.closed.toString(),
+  transitions: status.transitions.join(',')
+});
+
+/**
+ * Valida los campos de un estado contra los estados existentes (undefined =
+ * no enviado); los tipos ya los validó statusSchemas
+ * @param {Object} fields - { name, transitions }
+ * @param {Array<Object>} statuses - Estados existentes
+ * @param {string} [selfId] - ID del estado que se modifica
+ * @returns {Promise<string|null>} Mensaje de error o null si son válidos
+ */
+const validateStatus = async ({ name, transitions }, statuses, selfId) => {
+  if (name !== undefined) {
+    const duplicate = await findStatusByName(name, statuses);
+    if (duplicate && duplicate.id !== selfId) {
+      return `Ya existe el estado ${duplicate.name}`;
+    }
+  }
+
+  if (transitions !== undefined) {
+    const ids = statuses.map((status) => status.id);
+    const invalid = transitions.filter((id) => id.toString() === selfId || !ids.includes(id.toString()));
+    if (invalid.length > 0) {
+      return `transitions contiene estados inválidos: ${invalid.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Crea un nuevo estado en Redis
+ * @param {Object} req - Solicitud Express con campos { name, color, order, closed, transitions }
+ * @param {Object} res - Respuesta Express con el estado creado
+ * @param {Function} next - Siguiente middleware
+ */
+const createStatus = async (req, res, next) => {
+  try {
+    const { name, color = '#000000', order = 1, closed = false, transitions = [] } = req.body;
+    const statuses = await getStatuses();
+    const validationError = await validateStatus({ name, transitions }, statuses);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    const newStatusId = await insertStatus({ name: name.trim(), color, order, closed, transitions });
+
+    const status = await getStatus(newStatusId);
+    await recordActivity({
+      entity: 'status',
+      id: newStatusId,
+      action: 'created',
+      actor: req.user,
+      before: {},
+      after: snapshotStatus(status),
+      fields: HISTORY_FIELDS
+    });
+    await publishEvent({ type: 'status.created', entityId: newStatusId, data: status });
+
+    return res.status(201).json(status);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtiene todos los estados con sus transiciones
+ * @param {Object} req - Solicitud Express
+ * @param {Object} res - Respuesta Express con arreglo de estados ordenados por 'order'
+ * @param {Function} next - Siguiente middleware
+ */
+const getAllStatuses = async (req, res, next) => {
+  try {
+    return res.json(await getStatuses());
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtiene un estado por ID
+ * @param {Object} req - Solicitud Express con param { id }
+ * @param {Object} res - Respuesta Express con el estado o 404 si no existe
+ * @param {Function} next - Siguiente middleware
+ */
+const getStatusById = async (req, res, next) => {
+  try {
+    const status = await getStatus(req.params.id);
+    if (!status) {
+      return sendError(res, 404, 'Estado no encontrado');
+    }
+
+    return res.json(status);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Actualiza un estado en Redis. Al renombrarlo, las tareas que lo usan
+ * pasan a tener el nuevo nombre.
+ * @param {Object} req - Solicitud Express con param { id }, body { name, color, order, closed, transitions }
+ * @param {Object} res - Respuesta Express con el estado actualizado
+ * @param {Function} next - Siguiente middleware
+ */
+const updateStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, color, order, closed, transitions } = req.body;
+
+    const existing = await getStatus(id);
+    if (!existing) {
+      return sendError(res, 404, 'Estado no encontrado');
+    }
+
+    const statuses = await getStatuses();
+    const validationError = await validateStatus({ name, transitions }, statuses, id);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+
+    // Actualizar sólo los campos provistos
+    const fields = {};
+    const newName = name !== undefined && name.trim() !== existing.name ? name.trim() : null;
+    if (newName) fields.name = newName;
+    if (color !== undefined) fields.color = color;
+    if (order !== undefined) fields.order = order.toString();
+    if (closed !== undefined) fields.closed = closed.toString();
+
+    // Al renombrarlo, sus tareas se migran en la misma transacción (ver statusWorkflow)
+    const result = await updateStatusRecord(existing, { fields, newName, transitions });
+    if (result.error) {
+      return sendError(res, 404, 'Estado no encontrado');
+    }
+
+    // Cada tarea migrada registra el cambio de estado y se publica como modificada
+    const migrated = await buildTaskResponses(await findTasksByKeys(result.migratedKeys));
+    for (const task of migrated) {
+      await recordActivity({
+        entity: 'task',
+        id: task.id,
+        action: 'updated',
+        actor: req.user,
+        before: { status: existing.name },
+        after: { status: newName },
+        fields: ['status']
+      });
+      await publishEvent({ type: 'task.updated', entityId: task.id, ownerId: task.ownerId, data: task });
+    }
+
+    const status = await getStatus(id);
+    await recordActivity({
+      entity: 'status',
+      id,
+      action: 'updated',
+      actor: req.user,
+      before: snapshotStatus(existing),
+      after: snapshotStatus(status),
+      fields: HISTORY_FIELDS
+    });
+    await publishEvent({ type: 'status.updated', entityId: id, data: status });
+
+    return res.json(status);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Elimina un estado de Redis. No se permite si hay tareas que lo usan,
+ * tampoco en la papelera (volverían con un estado inexistente).
+ * @param {Object} req - Solicitud Express con param { id }
+ * @param {Object} res - Respuesta Express con mensaje de confirmación
+ * @param {Function} next - Siguiente middleware
+ */
+const deleteStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // La comprobación y la baja van en la misma transacción (ver removeStatus)
+    const result = await removeStatus(id, async (transaction, status, isolated) => {
+      const trashed = await countTrashedTasksWithStatus(status.name, isolated);
+      if (trashed > 0) {
+        return {
+          error: {
+            status: 409,
+            message: `El estado está asignado a ${trashed} tarea(s) en la papelera; restáuralas o púrgalas antes de eliminarlo`
+          }
+        };
+      }
+      queueActivity(transaction, {
+        entity: 'status',
+        id,
+        action: 'deleted',
+        actor: req.user,
+        before: snapshotStatus(status),
+        after: {},
+        fields: HISTORY_FIELDS
+      });
+      return null;
+    });
+    if (result.error) {
+      return result.error.status === 404
+        ? sendError(res, 404, 'Estado no encontrado')
+        : sendError(res, result.error.status, result.error.message);
+    }
+
+    await publishEvent({ type: 'status.deleted', entityId: id, data: { id } });
+
+    return res.json({ message: 'Estado eliminado correctamente' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  createStatus,
+  getAllStatuses,
+  getStatusById,
+  updateStatus,
+  deleteStatus
+};
@@ -3,16 +3,37 @@
  * ===============================
  * Maneja la lógica para crear, listar, actualizar y eliminar registros
  * de tipo "Tag" en Redis. Cada etiqueta se almacena como un Hash:
- *   tag:{id} => { id, name }
+ *   tag:{id} => { id, name, version }
  *
  * Además, se utiliza un contador (tagIdCounter) para autogenerar IDs,
- * y un Set (tagIdsSet) para poder listar todas las etiquetas de forma eficiente.
+ * y un Set (tagIdsSet) para poder listar todas las etiquetas de forma eficiente;
+ * los registros se leen y guardan a través de tagRepository.
+ * Cada cambio queda registrado en el historial (history:tag:{id}) en la misma
+ * transacción que la escritura, y se publica en el bus de eventos. La versión
+ * se envía como ETag y PUT/DELETE aceptan If-Match (ver versioning). El
+ * listado puede servirse desde la caché de listados (ver listCache).
  */
 
-const { client } = require('../config/redis');
+const {
+  tagKey,
+  formatTag,
+  insertTag,
+  findTagById,
+  findAllTags
+} = require('../repositories/tagRepository');
+const { trashCatalogEntry, purgeEntry } = require('../services/trashService');
+const { queueActivity } = require('../services/activityLog');
+const { publishEvent } = require('../services/eventBus');
+const {
+  setETag,
+  getPreconditionError,
+  writeIfMatch
+} = require('../services/versioning');
+const { sendCachedList } = require('../services/listCache');
+const { sendError } = require('../utils/httpErrors');
 
-// Nombre del set donde se guardan las claves de cada etiqueta
-const TAG_SET = 'tagIdsSet';
+// Campos de la etiqueta que se auditan en el historial
+const HISTORY_FIELDS = ['name'];
 
 /**
  * Crea una nueva etiqueta en Redis
@@ -20,6 +41,7 @@ const TAG_SET = 'tagIdsSet';
  * @async
  * @param {Object} req - Objeto de solicitud Express con { name } en el body
  * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Siguiente middleware
  * @returns {JSON} Un objeto JSON con la etiqueta creada
  *
  * @example
@@ -30,38 +52,31 @@ const TAG_SET = 'tagIdsSet';
  *
  * Respuesta exitosa (201):
  * {
- *   "id": 1,
- *   "name": "Backend"
+ *   "id": "1",
+ *   "name": "Backend",
+ *   "version": 1
  * }
  */
-const createTag = async (req, res) => {
+const createTag = async (req, res, next) => {
   try {
     const { name } = req.body;
 
-    // Validación: name es obligatorio
-    if (!name) {
-      return res.status(400).json({ message: 'El nombre de la etiqueta es obligatorio' });
-    }
-
-    // Genera un nuevo ID incremental para esta etiqueta
-    const newTagId = await client.incr('tagIdCounter');
-
-    // Almacena la etiqueta como un Hash en Redis
-    await client.hSet(`tag:${newTagId}`, {
-      id: newTagId.toString(),
-      name
-    });
-
-    // Añade la clave "tag:{id}" a un Set global para poder listarlo más tarde
-    await client.sAdd(TAG_SET, `tag:${newTagId}`);
+    // Guarda la etiqueta con un nuevo ID incremental y la agrega al Set global,
+    // con su alta en el historial en la misma transacción
+    const created = await insertTag({ name }, (transaction, data) => queueActivity(transaction, {
+      entity: 'tag',
+      id: data.id,
+      action: 'created',
+      actor: req.user,
+      before: {},
+      after: data,
+      fields: HISTORY_FIELDS
+    }));
+    await publishEvent({ type: 'tag.created', entityId: created.id, data: { id: created.id, name } });
 
-    return res.status(201).json({
-      id: newTagId,
-      name
-    });
+    return setETag(res, created).status(201).json(formatTag(created));
   } catch (error) {
-    console.error('[createTag] Error:', error);
-    return res.status(500).json({ message: 'Error al crear etiqueta', error });
+    return next(error);
   }
 };
 
@@ -71,6 +86,7 @@ const createTag = async (req, res) => {
  * @async
  * @param {Object} req - Objeto de solicitud Express
  * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Siguiente middleware
  * @returns {JSON} Un array JSON de todas las etiquetas
  *
  * @example
@@ -78,34 +94,20 @@ const createTag = async (req, res) => {
  *
  * Respuesta exitosa (200):
  * [
- *   { "id": "1", "name": "Backend" },
- *   { "id": "2", "name": "Frontend" }
+ *   { "id": "1", "name": "Backend", "version": 1 },
+ *   { "id": "2", "name": "Frontend", "version": 3 }
  * ]
  */
-const getAllTags = async (req, res) => {
+const getAllTags = async (req, res, next) => {
   try {
-    // Obtenemos todas las claves de etiquetas desde el Set
-    const keys = await client.sMembers(TAG_SET);
-    const tags = [];
-
-    // Para cada clave (p.ej. "tag:1"), obtenemos el Hash
-    for (const key of keys) {
-      const data = await client.hGetAll(key);
-      if (data && data.id) {
-        tags.push({
-          id: data.id,
-          name: data.name
-        });
-      }
-    }
-
-    // Ordena alfabéticamente por "name"
-     tags.sort((a, b) => a.name.localeCompare(b.name));
+    return await sendCachedList(res, { list: 'tags' }, async () => {
+      const tags = (await findAllTags()).map(formatTag);
 
-    return res.json(tags);
+      // Ordena alfabéticamente por "name"
+      return tags.sort((a, b) => a.name.localeCompare(b.name));
+    });
   } catch (error) {
-    console.error('[getAllTags] Error:', error);
-    return res.status(500).json({ message: 'Error al obtener etiquetas', error });
+    return next(error);
   }
 };
 
@@ -115,31 +117,27 @@ const getAllTags = async (req, res) => {
  * @async
  * @param {Object} req - Objeto de solicitud Express, con { id } en req.params
  * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Siguiente middleware
  * @returns {JSON} La etiqueta encontrada o un 404 si no existe
  *
  * @example
  * GET /api/tags/1
  *
- * Respuesta exitosa (200):
- * { "id": "1", "name": "Backend" }
+ * Respuesta exitosa (200, con header ETag: "1"):
+ * { "id": "1", "name": "Backend", "version": 1 }
  */
-const getTagById = async (req, res) => {
+const getTagById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const key = `tag:${id}`;
 
-    const data = await client.hGetAll(key);
-    if (!data || !data.id) {
-      return res.status(404).json({ message: 'Etiqueta no encontrada' });
+    const data = await findTagById(id);
+    if (!data) {
+      return sendError(res, 404, 'Etiqueta no encontrada');
     }
 
-    return res.json({
-      id: data.id,
-      name: data.name
-    });
+    return setETag(res, data).json(formatTag(data));
   } catch (error) {
-    console.error('[getTagById] Error:', error);
-    return res.status(500).json({ message: 'Error al obtener etiqueta', error });
+    return next(error);
   }
 };
 
@@ -148,11 +146,14 @@ const getTagById = async (req, res) => {
  * @function updateTag
  * @async
  * @param {Object} req - Objeto de solicitud Express, con { id } en req.params y { name } en el body
+ *   (header If-Match opcional con el ETag leído)
  * @param {Object} res - Objeto de respuesta Express
- * @returns {JSON} La etiqueta actualizada o un 404 si no existe
+ * @param {Function} next - Siguiente middleware
+ * @returns {JSON} La etiqueta actualizada, 404 si no existe o 412 si cambió desde If-Match
  *
  * @example
  * PUT /api/tags/1
+ * If-Match: "1"
  * {
  *   "name": "Backend Avanzado"
  * }
@@ -160,36 +161,46 @@ const getTagById = async (req, res) => {
  * Respuesta exitosa (200):
  * {
  *   "id": "1",
- *   "name": "Backend Avanzado"
+ *   "name": "Backend Avanzado",
+ *   "version": 2
  * }
  */
-const updateTag = async (req, res) => {
+const updateTag = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { name } = req.body;
 
-    const key = `tag:${id}`;
-    const existing = await client.hGetAll(key);
+    const existing = await findTagById(id);
 
     // Verificar si la etiqueta existe
-    if (!existing || !existing.id) {
-      return res.status(404).json({ message: 'Etiqueta no encontrada' });
+    if (!existing) {
+      return sendError(res, 404, 'Etiqueta no encontrada');
     }
 
-    // Solo actualizamos si "name" ha sido provisto
-    if (name !== undefined) {
-      await client.hSet(key, 'name', name);
+    // Solo actualizamos si "name" ha sido provisto; la versión aumenta igual
+    const fields = name !== undefined ? { name } : {};
+    const written = await writeIfMatch(tagKey(id), req.get('If-Match'), fields, (transaction, before, after) => {
+      queueActivity(transaction, {
+        entity: 'tag',
+        id,
+        action: 'updated',
+        actor: req.user,
+        before,
+        after,
+        fields: HISTORY_FIELDS
+      });
+    });
+    if (written.error) {
+      return sendError(res, written.error.status, written.error.message);
     }
 
     // Obtenemos el hash actualizado
-    const updated = await client.hGetAll(key);
-    return res.json({
-      id: updated.id,
-      name: updated.name
-    });
+    const updated = await findTagById(id);
+    const tag = formatTag(updated);
+    await publishEvent({ type: 'tag.updated', entityId: id, data: tag });
+    return setETag(res, updated).json(tag);
   } catch (error) {
-    console.error('[updateTag] Error:', error);
-    return res.status(500).json({ message: 'Error al actualizar etiqueta', error });
+    return next(error);
   }
 };
 
@@ -198,36 +209,54 @@ const updateTag = async (req, res) => {
  * @function deleteTag
  * @async
  * @param {Object} req - Objeto de solicitud Express, con { id } en req.params
+ *   y opcionalmente { strategy, reassignTo, permanent } en req.query y el header If-Match
  * @param {Object} res - Objeto de respuesta Express
- * @returns {JSON} Mensaje de confirmación o 404 si no existe
+ * @param {Function} next - Siguiente middleware
+ * @returns {JSON} Mensaje de confirmación, 404 si no existe, 409 si está en uso
+ *   o 412 si cambió desde If-Match
+ *
+ * Si la etiqueta está asignada a tareas, `strategy` decide qué hacer:
+ * - reject   (por defecto) responde 409 sin eliminar nada
+ * - detach   quita la etiqueta de las tareas
+ * - reassign reemplaza la etiqueta por la indicada en `reassignTo`
+ *
+ * La etiqueta pasa a la papelera (ver trashService) y puede restaurarse;
+ * con `permanent=true` se purga en el acto.
  *
  * @example
- * DELETE /api/tags/1
+ * DELETE /api/tags/1?strategy=reassign&reassignTo=2
  *
  * Respuesta exitosa (200):
  * { "message": "Etiqueta eliminada correctamente" }
  */
-const deleteTag = async (req, res) => {
+const deleteTag = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const key = `tag:${id}`;
-
-    // Verificar si la etiqueta existe
-    const data = await client.hGetAll(key);
-    if (!data || !data.id) {
-      return res.status(404).json({ message: 'Etiqueta no encontrada' });
+    // Verificar si la etiqueta existe y sigue en la versión esperada
+    const data = await findTagById(id);
+    if (!data) {
+      return sendError(res, 404, 'Etiqueta no encontrada');
+    }
+    const preconditionError = getPreconditionError(req, data);
+    if (preconditionError) {
+      return sendError(res, preconditionError.status, preconditionError.message);
     }
 
-    // Borrar el hash
-    await client.del(key);
+    // Liberar las tareas que usan la etiqueta según la estrategia pedida y
+    // enviarla a la papelera en una transacción, comprobando otra vez la
+    // versión; con ?permanent=true se purga en el acto
+    const { strategy = 'reject', reassignTo } = req.query;
+    const trashed = await trashCatalogEntry('tag', id, req.get('If-Match'), { strategy, reassignTo }, req.user);
+    if (trashed.error) {
+      return sendError(res, trashed.error.status, trashed.error.message);
+    }
+    if (req.query.permanent === 'true') await purgeEntry(tagKey(id));
 
-    // Remover la clave del set
-    await client.sRem(TAG_SET, key);
+    await publishEvent({ type: 'tag.deleted', entityId: id, data: { id } });
 
     return res.json({ message: 'Etiqueta eliminada correctamente' });
   } catch (error) {
-    console.error('[deleteTag] Error:', error);
-    return res.status(500).json({ message: 'Error al eliminar etiqueta', error });
+    return next(error);
   }
 };
 
@@ -3,86 +3,271 @@
  * ============================
  * Maneja la lógica para crear, listar, obtener por ID, actualizar y eliminar
  * registros de tipo "Task" en Redis. Cada tarea se almacena como un Hash:
- *   task:{id} => { id, title, description, status, ... }
+ *   task:{id} => { id, title, description, status, ownerId, ... }
  *
  * Además, se utiliza un contador (taskIdCounter) para autogenerar IDs,
- * y un Set (taskIdsSet) para poder listar todas las tareas fácilmente.
+ * un Set (taskIdsSet) para poder listar todas las tareas fácilmente y un
+ * Set por usuario (userTasks:{userId}) con las tareas que le pertenecen; los
+ * registros se leen y guardan a través de taskRepository.
+ * La prioridad y las etiquetas de cada tarea se gestionan en taskRelations, y
+ * los índices para filtrar, ordenar y paginar el listado en taskIndexes.
+ * Las fechas dueAt/remindAt se guardan en UTC; los recordatorios los dispara
+ * reminderScheduler. El título y la descripción se indexan para la búsqueda
+ * de texto en searchIndex. El estado debe ser uno de los configurados en
+ * statusWorkflow y respetar sus transiciones; al entrar en un estado cerrado
+ * se registra completedAt. Las subtareas (parentId) y las dependencias de
+ * bloqueo se gestionan en taskGraph; una tarea no puede cerrarse mientras
+ * alguna de las que la bloquean siga abierta. Cada cambio queda registrado en
+ * el historial (activityLog) con el usuario que lo hizo y el diff por campo, y
+ * se publica en el bus de eventos (eventBus) para los clientes en tiempo real.
+ * El alta compartida con las series recurrentes (ver recurrenceService) está
+ * en taskService. Una tarea puede pertenecer a un proyecto (projectId) y
+ * ocupar una posición en una de sus columnas; se mueve con moveTask (ver
+ * boardService). Cada escritura incrementa la versión de la tarea, que se
+ * envía como ETag; PUT, DELETE y move aceptan If-Match (ver versioning).
+ * El alta, la modificación y la baja están en taskOperations, compartidas con
+ * las operaciones por lotes (ver bulkController). El listado puede servirse
+ * desde la caché de listados (ver listCache).
+ *
+ * Todas las rutas requieren autenticación: cada usuario sólo ve y modifica
+ * sus propias tareas (req.user lo expone el middleware de autenticación).
  */
 
-const { client } = require('../config/redis');
+const {
+  userTasksKey,
+  findTaskById,
+  findTasksByKeys,
+  getTaskStatuses
+} = require('../repositories/taskRepository');
+const { queryTaskKeys } = require('../services/taskIndexes');
+const { getClosedStatusNames } = require('../services/statusWorkflow');
+const {
+  subtasksKey,
+  getSubtaskProgress,
+  addDependency,
+  removeDependency,
+  expandDependencies
+} = require('../services/taskGraph');
+const { withSearchResults } = require('../services/searchIndex');
+const { getHistory } = require('../services/activityLog');
+const {
+  projectTasksKey,
+  resolvePlacement,
+  moveTask: moveTaskOnBoard
+} = require('../services/boardService');
+const { publishEvent } = require('../services/eventBus');
+const { setETag, getPreconditionError } = require('../services/versioning');
+const {
+  buildTaskResponse,
+  buildTaskResponses
+} = require('../services/taskService');
+const {
+  getAccessError,
+  prepareCreate,
+  applyCreate,
+  prepareUpdate,
+  applyUpdate,
+  prepareDelete,
+  applyDelete
+} = require('../services/taskOperations');
+const { seriesTasksKey } = require('../services/recurrenceService');
+const { parseDateTime } = require('../utils/dateTime');
+const { sendCachedList } = require('../services/listCache');
+const { sendError } = require('../utils/httpErrors');
+const { parsePagination } = require('../schemas/common');
+
+/**
+ * Carga las tareas de una página: los Hashes y luego sus relaciones
+ * @param {{ keys: Array<string>, total: number }} page - Resultado de queryTaskKeys
+ * @param {number} offset - Posición de la página actual
+ * @param {Object} [extra] - Campos adicionales de la respuesta
+ * @returns {Promise<Object>} { data, total, nextCursor, ...extra }
+ */
+const loadTaskPage = async ({ keys, total }, offset, extra = {}) => {
+  const hashes = await findTasksByKeys(keys);
+  const tasks = await buildTaskResponses(hashes.filter((data) => data && data.id));
 
-// Nombre del set donde guardamos las claves de cada tarea
-const TASK_SET = 'taskIdsSet';
+  const nextOffset = offset + keys.length;
+  return {
+    data: tasks,
+    total,
+    nextCursor: nextOffset < total ? nextOffset.toString() : null,
+    ...extra
+  };
+};
 
 /**
- * Crea una nueva tarea en Redis
- * @param {Object} req - Express request, con body { title, description, status, ... }
+ * Carga las tareas de una página y responde con { data, total, nextCursor }
  * @param {Object} res - Express response
+ * @param {{ keys: Array<string>, total: number }} page - Resultado de queryTaskKeys
+ * @param {number} offset - Posición de la página actual
+ * @param {Object} [extra] - Campos adicionales de la respuesta
  */
-const createTask = async (req, res) => {
-  try {
-    const { title, description = '', status = 'pendiente' } = req.body;
+const sendTaskPage = async (res, page, offset, extra = {}) => res.json(await loadTaskPage(page, offset, extra));
 
-    // Validación básica
-    if (!title) {
-      return res.status(400).json({ message: 'El título de la tarea es obligatorio' });
+/**
+ * Crea una nueva tarea en Redis (validación y alta en taskOperations)
+ * @param {Object} req - Express request, con body { title, description, status, priorityId, tagIds,
+ *   dueAt, remindAt, parentId, projectId, columnId, recurrence, recurrenceMode }
+ * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
+ */
+const createTask = async (req, res, next) => {
+  try {
+    const prepared = await prepareCreate(req.user, req.body);
+    if (prepared.error) {
+      return sendError(res, prepared.error.status, prepared.error.message);
     }
 
-    // Generar un nuevo ID para la tarea
-    const newTaskId = await client.incr('taskIdCounter');
+    const response = await applyCreate(prepared);
+    return setETag(res, response).status(201).json(response);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Lista las tareas del usuario autenticado, con filtros, orden y paginación
+ * resueltos con los índices de Redis (ver taskIndexes).
+ *
+ * Query params (todos opcionales):
+ *   status, priorityId, tagId, seriesId, projectId - Filtros exactos
+ *   q      - Términos a buscar en título o descripción (ver searchIndex)
+ *   sort   - created | updated | priority | title; prefijo "-" para descendente (por defecto -created)
+ *   limit  - Tamaño de página (1..100, por defecto 20)
+ *   cursor - Valor de nextCursor de la página anterior
+ *
+ * @param {Object} req - Express request autenticada (req.user)
+ * @param {Object} res - Express response con { data, total, nextCursor }
+ * @param {Function} next - Siguiente middleware
+ */
+const getAllTasks = async (req, res, next) => {
+  try {
+    const { status, priorityId, tagId, seriesId, projectId, q, sort = '-created' } = req.query;
+
+    const descending = sort.startsWith('-');
+    const sortField = descending ? sort.slice(1) : sort;
+
+    const { limit, offset } = parsePagination(req.query);
+    const params = { status, priorityId, tagId, seriesId, projectId, q, sort, limit, offset };
 
-    // Guardar la tarea como un Hash
-    await client.hSet(`task:${newTaskId}`, {
-      id: newTaskId.toString(),
-      title,
-      description,
-      status
+    // Sets que acotan los candidatos: siempre las tareas del usuario
+    const sets = [userTasksKey(req.user.id)];
+    if (status) sets.push(`tasksByStatus:${status}`);
+    if (priorityId) sets.push(`priorityTasks:${priorityId}`);
+    if (tagId) sets.push(`tagTasks:${tagId}`);
+    if (seriesId) sets.push(seriesTasksKey(seriesId));
+    if (projectId) sets.push(projectTasksKey(projectId));
+
+    const runQuery = (extraSets) => queryTaskKeys({
+      sets: [...sets, ...extraSets],
+      sort: sortField,
+      descending,
+      offset,
+      limit
     });
 
-    // Agregar la clave al Set
-    await client.sAdd(TASK_SET, `task:${newTaskId}`);
+    return await sendCachedList(res, { list: 'tasks', userId: req.user.id, params }, async () => {
+      // Con q, los resultados de la búsqueda son un filtro más
+      const page = q
+        ? await withSearchResults(q, (matchKey) => (matchKey ? runQuery([matchKey]) : { keys: [], total: 0 }))
+        : await runQuery([]);
+      return loadTaskPage(page, offset);
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Busca texto en el título y la descripción de las tareas del usuario.
+ * Ignora acentos y mayúsculas, acepta prefijos ("infor" encuentra "informe")
+ * y con varios términos exige que estén todos; ordena por relevancia.
+ * @param {Object} req - Express request autenticada, query { q, limit, cursor }
+ * @param {Object} res - Express response con { data, total, nextCursor }
+ * @param {Function} next - Siguiente middleware
+ */
+const searchTasks = async (req, res, next) => {
+  try {
+    const { q } = req.query;
+    const { limit, offset } = parsePagination(req.query);
 
-    return res.status(201).json({
-      id: newTaskId,
-      title,
-      description,
-      status
+    const page = await withSearchResults(q, (matchKey) => {
+      if (!matchKey) return { keys: [], total: 0 };
+      return queryTaskKeys({
+        sets: [userTasksKey(req.user.id)],
+        scoreKey: matchKey,
+        descending: true,
+        offset,
+        limit
+      });
     });
+
+    return sendTaskPage(res, page, offset);
   } catch (error) {
-    console.error('[createTask] Error:', error);
-    return res.status(500).json({ message: 'Error al crear tarea', error });
+    return next(error);
   }
 };
 
 /**
- * Lista todas las tareas almacenadas en Redis
- * @param {Object} req
- * @param {Object} res
+ * Lista las tareas vencidas del usuario: dueAt ya pasó y no están en un estado cerrado.
+ * Ordenadas por dueAt ascendente (las más atrasadas primero).
+ * @param {Object} req - Express request autenticada, query { limit, cursor }
+ * @param {Object} res - Express response con { data, total, nextCursor }
+ * @param {Function} next - Siguiente middleware
  */
-const getAllTasks = async (req, res) => {
+const getOverdueTasks = async (req, res, next) => {
   try {
-    const keys = await client.sMembers(TASK_SET);
-    const tasks = [];
-
-    for (const key of keys) {
-      const data = await client.hGetAll(key);
-      if (data && data.id) {
-        tasks.push({
-          id: data.id,
-          title: data.title,
-          description: data.description,
-          status: data.status
-        });
+    const { limit, offset } = parsePagination(req.query);
+
+    const closedStatuses = await getClosedStatusNames();
+    const page = await queryTaskKeys({
+      sets: [userTasksKey(req.user.id)],
+      sort: 'due',
+      descending: false,
+      offset,
+      limit,
+      max: Date.now(),
+      filter: async (keys) => {
+        const statuses = await getTaskStatuses(keys);
+        return keys.filter((key, i) => !closedStatuses.includes(statuses[i]));
       }
-    }
+    });
 
-    // (Opcional) Podrías ordenar las tareas
-    // tasks.sort((a, b) => a.id - b.id);
+    return sendTaskPage(res, page, offset);
+  } catch (error) {
+    return next(error);
+  }
+};
 
-    return res.json(tasks);
+/**
+ * Lista las tareas del usuario cuyo dueAt está dentro de un rango
+ * @param {Object} req - Express request autenticada, query { from, to, limit, cursor }
+ *   (from y to son ISO 8601 con zona horaria; si se omiten el rango queda abierto)
+ * @param {Object} res - Express response con { data, total, nextCursor }
+ * @param {Function} next - Siguiente middleware
+ */
+const getDueTasks = async (req, res, next) => {
+  try {
+    const from = req.query.from && parseDateTime(req.query.from);
+    const to = req.query.to && parseDateTime(req.query.to);
+
+    const { limit, offset } = parsePagination(req.query);
+
+    const page = await queryTaskKeys({
+      sets: [userTasksKey(req.user.id)],
+      sort: 'due',
+      descending: false,
+      offset,
+      limit,
+      min: from ? from.ms : -Infinity,
+      // Las tareas sin fecha tienen score +inf y nunca deben aparecer
+      max: to ? to.ms : Number.MAX_SAFE_INTEGER
+    });
+
+    return sendTaskPage(res, page, offset);
   } catch (error) {
-    console.error('[getAllTasks] Error:', error);
-    return res.status(500).json({ message: 'Error al obtener tareas', error });
+    return next(error);
   }
 };
 
@@ -90,87 +275,251 @@ const getAllTasks = async (req, res) => {
  * Obtiene una tarea por su ID
  * @param {Object} req - Express request con { id } en req.params
  * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
  */
-const getTaskById = async (req, res) => {
+const getTaskById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const key = `task:${id}`;
-
-    const data = await client.hGetAll(key);
-    if (!data || !data.id) {
-      return res.status(404).json({ message: 'Tarea no encontrada' });
+    const data = await findTaskById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
     }
 
-    return res.json({
-      id: data.id,
-      title: data.title,
-      description: data.description,
-      status: data.status
+    return setETag(res, data).json({
+      ...(await buildTaskResponse(data)),
+      ...(await expandDependencies(id)),
+      progress: await getSubtaskProgress(id, await getClosedStatusNames())
     });
   } catch (error) {
-    console.error('[getTaskById] Error:', error);
-    return res.status(500).json({ message: 'Error al obtener la tarea', error });
+    return next(error);
   }
 };
 
 /**
- * Actualiza una tarea por ID
- * @param {Object} req - Express request con param { id } y body { title, description, status }
+ * Actualiza una tarea por ID (validación y escritura en taskOperations)
+ * @param {Object} req - Express request con param { id } y body { title, description, status, priorityId, tagIds,
+ *   dueAt, remindAt, parentId, projectId }
  * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
+ */
+const updateTask = async (req, res, next) => {
+  try {
+    const prepared = await prepareUpdate(req.user, req.params.id, req.body, req.get('If-Match'));
+    if (prepared.error) {
+      return sendError(res, prepared.error.status, prepared.error.message);
+    }
+
+    const result = await applyUpdate(prepared.plan, req.user);
+    if (result.error) {
+      return sendError(res, result.error.status, result.error.message);
+    }
+    return setETag(res, result.data).json(result.response);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Elimina una tarea por ID: pasa a la papelera (ver trashService), salvo con
+ * ?permanent=true, que la purga en el acto
+ * @param {Object} req - Express request con param { id } y query { permanent }
+ * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
+ */
+const deleteTask = async (req, res, next) => {
+  try {
+    const permanent = req.query.permanent === 'true';
+    const prepared = await prepareDelete(req.user, req.params.id, req.get('If-Match'), permanent);
+    if (prepared.error) {
+      return sendError(res, prepared.error.status, prepared.error.message);
+    }
+
+    const result = await applyDelete(prepared.plan, req.user);
+    if (result.error) {
+      return sendError(res, result.error.status, result.error.message);
+    }
+    return res.json({ message: 'Tarea eliminada correctamente' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Lista las subtareas directas de una tarea, junto con el avance calculado
+ * sobre todas sus subtareas (a cualquier nivel)
+ * @param {Object} req - Express request con param { id } y query { limit, cursor }
+ * @param {Object} res - Express response con { data, total, nextCursor, progress }
+ * @param {Function} next - Siguiente middleware
  */
-const updateTask = async (req, res) => {
+const getSubtasks = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, description, status } = req.body;
-
-    const key = `task:${id}`;
-    const existing = await client.hGetAll(key);
-    if (!existing || !existing.id) {
-      return res.status(404).json({ message: 'Tarea no encontrada' });
-    }
-
-    // Actualizamos sólo los campos provistos
-    if (title !== undefined) await client.hSet(key, 'title', title);
-    if (description !== undefined) await client.hSet(key, 'description', description);
-    if (status !== undefined) await client.hSet(key, 'status', status);
-
-    // Obtenemos la data final
-    const updated = await client.hGetAll(key);
-    return res.json({
-      id: updated.id,
-      title: updated.title,
-      description: updated.description,
-      status: updated.status
+
+    const data = await findTaskById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    const { limit, offset } = parsePagination(req.query);
+
+    const page = await queryTaskKeys({
+      sets: [userTasksKey(req.user.id), subtasksKey(id)],
+      sort: 'created',
+      descending: false,
+      offset,
+      limit
     });
+    const progress = await getSubtaskProgress(id, await getClosedStatusNames());
+
+    return sendTaskPage(res, page, offset, { progress });
   } catch (error) {
-    console.error('[updateTask] Error:', error);
-    return res.status(500).json({ message: 'Error al actualizar la tarea', error });
+    return next(error);
   }
 };
 
 /**
- * Elimina una tarea por ID
- * @param {Object} req - Express request con param { id }
- * @param {Object} res - Express response
+ * Publica en el bus de eventos el cambio de dependencias de una tarea (el
+ * historial se registra en la misma transacción que el cambio, ver taskGraph)
+ * @param {string} id - ID de la tarea
+ */
+const publishDependencyChange = async (id) => {
+  const data = await findTaskById(id);
+  await publishEvent({
+    type: 'task.updated',
+    entityId: data.id,
+    ownerId: data.ownerId,
+    data: await buildTaskResponse(data)
+  });
+};
+
+/**
+ * Marca una tarea como bloqueada por otra (rechaza dependencias circulares)
+ * @param {Object} req - Express request con param { id } y body { taskId } (la tarea que la bloquea)
+ * @param {Object} res - Express response con { blockedBy, blocks }
+ * @param {Function} next - Siguiente middleware
  */
-const deleteTask = async (req, res) => {
+const addTaskDependency = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const key = `task:${id}`;
 
-    const data = await client.hGetAll(key);
-    if (!data || !data.id) {
-      return res.status(404).json({ message: 'Tarea no encontrada' });
+    const data = await findTaskById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
     }
 
-    // Borramos el hash y la sacamos del Set
-    await client.del(key);
-    await client.sRem(TASK_SET, key);
+    const dependencyError = await addDependency(id, req.body.taskId, req.user.id, req.user);
+    if (dependencyError) {
+      return sendError(res, dependencyError.status, dependencyError.message);
+    }
 
-    return res.json({ message: 'Tarea eliminada correctamente' });
+    await publishDependencyChange(id);
+    return res.status(201).json(await expandDependencies(id));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Quita una dependencia de una tarea
+ * @param {Object} req - Express request con params { id, blockerId }
+ * @param {Object} res - Express response con { blockedBy, blocks }
+ * @param {Function} next - Siguiente middleware
+ */
+const removeTaskDependency = async (req, res, next) => {
+  try {
+    const { id, blockerId } = req.params;
+
+    const data = await findTaskById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    if (!(await removeDependency(id, blockerId, req.user))) {
+      return sendError(res, 404, 'Dependencia no encontrada');
+    }
+
+    await publishDependencyChange(id);
+    return res.json(await expandDependencies(id));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Mueve una tarea de su proyecto a otra columna o a otra posición de la misma.
+ * El cambio de columna y de posición, los índices y el historial se aplican en
+ * una sola transacción, y sólo se recalcula la posición de la tarea movida
+ * (ver boardService).
+ * @param {Object} req - Express request con param { id } y body { columnId, position }
+ *   (position: índice destino dentro de la columna; por defecto, al final)
+ * @param {Object} res - Express response con la tarea movida
+ * @param {Function} next - Siguiente middleware
+ */
+const moveTask = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { columnId, position } = req.body;
+    const existing = await findTaskById(id);
+    const accessError = getAccessError(existing, req.user) || getPreconditionError(req, existing);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+    if (!existing.projectId) {
+      return sendError(res, 422, 'La tarea no pertenece a ningún proyecto');
+    }
+
+    const target = columnId === undefined ? existing.columnId : String(columnId);
+    const placement = await resolvePlacement({ projectId: existing.projectId, columnId: target }, existing.ownerId);
+    if (placement.error) {
+      return sendError(res, 400, placement.error);
+    }
+
+    const moved = await moveTaskOnBoard(existing, placement.columnId, position, req.get('If-Match'), req.user);
+    if (moved.error) {
+      return sendError(res, moved.error.status, moved.error.message);
+    }
+
+    const updated = moved.data;
+    const response = await buildTaskResponse(updated);
+    await publishEvent({
+      type: 'task.moved',
+      entityId: id,
+      ownerId: updated.ownerId,
+      data: { ...response, previousColumnId: existing.columnId || null }
+    });
+    return setETag(res, updated).json(response);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtiene el historial de cambios de una tarea, del más reciente al más antiguo
+ * @param {Object} req - Express request con param { id } y query { limit, cursor }
+ *   (cursor es el nextCursor de la página anterior)
+ * @param {Object} res - Express response con { data, nextCursor }
+ * @param {Function} next - Siguiente middleware
+ */
+const getTaskHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { cursor } = req.query;
+
+    const data = await findTaskById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    const { limit } = parsePagination({ limit: req.query.limit });
+    const history = await getHistory('task', id, { limit, cursor });
+    return res.json(history);
   } catch (error) {
-    console.error('[deleteTask] Error:', error);
-    return res.status(500).json({ message: 'Error al eliminar la tarea', error });
+    return next(error);
   }
 };
 
@@ -178,7 +527,15 @@ const deleteTask = async (req, res) => {
 module.exports = {
   createTask,
   getAllTasks,
+  searchTasks,
+  getOverdueTasks,
+  getDueTasks,
   getTaskById,
   updateTask,
-  deleteTask
+  deleteTask,
+  getSubtasks,
+  addTaskDependency,
+  removeTaskDependency,
+  moveTask,
+  getTaskHistory
 };
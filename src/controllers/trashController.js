@@ -0,0 +1,90 @@
+/**
+ * Controlador de la Papelera
+ * ==========================
+ * Lista las tareas, etiquetas y prioridades eliminadas, las restaura con sus
+ * relaciones e índices o las purga antes de que venza su retención (ver
+ * trashService). Cada usuario ve sus propias tareas; las etiquetas y
+ * prioridades son compartidas, como sus endpoints.
+ */
+
+const { setETag } = require('../services/versioning');
+const {
+  listTrash,
+  getTrashedEntry,
+  restoreEntry,
+  purgeEntry
+} = require('../services/trashService');
+const { parsePagination } = require('../schemas/common');
+const { sendError } = require('../utils/httpErrors');
+
+/**
+ * Lista la papelera del usuario autenticado, paginada como GET /api/tasks
+ * @param {Object} req - Express request con query { type, limit, cursor }
+ * @param {Object} res - Express response con { data: [{ type, id, deletedAt, purgeAt, data }], total, nextCursor }
+ * @param {Function} next - Siguiente middleware
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const { limit, offset } = parsePagination(req.query);
+    const { items, total, nextOffset } = await listTrash(req.user, req.query.type, { offset, limit });
+    return res.json({
+      data: items,
+      total,
+      nextCursor: nextOffset < total ? nextOffset.toString() : null
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Restaura una entidad de la papelera. Acepta If-Match con la versión que
+ * tenía al eliminarse.
+ * @param {Object} req - Express request con params { type, id }
+ * @param {Object} res - Express response con la entidad restaurada (y su ETag)
+ * @param {Function} next - Siguiente middleware
+ */
+const restoreTrashItem = async (req, res, next) => {
+  try {
+    const { type, id } = req.params;
+
+    const data = await getTrashedEntry(req.user, type, id);
+    if (!data) {
+      return sendError(res, 404, 'No está en la papelera');
+    }
+
+    const result = await restoreEntry(type, data, req.get('If-Match'), req.user);
+    if (result.error) {
+      return sendError(res, result.error.status, result.error.message);
+    }
+    return setETag(res, result.data).json(result.response);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Purga una entidad de la papelera sin esperar a que venza su retención
+ * @param {Object} req - Express request con params { type, id }
+ * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
+ */
+const purgeTrashItem = async (req, res, next) => {
+  try {
+    const { type, id } = req.params;
+
+    const data = await getTrashedEntry(req.user, type, id);
+    if (!data || !(await purgeEntry(`${type}:${id}`))) {
+      return sendError(res, 404, 'No está en la papelera');
+    }
+    return res.json({ message: 'Eliminado definitivamente' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+  purgeTrashItem
+};
@@ -1,49 +1,47 @@
 /**
  * Controlador de Usuarios
  * =======================
- * Este archivo maneja la lógica para registrar y obtener usuarios en Redis.
- * Almacena cada usuario como un hash: user:{id}, y un índice userByEmail:{email} -> id.
+ * Este archivo maneja la lógica para registrar, autenticar y obtener usuarios en Redis.
+ * Almacena cada usuario como un hash: user:{id}, y un índice userByEmail:{email} -> id
+ * (ver userRepository).
+ * Las sesiones emitidas en el login se gestionan en sessionService (session:{token}).
  */
 
 const bcrypt = require('bcrypt');
-const { client } = require('../config/redis');
+const {
+  toPublicUser,
+  isEmailTaken,
+  insertUser,
+  findUserById,
+  findUserByEmail
+} = require('../repositories/userRepository');
+const { createSession, destroySession } = require('../services/sessionService');
+const { sendError } = require('../utils/httpErrors');
 
 /**
  * Registra un nuevo usuario
  * @param {object} req - Solicitud Express con campos name, email, password
  * @param {object} res - Respuesta Express con datos del usuario creado
+ * @param {function} next - Siguiente middleware
  */
-const registerUser = async (req, res) => {
+const registerUser = async (req, res, next) => {
   try {
     const { name, email, password } = req.body;
 
-    if (!name || !email || !password) {
-      return res.status(400).json({ message: 'Faltan campos requeridos' });
+    // Revisar si el email ya está en uso (se vuelve a comprobar al guardar)
+    if (await isEmailTaken(email)) {
+      return sendError(res, 400, 'El email ya está en uso');
     }
 
-    // Revisar si el email ya está en uso
-    const existingUserId = await client.get(`userByEmail:${email}`);
-    if (existingUserId) {
-      return res.status(400).json({ message: 'El email ya está en uso' });
-    }
-
-    // Generar un nuevo ID con INCR
-    const newUserId = await client.incr('userIdCounter');
-
     // Hashear la contraseña
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
-    // Guardar en Redis
-    await client.hSet(`user:${newUserId}`, {
-      id: newUserId.toString(),
-      name,
-      email,
-      password: hashedPassword
-    });
-
-    // Indexar email->id
-    await client.set(`userByEmail:${email}`, newUserId.toString());
+    // Guardar el usuario; devuelve null si otro registro tomó el email mientras tanto
+    const newUserId = await insertUser({ name, email, password: hashedPassword });
+    if (!newUserId) {
+      return sendError(res, 400, 'El email ya está en uso');
+    }
 
     return res.status(201).json({
       id: newUserId,
@@ -52,7 +50,7 @@ const registerUser = async (req, res) => {
       // password se omite por seguridad
     });
   } catch (error) {
-    res.status(500).json({ message: 'Error al registrar usuario', error });
+    return next(error);
   }
 };
 
@@ -60,24 +58,80 @@ const registerUser = async (req, res) => {
  * Obtiene un usuario por ID
  * @param {object} req - Solicitud Express con param id
  * @param {object} res - Respuesta Express con datos del usuario
+ * @param {function} next - Siguiente middleware
  */
-const getUserById = async (req, res) => {
+const getUserById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userData = await client.hGetAll(`user:${id}`);
-    if (!userData || !userData.id) {
-      return res.status(404).json({ message: 'Usuario no encontrado' });
+    const userData = await findUserById(id);
+    if (!userData) {
+      return sendError(res, 404, 'Usuario no encontrado');
     }
 
     // Excluir la contraseña
-    const { password, ...userWithoutPass } = userData;
-    return res.json(userWithoutPass);
+    return res.json(toPublicUser(userData));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Inicia sesión verificando el email y la contraseña
+ * @param {object} req - Solicitud Express con campos email, password
+ * @param {object} res - Respuesta Express con el token de sesión y el usuario
+ * @param {function} next - Siguiente middleware
+ */
+const loginUser = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    // Buscar el usuario por email; el mismo mensaje para email o contraseña
+    // incorrectos evita revelar qué emails están registrados
+    const userData = await findUserByEmail(email);
+    if (!userData) {
+      return sendError(res, 401, 'Credenciales inválidas');
+    }
+
+    const passwordMatches = await bcrypt.compare(password, userData.password);
+    if (!passwordMatches) {
+      return sendError(res, 401, 'Credenciales inválidas');
+    }
+
+    // Crear la sesión en Redis con TTL
+    const { token, expiresIn } = await createSession(userData.id);
+
+    return res.json({
+      token,
+      expiresIn,
+      user: {
+        id: userData.id,
+        name: userData.name,
+        email: userData.email
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Cierra la sesión actual invalidando su token
+ * @param {object} req - Solicitud Express autenticada (req.token)
+ * @param {object} res - Respuesta Express con mensaje de confirmación
+ * @param {function} next - Siguiente middleware
+ */
+const logoutUser = async (req, res, next) => {
+  try {
+    await destroySession(req.token);
+    return res.json({ message: 'Sesión cerrada correctamente' });
   } catch (error) {
-    res.status(500).json({ message: 'Error al obtener usuario', error });
+    return next(error);
   }
 };
 
 module.exports = {
   registerUser,
+  loginUser,
+  logoutUser,
   getUserById
 };
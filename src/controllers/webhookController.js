@@ -0,0 +1,233 @@
+/**
+ * Controlador de Webhooks
+ * =======================
+ * Permite a cada usuario registrar URLs que recibirán los eventos de cambios
+ * (task.created, task.status_changed, tag.deleted...). Cada webhook se
+ * almacena como un Hash:
+ *   webhook:{id} => { id, url, events, secret, ownerId, active, createdAt }
+ *
+ * Además, se usa un contador (webhookIdCounter), un Set global (webhookIdsSet)
+ * para repartir los eventos y un Set por usuario (userWebhooks:{userId}).
+ * La URL debe apuntar a un host público (ver checkWebhookUrl). El
+ * almacenamiento, el envío, la firma y los reintentos se hacen en webhookService.
+ */
+
+const crypto = require('crypto');
+const {
+  checkWebhookUrl,
+  formatDelivery,
+  createDelivery,
+  insertWebhook,
+  findWebhookById,
+  findUserWebhooks,
+  updateWebhook: saveWebhook,
+  deleteWebhook: removeWebhook,
+  findDeliveryById,
+  findWebhookDeliveries
+} = require('../services/webhookService');
+const { sendError } = require('../utils/httpErrors');
+
+/**
+ * Convierte el Hash de Redis en la representación pública del webhook
+ * (el secreto sólo se devuelve al crearlo)
+ * @param {Object} data - Hash obtenido con hGetAll
+ * @returns {Object}
+ */
+const formatWebhook = (data) => ({
+  id: data.id,
+  url: data.url,
+  events: data.events.split(','),
+  active: data.active === 'true',
+  createdAt: data.createdAt
+});
+
+/**
+ * Verifica que el webhook exista y pertenezca al usuario autenticado
+ * @param {Object|null} data - Hash del webhook (null si no existe)
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {{ status: number, message: string }|null} Error a responder, o null si hay acceso
+ */
+const getAccessError = (data, user) => {
+  if (!data) {
+    return { status: 404, message: 'Webhook no encontrado' };
+  }
+  if (data.ownerId !== user.id) {
+    return { status: 403, message: 'No tienes permiso sobre este webhook' };
+  }
+  return null;
+};
+
+/**
+ * Registra un nuevo webhook
+ * @param {Object} req - Express request con body { url, events, secret }
+ * @param {Object} res - Express response con el webhook y su secreto
+ * @param {Function} next - Siguiente middleware
+ */
+const createWebhook = async (req, res, next) => {
+  try {
+    const { url, events, secret } = req.body;
+
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) {
+      return sendError(res, 400, urlError);
+    }
+
+    // Si no se indica un secreto se genera uno aleatorio
+    const webhookSecret = secret || crypto.randomBytes(24).toString('hex');
+
+    const created = await insertWebhook({ url, events, secret: webhookSecret, ownerId: req.user.id });
+    return res.status(201).json({ ...formatWebhook(created), secret: webhookSecret });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Lista los webhooks del usuario autenticado
+ * @param {Object} req - Express request autenticada
+ * @param {Object} res - Express response con arreglo de webhooks
+ * @param {Function} next - Siguiente middleware
+ */
+const getAllWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await findUserWebhooks(req.user.id);
+    return res.json(webhooks.map(formatWebhook));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtiene un webhook por ID
+ * @param {Object} req - Express request con param { id }
+ * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
+ */
+const getWebhookById = async (req, res, next) => {
+  try {
+    const data = await findWebhookById(req.params.id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    return res.json(formatWebhook(data));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Actualiza un webhook
+ * @param {Object} req - Express request con param { id } y body { url, events, active, secret }
+ * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware
+ */
+const updateWebhook = async (req, res, next) => {
+  try {
+    const { url, events, active, secret } = req.body;
+
+    const existing = await findWebhookById(req.params.id);
+    const accessError = getAccessError(existing, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    const urlError = url === undefined ? null : await checkWebhookUrl(url);
+    if (urlError) {
+      return sendError(res, 400, urlError);
+    }
+
+    // Actualizamos sólo los campos provistos
+    const updated = await saveWebhook(req.params.id, { url, events, active, secret });
+    return res.json(formatWebhook(updated));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Elimina un webhook y su log de entregas
+ * @param {Object} req - Express request con param { id }
+ * @param {Object} res - Express response con mensaje de confirmación
+ * @param {Function} next - Siguiente middleware
+ */
+const deleteWebhook = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const data = await findWebhookById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    await removeWebhook(data);
+
+    return res.json({ message: 'Webhook eliminado correctamente' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Lista las últimas entregas de un webhook (más reciente primero)
+ * @param {Object} req - Express request con param { id } y query { limit }
+ * @param {Object} res - Express response con arreglo de entregas
+ * @param {Function} next - Siguiente middleware
+ */
+const getWebhookDeliveries = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    const data = await findWebhookById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    const deliveries = await findWebhookDeliveries(id, limit);
+    return res.json(deliveries.map(formatDelivery));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Reenvía manualmente una entrega (crea una nueva con el mismo contenido)
+ * @param {Object} req - Express request con params { id, deliveryId }
+ * @param {Object} res - Express response con la nueva entrega (202)
+ * @param {Function} next - Siguiente middleware
+ */
+const redeliverWebhook = async (req, res, next) => {
+  try {
+    const { id, deliveryId } = req.params;
+
+    const data = await findWebhookById(id);
+    const accessError = getAccessError(data, req.user);
+    if (accessError) {
+      return sendError(res, accessError.status, accessError.message);
+    }
+
+    const delivery = await findDeliveryById(deliveryId);
+    if (!delivery || delivery.webhookId !== id) {
+      return sendError(res, 404, 'Entrega no encontrada');
+    }
+
+    const redelivery = await createDelivery(id, delivery.event, delivery.payload);
+    return res.status(202).json(redelivery);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  createWebhook,
+  getAllWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+};
@@ -0,0 +1,766 @@
+/**
+ * Especificación OpenAPI
+ * ======================
+ * Documento OpenAPI 3 de usuarios, tareas, etiquetas y prioridades. Se sirve
+ * en /api/docs/openapi.json y como página interactiva en /api/docs (ver
+ * routes/docsRoutes).
+ *
+ * Los parámetros y cuerpos de las solicitudes se generan a partir de los
+ * esquemas de validación de src/schemas, así que documentan exactamente lo
+ * que acepta `validate`. Las respuestas se describen a mano en `components`
+ * y tests/openapi.test.js comprueba contra ellas lo que devuelven los
+ * controladores: si un controlador cambia su respuesta, el test falla hasta
+ * que se actualice este archivo.
+ */
+
+const { version } = require('../../package.json');
+const userSchemas = require('../schemas/userSchemas');
+const tagSchemas = require('../schemas/tagSchemas');
+const prioritySchemas = require('../schemas/prioritySchemas');
+const taskSchemas = require('../schemas/taskSchemas');
+const { ERROR_CODES } = require('../utils/httpErrors');
+const { DETAIL_CODES } = require('../utils/schema');
+
+const ID_PATTERN = '^[1-9]\\d*$';
+
+/**
+ * Convierte una regla de utils/schema en un JSON Schema de OpenAPI
+ * @param {Object} rule - Regla de un campo
+ * @param {boolean} fromText - true para query y params (los IDs llegan como texto)
+ * @returns {Object} Schema
+ */
+const ruleToSchema = (rule, fromText) => {
+  const types = [].concat(rule.type || []);
+  const variants = types.map((type) => {
+    switch (type) {
+      case 'id':
+        return fromText
+          ? { type: 'string', pattern: ID_PATTERN }
+          : { oneOf: [{ type: 'integer', minimum: 1 }, { type: 'string', pattern: ID_PATTERN }] };
+      case 'datetime':
+        return { type: 'string', format: 'date-time' };
+      case 'array':
+        return { type: 'array', ...(rule.items && { items: ruleToSchema(rule.items, fromText) }) };
+      default:
+        return { type };
+    }
+  });
+
+  const schema = variants.length === 1 ? variants[0] : { oneOf: variants };
+  const bounds = {
+    minimum: rule.min,
+    maximum: rule.max,
+    minLength: rule.minLength !== undefined ? rule.minLength : (rule.notEmpty && types[0] === 'string' ? 1 : undefined),
+    maxLength: rule.maxLength,
+    minItems: rule.minItems,
+    maxItems: rule.maxItems,
+    pattern: rule.pattern && rule.pattern.source,
+    enum: rule.enum,
+    nullable: rule.nullable
+  };
+  for (const [keyword, value] of Object.entries(bounds)) {
+    if (value !== undefined) schema[keyword] = value;
+  }
+  return schema;
+};
+
+/**
+ * Construye el schema del cuerpo a partir del esquema de validación
+ * @param {Object} rules - Esquema del body
+ * @returns {Object} Schema de tipo object
+ */
+const bodyToSchema = (rules) => {
+  const required = Object.keys(rules).filter((field) => rules[field].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(rules).map(([field, rule]) => [field, ruleToSchema(rule, false)])),
+    ...(required.length > 0 && { required })
+  };
+};
+
+/**
+ * Construye los parámetros de ruta y query a partir del esquema de validación
+ * @param {Object} schemas - { params, query }
+ * @returns {Array<Object>} Parámetros OpenAPI
+ */
+const toParameters = ({ params = {}, query = {} }) => [
+  ...Object.entries(params).map(([name, rule]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: ruleToSchema(rule, true)
+  })),
+  ...Object.entries(query).map(([name, rule]) => ({
+    name,
+    in: 'query',
+    required: Boolean(rule.required),
+    schema: ruleToSchema(rule, true)
+  }))
+];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+/**
+ * Respuesta JSON
+ * @param {string} description - Descripción
+ * @param {Object} schema - Schema del cuerpo
+ * @param {boolean} [etag] - true si la respuesta incluye el header ETag
+ * @returns {Object} Respuesta OpenAPI
+ */
+const json = (description, schema, etag = false) => ({
+  description,
+  ...(etag && { headers: { ETag: { $ref: '#/components/headers/ETag' } } }),
+  content: { 'application/json': { schema } }
+});
+
+/**
+ * Construye una operación
+ * @param {Object} options
+ * @param {string} options.tag - Grupo de la operación
+ * @param {string} options.summary - Resumen
+ * @param {string} [options.description] - Descripción larga
+ * @param {Object} [options.schemas] - Esquema de validación de la ruta ({ params, query, body })
+ * @param {boolean} [options.secured] - false para las rutas públicas
+ * @param {boolean} [options.ifMatch] - true si acepta el header If-Match
+ * @param {boolean} [options.rateLimited] - true si la ruta tiene límite de solicitudes (por defecto, las protegidas)
+ * @param {Object} options.responses - Respuestas por status (400, 401 y 429 se agregan solas)
+ * @returns {Object} Operación OpenAPI
+ */
+const operation = ({
+  tag,
+  summary,
+  description,
+  schemas = {},
+  secured = true,
+  ifMatch = false,
+  rateLimited = secured,
+  responses
+}) => {
+  const parameters = toParameters(schemas);
+  if (ifMatch) parameters.push({ $ref: '#/components/parameters/IfMatch' });
+
+  return {
+    tags: [tag],
+    summary,
+    ...(description && { description }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(schemas.body && {
+      requestBody: { required: true, content: { 'application/json': { schema: bodyToSchema(schemas.body) } } }
+    }),
+    ...(secured ? { security: [{ bearerAuth: [] }] } : { security: [] }),
+    responses: {
+      ...responses,
+      ...(schemas.params || schemas.query || schemas.body ? { 400: response('BadRequest') } : {}),
+      ...(secured && { 401: response('Unauthorized') }),
+      ...(rateLimited && { 429: response('TooManyRequests') })
+    }
+  };
+};
+
+const nullableString = { type: 'string', nullable: true };
+
+const taskPage = (extra = {}) => ({
+  type: 'object',
+  required: ['data', 'total', 'nextCursor', ...Object.keys(extra)],
+  properties: {
+    data: { type: 'array', items: ref('Task') },
+    total: { type: 'integer' },
+    nextCursor: { ...nullableString, description: 'Valor de cursor de la página siguiente' },
+    ...extra
+  }
+});
+
+// Tarea como la responde taskService.buildTaskResponse (GET /api/tasks/:id agrega dependencias y avance)
+const task = {
+  type: 'object',
+  required: [
+    'id', 'title', 'description', 'status', 'ownerId', 'parentId', 'seriesId', 'projectId', 'columnId',
+    'dueAt', 'remindAt', 'remindedAt', 'completedAt', 'version', 'createdAt', 'updatedAt', 'priority', 'tags'
+  ],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    status: { type: 'string' },
+    ownerId: { type: 'string' },
+    parentId: nullableString,
+    seriesId: nullableString,
+    projectId: nullableString,
+    columnId: nullableString,
+    dueAt: { ...nullableString, format: 'date-time' },
+    remindAt: { ...nullableString, format: 'date-time' },
+    remindedAt: { ...nullableString, format: 'date-time' },
+    completedAt: { ...nullableString, format: 'date-time' },
+    version: { type: 'integer' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    priority: {
+      type: 'object',
+      nullable: true,
+      required: ['id', 'name', 'color', 'order'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        color: { type: 'string' },
+        order: { type: 'integer' }
+      }
+    },
+    tags: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name'],
+        additionalProperties: false,
+        properties: { id: { type: 'string' }, name: { type: 'string' } }
+      }
+    }
+  }
+};
+
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'Token de sesión obtenido en POST /api/users/login'
+    }
+  },
+  headers: {
+    ETag: {
+      description: 'Versión de la entidad, p. ej. "3"',
+      schema: { type: 'string' }
+    }
+  },
+  parameters: {
+    IfMatch: {
+      name: 'If-Match',
+      in: 'header',
+      required: false,
+      description: 'ETag leído antes: si la entidad cambió desde entonces se responde 412',
+      schema: { type: 'string' }
+    }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['code', 'message'],
+      additionalProperties: false,
+      properties: {
+        code: { type: 'string', enum: Object.values(ERROR_CODES) },
+        message: { type: 'string' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              in: { type: 'string' },
+              field: { type: 'string' },
+              code: { type: 'string' },
+              message: { type: 'string' }
+            }
+          },
+          description: `Una entrada por campo inválido (code: ${Object.values(DETAIL_CODES).join(', ')})`
+        }
+      }
+    },
+    Message: {
+      type: 'object',
+      required: ['message'],
+      additionalProperties: false,
+      properties: { message: { type: 'string' } }
+    },
+    User: {
+      type: 'object',
+      required: ['id', 'name', 'email'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        email: { type: 'string' }
+      }
+    },
+    Session: {
+      type: 'object',
+      required: ['token', 'expiresIn', 'user'],
+      additionalProperties: false,
+      properties: {
+        token: { type: 'string' },
+        expiresIn: { type: 'integer', description: 'Segundos de validez del token' },
+        user: ref('User')
+      }
+    },
+    Tag: {
+      type: 'object',
+      required: ['id', 'name', 'version'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        version: { type: 'integer' }
+      }
+    },
+    Priority: {
+      type: 'object',
+      required: ['id', 'name', 'color', 'order', 'version'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+        order: { type: 'integer' },
+        version: { type: 'integer' }
+      }
+    },
+    Task: task,
+    TaskDetail: {
+      ...task,
+      required: [...task.required, 'blockedBy', 'blocks', 'progress'],
+      properties: {
+        ...task.properties,
+        blockedBy: { type: 'array', items: ref('TaskSummary') },
+        blocks: { type: 'array', items: ref('TaskSummary') },
+        progress: ref('Progress')
+      }
+    },
+    TaskSummary: {
+      type: 'object',
+      required: ['id', 'title', 'status'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        status: { type: 'string' }
+      }
+    },
+    Dependencies: {
+      type: 'object',
+      required: ['blockedBy', 'blocks'],
+      additionalProperties: false,
+      properties: {
+        blockedBy: { type: 'array', items: ref('TaskSummary') },
+        blocks: { type: 'array', items: ref('TaskSummary') }
+      }
+    },
+    Progress: {
+      type: 'object',
+      required: ['total', 'closed', 'percent'],
+      additionalProperties: false,
+      properties: {
+        total: { type: 'integer' },
+        closed: { type: 'integer' },
+        percent: { type: 'integer', nullable: true, description: 'null si no tiene subtareas' }
+      }
+    },
+    TaskPage: taskPage(),
+    SubtaskPage: taskPage({ progress: ref('Progress') }),
+    HistoryPage: {
+      type: 'object',
+      required: ['data', 'nextCursor'],
+      additionalProperties: false,
+      properties: {
+        data: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'action', 'actorId', 'at', 'changes'],
+            additionalProperties: false,
+            properties: {
+              id: { type: 'string', description: 'ID de la entrada, sirve como cursor' },
+              action: { type: 'string', enum: ['created', 'updated', 'deleted', 'restored', 'reminded'] },
+              actorId: nullableString,
+              at: { type: 'string', format: 'date-time' },
+              changes: {
+                type: 'object',
+                description: '{ campo: { from, to } } con los campos que cambiaron',
+                additionalProperties: {
+                  type: 'object',
+                  required: ['from', 'to'],
+                  properties: { from: {}, to: {} }
+                }
+              }
+            }
+          }
+        },
+        nextCursor: nullableString
+      }
+    },
+    BulkResponse: {
+      type: 'object',
+      required: ['atomic', 'applied', 'summary', 'results'],
+      additionalProperties: false,
+      properties: {
+        atomic: { type: 'boolean' },
+        applied: { type: 'boolean' },
+        summary: {
+          type: 'object',
+          required: ['succeeded', 'failed'],
+          additionalProperties: false,
+          properties: { succeeded: { type: 'integer' }, failed: { type: 'integer' } }
+        },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['index', 'op', 'id', 'status'],
+            additionalProperties: false,
+            properties: {
+              index: { type: 'integer', description: 'Posición de la operación en el lote' },
+              op: nullableString,
+              id: { oneOf: [{ type: 'string' }, { type: 'integer' }], nullable: true },
+              status: { type: 'integer', description: 'Status que tendría la petición individual' },
+              data: ref('Task'),
+              error: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  },
+  responses: {
+    BadRequest: json('Solicitud inválida (VALIDATION_ERROR con un detalle por campo)', ref('Error')),
+    Unauthorized: json('Falta el token de sesión o no es válido', ref('Error')),
+    Forbidden: json('La entidad pertenece a otro usuario', ref('Error')),
+    NotFound: json('No existe', ref('Error')),
+    Conflict: json('Conflicto con el estado actual', ref('Error')),
+    PreconditionFailed: json('La entidad cambió desde el ETag enviado en If-Match', ref('Error')),
+    UnprocessableEntity: json('La operación no es posible en el estado actual', ref('Error')),
+    TooManyRequests: {
+      ...json('Se superó el límite de solicitudes del grupo de rutas', ref('Error')),
+      headers: {
+        'Retry-After': { description: 'Segundos hasta poder reintentar', schema: { type: 'integer' } },
+        'RateLimit-Limit': { description: 'Solicitudes permitidas por ventana', schema: { type: 'integer' } },
+        'RateLimit-Remaining': { description: 'Solicitudes restantes en la ventana', schema: { type: 'integer' } },
+        'RateLimit-Reset': { description: 'Segundos hasta que se libera un lugar', schema: { type: 'integer' } }
+      }
+    }
+  }
+};
+
+const deleteDescription = 'Con strategy=reassign mueve sus tareas a reassignTo; si sigue en uso y no se indica ' +
+  'estrategia responde 409. Va a la papelera salvo con permanent=true.';
+
+const paths = {
+  '/api/users/register': {
+    post: operation({
+      tag: 'Usuarios',
+      summary: 'Registra un usuario',
+      schemas: userSchemas.registerUser,
+      secured: false,
+      rateLimited: true,
+      responses: { 201: json('Usuario creado', ref('User')) }
+    })
+  },
+  '/api/users/login': {
+    post: operation({
+      tag: 'Usuarios',
+      summary: 'Inicia sesión',
+      schemas: userSchemas.loginUser,
+      secured: false,
+      rateLimited: true,
+      responses: {
+        200: json('Sesión creada', ref('Session')),
+        401: response('Unauthorized')
+      }
+    })
+  },
+  '/api/users/logout': {
+    post: operation({
+      tag: 'Usuarios',
+      summary: 'Cierra la sesión del token enviado',
+      rateLimited: false,
+      responses: { 200: json('Sesión cerrada', ref('Message')) }
+    })
+  },
+  '/api/users/{id}': {
+    get: operation({
+      tag: 'Usuarios',
+      summary: 'Obtiene un usuario',
+      schemas: userSchemas.getUserById,
+      secured: false,
+      responses: {
+        200: json('Usuario', ref('User')),
+        404: response('NotFound')
+      }
+    })
+  },
+
+  '/api/tags': {
+    get: operation({
+      tag: 'Etiquetas',
+      summary: 'Lista las etiquetas',
+      responses: { 200: json('Etiquetas', { type: 'array', items: ref('Tag') }) }
+    }),
+    post: operation({
+      tag: 'Etiquetas',
+      summary: 'Crea una etiqueta',
+      schemas: tagSchemas.createTag,
+      responses: { 201: json('Etiqueta creada', ref('Tag'), true) }
+    })
+  },
+  '/api/tags/{id}': {
+    get: operation({
+      tag: 'Etiquetas',
+      summary: 'Obtiene una etiqueta',
+      schemas: tagSchemas.getTagById,
+      responses: {
+        200: json('Etiqueta', ref('Tag'), true),
+        404: response('NotFound')
+      }
+    }),
+    put: operation({
+      tag: 'Etiquetas',
+      summary: 'Actualiza una etiqueta',
+      schemas: tagSchemas.updateTag,
+      ifMatch: true,
+      responses: {
+        200: json('Etiqueta actualizada', ref('Tag'), true),
+        404: response('NotFound'),
+        412: response('PreconditionFailed')
+      }
+    }),
+    delete: operation({
+      tag: 'Etiquetas',
+      summary: 'Elimina una etiqueta',
+      description: deleteDescription,
+      schemas: tagSchemas.deleteTag,
+      ifMatch: true,
+      responses: {
+        200: json('Etiqueta eliminada', ref('Message')),
+        404: response('NotFound'),
+        409: response('Conflict'),
+        412: response('PreconditionFailed')
+      }
+    })
+  },
+
+  '/api/priorities': {
+    get: operation({
+      tag: 'Prioridades',
+      summary: 'Lista las prioridades',
+      responses: { 200: json('Prioridades', { type: 'array', items: ref('Priority') }) }
+    }),
+    post: operation({
+      tag: 'Prioridades',
+      summary: 'Crea una prioridad',
+      schemas: prioritySchemas.createPriority,
+      responses: { 201: json('Prioridad creada', ref('Priority'), true) }
+    })
+  },
+  '/api/priorities/{id}': {
+    get: operation({
+      tag: 'Prioridades',
+      summary: 'Obtiene una prioridad',
+      schemas: prioritySchemas.getPriorityById,
+      responses: {
+        200: json('Prioridad', ref('Priority'), true),
+        404: response('NotFound')
+      }
+    }),
+    put: operation({
+      tag: 'Prioridades',
+      summary: 'Actualiza una prioridad',
+      schemas: prioritySchemas.updatePriority,
+      ifMatch: true,
+      responses: {
+        200: json('Prioridad actualizada', ref('Priority'), true),
+        404: response('NotFound'),
+        412: response('PreconditionFailed')
+      }
+    }),
+    delete: operation({
+      tag: 'Prioridades',
+      summary: 'Elimina una prioridad',
+      description: deleteDescription,
+      schemas: prioritySchemas.deletePriority,
+      ifMatch: true,
+      responses: {
+        200: json('Prioridad eliminada', ref('Message')),
+        404: response('NotFound'),
+        409: response('Conflict'),
+        412: response('PreconditionFailed')
+      }
+    })
+  },
+
+  '/api/tasks': {
+    get: operation({
+      tag: 'Tareas',
+      summary: 'Lista las tareas del usuario',
+      description: 'Los filtros se combinan; cursor es el nextCursor de la página anterior.',
+      schemas: taskSchemas.getAllTasks,
+      responses: { 200: json('Página de tareas', ref('TaskPage')) }
+    }),
+    post: operation({
+      tag: 'Tareas',
+      summary: 'Crea una tarea',
+      schemas: taskSchemas.createTask,
+      responses: {
+        201: json('Tarea creada', ref('Task'), true),
+        422: response('UnprocessableEntity')
+      }
+    })
+  },
+  '/api/tasks/search': {
+    get: operation({
+      tag: 'Tareas',
+      summary: 'Busca tareas por texto en título y descripción',
+      schemas: taskSchemas.searchTasks,
+      responses: { 200: json('Página de tareas', ref('TaskPage')) }
+    })
+  },
+  '/api/tasks/overdue': {
+    get: operation({
+      tag: 'Tareas',
+      summary: 'Lista las tareas vencidas y no cerradas',
+      schemas: taskSchemas.getOverdueTasks,
+      responses: { 200: json('Página de tareas', ref('TaskPage')) }
+    })
+  },
+  '/api/tasks/due': {
+    get: operation({
+      tag: 'Tareas',
+      summary: 'Lista las tareas que vencen entre from y to',
+      schemas: taskSchemas.getDueTasks,
+      responses: { 200: json('Página de tareas', ref('TaskPage')) }
+    })
+  },
+  '/api/tasks/bulk': {
+    post: operation({
+      tag: 'Tareas',
+      summary: 'Aplica un lote de operaciones',
+      description: 'Operaciones: create, update, delete, setStatus, setPriority, addTag y removeTag. Cada ' +
+        'resultado lleva el status que tendría la petición individual.',
+      schemas: taskSchemas.bulkTasks,
+      responses: {
+        200: json('Lote aplicado (puede incluir operaciones fallidas)', ref('BulkResponse')),
+        409: json('Lote atómico con una tarea modificada por otra petición: no se aplicó ninguna', ref('BulkResponse')),
+        413: json('El lote afecta más tareas que el límite de escrituras por ventana (500 como máximo)', ref('Error')),
+        422: json('Lote atómico con operaciones inválidas: no se aplicó ninguna', ref('BulkResponse'))
+      }
+    })
+  },
+  '/api/tasks/{id}': {
+    get: operation({
+      tag: 'Tareas',
+      summary: 'Obtiene una tarea con sus dependencias y el avance de sus subtareas',
+      schemas: taskSchemas.getTaskById,
+      responses: {
+        200: json('Tarea', ref('TaskDetail'), true),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    }),
+    put: operation({
+      tag: 'Tareas',
+      summary: 'Actualiza una tarea',
+      schemas: taskSchemas.updateTask,
+      ifMatch: true,
+      responses: {
+        200: json('Tarea actualizada', ref('Task'), true),
+        403: response('Forbidden'),
+        404: response('NotFound'),
+        412: response('PreconditionFailed'),
+        422: response('UnprocessableEntity')
+      }
+    }),
+    delete: operation({
+      tag: 'Tareas',
+      summary: 'Elimina una tarea',
+      description: 'Va a la papelera salvo con permanent=true.',
+      schemas: taskSchemas.deleteTask,
+      ifMatch: true,
+      responses: {
+        200: json('Tarea eliminada', ref('Message')),
+        403: response('Forbidden'),
+        404: response('NotFound'),
+        412: response('PreconditionFailed')
+      }
+    })
+  },
+  '/api/tasks/{id}/subtasks': {
+    get: operation({
+      tag: 'Tareas',
+      summary: 'Lista las subtareas con el avance',
+      schemas: taskSchemas.getSubtasks,
+      responses: {
+        200: json('Página de subtareas', ref('SubtaskPage')),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    })
+  },
+  '/api/tasks/{id}/dependencies': {
+    post: operation({
+      tag: 'Tareas',
+      summary: 'Agrega una tarea que bloquea a esta',
+      schemas: taskSchemas.addTaskDependency,
+      responses: {
+        201: json('Dependencias actualizadas', ref('Dependencies')),
+        403: response('Forbidden'),
+        404: response('NotFound'),
+        422: response('UnprocessableEntity')
+      }
+    })
+  },
+  '/api/tasks/{id}/dependencies/{blockerId}': {
+    delete: operation({
+      tag: 'Tareas',
+      summary: 'Quita una dependencia',
+      schemas: taskSchemas.removeTaskDependency,
+      responses: {
+        200: json('Dependencias actualizadas', ref('Dependencies')),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    })
+  },
+  '/api/tasks/{id}/move': {
+    post: operation({
+      tag: 'Tareas',
+      summary: 'Mueve una tarea a otra columna o posición de su proyecto',
+      schemas: taskSchemas.moveTask,
+      ifMatch: true,
+      responses: {
+        200: json('Tarea movida', ref('Task'), true),
+        403: response('Forbidden'),
+        404: response('NotFound'),
+        412: response('PreconditionFailed'),
+        422: response('UnprocessableEntity')
+      }
+    })
+  },
+  '/api/tasks/{id}/history': {
+    get: operation({
+      tag: 'Tareas',
+      summary: 'Historial de cambios, del más reciente al más antiguo',
+      schemas: taskSchemas.getTaskHistory,
+      responses: {
+        200: json('Página del historial', ref('HistoryPage')),
+        403: response('Forbidden'),
+        404: response('NotFound')
+      }
+    })
+  }
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'RedisTaskFlow API',
+    version,
+    description: 'API de tareas con Node, Express y Redis. Los errores responden siempre ' +
+      '{ code, message, details }.'
+  },
+  tags: [
+    { name: 'Usuarios' },
+    { name: 'Tareas' },
+    { name: 'Etiquetas' },
+    { name: 'Prioridades' }
+  ],
+  paths,
+  components
+};
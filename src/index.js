@@ -2,28 +2,87 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { connectRedis } = require('./config/redis');
+const { authenticate, authenticateEventStream, requireAdmin } = require('./middlewares/authMiddleware');
+const { notFound, errorHandler } = require('./middlewares/errorHandler');
+const { rateLimit } = require('./middlewares/rateLimit');
+const { RATE_LIMITS } = require('./config/rateLimits');
+const { startReminderScheduler } = require('./services/reminderScheduler');
+const { startWebhookWorker } = require('./services/webhookService');
+const { startRecurrenceScheduler } = require('./services/recurrenceService');
+const { startTrashPurger } = require('./services/trashService');
 const app = express();
 
 //Importar rutas
 const userRoutes = require('./routes/userRoutes'); 
 const priorityRoutes = require('./routes/priorityRoutes');
+const statusRoutes = require('./routes/statusRoutes');
 const tagRoutes = require('./routes/tagRoutes');
 const taskRoutes = require('./routes/taskRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const seriesRoutes = require('./routes/seriesRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const dataRoutes = require('./routes/dataRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const docsRoutes = require('./routes/docsRoutes');
 
 
 
+// Detrás de un proxy o balanceador, cuántos saltos de X-Forwarded-For son de
+// confianza; sin esto req.ip (y el límite por IP) sería la IP del proxy
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || false);
+
 // Middlewares
-app.use(cors());
+// ETag debe ser legible desde el navegador para poder enviarlo en If-Match,
+// y los headers del límite de solicitudes para saber cuándo reintentar
+app.use(cors({
+  exposedHeaders: [
+    'ETag',
+    'Retry-After',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'RateLimit-Policy'
+  ]
+}));
 app.use(express.json());
 
-// Rutas
+// Rutas (todas limitadas por IP antes de autenticar)
+app.use('/api', rateLimit(RATE_LIMITS.ip));
+app.use('/api/users/register', rateLimit(RATE_LIMITS.register));
+app.use('/api/users/login', rateLimit(RATE_LIMITS.login));
 app.use('/api/users', userRoutes);
-app.use('/api/priorities', priorityRoutes);
-app.use('/api/tags', tagRoutes);
-app.use('/api/tasks', taskRoutes);
+app.use('/api/docs', docsRoutes);
+
+// Rutas protegidas: requieren un token de sesión válido y se limitan por usuario
+const protectedApi = [authenticate, rateLimit(RATE_LIMITS.api)];
+app.use('/api/priorities', protectedApi, priorityRoutes);
+app.use('/api/statuses', protectedApi, statusRoutes);
+app.use('/api/tags', protectedApi, tagRoutes);
+app.use('/api/tasks', protectedApi, rateLimit(RATE_LIMITS.taskWrites), taskRoutes);
+app.use('/api/series', protectedApi, seriesRoutes);
+app.use('/api/projects', protectedApi, projectRoutes);
+// EventSource no envía cabeceras: el stream acepta el token en ?access_token=
+app.use('/api/events', authenticateEventStream, rateLimit(RATE_LIMITS.api), eventRoutes);
+app.use('/api/webhooks', protectedApi, webhookRoutes);
+app.use('/api/trash', protectedApi, trashRoutes);
+app.use('/api/admin', protectedApi, requireAdmin, adminRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api', dataRoutes);
 
-// Conectar a Redis
-connectRedis();
+// Rutas inexistentes y errores: siempre con el formato { code, message, details }
+app.use(notFound);
+app.use(errorHandler);
+
+// Conectar a Redis y, una vez conectados, iniciar los procesos en segundo plano
+connectRedis().then(() => {
+  startReminderScheduler();
+  startWebhookWorker();
+  startRecurrenceScheduler();
+  startTrashPurger();
+});
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
@@ -0,0 +1,100 @@
+/**
+ * Middleware de Autenticación
+ * ===========================
+ * Valida el token enviado en la cabecera `Authorization: Bearer {token}`
+ * contra las sesiones almacenadas en Redis y expone el usuario autenticado
+ * en `req.user` (sin la contraseña) para que lo usen los controladores.
+ *
+ * EventSource no permite enviar cabeceras, por eso el stream de eventos
+ * (authenticateEventStream) también acepta el token en el query param
+ * `access_token`. Las demás rutas lo ignoran: un token en la URL queda en
+ * los logs de acceso, el historial del navegador y la cabecera Referer.
+ *
+ * Los administradores son los usuarios cuyo email figura en la variable de
+ * entorno ADMIN_EMAILS (separados por comas); requireAdmin va después de
+ * authenticate.
+ */
+
+const { findUserById } = require('../repositories/userRepository');
+const { getSessionUserId } = require('../services/sessionService');
+const { sendError } = require('../utils/httpErrors');
+
+/**
+ * Extrae el token de la cabecera Authorization (o del query param access_token)
+ * @param {Object} req - Solicitud Express
+ * @param {boolean} [queryToken] - true para aceptar también ?access_token=
+ * @returns {string|null} Token o null si no se envió
+ */
+const extractToken = (req, queryToken = false) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme === 'Bearer' && token) return token;
+  return (queryToken && req.query.access_token) || null;
+};
+
+/**
+ * Crea el middleware que rechaza con 401 las solicitudes sin una sesión válida
+ * @param {Object} [options]
+ * @param {boolean} [options.queryToken] - Acepta también el token en ?access_token=
+ * @returns {Function} Middleware Express
+ */
+const authenticateWith = ({ queryToken = false } = {}) => async (req, res, next) => {
+  try {
+    const token = extractToken(req, queryToken);
+    if (!token) {
+      return sendError(res, 401, 'No autenticado');
+    }
+
+    const userId = await getSessionUserId(token);
+    if (!userId) {
+      return sendError(res, 401, 'Sesión inválida o expirada');
+    }
+
+    const userData = await findUserById(userId);
+    if (!userData) {
+      return sendError(res, 401, 'Sesión inválida o expirada');
+    }
+
+    req.user = {
+      id: userData.id,
+      name: userData.name,
+      email: userData.email
+    };
+    req.token = token;
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/** Sesión por la cabecera Authorization: todas las rutas protegidas */
+const authenticate = authenticateWith();
+
+/** Sesión por la cabecera o por ?access_token=: sólo el stream de eventos (SSE) */
+const authenticateEventStream = authenticateWith({ queryToken: true });
+
+/**
+ * Rechaza con 403 a los usuarios que no son administradores
+ * @param {Object} req - Solicitud Express autenticada (req.user)
+ * @param {Object} res - Respuesta Express
+ * @param {Function} next - Siguiente middleware
+ */
+const requireAdmin = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !adminEmails.includes(req.user.email.toLowerCase())) {
+    return sendError(res, 403, 'Se requieren permisos de administrador');
+  }
+  return next();
+};
+
+module.exports = {
+  authenticate,
+  authenticateEventStream,
+  requireAdmin,
+  extractToken
+};
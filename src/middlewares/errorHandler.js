@@ -0,0 +1,60 @@
+/**
+ * Manejo Central de Errores
+ * =========================
+ * Se montan en `index.js` después de todas las rutas:
+ *   app.use(notFound);
+ *   app.use(errorHandler);
+ *
+ * Los controladores responden ellos mismos los errores esperados (400, 404,
+ * 412...) con sendError y delegan los inesperados con `next(error)`. Aquí se
+ * registran y se responde INTERNAL_ERROR sin exponer el error original. Los
+ * errores de body-parser (JSON mal formado, cuerpo demasiado grande) traen
+ * su propio status y se traducen a su código.
+ */
+
+const { ERROR_CODES, sendError } = require('../utils/httpErrors');
+
+// Errores de body-parser, por su `type`
+const PARSER_ERRORS = {
+  'entity.parse.failed': { code: ERROR_CODES.INVALID_JSON, message: 'El cuerpo de la solicitud no es JSON válido' },
+  'entity.too.large': {
+    code: ERROR_CODES.PAYLOAD_TOO_LARGE,
+    message: 'El cuerpo de la solicitud es demasiado grande'
+  },
+  'encoding.unsupported': { code: ERROR_CODES.UNSUPPORTED_MEDIA_TYPE, message: 'Codificación del cuerpo no soportada' },
+  'charset.unsupported': { code: ERROR_CODES.UNSUPPORTED_MEDIA_TYPE, message: 'Charset del cuerpo no soportado' }
+};
+
+/**
+ * Responde 404 a las rutas que no existen
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const notFound = (req, res) => sendError(res, 404, `Ruta no encontrada: ${req.method} ${req.path}`);
+
+/**
+ * Responde los errores que llegan con next(error)
+ * @param {Error} error - Error recibido
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Siguiente middleware (requerido por Express para reconocerlo)
+ */
+const errorHandler = (error, req, res, next) => {
+  // Si la respuesta ya empezó (p. ej. un stream) sólo queda cortarla
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const parserError = PARSER_ERRORS[error.type];
+  if (parserError && error.status >= 400 && error.status < 500) {
+    return sendError(res, error.status, parserError.message, { code: parserError.code });
+  }
+
+  console.error(`[${req.method} ${req.originalUrl}] Error:`, error);
+  return sendError(res, 500, 'Error interno del servidor');
+};
+
+module.exports = {
+  notFound,
+  errorHandler
+};
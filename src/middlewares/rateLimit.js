@@ -0,0 +1,130 @@
+/**
+ * Middleware de Límite de Solicitudes
+ * ===================================
+ * Limita las solicitudes de cada cliente con una ventana deslizante guardada
+ * en Redis, así el límite se comparte entre todas las instancias de la API:
+ *   rateLimit:{grupo}:{identidad} => Sorted Set { solicitud: timestamp en ms }
+ *
+ * Cada solicitud descarta las entradas más viejas que la ventana, agrega la
+ * suya y cuenta las que quedan en una sola transacción. Si supera el límite
+ * se quitan sus entradas (las solicitudes rechazadas no alargan el bloqueo) y
+ * se responde 429 con Retry-After. Con `cost` una solicitud puede contar como
+ * varias (p. ej. un lote de escrituras cuenta cada tarea que toca); una que
+ * cuenta más que el límite entero no entraría nunca, así que se responde 413
+ * sin Retry-After y sin registrarla. Todas las respuestas llevan los headers
+ * RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset y RateLimit-Policy.
+ *
+ * La identidad del cliente (keyBy) puede ser:
+ *   'ip'     - req.ip (ver TRUST_PROXY_HOPS en index.js si hay un proxy delante)
+ *   'user'   - el usuario autenticado (montar después de authenticate)
+ *   'apiKey' - el header X-API-Key (se guarda su hash, no el valor)
+ *   función  - (req) => identidad
+ * Si la solicitud no trae usuario o API key se limita por IP.
+ *
+ * Los grupos configurados están en config/rateLimits.
+ */
+
+const crypto = require('crypto');
+const { client } = require('../config/redis');
+const { ERROR_CODES, sendError } = require('../utils/httpErrors');
+
+const rateLimitKey = (name, identity) => `rateLimit:${name}:${identity}`;
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Identidad del cliente según keyBy (null si la solicitud no la trae)
+const IDENTITIES = {
+  ip: (req) => `ip:${req.ip}`,
+  user: (req) => (req.user ? `user:${req.user.id}` : null),
+  apiKey: (req) => (req.get('X-API-Key') ? `apiKey:${hashValue(req.get('X-API-Key'))}` : null)
+};
+
+/**
+ * Obtiene la identidad con la que se cuenta la solicitud
+ * @param {Object} req - Express request
+ * @param {string|Function} keyBy - 'ip' | 'user' | 'apiKey' o (req) => identidad
+ * @returns {string}
+ */
+const identify = (req, keyBy) => {
+  const identity = typeof keyBy === 'function' ? keyBy(req) : IDENTITIES[keyBy](req);
+  return identity || IDENTITIES.ip(req);
+};
+
+/**
+ * Registra una solicitud en la ventana del cliente
+ * @param {string} key - Clave del Sorted Set
+ * @param {number} limit - Solicitudes permitidas por ventana
+ * @param {number} windowMs - Duración de la ventana
+ * @param {number} [cost] - Cuántas solicitudes cuenta (una entrada por cada una)
+ * @returns {Promise<{ allowed: boolean, remaining: number, resetMs: number }>}
+ *   resetMs: tiempo hasta que la entrada más vieja sale de la ventana y libera un lugar
+ */
+const registerHit = async (key, limit, windowMs, cost = 1) => {
+  const now = Date.now();
+  const prefix = `${now}-${crypto.randomBytes(6).toString('hex')}`;
+  const members = Array.from({ length: cost }, (value, i) => `${prefix}-${i}`);
+
+  const [, , count, oldest] = await client.multi()
+    .zRemRangeByScore(key, 0, now - windowMs)
+    .zAdd(key, members.map((member) => ({ score: now, value: member })))
+    .zCard(key)
+    .zRangeWithScores(key, 0, 0)
+    .pExpire(key, windowMs)
+    .exec();
+
+  const resetMs = Math.max(oldest[0].score + windowMs - now, 0);
+  if (count > limit) {
+    await client.zRem(key, members);
+    return { allowed: false, remaining: 0, resetMs };
+  }
+  return { allowed: true, remaining: limit - count, resetMs };
+};
+
+/**
+ * Crea el middleware que limita las solicitudes de un grupo de rutas
+ * @param {Object} options
+ * @param {string} options.name - Nombre del grupo (separa los contadores de cada grupo)
+ * @param {number} options.limit - Solicitudes permitidas por ventana
+ * @param {number} options.windowMs - Duración de la ventana en milisegundos
+ * @param {string|Function} [options.keyBy] - Identidad del cliente (por defecto 'ip')
+ * @param {Array<string>} [options.methods] - Sólo cuenta estos métodos (por defecto, todos)
+ * @param {Function} [options.cost] - (req) => cuántas solicitudes cuenta (por defecto 1)
+ * @returns {Function} Middleware Express
+ */
+const rateLimit = ({ name, limit, windowMs, keyBy = 'ip', methods, cost = () => 1 }) => async (req, res, next) => {
+  if (methods && !methods.includes(req.method)) {
+    return next();
+  }
+
+  try {
+    const count = Math.max(cost(req), 1);
+    if (count > limit) {
+      return sendError(res, 413, `La solicitud cuenta como ${count} y el límite es de ${limit} por ventana`);
+    }
+
+    const key = rateLimitKey(name, identify(req, keyBy));
+    const { allowed, remaining, resetMs } = await registerHit(key, limit, windowMs, count);
+    const resetSeconds = Math.ceil(resetMs / 1000);
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`
+    });
+
+    if (!allowed) {
+      res.set('Retry-After', String(resetSeconds));
+      return sendError(res, 429, `Demasiadas solicitudes, vuelve a intentarlo en ${resetSeconds} s`, {
+        code: ERROR_CODES.TOO_MANY_REQUESTS
+      });
+    }
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,45 @@
+/**
+ * Middleware de Validación
+ * ========================
+ * Valida params, query y body contra los esquemas de src/schemas antes de
+ * llegar al controlador:
+ *
+ *   router.post('/', validate(createTag), createTag);
+ *
+ * Si algo no cumple responde 400 VALIDATION_ERROR con una entrada por campo
+ * en `details`; el `message` es el de la primera falla. Los controladores
+ * conservan sólo las validaciones que dependen de los datos (que una
+ * prioridad exista, que una transición esté permitida...).
+ */
+
+const { checkSchema } = require('../utils/schema');
+const { ERROR_CODES, sendError } = require('../utils/httpErrors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Crea el middleware que valida la solicitud
+ * @param {Object} schemas - { params, query, body }: un esquema por parte de la solicitud
+ * @returns {Function} Middleware Express
+ */
+const validate = (schemas) => (req, res, next) => {
+  if (schemas.body && (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body))) {
+    return sendError(res, 400, 'El cuerpo de la solicitud debe ser un objeto JSON', {
+      code: ERROR_CODES.VALIDATION_ERROR,
+      details: [{ in: 'body', field: '', code: 'invalid_type', message: 'El cuerpo debe ser un objeto JSON' }]
+    });
+  }
+
+  const details = LOCATIONS
+    .filter((location) => schemas[location])
+    .flatMap((location) => checkSchema(schemas[location], req[location], location));
+
+  if (details.length > 0) {
+    return sendError(res, 400, details[0].message, { code: ERROR_CODES.VALIDATION_ERROR, details });
+  }
+  return next();
+};
+
+module.exports = {
+  validate
+};
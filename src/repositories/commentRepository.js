@@ -0,0 +1,117 @@
+/**
+ * Repositorio de Comentarios
+ * ==========================
+ * Guarda y lee los comentarios de las tareas:
+ *   comment:{id}          => Hash { id, taskId, authorId, body, createdAt, updatedAt, editedAt }
+ *   commentIdCounter      => contador para autogenerar IDs
+ *   taskComments:{taskId} => Sorted Set con los IDs de sus comentarios (score = ID)
+ *
+ * Los IDs son incrementales, así que ordenar por ID equivale a ordenar por
+ * fecha de creación sin empates entre comentarios del mismo milisegundo.
+ * Las lecturas devuelven el Hash tal como está guardado; buildCommentResponse
+ * (ver commentService) lo convierte en la respuesta pública.
+ */
+
+const { client } = require('../config/redis');
+
+const commentKey = (id) => `comment:${id}`;
+
+const taskCommentsKey = (taskId) => `taskComments:${taskId}`;
+
+/**
+ * Crea un comentario en una tarea
+ * @param {Object} comment
+ * @param {string} comment.taskId
+ * @param {string} comment.authorId
+ * @param {string} comment.body
+ * @returns {Promise<Object>} Hash del comentario creado
+ */
+const insertComment = async ({ taskId, authorId, body }) => {
+  const id = (await client.incr('commentIdCounter')).toString();
+  const now = new Date().toISOString();
+  const data = { id, taskId, authorId, body, createdAt: now, updatedAt: now, editedAt: '' };
+
+  // El Hash y su entrada en el índice de la tarea se guardan a la vez
+  await client.multi()
+    .hSet(commentKey(id), data)
+    .zAdd(taskCommentsKey(taskId), { score: parseInt(id, 10), value: id })
+    .exec();
+  return data;
+};
+
+/**
+ * Busca un comentario por ID
+ * @param {string} id
+ * @returns {Promise<Object|null>} Hash del comentario o null si no existe
+ */
+const findCommentById = async (id) => {
+  const data = await client.hGetAll(commentKey(id));
+  return data && data.id ? data : null;
+};
+
+/**
+ * Obtiene una página de comentarios de una tarea, del más reciente al más antiguo
+ * @param {string} taskId - ID de la tarea
+ * @param {number} offset - Posición inicial
+ * @param {number} limit - Cantidad máxima
+ * @returns {Promise<{ comments: Array<Object>, total: number, nextOffset: number }>}
+ *   Hashes de la página, total de comentarios y posición de la página siguiente
+ */
+const findTaskComments = async (taskId, offset, limit) => {
+  const total = await client.zCard(taskCommentsKey(taskId));
+  const ids = await client.zRange(taskCommentsKey(taskId), offset, offset + limit - 1, { REV: true });
+
+  const hashes = await Promise.all(ids.map((id) => client.hGetAll(commentKey(id))));
+  return {
+    comments: hashes.filter((data) => data && data.id),
+    total,
+    nextOffset: offset + ids.length
+  };
+};
+
+/**
+ * Cambia el texto de un comentario y lo marca como editado
+ * @param {string} id
+ * @param {string} body - Texto nuevo
+ * @returns {Promise<Object>} Hash actualizado
+ */
+const updateCommentBody = async (id, body) => {
+  const now = new Date().toISOString();
+  await client.hSet(commentKey(id), { body, updatedAt: now, editedAt: now });
+  return client.hGetAll(commentKey(id));
+};
+
+/**
+ * Elimina un comentario y lo quita del índice de su tarea
+ * @param {string} taskId - ID de la tarea
+ * @param {string} id - ID del comentario
+ */
+const deleteComment = async (taskId, id) => {
+  await client.multi()
+    .del(commentKey(id))
+    .zRem(taskCommentsKey(taskId), id)
+    .exec();
+};
+
+/**
+ * Elimina todos los comentarios de una tarea (se usa al purgarla de la papelera)
+ * @param {string} taskId - ID de la tarea
+ */
+const deleteTaskComments = async (taskId) => {
+  const ids = await client.zRange(taskCommentsKey(taskId), 0, -1);
+  if (ids.length > 0) {
+    await client.del(ids.map(commentKey));
+  }
+  await client.del(taskCommentsKey(taskId));
+};
+
+module.exports = {
+  commentKey,
+  taskCommentsKey,
+  insertComment,
+  findCommentById,
+  findTaskComments,
+  updateCommentBody,
+  deleteComment,
+  deleteTaskComments
+};
@@ -0,0 +1,87 @@
+/**
+ * Repositorio de Prioridades
+ * ==========================
+ * Guarda y lee los registros de prioridades:
+ *   priority:{id}     => Hash { id, name, color, order, version }
+ *   priorityIdCounter => contador para autogenerar IDs
+ *   priorityIdsSet    => Set con las claves priority:{id}, para listarlas sin SCAN
+ *
+ * Las lecturas devuelven el Hash tal como está guardado (el que usan
+ * versioning y activityLog); formatPriority lo convierte en la respuesta
+ * pública. Las tareas que usan cada prioridad se guardan en taskRelations.
+ */
+
+const { client } = require('../config/redis');
+const { queueListInvalidation } = require('../services/listCache');
+
+// Nombre del set para almacenar las claves de cada prioridad
+const PRIORITY_SET = 'priorityIdsSet';
+
+const priorityKey = (id) => `priority:${id}`;
+
+/**
+ * Convierte el Hash de la prioridad en su representación pública
+ * @param {Object} data - Hash de la prioridad
+ * @returns {{ id: string, name: string, color: string, order: number, version: number }}
+ */
+const formatPriority = (data) => ({
+  id: data.id,
+  name: data.name,
+  color: data.color,
+  order: parseInt(data.order, 10),
+  version: parseInt(data.version || '0', 10)
+});
+
+/**
+ * Crea una prioridad con la versión 1
+ * @param {Object} priority
+ * @param {string} priority.name
+ * @param {string} priority.color
+ * @param {number} priority.order
+ * @param {Function} [queue] - Recibe la transacción y el Hash nuevo (ver insertTag)
+ * @returns {Promise<Object>} Hash de la prioridad creada
+ */
+const insertPriority = async ({ name, color, order }, queue = () => {}) => {
+  const id = (await client.incr('priorityIdCounter')).toString();
+  const data = { id, name, color, order: order.toString(), version: '1' };
+
+  // El Hash y su clave en el Set global se guardan en una sola transacción,
+  // que invalida también los listados cacheados (ver listCache)
+  const transaction = client.multi()
+    .hSet(priorityKey(id), data)
+    .sAdd(PRIORITY_SET, priorityKey(id));
+  queueListInvalidation(transaction, priorityKey(id), data);
+  queue(transaction, data);
+  await transaction.exec();
+  return data;
+};
+
+/**
+ * Busca una prioridad por ID
+ * @param {string} id
+ * @returns {Promise<Object|null>} Hash de la prioridad o null si no existe
+ */
+const findPriorityById = async (id) => {
+  const data = await client.hGetAll(priorityKey(id));
+  return data && data.id ? data : null;
+};
+
+/**
+ * Obtiene todas las prioridades (sin orden)
+ * @returns {Promise<Array<Object>>} Hashes de las prioridades
+ */
+const findAllPriorities = async () => {
+  const keys = await client.sMembers(PRIORITY_SET);
+
+  const hashes = await Promise.all(keys.map((key) => client.hGetAll(key)));
+  return hashes.filter((data) => data && data.id);
+};
+
+module.exports = {
+  PRIORITY_SET,
+  priorityKey,
+  formatPriority,
+  insertPriority,
+  findPriorityById,
+  findAllPriorities
+};
@@ -0,0 +1,101 @@
+/**
+ * Repositorio de Proyectos
+ * ========================
+ * Guarda y lee los registros de proyectos:
+ *   project:{id}          => Hash { id, name, description, ownerId, createdAt, updatedAt }
+ *   projectIdCounter      => contador para autogenerar IDs
+ *   userProjects:{userId} => Set con las claves project:{id} de cada usuario
+ *
+ * Las lecturas devuelven el Hash tal como está guardado; formatProject lo
+ * convierte en la respuesta pública. Las columnas y las tareas de cada
+ * proyecto están en boardService.
+ */
+
+const { client } = require('../config/redis');
+
+const projectKey = (id) => `project:${id}`;
+
+// Set con las claves de los proyectos de un usuario
+const userProjectsKey = (userId) => `userProjects:${userId}`;
+
+/**
+ * Crea un proyecto (sin columnas)
+ * @param {Object} project
+ * @param {string} project.name
+ * @param {string} project.description
+ * @param {string} project.ownerId
+ * @returns {Promise<Object>} Hash del proyecto creado
+ */
+const insertProject = async ({ name, description, ownerId }) => {
+  const id = (await client.incr('projectIdCounter')).toString();
+  const now = new Date().toISOString();
+  const data = { id, name, description, ownerId, createdAt: now, updatedAt: now };
+
+  // El Hash y su clave en el Set del dueño se guardan a la vez
+  await client.multi()
+    .hSet(projectKey(id), data)
+    .sAdd(userProjectsKey(ownerId), projectKey(id))
+    .exec();
+  return data;
+};
+
+/**
+ * Busca un proyecto por ID
+ * @param {string} id
+ * @returns {Promise<Object|null>} Hash del proyecto o null si no existe
+ */
+const findProjectById = async (id) => {
+  const data = await client.hGetAll(projectKey(id));
+  return data && data.id ? data : null;
+};
+
+/**
+ * Obtiene los proyectos de un usuario, ordenados por ID
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>} Hashes de los proyectos
+ */
+const findUserProjects = async (userId) => {
+  const keys = await client.sMembers(userProjectsKey(userId));
+
+  const hashes = await Promise.all(keys.map((key) => client.hGetAll(key)));
+  return hashes
+    .filter((data) => data && data.id)
+    .sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Modifica el nombre o la descripción de un proyecto
+ * @param {string} id
+ * @param {Object} changes - { name, description } (undefined = sin cambio)
+ * @returns {Promise<Object>} Hash actualizado
+ */
+const updateProject = async (id, { name, description }) => {
+  const update = { updatedAt: new Date().toISOString() };
+  if (name !== undefined) update.name = name;
+  if (description !== undefined) update.description = description;
+
+  await client.hSet(projectKey(id), update);
+  return client.hGetAll(projectKey(id));
+};
+
+/**
+ * Elimina un proyecto y lo quita del Set de su dueño (su tablero se limpia
+ * con clearProjectBoard)
+ * @param {Object} data - Hash del proyecto
+ */
+const deleteProject = async (data) => {
+  await client.multi()
+    .del(projectKey(data.id))
+    .sRem(userProjectsKey(data.ownerId), projectKey(data.id))
+    .exec();
+};
+
+module.exports = {
+  projectKey,
+  userProjectsKey,
+  insertProject,
+  findProjectById,
+  findUserProjects,
+  updateProject,
+  deleteProject
+};
@@ -0,0 +1,84 @@
+/**
+ * Repositorio de Etiquetas
+ * ========================
+ * Guarda y lee los registros de etiquetas:
+ *   tag:{id}     => Hash { id, name, version }
+ *   tagIdCounter => contador para autogenerar IDs
+ *   tagIdsSet    => Set con las claves tag:{id}, para listarlas sin SCAN
+ *
+ * Las lecturas devuelven el Hash tal como está guardado (el que usan
+ * versioning y activityLog); formatTag lo convierte en la respuesta pública.
+ * Las tareas que usan cada etiqueta se guardan en taskRelations.
+ */
+
+const { client } = require('../config/redis');
+const { queueListInvalidation } = require('../services/listCache');
+
+// Nombre del set donde se guardan las claves de cada etiqueta
+const TAG_SET = 'tagIdsSet';
+
+const tagKey = (id) => `tag:${id}`;
+
+/**
+ * Convierte el Hash de la etiqueta en su representación pública
+ * @param {Object} data - Hash de la etiqueta
+ * @returns {{ id: string, name: string, version: number }}
+ */
+const formatTag = (data) => ({
+  id: data.id,
+  name: data.name,
+  version: parseInt(data.version || '0', 10)
+});
+
+/**
+ * Crea una etiqueta con la versión 1
+ * @param {Object} tag
+ * @param {string} tag.name
+ * @param {Function} [queue] - Recibe la transacción y el Hash nuevo, y agrega otros
+ *   comandos a la misma transacción (p. ej. la entrada del historial)
+ * @returns {Promise<Object>} Hash de la etiqueta creada
+ */
+const insertTag = async ({ name }, queue = () => {}) => {
+  const id = (await client.incr('tagIdCounter')).toString();
+  const data = { id, name, version: '1' };
+
+  // El Hash y su clave en el Set global se guardan en una sola transacción,
+  // que invalida también los listados cacheados (ver listCache)
+  const transaction = client.multi()
+    .hSet(tagKey(id), data)
+    .sAdd(TAG_SET, tagKey(id));
+  queueListInvalidation(transaction, tagKey(id), data);
+  queue(transaction, data);
+  await transaction.exec();
+  return data;
+};
+
+/**
+ * Busca una etiqueta por ID
+ * @param {string} id
+ * @returns {Promise<Object|null>} Hash de la etiqueta o null si no existe
+ */
+const findTagById = async (id) => {
+  const data = await client.hGetAll(tagKey(id));
+  return data && data.id ? data : null;
+};
+
+/**
+ * Obtiene todas las etiquetas (sin orden)
+ * @returns {Promise<Array<Object>>} Hashes de las etiquetas
+ */
+const findAllTags = async () => {
+  const keys = await client.sMembers(TAG_SET);
+
+  const hashes = await Promise.all(keys.map((key) => client.hGetAll(key)));
+  return hashes.filter((data) => data && data.id);
+};
+
+module.exports = {
+  TAG_SET,
+  tagKey,
+  formatTag,
+  insertTag,
+  findTagById,
+  findAllTags
+};
@@ -0,0 +1,95 @@
+/**
+ * Repositorio de Tareas
+ * =====================
+ * Guarda y lee los registros de tareas:
+ *   task:{id}          => Hash { id, title, description, status, ownerId, ... }
+ *   taskIdCounter      => contador para autogenerar IDs
+ *   taskIdsSet         => Set con las claves task:{id} de todas las tareas
+ *   userTasks:{userId} => Set con las claves task:{id} de cada usuario
+ *
+ * Las lecturas devuelven el Hash tal como está guardado; el formato público,
+ * las relaciones y los índices están en taskService y los servicios que usa.
+ */
+
+const { client } = require('../config/redis');
+
+// Nombre del set donde guardamos las claves de cada tarea
+const TASK_SET = 'taskIdsSet';
+
+const taskKey = (id) => `task:${id}`;
+
+// Set con las claves de las tareas de un usuario
+const userTasksKey = (userId) => `userTasks:${userId}`;
+
+/**
+ * Reserva el ID de una tarea nueva
+ * @returns {Promise<string>}
+ */
+const nextTaskId = async () => (await client.incr('taskIdCounter')).toString();
+
+/**
+ * Encola en una transacción el Hash de una tarea nueva y su clave en el Set
+ * global y en el de su dueño (para guardarla junto con sus relaciones e índices)
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} id - ID reservado con nextTaskId
+ * @param {Object} fields - Campos del Hash, sin el ID (ownerId obligatorio)
+ */
+const queueTaskInsert = (transaction, id, fields) => {
+  transaction.hSet(taskKey(id), { id, ...fields });
+  transaction.sAdd(TASK_SET, taskKey(id));
+  transaction.sAdd(userTasksKey(fields.ownerId), taskKey(id));
+};
+
+/**
+ * Crea el Hash de una tarea y la agrega al Set global y al de su dueño
+ * @param {Object} fields - Campos del Hash, sin el ID (ownerId obligatorio)
+ * @returns {Promise<string>} ID de la tarea creada
+ */
+const insertTask = async (fields) => {
+  const id = await nextTaskId();
+
+  // El Hash y las claves en los Sets se guardan en la misma transacción
+  const transaction = client.multi();
+  queueTaskInsert(transaction, id, fields);
+  await transaction.exec();
+  return id;
+};
+
+/**
+ * Busca una tarea por ID
+ * @param {string} id
+ * @returns {Promise<Object|null>} Hash de la tarea o null si no existe
+ */
+const findTaskById = async (id) => {
+  const data = await client.hGetAll(taskKey(id));
+  return data && data.id ? data : null;
+};
+
+/**
+ * Lee varias tareas a la vez. Los comandos que se lanzan sin esperar la
+ * respuesta del anterior viajan juntos (node-redis los envía en un mismo
+ * pipeline), así que leer N Hashes con Promise.all cuesta una sola ida y
+ * vuelta a Redis; el resto de los listados lee sus Hashes de la misma forma.
+ * @param {Array<string>} keys - Claves task:{id}
+ * @returns {Promise<Array<Object>>} Hashes en el mismo orden (vacíos si no existen)
+ */
+const findTasksByKeys = (keys) => Promise.all(keys.map((key) => client.hGetAll(key)));
+
+/**
+ * Obtiene el estado de varias tareas sin leer los Hashes completos
+ * @param {Array<string>} keys - Claves task:{id}
+ * @returns {Promise<Array<string|null>>} Estados en el mismo orden (null si no existen)
+ */
+const getTaskStatuses = (keys) => Promise.all(keys.map((key) => client.hGet(key, 'status')));
+
+module.exports = {
+  TASK_SET,
+  taskKey,
+  userTasksKey,
+  nextTaskId,
+  queueTaskInsert,
+  insertTask,
+  findTaskById,
+  findTasksByKeys,
+  getTaskStatuses
+};
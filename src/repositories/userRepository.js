@@ -0,0 +1,92 @@
+/**
+ * Repositorio de Usuarios
+ * =======================
+ * Guarda y lee los registros de usuarios:
+ *   user:{id}            => Hash { id, name, email, password (hash bcrypt) }
+ *   userIdCounter        => contador para autogenerar IDs
+ *   userByEmail:{email}  => ID del usuario (índice para el login y el registro)
+ *
+ * Las lecturas devuelven el Hash completo, con la contraseña; toPublicUser
+ * la quita antes de responder. Las sesiones están en sessionService.
+ */
+
+const { WatchError } = require('redis');
+const { client } = require('../config/redis');
+
+const userKey = (id) => `user:${id}`;
+const emailIndexKey = (email) => `userByEmail:${email}`;
+
+/**
+ * Quita la contraseña del Hash del usuario
+ * @param {Object} data - Hash del usuario
+ * @returns {Object} { id, name, email }
+ */
+const toPublicUser = ({ password, ...user }) => user;
+
+/**
+ * Indica si un email ya está registrado
+ * @param {string} email
+ * @returns {Promise<boolean>}
+ */
+const isEmailTaken = async (email) => Boolean(await client.get(emailIndexKey(email)));
+
+/**
+ * Crea un usuario si su email sigue libre
+ * @param {Object} user
+ * @param {string} user.name
+ * @param {string} user.email
+ * @param {string} user.password - Contraseña ya hasheada
+ * @returns {Promise<string|null>} ID del usuario o null si el email ya está en uso
+ */
+const insertUser = async ({ name, email, password }) => {
+  // El hash del usuario y el índice email->id se guardan en una transacción;
+  // WATCH sobre el índice evita que dos registros simultáneos tomen el mismo email
+  return client.executeIsolated(async (isolated) => {
+    await isolated.watch(emailIndexKey(email));
+    if (await isolated.get(emailIndexKey(email))) {
+      await isolated.unwatch();
+      return null;
+    }
+
+    // Generar un nuevo ID con INCR
+    const id = (await isolated.incr('userIdCounter')).toString();
+    await isolated.multi()
+      .hSet(userKey(id), { id, name, email, password })
+      .set(emailIndexKey(email), id)
+      .exec();
+    return id;
+  }).catch((error) => {
+    if (error instanceof WatchError) return null;
+    throw error;
+  });
+};
+
+/**
+ * Busca un usuario por ID
+ * @param {string} id
+ * @returns {Promise<Object|null>} Hash del usuario o null si no existe
+ */
+const findUserById = async (id) => {
+  const data = await client.hGetAll(userKey(id));
+  return data && data.id ? data : null;
+};
+
+/**
+ * Busca un usuario por email
+ * @param {string} email
+ * @returns {Promise<Object|null>} Hash del usuario o null si no existe
+ */
+const findUserByEmail = async (email) => {
+  const id = await client.get(emailIndexKey(email));
+  return id ? findUserById(id) : null;
+};
+
+module.exports = {
+  userKey,
+  emailIndexKey,
+  toPublicUser,
+  isEmailTaken,
+  insertUser,
+  findUserById,
+  findUserByEmail
+};
@@ -0,0 +1,19 @@
+/**
+ * Rutas de Administración
+ * =======================
+ * Endpoints de mantenimiento, sólo para administradores (ADMIN_EMAILS).
+ * Se asume que estas rutas se montarán en `index.js` mediante:
+ *   app.use('/api/admin', authenticate, requireAdmin, adminRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getConsistencyReport, repairConsistency } = require('../controllers/adminController');
+
+// GET /api/admin/consistency
+router.get('/consistency', getConsistencyReport);
+
+// POST /api/admin/consistency/repair
+router.post('/consistency/repair', repairConsistency);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * Rutas de Calendario
+ * ===================
+ * Se asume que estas rutas se montarán en `index.js` mediante:
+ *   app.use('/api/calendar', calendarRoutes);
+ * (la autenticación va en cada ruta: el feed .ics se autentica con su token)
+ *
+ * Métodos:
+ * - POST   /api/calendar/feeds        -> createCalendarFeed (body { name, type, projectId, tagId, status })
+ * - GET    /api/calendar/feeds        -> getCalendarFeeds
+ * - DELETE /api/calendar/feeds/:token -> revokeCalendarFeed
+ * - POST   /api/calendar/import       -> importCalendar (archivo .ics como text/calendar; ?projectId)
+ * - GET    /api/calendar/:token.ics   -> getCalendarFeed (sin sesión)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/authMiddleware');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { RATE_LIMITS } = require('../config/rateLimits');
+const {
+  createCalendarFeed,
+  getCalendarFeeds,
+  revokeCalendarFeed,
+  getCalendarFeed,
+  importCalendar
+} = require('../controllers/calendarController');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/calendarSchemas');
+
+// Tamaño máximo del archivo .ics a importar
+const ICS_LIMIT = '2mb';
+
+// Sesión y límite por usuario, como el resto de las rutas protegidas (ver index.js)
+const protectedRoute = [authenticate, rateLimit(RATE_LIMITS.api)];
+
+/**
+ * Cantidad de tareas que puede crear un archivo .ics: cada VEVENT o VTODO
+ * cuenta como una escritura en RATE_LIMITS.taskWrites, igual que un lote
+ * @param {Object} req - Express request (con el body ya leído como texto)
+ * @returns {number}
+ */
+const calendarEntryCount = (req) => (
+  typeof req.body === 'string' ? (req.body.match(/^BEGIN:(VEVENT|VTODO)\r?$/gim) || []).length : 1
+);
+
+/** Feeds del usuario autenticado */
+router.post('/feeds', protectedRoute, validate(schemas.createCalendarFeed), createCalendarFeed);
+router.get('/feeds', protectedRoute, getCalendarFeeds);
+router.delete('/feeds/:token', protectedRoute, validate(schemas.revokeCalendarFeed), revokeCalendarFeed);
+
+/** Importar tareas desde un archivo .ics */
+router.post(
+  '/import',
+  protectedRoute,
+  express.text({ type: 'text/calendar', limit: ICS_LIMIT }),
+  rateLimit({ ...RATE_LIMITS.taskWrites, cost: calendarEntryCount }),
+  validate(schemas.importCalendar),
+  importCalendar
+);
+
+/** Feed de suscripción, autenticado por su token (limitado por IP) */
+router.get('/:token.ics', rateLimit(RATE_LIMITS.calendarFeed), validate(schemas.getCalendarFeed), getCalendarFeed);
+
+module.exports = router;
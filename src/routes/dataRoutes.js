@@ -0,0 +1,42 @@
+/**
+ * Rutas de Exportación e Importación
+ * ==================================
+ * Sólo para administradores (ADMIN_EMAILS). Se asume que estas rutas se
+ * montarán en `index.js` mediante:
+ *   app.use('/api', dataRoutes);
+ * (la autenticación y el límite de solicitudes van en cada ruta para no
+ * afectar al resto de /api)
+ *
+ * Métodos:
+ * - GET  /api/export -> exportData (?format=json|csv)
+ * - POST /api/import -> importData (body JSON o text/csv; ?dryRun=false para aplicarla)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireAdmin } = require('../middlewares/authMiddleware');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { RATE_LIMITS } = require('../config/rateLimits');
+const { exportData, importData } = require('../controllers/dataController');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/dataSchemas');
+
+// Límite del CSV recibido (el JSON lo interpreta express.json en index.js)
+const CSV_LIMIT = '5mb';
+
+// Sesión de administrador y límite por usuario
+const adminRoute = [authenticate, requireAdmin, rateLimit(RATE_LIMITS.dataTransfer)];
+
+// GET /api/export
+router.get('/export', adminRoute, validate(schemas.exportData), exportData);
+
+// POST /api/import
+router.post(
+  '/import',
+  adminRoute,
+  express.text({ type: 'text/csv', limit: CSV_LIMIT }),
+  validate(schemas.importData),
+  importData
+);
+
+module.exports = router;
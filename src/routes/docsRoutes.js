@@ -0,0 +1,24 @@
+/**
+ * Rutas de Documentación
+ * ======================
+ * Se asume que estas rutas se montarán en `index.js` mediante:
+ *   app.use('/api/docs', docsRoutes);
+ * (públicas: la página pide el token en su botón Authorize)
+ *
+ * Métodos:
+ * - GET /api/docs              -> getDocsPage (Swagger UI)
+ * - GET /api/docs/openapi.json -> getOpenApiSpec
+ * - GET /api/docs/assets/*     -> archivos estáticos de swagger-ui-dist
+ */
+
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+const router = express.Router();
+const { getOpenApiSpec, getDocsPage } = require('../controllers/docsController');
+
+router.get('/', getDocsPage);
+router.get('/openapi.json', getOpenApiSpec);
+// Sin index: la página de ejemplo del paquete apunta a la API de demostración de Swagger
+router.use('/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * Rutas de Eventos
+ * ================
+ * Expone el stream de cambios en tiempo real (Server-Sent Events).
+ *
+ * Ruta base: /api/events
+ *
+ * Métodos:
+ * - GET /api/events -> streamEvents (?types=task,tag,priority; header Last-Event-ID)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { streamEvents } = require('../controllers/eventController');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/eventSchemas');
+
+/** Abrir el stream SSE de eventos */
+router.get('/', validate(schemas.streamEvents), streamEvents);
+
+module.exports = router;
@@ -15,20 +15,22 @@ const {
   updatePriority,
   deletePriority
 } = require('../controllers/priorityController');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/prioritySchemas');
 
 // POST /api/priorities
-router.post('/', createPriority);
+router.post('/', validate(schemas.createPriority), createPriority);
 
 // GET /api/priorities
 router.get('/', getAllPriorities);
 
 // GET /api/priorities/:id
-router.get('/:id', getPriorityById);
+router.get('/:id', validate(schemas.getPriorityById), getPriorityById);
 
 // PUT /api/priorities/:id
-router.put('/:id', updatePriority);
+router.put('/:id', validate(schemas.updatePriority), updatePriority);
 
-// DELETE /api/priorities/:id
-router.delete('/:id', deletePriority);
+// DELETE /api/priorities/:id?strategy=reject|detach|reassign&reassignTo=:id&permanent=true
+router.delete('/:id', validate(schemas.deletePriority), deletePriority);
 
 module.exports = router;
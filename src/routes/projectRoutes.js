@@ -0,0 +1,53 @@
+/**
+ * Rutas de Proyectos (Projects)
+ * =============================
+ * Expone los endpoints para el CRUD de proyectos, sus columnas y el tablero.
+ * Las tareas se mueven entre columnas con POST /api/tasks/:id/move.
+ * Se asume que estas rutas se montarán en `index.js` mediante:
+ *   app.use('/api/projects', projectRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  createProject,
+  getAllProjects,
+  getProjectById,
+  getProjectBoard,
+  updateProject,
+  deleteProject,
+  createColumn,
+  updateColumn,
+  deleteColumn
+} = require('../controllers/projectController');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/projectSchemas');
+
+// POST /api/projects
+router.post('/', validate(schemas.createProject), createProject);
+
+// GET /api/projects
+router.get('/', getAllProjects);
+
+// GET /api/projects/:id
+router.get('/:id', validate(schemas.getProjectById), getProjectById);
+
+// GET /api/projects/:id/board
+router.get('/:id/board', validate(schemas.getProjectBoard), getProjectBoard);
+
+// PUT /api/projects/:id
+router.put('/:id', validate(schemas.updateProject), updateProject);
+
+// DELETE /api/projects/:id
+router.delete('/:id', validate(schemas.deleteProject), deleteProject);
+
+// POST /api/projects/:id/columns
+router.post('/:id/columns', validate(schemas.createColumn), createColumn);
+
+// PUT /api/projects/:id/columns/:columnId
+router.put('/:id/columns/:columnId', validate(schemas.updateColumn), updateColumn);
+
+// DELETE /api/projects/:id/columns/:columnId
+router.delete('/:id/columns/:columnId', validate(schemas.deleteColumn), deleteColumn);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Rutas de Series Recurrentes
+ * ===========================
+ * Expone los endpoints para consultar, modificar y detener series de tareas
+ * recurrentes. Las series se crean con POST /api/tasks y `recurrence`.
+ * Se asume que estas rutas se montarán en `index.js` mediante:
+ *   app.use('/api/series', seriesRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getAllSeries,
+  getSeriesById,
+  updateSeries,
+  stopSeries
+} = require('../controllers/seriesController');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/seriesSchemas');
+
+// GET /api/series
+router.get('/', getAllSeries);
+
+// GET /api/series/:id
+router.get('/:id', validate(schemas.getSeriesById), getSeriesById);
+
+// PUT /api/series/:id
+router.put('/:id', validate(schemas.updateSeries), updateSeries);
+
+// POST /api/series/:id/stop
+router.post('/:id/stop', validate(schemas.stopSeries), stopSeries);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Rutas de Estados
+ * ================
+ * Expone los endpoints para configurar los estados de las tareas y las
+ * transiciones permitidas entre ellos. Cualquier usuario autenticado puede
+ * consultarlos; crearlos, modificarlos o eliminarlos es sólo para
+ * administradores (ADMIN_EMAILS), porque el flujo es el mismo para todos.
+ * Se asume que estas rutas se montarán en `index.js` mediante:
+ *   app.use('/api/statuses', statusRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  createStatus,
+  getAllStatuses,
+  getStatusById,
+  updateStatus,
+  deleteStatus
+} = require('../controllers/statusController');
+const { requireAdmin } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/statusSchemas');
+
+// POST /api/statuses
+router.post('/', requireAdmin, validate(schemas.createStatus), createStatus);
+
+// GET /api/statuses
+router.get('/', getAllStatuses);
+
+// GET /api/statuses/:id
+router.get('/:id', validate(schemas.getStatusById), getStatusById);
+
+// PUT /api/statuses/:id
+router.put('/:id', requireAdmin, validate(schemas.updateStatus), updateStatus);
+
+// DELETE /api/statuses/:id
+router.delete('/:id', requireAdmin, validate(schemas.deleteStatus), deleteStatus);
+
+module.exports = router;
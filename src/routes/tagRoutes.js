@@ -11,7 +11,7 @@
  * - GET    /api/tags        -> getAllTags
  * - GET    /api/tags/:id    -> getTagById
  * - PUT    /api/tags/:id    -> updateTag
- * - DELETE /api/tags/:id    -> deleteTag
+ * - DELETE /api/tags/:id    -> deleteTag (?strategy=reject|detach|reassign&reassignTo=:id&permanent=true)
  */
 
 const express = require('express');
@@ -25,20 +25,22 @@ const {
   updateTag,
   deleteTag
 } = require('../controllers/tagController');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/tagSchemas');
 
 /** Crear una nueva etiqueta */
-router.post('/', createTag);
+router.post('/', validate(schemas.createTag), createTag);
 
 /** Listar todas las etiquetas */
 router.get('/', getAllTags);
 
 /** Obtener una etiqueta por ID */
-router.get('/:id', getTagById);
+router.get('/:id', validate(schemas.getTagById), getTagById);
 
 /** Actualizar una etiqueta por ID */
-router.put('/:id', updateTag);
+router.put('/:id', validate(schemas.updateTag), updateTag);
 
 /** Eliminar una etiqueta por ID */
-router.delete('/:id', deleteTag);
+router.delete('/:id', validate(schemas.deleteTag), deleteTag);
 
 module.exports = router;
@@ -6,11 +6,25 @@
  * Ruta base: /api/tasks
  *
  * Métodos:
- * - POST   /api/tasks        -> createTask
- * - GET    /api/tasks        -> getAllTasks
+ * - POST   /api/tasks        -> createTask (con recurrence crea una serie recurrente)
+ * - GET    /api/tasks        -> getAllTasks (sólo las del usuario autenticado;
+ *                              ?status, priorityId, tagId, seriesId, projectId, q, sort, limit, cursor)
+ * - GET    /api/tasks/search  -> searchTasks (?q= términos, con prefijos y sin acentos)
+ * - GET    /api/tasks/overdue -> getOverdueTasks (dueAt vencido y no completadas)
+ * - GET    /api/tasks/due     -> getDueTasks (?from=&to= en ISO 8601 con zona horaria)
+ * - POST   /api/tasks/bulk    -> bulkTasks (body { atomic, operations }; ver bulkController)
  * - GET    /api/tasks/:id    -> getTaskById
  * - PUT    /api/tasks/:id    -> updateTask
- * - DELETE /api/tasks/:id    -> deleteTask
+ * - DELETE /api/tasks/:id    -> deleteTask (a la papelera; ?permanent=true la purga)
+ * - GET    /api/tasks/:id/subtasks -> getSubtasks (?limit, cursor; incluye el avance)
+ * - POST   /api/tasks/:id/dependencies -> addTaskDependency (body { taskId } de la tarea que la bloquea)
+ * - DELETE /api/tasks/:id/dependencies/:blockerId -> removeTaskDependency
+ * - POST   /api/tasks/:id/move -> moveTask (body { columnId, position } dentro de su proyecto)
+ * - GET    /api/tasks/:id/history -> getTaskHistory (?limit, cursor)
+ * - GET    /api/tasks/:id/comments -> getTaskComments (?limit, cursor; más recientes primero)
+ * - POST   /api/tasks/:id/comments -> createComment
+ * - PUT    /api/tasks/:id/comments/:commentId -> updateComment
+ * - DELETE /api/tasks/:id/comments/:commentId -> deleteComment
  */
 
 const express = require('express');
@@ -18,24 +32,73 @@ const router = express.Router();
 const {
   createTask,
   getAllTasks,
+  searchTasks,
+  getOverdueTasks,
+  getDueTasks,
   getTaskById,
   updateTask,
-  deleteTask
+  deleteTask,
+  getSubtasks,
+  addTaskDependency,
+  removeTaskDependency,
+  moveTask,
+  getTaskHistory
 } = require('../controllers/taskController');
+const {
+  getTaskComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const { bulkTasks } = require('../controllers/bulkController');
+const { validate } = require('../middlewares/validate');
+const taskSchemas = require('../schemas/taskSchemas');
+const commentSchemas = require('../schemas/commentSchemas');
 
 /** Crear una nueva tarea */
-router.post('/', createTask);
+router.post('/', validate(taskSchemas.createTask), createTask);
+
+/** Listar las tareas del usuario autenticado */
+router.get('/', validate(taskSchemas.getAllTasks), getAllTasks);
+
+/** Buscar tareas por texto (antes de /:id para que no se confunda con un ID) */
+router.get('/search', validate(taskSchemas.searchTasks), searchTasks);
+
+/** Listar tareas vencidas */
+router.get('/overdue', validate(taskSchemas.getOverdueTasks), getOverdueTasks);
+
+/** Listar tareas por rango de vencimiento */
+router.get('/due', validate(taskSchemas.getDueTasks), getDueTasks);
 
-/** Listar todas las tareas */
-router.get('/', getAllTasks);
+/** Operaciones por lotes (altas, cambios y bajas) */
+router.post('/bulk', validate(taskSchemas.bulkTasks), bulkTasks);
 
 /** Obtener una tarea por ID */
-router.get('/:id', getTaskById);
+router.get('/:id', validate(taskSchemas.getTaskById), getTaskById);
 
 /** Actualizar tarea por ID */
-router.put('/:id', updateTask);
+router.put('/:id', validate(taskSchemas.updateTask), updateTask);
 
 /** Eliminar tarea por ID */
-router.delete('/:id', deleteTask);
+router.delete('/:id', validate(taskSchemas.deleteTask), deleteTask);
+
+/** Subtareas directas de una tarea */
+router.get('/:id/subtasks', validate(taskSchemas.getSubtasks), getSubtasks);
+
+/** Dependencias de bloqueo */
+router.post('/:id/dependencies', validate(taskSchemas.addTaskDependency), addTaskDependency);
+router.delete('/:id/dependencies/:blockerId', validate(taskSchemas.removeTaskDependency), removeTaskDependency);
+
+/** Mover una tarea en el tablero de su proyecto */
+router.post('/:id/move', validate(taskSchemas.moveTask), moveTask);
+
+/** Historial de cambios de una tarea */
+router.get('/:id/history', validate(taskSchemas.getTaskHistory), getTaskHistory);
+
+/** Comentarios de una tarea */
+router.get('/:id/comments', validate(commentSchemas.getTaskComments), getTaskComments);
+router.post('/:id/comments', validate(commentSchemas.createComment), createComment);
+router.put('/:id/comments/:commentId', validate(commentSchemas.updateComment), updateComment);
+router.delete('/:id/comments/:commentId', validate(commentSchemas.deleteComment), deleteComment);
 
 module.exports = router;
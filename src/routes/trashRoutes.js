@@ -0,0 +1,23 @@
+/**
+ * Rutas de la Papelera
+ * ====================
+ * Se asume que estas rutas se montarán en `index.js` mediante:
+ *   app.use('/api/trash', authenticate, trashRoutes);
+ *
+ * Métodos (type: task | tag | priority):
+ * - GET    /api/trash                    -> getTrash (?type, limit, cursor)
+ * - POST   /api/trash/:type/:id/restore  -> restoreTrashItem
+ * - DELETE /api/trash/:type/:id          -> purgeTrashItem (sin esperar la retención)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getTrash, restoreTrashItem, purgeTrashItem } = require('../controllers/trashController');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/trashSchemas');
+
+router.get('/', validate(schemas.getTrash), getTrash);
+router.post('/:type/:id/restore', validate(schemas.restoreTrashItem), restoreTrashItem);
+router.delete('/:type/:id', validate(schemas.purgeTrashItem), purgeTrashItem);
+
+module.exports = router;
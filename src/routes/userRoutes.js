@@ -2,20 +2,33 @@ const express = require('express');
 const router = express.Router();
 const {
   registerUser,
+  loginUser,
+  logoutUser,
   getUserById
 } = require('../controllers/userController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/userSchemas');
 
 /**
  * Rutas de Usuarios
  * =================
  * - POST /register : registrar usuario nuevo
+ * - POST /login    : iniciar sesión y obtener un token
+ * - POST /logout   : cerrar la sesión actual (requiere token)
  * - GET /:id       : obtener usuario por ID
  */
 
 // Registrar usuario
-router.post('/register', registerUser);
+router.post('/register', validate(schemas.registerUser), registerUser);
+
+// Iniciar sesión
+router.post('/login', validate(schemas.loginUser), loginUser);
+
+// Cerrar sesión
+router.post('/logout', authenticate, logoutUser);
 
 // Obtener usuario por ID
-router.get('/:id', getUserById);
+router.get('/:id', validate(schemas.getUserById), getUserById);
 
 module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Rutas de Webhooks
+ * =================
+ * Expone los endpoints para registrar webhooks y consultar sus entregas.
+ *
+ * Ruta base: /api/webhooks
+ *
+ * Métodos:
+ * - POST   /api/webhooks                                   -> createWebhook
+ * - GET    /api/webhooks                                   -> getAllWebhooks
+ * - GET    /api/webhooks/:id                               -> getWebhookById
+ * - PUT    /api/webhooks/:id                               -> updateWebhook
+ * - DELETE /api/webhooks/:id                               -> deleteWebhook
+ * - GET    /api/webhooks/:id/deliveries                    -> getWebhookDeliveries
+ * - POST   /api/webhooks/:id/deliveries/:deliveryId/redeliver -> redeliverWebhook
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  createWebhook,
+  getAllWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+} = require('../controllers/webhookController');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/webhookSchemas');
+
+/** Registrar un webhook */
+router.post('/', validate(schemas.createWebhook), createWebhook);
+
+/** Listar los webhooks del usuario */
+router.get('/', getAllWebhooks);
+
+/** Obtener un webhook por ID */
+router.get('/:id', validate(schemas.getWebhookById), getWebhookById);
+
+/** Actualizar un webhook */
+router.put('/:id', validate(schemas.updateWebhook), updateWebhook);
+
+/** Eliminar un webhook */
+router.delete('/:id', validate(schemas.deleteWebhook), deleteWebhook);
+
+/** Log de entregas de un webhook */
+router.get('/:id/deliveries', validate(schemas.getWebhookDeliveries), getWebhookDeliveries);
+
+/** Reenviar una entrega */
+router.post('/:id/deliveries/:deliveryId/redeliver', validate(schemas.redeliverWebhook), redeliverWebhook);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Esquemas de Calendario
+ * ======================
+ * Validación de las rutas de calendarRoutes (ver middlewares/validate). Que
+ * el proyecto, la etiqueta y el estado existan lo valida calendarFeed.
+ */
+
+const { FEED_TYPES } = require('../services/calendarFeed');
+const { MAX_NAME_LENGTH } = require('./common');
+
+const feedToken = { type: 'string', required: true, maxLength: 200 };
+
+module.exports = {
+  createCalendarFeed: {
+    body: {
+      name: { type: 'string', notEmpty: true, maxLength: MAX_NAME_LENGTH },
+      type: { type: 'string', enum: FEED_TYPES },
+      projectId: { type: 'id', nullable: true },
+      tagId: { type: 'id', nullable: true },
+      status: { type: 'string', nullable: true }
+    }
+  },
+  revokeCalendarFeed: { params: { token: feedToken } },
+  importCalendar: { query: { projectId: { type: 'id' } } },
+  getCalendarFeed: { params: { token: feedToken } }
+};
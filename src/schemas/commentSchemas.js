@@ -0,0 +1,29 @@
+/**
+ * Esquemas de Comentarios
+ * =======================
+ * Validación de las rutas de comentarios de taskRoutes (ver
+ * middlewares/validate).
+ */
+
+const { MAX_COMMENT_LENGTH } = require('../services/commentService');
+const { id, idParams, pagination } = require('./common');
+
+const commentParams = { id, commentId: id };
+
+const body = {
+  type: 'string',
+  required: true,
+  maxLength: MAX_COMMENT_LENGTH,
+  messages: {
+    required: 'El texto del comentario es obligatorio',
+    invalid_type: 'El texto del comentario es obligatorio',
+    too_big: `El comentario no puede superar los ${MAX_COMMENT_LENGTH} caracteres`
+  }
+};
+
+module.exports = {
+  getTaskComments: { params: idParams, query: pagination },
+  createComment: { params: idParams, body: { body } },
+  updateComment: { params: commentParams, body: { body } },
+  deleteComment: { params: commentParams }
+};
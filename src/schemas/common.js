@@ -0,0 +1,84 @@
+/**
+ * Esquemas Comunes
+ * ================
+ * Reglas que comparten varios recursos: IDs en la ruta, paginación por
+ * cursor y los parámetros de borrado de etiquetas y prioridades. El formato
+ * de las reglas está descrito en utils/schema.
+ */
+
+const { HEX_COLOR } = require('../utils/schema');
+const { DELETE_STRATEGIES } = require('../services/taskRelations');
+
+// Tamaño de página por defecto y máximo de los listados paginados
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Longitud máxima de nombres (etiquetas, prioridades, estados, proyectos, columnas)
+const MAX_NAME_LENGTH = 100;
+
+/** ID numérico obligatorio (params de ruta) */
+const id = { type: 'id', required: true };
+
+/** params { id } */
+const idParams = { id };
+
+/** query { limit, cursor } de los listados paginados por posición */
+const pagination = {
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+  cursor: { type: 'integer', min: 0, messages: { invalid_type: 'cursor inválido', too_small: 'cursor inválido' } }
+};
+
+/**
+ * Interpreta la paginación ya validada con `pagination`
+ * @param {Object} query - req.query
+ * @returns {{ limit: number, offset: number }}
+ */
+const parsePagination = (query) => ({
+  limit: query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit),
+  offset: Number(query.cursor || 0)
+});
+
+/** query { permanent } de los borrados que pueden saltarse la papelera */
+const permanent = { type: 'boolean' };
+
+/** query de DELETE /api/tags/:id y /api/priorities/:id */
+const releaseQuery = {
+  strategy: { type: 'string', enum: DELETE_STRATEGIES },
+  reassignTo: { type: 'id' },
+  permanent
+};
+
+/**
+ * Regla de un nombre visible
+ * @param {string} requiredMessage - Mensaje si falta o está vacío
+ * @param {boolean} [required] - false en las actualizaciones (si se envía no puede estar vacío)
+ * @returns {Object} Regla
+ */
+const nameRule = (requiredMessage, required = true) => ({
+  type: 'string',
+  required,
+  notEmpty: true,
+  maxLength: MAX_NAME_LENGTH,
+  messages: { required: requiredMessage }
+});
+
+/** Color hexadecimal #RRGGBB */
+const color = {
+  type: 'string',
+  pattern: HEX_COLOR,
+  messages: { invalid_format: 'color debe tener el formato #RRGGBB' }
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_NAME_LENGTH,
+  id,
+  idParams,
+  pagination,
+  parsePagination,
+  permanent,
+  releaseQuery,
+  nameRule,
+  color
+};
@@ -0,0 +1,14 @@
+/**
+ * Esquemas de Exportación e Importación
+ * =====================================
+ * Validación de las rutas de dataRoutes (ver middlewares/validate). El
+ * documento importado lo valida dataTransfer.planImport, entidad por entidad.
+ */
+
+const EXPORT_FORMATS = ['json', 'csv'];
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportData: { query: { format: { type: 'string', enum: EXPORT_FORMATS } } },
+  importData: { query: { dryRun: { type: 'boolean' } } }
+};
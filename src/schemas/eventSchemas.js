@@ -0,0 +1,21 @@
+/**
+ * Esquemas de Eventos
+ * ===================
+ * Validación de las rutas de eventRoutes (ver middlewares/validate). Los
+ * tipos pedidos en `types` y el header Last-Event-ID los valida el
+ * controlador, porque llegan separados por comas o fuera del query.
+ */
+
+// ID de una entrada del Stream de eventos (p. ej. "1715000000000-0")
+const EVENT_ID = /^\d+-\d+$/;
+
+module.exports = {
+  EVENT_ID,
+  streamEvents: {
+    query: {
+      types: { type: 'string', notEmpty: true },
+      lastEventId: { type: 'string', pattern: EVENT_ID, messages: { invalid_format: 'Last-Event-ID inválido' } },
+      access_token: { type: 'string' }
+    }
+  }
+};
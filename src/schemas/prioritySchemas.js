@@ -0,0 +1,25 @@
+/**
+ * Esquemas de Prioridades
+ * =======================
+ * Validación de las rutas de priorityRoutes (ver middlewares/validate).
+ */
+
+const { idParams, releaseQuery, nameRule, color } = require('./common');
+
+/**
+ * Campos de una prioridad
+ * @param {boolean} required - true al crearla
+ * @returns {Object} Esquema del body
+ */
+const priorityBody = (required) => ({
+  name: nameRule('El nombre es obligatorio', required),
+  color,
+  order: { type: 'integer', min: 0 }
+});
+
+module.exports = {
+  createPriority: { body: priorityBody(true) },
+  getPriorityById: { params: idParams },
+  updatePriority: { params: idParams, body: priorityBody(false) },
+  deletePriority: { params: idParams, query: releaseQuery }
+};
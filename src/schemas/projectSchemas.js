@@ -0,0 +1,50 @@
+/**
+ * Esquemas de Proyectos
+ * =====================
+ * Validación de las rutas de projectRoutes (ver middlewares/validate).
+ */
+
+const { id, idParams, nameRule } = require('./common');
+
+// Límite de columnas al crear un proyecto
+const MAX_COLUMNS = 50;
+
+const PROJECT_NAME_REQUIRED = 'El nombre del proyecto es obligatorio';
+const COLUMN_NAME_REQUIRED = 'El nombre de la columna es obligatorio';
+const COLUMNS_ERROR = 'columns debe ser una lista de nombres no vacíos';
+
+const description = { type: 'string', maxLength: 5000 };
+const position = { type: 'integer', min: 0 };
+const columnParams = { id, columnId: id };
+
+module.exports = {
+  createProject: {
+    body: {
+      name: nameRule(PROJECT_NAME_REQUIRED),
+      description,
+      columns: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_COLUMNS,
+        items: { ...nameRule(COLUMNS_ERROR), messages: { required: COLUMNS_ERROR, invalid_type: COLUMNS_ERROR } },
+        messages: { invalid_type: COLUMNS_ERROR, too_small: COLUMNS_ERROR }
+      }
+    }
+  },
+  getProjectById: { params: idParams },
+  getProjectBoard: { params: idParams },
+  updateProject: {
+    params: idParams,
+    body: { name: nameRule(PROJECT_NAME_REQUIRED, false), description }
+  },
+  deleteProject: { params: idParams },
+  createColumn: {
+    params: idParams,
+    body: { name: nameRule(COLUMN_NAME_REQUIRED), position }
+  },
+  updateColumn: {
+    params: columnParams,
+    body: { name: nameRule(COLUMN_NAME_REQUIRED, false), position }
+  },
+  deleteColumn: { params: columnParams }
+};
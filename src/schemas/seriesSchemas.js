@@ -0,0 +1,20 @@
+/**
+ * Esquemas de Series
+ * ==================
+ * Validación de las rutas de seriesRoutes (ver middlewares/validate). Los
+ * campos de la plantilla son los mismos que los de una tarea.
+ */
+
+const { idParams } = require('./common');
+const { taskBody } = require('./taskSchemas');
+
+const { recurrence, recurrenceMode, title, description, priorityId, tagIds } = taskBody(false);
+
+module.exports = {
+  getSeriesById: { params: idParams },
+  updateSeries: {
+    params: idParams,
+    body: { recurrence, recurrenceMode, title, description, priorityId, tagIds }
+  },
+  stopSeries: { params: idParams }
+};
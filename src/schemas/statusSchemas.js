@@ -0,0 +1,33 @@
+/**
+ * Esquemas de Estados
+ * ===================
+ * Validación de las rutas de statusRoutes (ver middlewares/validate). Que el
+ * nombre no se repita y que las transiciones apunten a estados existentes lo
+ * valida el controlador.
+ */
+
+const { idParams, nameRule, color } = require('./common');
+
+/**
+ * Campos de un estado
+ * @param {boolean} required - true al crearlo
+ * @returns {Object} Esquema del body
+ */
+const statusBody = (required) => ({
+  name: nameRule('El nombre es obligatorio', required),
+  color,
+  order: { type: 'integer', min: 0 },
+  closed: { type: 'boolean' },
+  transitions: {
+    type: 'array',
+    items: { type: 'id' },
+    messages: { invalid_type: 'transitions debe ser un arreglo de IDs de estados' }
+  }
+});
+
+module.exports = {
+  createStatus: { body: statusBody(true) },
+  getStatusById: { params: idParams },
+  updateStatus: { params: idParams, body: statusBody(false) },
+  deleteStatus: { params: idParams }
+};
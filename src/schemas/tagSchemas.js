@@ -0,0 +1,16 @@
+/**
+ * Esquemas de Etiquetas
+ * =====================
+ * Validación de las rutas de tagRoutes (ver middlewares/validate).
+ */
+
+const { idParams, releaseQuery, nameRule } = require('./common');
+
+const NAME_REQUIRED = 'El nombre de la etiqueta es obligatorio';
+
+module.exports = {
+  createTag: { body: { name: nameRule(NAME_REQUIRED) } },
+  getTagById: { params: idParams },
+  updateTag: { params: idParams, body: { name: nameRule(NAME_REQUIRED, false) } },
+  deleteTag: { params: idParams, query: releaseQuery }
+};
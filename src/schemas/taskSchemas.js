@@ -0,0 +1,131 @@
+/**
+ * Esquemas de Tareas
+ * ==================
+ * Validación de las rutas de taskRoutes (ver middlewares/validate), salvo
+ * los comentarios (commentSchemas). taskOperations vuelve a aplicar
+ * `taskBody` a cada alta y modificación, para que el endpoint por lotes y la
+ * importación de calendarios validen igual que los endpoints individuales.
+ *
+ * Que la prioridad, las etiquetas, el padre o el proyecto existan, y que el
+ * cambio de estado esté permitido, lo validan los servicios.
+ */
+
+const { SORT_INDEXES } = require('../services/taskIndexes');
+const { SERIES_MODES } = require('../services/recurrenceService');
+const { id, idParams, pagination, permanent } = require('./common');
+
+// Límite de operaciones recibidas por lote (antes de expandir los atajos)
+const MAX_OPERATIONS = 100;
+
+const MAX_TITLE_LENGTH = 500;
+const MAX_DESCRIPTION_LENGTH = 20000;
+
+const TITLE_REQUIRED = 'El título de la tarea es obligatorio';
+
+// created, -created, due, -due...
+const SORT_VALUES = Object.keys(SORT_INDEXES).flatMap((field) => [field, `-${field}`]);
+
+/**
+ * Campos de una tarea
+ * @param {boolean} required - true al crearla (title obligatorio)
+ * @returns {Object} Esquema del body
+ */
+const taskBody = (required) => ({
+  title: {
+    type: 'string',
+    required,
+    notEmpty: true,
+    maxLength: MAX_TITLE_LENGTH,
+    messages: { required: TITLE_REQUIRED }
+  },
+  description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+  status: { type: 'string', notEmpty: true },
+  priorityId: { type: 'id', nullable: true },
+  tagIds: {
+    type: 'array',
+    items: { type: 'id' },
+    messages: { invalid_type: 'tagIds debe ser un arreglo de IDs de etiquetas' }
+  },
+  dueAt: { type: 'datetime', nullable: true },
+  remindAt: { type: 'datetime', nullable: true },
+  parentId: { type: 'id', nullable: true },
+  projectId: { type: 'id', nullable: true },
+  columnId: { type: 'id' },
+  recurrence: { type: ['string', 'object'] },
+  recurrenceMode: { type: 'string', enum: SERIES_MODES }
+});
+
+/** query de los listados de tareas filtrados */
+const listQuery = {
+  status: { type: 'string' },
+  priorityId: { type: 'id' },
+  tagId: { type: 'id' },
+  seriesId: { type: 'id' },
+  projectId: { type: 'id' },
+  q: { type: 'string' },
+  sort: {
+    type: 'string',
+    enum: SORT_VALUES,
+    messages: { invalid_enum: `sort debe ser uno de: ${Object.keys(SORT_INDEXES).join(', ')}` }
+  },
+  ...pagination
+};
+
+module.exports = {
+  MAX_OPERATIONS,
+  taskBody,
+  createTask: { body: taskBody(true) },
+  getAllTasks: { query: listQuery },
+  searchTasks: {
+    query: {
+      q: { type: 'string', required: true, maxLength: 200, messages: { required: 'El parámetro q es obligatorio' } },
+      ...pagination
+    }
+  },
+  getOverdueTasks: { query: pagination },
+  getDueTasks: {
+    query: {
+      from: { type: 'datetime' },
+      to: { type: 'datetime' },
+      ...pagination
+    }
+  },
+  bulkTasks: {
+    body: {
+      operations: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: MAX_OPERATIONS,
+        items: { type: 'object' },
+        messages: {
+          required: 'operations debe ser un arreglo no vacío',
+          invalid_type: 'operations debe ser un arreglo no vacío',
+          too_small: 'operations debe ser un arreglo no vacío',
+          too_big: `Un lote admite como máximo ${MAX_OPERATIONS} operaciones`
+        }
+      },
+      atomic: { type: 'boolean' }
+    }
+  },
+  getTaskById: { params: idParams },
+  updateTask: { params: idParams, body: taskBody(false) },
+  deleteTask: { params: idParams, query: { permanent } },
+  getSubtasks: { params: idParams, query: pagination },
+  addTaskDependency: { params: idParams, body: { taskId: id } },
+  removeTaskDependency: { params: { id, blockerId: id } },
+  moveTask: {
+    params: idParams,
+    body: {
+      columnId: { type: 'id' },
+      position: { type: 'integer', min: 0 }
+    }
+  },
+  getTaskHistory: {
+    params: idParams,
+    query: {
+      limit: pagination.limit,
+      cursor: { type: 'string', pattern: /^\d+-\d+$/, messages: { invalid_format: 'cursor inválido' } }
+    }
+  }
+};
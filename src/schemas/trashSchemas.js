@@ -0,0 +1,17 @@
+/**
+ * Esquemas de la Papelera
+ * =======================
+ * Validación de las rutas de trashRoutes (ver middlewares/validate).
+ */
+
+const { TRASH_TYPES } = require('../services/trashService');
+const { id, pagination } = require('./common');
+
+const type = { type: 'string', enum: TRASH_TYPES };
+const itemParams = { type: { ...type, required: true }, id };
+
+module.exports = {
+  getTrash: { query: { type, ...pagination } },
+  restoreTrashItem: { params: itemParams },
+  purgeTrashItem: { params: itemParams }
+};
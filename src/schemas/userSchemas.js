@@ -0,0 +1,33 @@
+/**
+ * Esquemas de Usuarios
+ * ====================
+ * Validación de las rutas de userRoutes (ver middlewares/validate).
+ */
+
+const { idParams } = require('./common');
+
+const MISSING_FIELDS = 'Faltan campos requeridos';
+
+// Formato mínimo de un email: algo@algo.algo
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const email = { type: 'string', required: true, maxLength: 254, messages: { required: MISSING_FIELDS } };
+const password = { type: 'string', required: true, maxLength: 200, messages: { required: MISSING_FIELDS } };
+
+module.exports = {
+  registerUser: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100, messages: { required: MISSING_FIELDS } },
+      email: {
+        ...email,
+        pattern: EMAIL,
+        messages: { ...email.messages, invalid_format: 'email no es una dirección válida' }
+      },
+      password
+    }
+  },
+  loginUser: {
+    body: { email, password }
+  },
+  getUserById: { params: idParams }
+};
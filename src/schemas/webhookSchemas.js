@@ -0,0 +1,54 @@
+/**
+ * Esquemas de Webhooks
+ * ====================
+ * Validación de las rutas de webhookRoutes (ver middlewares/validate).
+ */
+
+const { WEBHOOK_EVENTS } = require('../services/webhookService');
+const { id, idParams } = require('./common');
+
+// Cantidad máxima de entregas que devuelve el log
+const MAX_DELIVERIES = 100;
+
+// URL http(s) con host
+const HTTP_URL = /^https?:\/\/[^\s/?#]+[^\s]*$/i;
+
+/**
+ * Campos de un webhook
+ * @param {boolean} required - true al registrarlo (url y events obligatorios)
+ * @returns {Object} Esquema del body
+ */
+const webhookBody = (required) => ({
+  url: {
+    type: 'string',
+    required,
+    maxLength: 2000,
+    pattern: HTTP_URL,
+    messages: { invalid_format: 'url debe ser una URL http o https válida' }
+  },
+  events: {
+    type: 'array',
+    required,
+    minItems: 1,
+    items: { type: 'string', enum: ['*', ...WEBHOOK_EVENTS], messages: { invalid_enum: 'Evento desconocido' } },
+    messages: {
+      invalid_type: 'events debe ser un arreglo no vacío de eventos',
+      too_small: 'events debe ser un arreglo no vacío de eventos'
+    }
+  },
+  secret: { type: 'string', notEmpty: true, maxLength: 200 },
+  active: { type: 'boolean' }
+});
+
+module.exports = {
+  MAX_DELIVERIES,
+  createWebhook: { body: webhookBody(true) },
+  getWebhookById: { params: idParams },
+  updateWebhook: { params: idParams, body: webhookBody(false) },
+  deleteWebhook: { params: idParams },
+  getWebhookDeliveries: {
+    params: idParams,
+    query: { limit: { type: 'integer', min: 1, max: MAX_DELIVERIES } }
+  },
+  redeliverWebhook: { params: { id, deliveryId: id } }
+};
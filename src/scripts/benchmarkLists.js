@@ -0,0 +1,183 @@
+/**
+ * Benchmark de los listados
+ * =========================
+ * Uso: REDIS_URL=redis://localhost:6379/15 npm run bench:lists
+ *
+ * Carga en una base de Redis VACÍA 10.000 tareas (BENCH_TASKS), 200 etiquetas
+ * y 10 prioridades, y mide la latencia de:
+ *   - una página de 100 tareas, como GET /api/tasks?limit=100
+ *   - todas las tareas (Hashes y relaciones)
+ *   - todas las etiquetas, como GET /api/tags
+ * leyendo una clave por vez (como antes: N+1 idas y vueltas), en lote (con
+ * las lecturas lanzadas juntas en un pipeline) y, para los listados, desde la
+ * caché (ver listCache). Se niega a correr si la base tiene datos y la vacía
+ * con FLUSHDB al terminar.
+ */
+
+// La caché de listados debe estar activa para medirla
+process.env.LIST_CACHE_TTL_SECONDS = process.env.LIST_CACHE_TTL_SECONDS || '60';
+
+const { client, connectRedis } = require('../config/redis');
+const { queryTaskKeys } = require('../services/taskIndexes');
+const { formatTask, buildTaskResponses, createTaskRecord } = require('../services/taskService');
+const { userTasksKey, findTasksByKeys } = require('../repositories/taskRepository');
+const { TAG_SET, insertTag, findAllTags } = require('../repositories/tagRepository');
+const { insertPriority } = require('../repositories/priorityRepository');
+const { readThroughList } = require('../services/listCache');
+
+const TASKS = parseInt(process.env.BENCH_TASKS, 10) || 10000;
+const TAGS = 200;
+const PRIORITIES = 10;
+const PAGE_SIZE = 100;
+const ITERATIONS = parseInt(process.env.BENCH_ITERATIONS, 10) || 20;
+
+// Tareas que se crean a la vez durante la carga
+const SEED_BATCH = 200;
+
+const OWNER_ID = '1';
+
+/**
+ * Carga los datos del benchmark
+ * @returns {Promise<void>}
+ */
+const seed = async () => {
+  for (let order = 1; order <= PRIORITIES; order++) {
+    await insertPriority({ name: `Prioridad ${order}`, color: '#000000', order });
+  }
+  for (let i = 1; i <= TAGS; i++) {
+    await insertTag({ name: `Etiqueta ${i}` });
+  }
+
+  const status = { name: 'pendiente', closed: false };
+  for (let start = 0; start < TASKS; start += SEED_BATCH) {
+    const batch = [];
+    for (let i = start; i < Math.min(start + SEED_BATCH, TASKS); i++) {
+      batch.push(createTaskRecord({
+        ownerId: OWNER_ID,
+        title: `Tarea ${i + 1}`,
+        description: 'Tarea generada por el benchmark',
+        status,
+        priorityId: String((i % PRIORITIES) + 1),
+        tagIds: [String((i % TAGS) + 1), String(((i + 7) % TAGS) + 1)]
+      }));
+    }
+    await Promise.all(batch);
+    process.stdout.write(`\rCargando tareas: ${Math.min(start + SEED_BATCH, TASKS)}/${TASKS}`);
+  }
+  process.stdout.write('\n');
+};
+
+/**
+ * Lee las tareas una clave por vez, como lo hacían los listados antes de
+ * agrupar las lecturas (referencia para comparar)
+ * @param {Array<string>} keys - Claves task:{id}
+ * @returns {Promise<Array<Object>>}
+ */
+const loadTasksOneByOne = async (keys) => {
+  const tasks = [];
+  for (const key of keys) {
+    const data = await client.hGetAll(key);
+    const priority = data.priorityId ? await client.hGetAll(`priority:${data.priorityId}`) : null;
+    const tags = [];
+    for (const tagId of await client.sMembers(`taskTags:${data.id}`)) {
+      tags.push(await client.hGetAll(`tag:${tagId}`));
+    }
+    tasks.push({ ...formatTask(data), priority, tags });
+  }
+  return tasks;
+};
+
+/**
+ * Lee las tareas en lote, como lo hacen ahora los listados
+ * @param {Array<string>} keys - Claves task:{id}
+ * @returns {Promise<Array<Object>>}
+ */
+const loadTasksBatched = async (keys) => buildTaskResponses(await findTasksByKeys(keys));
+
+const loadTagsOneByOne = async () => {
+  const tags = [];
+  for (const key of await client.sMembers(TAG_SET)) {
+    tags.push(await client.hGetAll(key));
+  }
+  return tags;
+};
+
+// Lee las etiquetas en lote, como lo hace ahora el listado
+const loadTagsBatched = findAllTags;
+
+const firstPageKeys = async () => (await queryTaskKeys({
+  sets: [userTasksKey(OWNER_ID)],
+  sort: 'created',
+  descending: true,
+  offset: 0,
+  limit: PAGE_SIZE
+})).keys;
+
+/**
+ * Mide una función varias veces (después de una ejecución de calentamiento)
+ * @param {Function} fn - async () => *
+ * @param {number} iterations - Cantidad de mediciones
+ * @returns {Promise<{ median: number, p95: number }>} Milisegundos
+ */
+const measure = async (fn, iterations) => {
+  await fn();
+  const times = [];
+  for (let i = 0; i < iterations; i++) {
+    const start = process.hrtime.bigint();
+    await fn();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  times.sort((a, b) => a - b);
+  return {
+    median: times[Math.floor(times.length / 2)],
+    p95: times[Math.min(times.length - 1, Math.ceil(times.length * 0.95) - 1)]
+  };
+};
+
+const run = async () => {
+  await connectRedis();
+  if (await client.dbSize() > 0) {
+    throw new Error('La base de Redis no está vacía; usa una base descartable (p. ej. redis://localhost:6379/15)');
+  }
+
+  try {
+    await seed();
+
+    const allKeys = await client.sMembers(userTasksKey(OWNER_ID));
+    const pageLoad = async () => loadTasksBatched(await firstPageKeys());
+    const pageScope = { list: 'tasks', userId: OWNER_ID, params: { limit: PAGE_SIZE } };
+    const scenarios = [
+      [`Página de ${PAGE_SIZE} tareas`, [
+        ['una por vez', async () => loadTasksOneByOne(await firstPageKeys()), ITERATIONS],
+        ['en lote', pageLoad, ITERATIONS],
+        ['caché', () => readThroughList(pageScope, pageLoad), ITERATIONS]
+      ]],
+      [`Todas las tareas (${TASKS})`, [
+        ['una por vez', () => loadTasksOneByOne(allKeys), 3],
+        ['en lote', () => loadTasksBatched(allKeys), 3]
+      ]],
+      [`Etiquetas (${TAGS})`, [
+        ['una por vez', loadTagsOneByOne, ITERATIONS],
+        ['en lote', loadTagsBatched, ITERATIONS],
+        ['caché', () => readThroughList({ list: 'tags' }, loadTagsBatched), ITERATIONS]
+      ]]
+    ];
+
+    for (const [title, variants] of scenarios) {
+      console.log(`\n${title}`);
+      for (const [name, fn, iterations] of variants) {
+        const { median, p95 } = await measure(fn, iterations);
+        const format = (ms) => `${ms.toFixed(1).padStart(9)} ms`;
+        console.log(`  ${name.padEnd(12)} mediana ${format(median)}   p95 ${format(p95)}`);
+      }
+    }
+  } finally {
+    await client.flushDb();
+  }
+  await client.quit();
+};
+
+run().catch((error) => {
+  console.error('Error en el benchmark:', error);
+  process.exit(1);
+});
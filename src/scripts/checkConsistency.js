@@ -0,0 +1,35 @@
+/**
+ * Verifica la consistencia entre los Hashes y sus índices
+ * =======================================================
+ * Uso: npm run consistency:check              (sólo reporta)
+ *      npm run consistency:check -- --repair  (además repara)
+ *
+ * Termina con código 1 si quedan inconsistencias sin reparar, para poder
+ * usarlo en tareas programadas.
+ */
+
+const { client, connectRedis } = require('../config/redis');
+const { checkConsistency } = require('../services/consistencyCheck');
+
+const run = async () => {
+  const repair = process.argv.includes('--repair');
+
+  await connectRedis();
+  const { scanned, issues } = await checkConsistency({ repair });
+
+  const totals = Object.entries(scanned).map(([type, count]) => `${count} ${type}`).join(', ');
+  console.log(`Revisados: ${totals}`);
+  for (const issue of issues) {
+    console.log(`${issue.repaired ? '[reparado]' : '[pendiente]'} ${issue.type}: ${issue.message}`);
+  }
+
+  const pending = issues.filter((issue) => !issue.repaired).length;
+  console.log(issues.length === 0 ? 'Sin inconsistencias' : `${issues.length} inconsistencia(s), ${pending} pendiente(s)`);
+  await client.quit();
+  if (pending > 0) process.exitCode = 1;
+};
+
+run().catch((error) => {
+  console.error('Error al verificar la consistencia:', error);
+  process.exit(1);
+});
@@ -0,0 +1,23 @@
+/**
+ * Reconstruye el índice de búsqueda de tareas
+ * ===========================================
+ * Uso: npm run search:rebuild
+ *
+ * Útil para indexar tareas creadas antes de existir la búsqueda o para
+ * reparar el índice si quedó inconsistente.
+ */
+
+const { client, connectRedis } = require('../config/redis');
+const { rebuildSearchIndex } = require('../services/searchIndex');
+
+const run = async () => {
+  await connectRedis();
+  const indexed = await rebuildSearchIndex();
+  console.log(`Índice de búsqueda reconstruido: ${indexed} tarea(s) indexada(s)`);
+  await client.quit();
+};
+
+run().catch((error) => {
+  console.error('Error al reconstruir el índice de búsqueda:', error);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+/**
+ * Historial de Actividad
+ * ======================
+ * Registra cada alta, modificación y baja de tareas, etiquetas, prioridades
+ * y estados en un Redis Stream por entidad:
+ *   history:{tipo}:{id} => entradas { action, actor, at, changes }
+ *
+ * `changes` es un JSON con el diff por campo: { campo: { from, to } }.
+ * Los IDs de las entradas (generados por XADD) sirven como cursor de paginación.
+ */
+
+const { client } = require('../config/redis');
+
+const historyKey = (entity, id) => `history:${entity}:${id}`;
+
+/**
+ * Calcula el diff entre dos versiones de una entidad
+ * @param {Object} before - Valores anteriores ({} en un alta)
+ * @param {Object} after - Valores nuevos ({} en una baja)
+ * @param {Array<string>} fields - Campos a comparar
+ * @returns {Object} { campo: { from, to } } sólo con los campos que cambiaron
+ */
+const diffFields = (before, after, fields) => {
+  const changes = {};
+  for (const field of fields) {
+    const from = before[field] === undefined || before[field] === '' ? null : before[field];
+    const to = after[field] === undefined || after[field] === '' ? null : after[field];
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Encola en una transacción una entrada del historial de una entidad
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} entry - Ver recordActivity
+ * @returns {boolean} false si una modificación no cambió nada (no se encoló)
+ */
+const queueActivity = (transaction, { entity, id, action, actor, before, after, fields }) => {
+  const changes = diffFields(before, after, fields);
+  if (action === 'updated' && Object.keys(changes).length === 0) return false;
+
+  transaction.xAdd(historyKey(entity, id), '*', {
+    action,
+    actor: actor ? actor.id : '',
+    at: new Date().toISOString(),
+    changes: JSON.stringify(changes)
+  });
+  return true;
+};
+
+/**
+ * Agrega una entrada al historial de una entidad
+ * @param {Object} entry
+ * @param {string} entry.entity - 'task' | 'tag' | 'priority' | 'status'
+ * @param {string} entry.id - ID de la entidad
+ * @param {string} entry.action - 'created' | 'updated' | 'deleted' | 'restored' | 'reminded'
+ * @param {Object} [entry.actor] - Usuario que hizo el cambio (req.user)
+ * @param {Object} entry.before - Valores anteriores
+ * @param {Object} entry.after - Valores nuevos
+ * @param {Array<string>} entry.fields - Campos que se auditan
+ * @returns {Promise<string|null>} ID de la entrada o null si una modificación no cambió nada
+ */
+const recordActivity = async (entry) => {
+  const transaction = client.multi();
+  if (!queueActivity(transaction, entry)) return null;
+  const [entryId] = await transaction.exec();
+  return entryId;
+};
+
+/**
+ * Obtiene el historial de una entidad, del más reciente al más antiguo
+ * @param {string} entity - 'task' | 'tag' | 'priority' | 'status'
+ * @param {string} id - ID de la entidad
+ * @param {Object} options
+ * @param {number} options.limit - Cantidad máxima de entradas
+ * @param {string} [options.cursor] - ID de la última entrada de la página anterior
+ * @returns {Promise<{ data: Array<Object>, nextCursor: string|null }>}
+ */
+const getHistory = async (entity, id, { limit, cursor }) => {
+  // "(" hace el límite exclusivo para no repetir la última entrada
+  const entries = await client.xRevRange(historyKey(entity, id), cursor ? `(${cursor}` : '+', '-', {
+    COUNT: limit
+  });
+
+  const data = entries.map(({ id: entryId, message }) => ({
+    id: entryId,
+    action: message.action,
+    actorId: message.actor || null,
+    at: message.at,
+    changes: JSON.parse(message.changes)
+  }));
+
+  return {
+    data,
+    nextCursor: data.length === limit ? data[data.length - 1].id : null
+  };
+};
+
+module.exports = {
+  diffFields,
+  queueActivity,
+  recordActivity,
+  getHistory
+};
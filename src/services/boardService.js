@@ -0,0 +1,412 @@
+/**
+ * Tableros Kanban de Proyectos
+ * ============================
+ * Cada proyecto tiene columnas ordenadas y cada tarea del proyecto ocupa una
+ * posición dentro de una columna (el Hash project:{id} está en projectRepository):
+ *   column:{id}               => { id, projectId, name }
+ *   projectColumns:{projectId} => Sorted Set con los IDs de sus columnas (score = posición)
+ *   columnTasks:{columnId}    => Sorted Set con las claves task:{id} (score = posición)
+ *   projectTasks:{projectId}  => Set con las claves task:{id} del proyecto
+ *   task:{id}.projectId / task:{id}.columnId
+ *
+ * Las posiciones son fraccionarias: mover un elemento le asigna el punto medio
+ * entre sus nuevos vecinos, sin reescribir el resto de la columna. Sólo cuando
+ * dos vecinos quedan sin espacio entre sí (tras muchas inserciones en el mismo
+ * lugar) se renumera esa columna, en la misma transacción que el movimiento.
+ */
+
+const { client } = require('../config/redis');
+const { findProjectById } = require('../repositories/projectRepository');
+const { findTasksByKeys } = require('../repositories/taskRepository');
+const { runIfMatch } = require('./versioning');
+const { queueListInvalidation } = require('./listCache');
+const { queueTaskIndex } = require('./taskIndexes');
+const { queueActivity } = require('./activityLog');
+
+const projectColumnsKey = (projectId) => `projectColumns:${projectId}`;
+const columnTasksKey = (columnId) => `columnTasks:${columnId}`;
+const projectTasksKey = (projectId) => `projectTasks:${projectId}`;
+
+// Distancia entre posiciones consecutivas al agregar al final o renumerar
+const POSITION_STEP = 1024;
+
+// Columnas que se crean si el proyecto no indica otras
+const DEFAULT_COLUMNS = ['Por hacer', 'En curso', 'Hecho'];
+
+/**
+ * Calcula la posición para un índice dado entre entradas ya ordenadas
+ * @param {Array<{ value: string, score: number }>} entries - Entradas del Sorted Set
+ * @param {number|undefined} index - Índice destino (0 = primero, undefined = al final)
+ * @returns {number|null} Score a asignar, o null si no queda precisión entre los vecinos
+ */
+const scoreAt = (entries, index) => {
+  const target = index === undefined ? entries.length : Math.min(Math.max(index, 0), entries.length);
+  const before = entries[target - 1];
+  const after = entries[target];
+
+  if (!before && !after) return POSITION_STEP;
+  if (!after) return before.score + POSITION_STEP;
+  if (!before) return after.score - POSITION_STEP;
+
+  const middle = (before.score + after.score) / 2;
+  return middle > before.score && middle < after.score ? middle : null;
+};
+
+/**
+ * Calcula la posición para ubicar un miembro al final de un Sorted Set de
+ * posiciones (al final siempre hay lugar, así que nunca hace falta renumerar)
+ * @param {string} key - Sorted Set de posiciones (columnas o tareas)
+ * @param {string} [member] - Miembro que se ubica (se ignora si ya estaba)
+ * @returns {Promise<number>} Score a asignar
+ */
+const positionAtEnd = async (key, member) => {
+  const entries = (await client.zRangeWithScores(key, 0, -1)).filter(({ value }) => value !== member);
+  return scoreAt(entries, undefined);
+};
+
+/**
+ * Calcula en una transacción la posición para ubicar un miembro en un índice
+ * dado. El Sorted Set se vigila antes de leerlo y, si no queda precisión
+ * entre los vecinos (tras muchas inserciones en el mismo lugar), la
+ * renumeración (0, STEP, 2*STEP...) se encola en la misma transacción.
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} isolated - Conexión de la transacción
+ * @param {string} key - Sorted Set de posiciones (columnas o tareas)
+ * @param {number|undefined} index - Índice destino (0 = primero, undefined = al final)
+ * @param {string} [member] - Miembro que se mueve (se ignora al buscar sus vecinos)
+ * @returns {Promise<number>} Score a asignar
+ */
+const queuePositionAt = async (transaction, isolated, key, index, member) => {
+  await isolated.watch(key);
+  const entries = (await isolated.zRangeWithScores(key, 0, -1)).filter(({ value }) => value !== member);
+  const score = scoreAt(entries, index);
+  if (score !== null) return score;
+
+  const renumbered = entries.map(({ value }, i) => ({ score: (i + 1) * POSITION_STEP, value }));
+  transaction.zAdd(key, renumbered);
+  return scoreAt(renumbered, index);
+};
+
+/**
+ * Convierte el Hash de Redis en la representación pública del proyecto
+ * @param {Object} data - Hash obtenido con hGetAll
+ * @returns {Object}
+ */
+const formatProject = (data) => ({
+  id: data.id,
+  name: data.name,
+  description: data.description,
+  ownerId: data.ownerId,
+  createdAt: data.createdAt,
+  updatedAt: data.updatedAt
+});
+
+/**
+ * Obtiene las columnas de un proyecto en orden
+ * @param {string} projectId - ID del proyecto
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+const getProjectColumns = async (projectId) => {
+  const columnIds = await client.zRange(projectColumnsKey(projectId), 0, -1);
+  const columns = [];
+  for (const columnId of columnIds) {
+    const data = await client.hGetAll(`column:${columnId}`);
+    if (data && data.id) {
+      columns.push({ id: data.id, name: data.name });
+    }
+  }
+  return columns;
+};
+
+/**
+ * Crea una columna al final (o en el índice indicado) de un proyecto. La
+ * columna y su posición se escriben en una transacción que vigila el
+ * proyecto y el orden de sus columnas.
+ * @param {string} projectId - ID del proyecto
+ * @param {string} name - Nombre de la columna
+ * @param {number} [index] - Posición destino
+ * @returns {Promise<{ error: { status: number, message: string } }|{ id: string, name: string }>}
+ */
+const createColumn = async (projectId, name, index) => {
+  const columnId = (await client.incr('columnIdCounter')).toString();
+  const result = await runIfMatch(`project:${projectId}`, undefined, async (transaction, project, isolated) => {
+    const score = await queuePositionAt(transaction, isolated, projectColumnsKey(projectId), index);
+    transaction.hSet(`column:${columnId}`, { id: columnId, projectId, name });
+    transaction.zAdd(projectColumnsKey(projectId), { score, value: columnId });
+  });
+  return result.error ? result : { id: columnId, name };
+};
+
+/**
+ * Obtiene una columna y verifica que pertenezca al proyecto
+ * @param {string} projectId - ID del proyecto
+ * @param {string} columnId - ID de la columna
+ * @returns {Promise<Object|null>} Hash de la columna o null si no existe en el proyecto
+ */
+const findColumn = async (projectId, columnId) => {
+  const column = await client.hGetAll(`column:${columnId}`);
+  return column && column.id && column.projectId === projectId ? column : null;
+};
+
+/**
+ * Renombra una columna o la cambia de lugar, en una transacción que vigila
+ * la columna y el orden de las columnas del proyecto
+ * @param {string} projectId - ID del proyecto
+ * @param {string} columnId - ID de la columna
+ * @param {Object} changes - { name, index } (undefined = sin cambio)
+ * @returns {Promise<{ error: { status: number, message: string } }|{}>}
+ */
+const updateColumn = async (projectId, columnId, { name, index }) => {
+  const columnKey = `column:${columnId}`;
+  const result = await runIfMatch(`project:${projectId}`, undefined, async (transaction, project, isolated) => {
+    if ((await isolated.hGet(columnKey, 'projectId')) !== projectId) {
+      return { error: { status: 404, message: 'Columna no encontrada' } };
+    }
+    if (name !== undefined) transaction.hSet(columnKey, 'name', name);
+    if (index !== undefined) {
+      const score = await queuePositionAt(transaction, isolated, projectColumnsKey(projectId), index, columnId);
+      transaction.zAdd(projectColumnsKey(projectId), { score, value: columnId });
+    }
+    return null;
+  }, { watch: [columnKey] });
+  return result.error ? result : {};
+};
+
+/**
+ * Cuenta las tareas de una columna
+ * @param {string} columnId - ID de la columna
+ * @returns {Promise<number>}
+ */
+const countColumnTasks = (columnId) => client.zCard(columnTasksKey(columnId));
+
+/**
+ * Elimina una columna (debe estar vacía) y la quita del proyecto
+ * @param {string} projectId - ID del proyecto
+ * @param {string} columnId - ID de la columna
+ */
+const deleteColumn = async (projectId, columnId) => {
+  await client.multi()
+    .del([`column:${columnId}`, columnTasksKey(columnId)])
+    .zRem(projectColumnsKey(projectId), columnId)
+    .exec();
+};
+
+/**
+ * Obtiene el tablero de un proyecto: sus columnas en orden y, en cada una,
+ * los Hashes de sus tareas en orden
+ * @param {string} projectId - ID del proyecto
+ * @returns {Promise<Array<{ id: string, name: string, tasks: Array<Object> }>>}
+ */
+const getProjectBoard = async (projectId) => {
+  const columns = [];
+  for (const column of await getProjectColumns(projectId)) {
+    const hashes = await findTasksByKeys(await client.zRange(columnTasksKey(column.id), 0, -1));
+    columns.push({ ...column, tasks: hashes.filter((data) => data && data.id) });
+  }
+  return columns;
+};
+
+/**
+ * Elimina las columnas de un proyecto y deja a sus tareas sin proyecto (se
+ * usa al borrarlo; las tareas no se borran)
+ * @param {Object} project - Hash del proyecto
+ */
+const clearProjectBoard = async (project) => {
+  const taskKeys = await client.sMembers(projectTasksKey(project.id));
+  const tasks = await findTasksByKeys(taskKeys);
+  const columnIds = await client.zRange(projectColumnsKey(project.id), 0, -1);
+
+  const transaction = client.multi();
+  for (const [index, data] of tasks.entries()) {
+    if (data && data.id) transaction.hSet(taskKeys[index], { projectId: '', columnId: '' });
+  }
+  transaction.del([
+    projectColumnsKey(project.id),
+    projectTasksKey(project.id),
+    ...columnIds.flatMap((columnId) => [`column:${columnId}`, columnTasksKey(columnId)])
+  ]);
+  // Sus tareas quedan sin proyecto: los listados cacheados del dueño ya no valen
+  queueListInvalidation(transaction, `project:${project.id}`, project);
+  await transaction.exec();
+};
+
+/**
+ * Valida el proyecto y la columna de una tarea
+ * @param {Object} placement - { projectId, columnId } tal como llegan en el body
+ * @param {string} ownerId - Dueño de la tarea
+ * @returns {Promise<{ error: string }|{ projectId: string, columnId: string }|{ projectId: '' }>}
+ *   Ubicación validada (columnId por defecto: la primera del proyecto)
+ */
+const resolvePlacement = async ({ projectId, columnId }, ownerId) => {
+  if (projectId === null || projectId === '') {
+    return columnId ? { error: 'columnId requiere un projectId' } : { projectId: '' };
+  }
+
+  const project = await findProjectById(projectId);
+  if (!project || project.ownerId !== ownerId) {
+    return { error: 'projectId debe ser un proyecto tuyo existente' };
+  }
+
+  if (columnId !== undefined && columnId !== null && columnId !== '') {
+    const column = await findColumn(project.id, columnId);
+    if (!column) {
+      return { error: `La columna ${columnId} no pertenece al proyecto ${project.id}` };
+    }
+    return { projectId: project.id, columnId: column.id };
+  }
+
+  const [firstColumnId] = await client.zRange(projectColumnsKey(project.id), 0, 0);
+  if (!firstColumnId) {
+    return { error: 'El proyecto no tiene columnas' };
+  }
+  return { projectId: project.id, columnId: firstColumnId };
+};
+
+/**
+ * Encola en una transacción la ubicación de una tarea en un proyecto y
+ * columna (al final), o su retiro del proyecto
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} data - Hash actual de la tarea
+ * @param {Object} placement - Resultado de resolvePlacement
+ * @returns {Promise<void>} Se resuelve con los comandos ya encolados (lee la columna destino)
+ */
+const queueTaskPlacement = async (transaction, data, placement) => {
+  const taskKey = `task:${data.id}`;
+  if (data.projectId === placement.projectId && data.columnId === placement.columnId) return;
+
+  const score = placement.projectId ? await positionAtEnd(columnTasksKey(placement.columnId), taskKey) : null;
+  if (data.columnId) transaction.zRem(columnTasksKey(data.columnId), taskKey);
+  if (data.projectId && data.projectId !== placement.projectId) {
+    transaction.sRem(projectTasksKey(data.projectId), taskKey);
+  }
+  if (placement.projectId) {
+    transaction.sAdd(projectTasksKey(placement.projectId), taskKey);
+    transaction.zAdd(columnTasksKey(placement.columnId), { score, value: taskKey });
+  }
+  transaction.hSet(taskKey, { projectId: placement.projectId, columnId: placement.columnId || '' });
+};
+
+/**
+ * Ubica una tarea en un proyecto y columna (al final), o la quita del proyecto
+ * @param {Object} data - Hash actual de la tarea
+ * @param {Object} placement - Resultado de resolvePlacement
+ * @returns {Promise<void>}
+ */
+const setTaskPlacement = async (data, placement) => {
+  const transaction = client.multi();
+  await queueTaskPlacement(transaction, data, placement);
+  await transaction.exec();
+};
+
+/**
+ * Mueve una tarea a otra columna (o dentro de la misma) si la versión de la
+ * tarea coincide con If-Match (ver versioning). La transacción vigila la
+ * tarea, la columna destino y su orden: la posición se calcula con las
+ * claves ya vigiladas, y el cambio de columna, la renumeración si hace
+ * falta, los índices y el historial se escriben juntos.
+ * @param {Object} data - Hash de la tarea (debe pertenecer a un proyecto)
+ * @param {string} columnId - Columna destino, del mismo proyecto
+ * @param {number} [index] - Posición destino dentro de la columna (por defecto, al final)
+ * @param {string} [ifMatch] - Header If-Match
+ * @param {Object} [actor] - Usuario que la mueve (para el historial)
+ * @returns {Promise<{ error: { status: number, message: string } }|{ data: Object, position: number }>}
+ *   Hash actualizado y nueva posición (score) de la tarea
+ */
+const moveTask = async (data, columnId, index, ifMatch, actor = null) => {
+  const taskKey = `task:${data.id}`;
+  let updated;
+  let score;
+
+  const result = await runIfMatch(taskKey, ifMatch, async (transaction, current, isolated) => {
+    if ((await isolated.hGet(`column:${columnId}`, 'projectId')) !== current.projectId) {
+      return { error: { status: 400, message: `La columna ${columnId} no pertenece al proyecto ${current.projectId}` } };
+    }
+    score = await queuePositionAt(transaction, isolated, columnTasksKey(columnId), index, taskKey);
+
+    // Quitar de la columna actual, agregar a la nueva y actualizar la tarea a la vez
+    if (current.columnId && current.columnId !== columnId) {
+      transaction.zRem(columnTasksKey(current.columnId), taskKey);
+    }
+    const fields = { columnId, updatedAt: new Date().toISOString() };
+    transaction.zAdd(columnTasksKey(columnId), { score, value: taskKey });
+    transaction.hSet(taskKey, fields);
+    transaction.hIncrBy(taskKey, 'version', 1);
+
+    updated = { ...current, ...fields, version: String(parseInt(current.version || '0', 10) + 1) };
+    await queueTaskIndex(transaction, updated, current);
+    queueActivity(transaction, {
+      entity: 'task',
+      id: current.id,
+      action: 'updated',
+      actor,
+      before: current,
+      after: updated,
+      fields: ['columnId']
+    });
+    return null;
+  }, { watch: [`column:${columnId}`] });
+
+  return result.error ? result : { data: updated, position: score };
+};
+
+/**
+ * Encola en una transacción la salida de una tarea de su proyecto y columna
+ * (se usa al borrarla)
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} data - Hash de la tarea
+ */
+const queueRemoveTaskFromBoard = (transaction, data) => {
+  if (data.columnId) transaction.zRem(columnTasksKey(data.columnId), `task:${data.id}`);
+  if (data.projectId) transaction.sRem(projectTasksKey(data.projectId), `task:${data.id}`);
+};
+
+/**
+ * Encola en la transacción que restaura una tarea de la papelera su vuelta a
+ * su proyecto: a su columna si todavía existe, si no a la primera; si el
+ * proyecto ya no existe queda fuera de todo proyecto. El proyecto, sus
+ * columnas y la columna destino se vigilan antes de leerlos.
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} data - Hash de la tarea
+ * @param {Object} isolated - Conexión de la transacción
+ * @returns {Promise<{ projectId: string, columnId: string }>} Ubicación que recupera
+ */
+const queueRestoreTaskToBoard = async (transaction, data, isolated) => {
+  if (!data.projectId) return { projectId: '', columnId: '' };
+
+  await isolated.watch([
+    `project:${data.projectId}`,
+    projectColumnsKey(data.projectId),
+    ...(data.columnId ? [`column:${data.columnId}`] : [])
+  ]);
+  let placement = await resolvePlacement(data, data.ownerId);
+  if (placement.error) placement = await resolvePlacement({ projectId: data.projectId }, data.ownerId);
+  if (placement.error) placement = { projectId: '' };
+  if (placement.columnId) await isolated.watch(columnTasksKey(placement.columnId));
+
+  // Se parte de una tarea sin ubicar para que vuelva a entrar en los índices
+  await queueTaskPlacement(transaction, { id: data.id, projectId: '', columnId: '' }, placement);
+  return { projectId: placement.projectId, columnId: placement.columnId || '' };
+};
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  projectColumnsKey,
+  columnTasksKey,
+  projectTasksKey,
+  queuePositionAt,
+  formatProject,
+  getProjectColumns,
+  createColumn,
+  findColumn,
+  updateColumn,
+  countColumnTasks,
+  deleteColumn,
+  getProjectBoard,
+  clearProjectBoard,
+  resolvePlacement,
+  queueTaskPlacement,
+  setTaskPlacement,
+  moveTask,
+  queueRemoveTaskFromBoard,
+  queueRestoreTaskToBoard
+};
@@ -0,0 +1,299 @@
+/**
+ * Calendario de Tareas (iCalendar)
+ * ================================
+ * Publica las tareas con dueAt de un usuario como un feed .ics al que se
+ * suscriben las aplicaciones de calendario. Como esas aplicaciones no envían
+ * la cabecera Authorization, cada feed tiene su propio token (revocable) que
+ * va en la URL:
+ *   calendarFeed:{token}       => { token, userId, name, type, projectId, tagId, status, createdAt }
+ *   userCalendarFeeds:{userId} => Set con los tokens del usuario
+ *
+ * El feed se genera en cada petición a partir de los Hashes de las tareas,
+ * así que refleja al instante los cambios hechos con la API. Cada tarea es
+ * un VEVENT (type 'event', en su dueAt) o un VTODO (type 'todo', con DUE y
+ * su estado), con UID estable task-{id}@redistaskflow y SEQUENCE = versión.
+ *
+ * También se pueden importar archivos .ics: cada VEVENT o VTODO crea una
+ * tarea (ver taskOperations) con su SUMMARY, DESCRIPTION, DUE/DTSTART y las
+ * etiquetas existentes que coincidan con sus CATEGORIES.
+ */
+
+const crypto = require('crypto');
+const { client } = require('../config/redis');
+const { queryTaskKeys, normalizeText } = require('./taskIndexes');
+const { getStatuses, findStatusByName, getClosedStatusNames } = require('./statusWorkflow');
+const { projectTasksKey } = require('./boardService');
+const { buildTaskResponses } = require('./taskService');
+const { userTasksKey, findTasksByKeys } = require('../repositories/taskRepository');
+const { TAG_SET } = require('../repositories/tagRepository');
+const { prepareCreate, applyCreate } = require('./taskOperations');
+const { RATE_LIMITS } = require('../config/rateLimits');
+const {
+  escapeText,
+  unescapeText,
+  formatDateTime,
+  formatCalendar,
+  parseCalendar,
+  parseDateValue
+} = require('../utils/icalendar');
+
+const FEED_TYPES = ['event', 'todo'];
+
+// Máximo de tareas por feed (las de dueAt más próximo) y de entradas por
+// importación: cada entrada cuenta como una escritura en RATE_LIMITS.taskWrites
+const MAX_FEED_TASKS = 1000;
+const MAX_IMPORT_ENTRIES = Math.min(500, RATE_LIMITS.taskWrites.limit);
+
+const feedKey = (token) => `calendarFeed:${token}`;
+const userFeedsKey = (userId) => `userCalendarFeeds:${userId}`;
+
+/**
+ * Convierte el Hash de un feed en su representación pública
+ * @param {Object} data - Hash del feed
+ * @returns {Object}
+ */
+const formatFeed = (data) => ({
+  token: data.token,
+  name: data.name,
+  type: data.type,
+  projectId: data.projectId || null,
+  tagId: data.tagId || null,
+  status: data.status || null,
+  createdAt: data.createdAt
+});
+
+/**
+ * Crea un feed con sus filtros
+ * @param {string} userId - Dueño del feed
+ * @param {Object} options - { name, type, projectId, tagId, status } (todos opcionales)
+ * @returns {Promise<{ error: string }|{ feed: Object }>}
+ */
+const createFeed = async (userId, { name = 'Tareas', type = 'event', projectId, tagId, status }) => {
+  if (!FEED_TYPES.includes(type)) {
+    return { error: `type debe ser uno de: ${FEED_TYPES.join(', ')}` };
+  }
+  if (projectId && (await client.hGet(`project:${projectId}`, 'ownerId')) !== userId) {
+    return { error: `El proyecto ${projectId} no existe` };
+  }
+  if (tagId && !(await client.hGet(`tag:${tagId}`, 'id'))) {
+    return { error: `La etiqueta ${tagId} no existe` };
+  }
+  let statusName = '';
+  if (status) {
+    const found = await findStatusByName(status);
+    if (!found) return { error: `Estado desconocido: ${status}` };
+    statusName = found.name;
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const data = {
+    token,
+    userId,
+    name: String(name),
+    type,
+    projectId: projectId ? String(projectId) : '',
+    tagId: tagId ? String(tagId) : '',
+    status: statusName,
+    createdAt: new Date().toISOString()
+  };
+  await client.multi()
+    .hSet(feedKey(token), data)
+    .sAdd(userFeedsKey(userId), token)
+    .exec();
+  return { feed: formatFeed(data) };
+};
+
+/**
+ * Lista los feeds de un usuario
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>} Ordenados por fecha de creación
+ */
+const listFeeds = async (userId) => {
+  const feeds = [];
+  for (const token of await client.sMembers(userFeedsKey(userId))) {
+    const data = await client.hGetAll(feedKey(token));
+    if (data && data.token) feeds.push(formatFeed(data));
+  }
+  return feeds.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Obtiene un feed por su token
+ * @param {string} token
+ * @returns {Promise<Object|null>} Hash del feed o null si no existe o fue revocado
+ */
+const getFeed = async (token) => {
+  const data = await client.hGetAll(feedKey(token));
+  return data && data.token ? data : null;
+};
+
+/**
+ * Revoca un feed: su URL deja de funcionar de inmediato
+ * @param {string} userId - Usuario autenticado (sólo puede revocar los suyos)
+ * @param {string} token
+ * @returns {Promise<boolean>} false si el feed no existe o no es del usuario
+ */
+const revokeFeed = async (userId, token) => {
+  if (!(await client.sIsMember(userFeedsKey(userId), token))) return false;
+  await client.multi()
+    .del(feedKey(token))
+    .sRem(userFeedsKey(userId), token)
+    .exec();
+  return true;
+};
+
+/**
+ * Genera el VEVENT o VTODO de una tarea
+ * @param {Object} task - Tarea formateada (buildTaskResponses)
+ * @param {string} type - 'event' | 'todo'
+ * @param {Array<string>} closedStatuses - Nombres de los estados cerrados
+ * @returns {{ type: string, properties: Array<Array<string>> }}
+ */
+const taskComponent = (task, type, closedStatuses) => {
+  const due = formatDateTime(task.dueAt);
+  const properties = [
+    ['UID', `task-${task.id}@redistaskflow`],
+    ['DTSTAMP', formatDateTime(task.updatedAt)],
+    ['CREATED', formatDateTime(task.createdAt)],
+    ['LAST-MODIFIED', formatDateTime(task.updatedAt)],
+    ['SEQUENCE', String(task.version)],
+    ['SUMMARY', escapeText(task.title)],
+    ['DESCRIPTION', escapeText(task.description)],
+    ['CATEGORIES', task.tags.map((tag) => escapeText(tag.name)).join(',')]
+  ];
+
+  if (type === 'todo') {
+    const closed = closedStatuses.includes(task.status);
+    properties.push(
+      ['DUE', due],
+      ['STATUS', closed ? 'COMPLETED' : 'NEEDS-ACTION'],
+      ['COMPLETED', closed && task.completedAt ? formatDateTime(task.completedAt) : '']
+    );
+    return { type: 'VTODO', properties };
+  }
+
+  // Sin DTEND, un VEVENT con hora termina en el mismo instante en que empieza
+  properties.push(['DTSTART', due], ['X-REDISTASKFLOW-STATUS', escapeText(task.status)]);
+  return { type: 'VEVENT', properties };
+};
+
+/**
+ * Genera el calendario de un feed con las tareas que cumplen sus filtros
+ * @param {Object} feed - Hash del feed
+ * @returns {Promise<string>} Contenido .ics
+ */
+const renderFeed = async (feed) => {
+  const sets = [userTasksKey(feed.userId)];
+  if (feed.projectId) sets.push(projectTasksKey(feed.projectId));
+  if (feed.tagId) sets.push(`tagTasks:${feed.tagId}`);
+  if (feed.status) sets.push(`tasksByStatus:${feed.status}`);
+
+  const { keys } = await queryTaskKeys({
+    sets,
+    sort: 'due',
+    descending: false,
+    offset: 0,
+    limit: MAX_FEED_TASKS,
+    // Las tareas sin fecha tienen score +inf y no van al calendario
+    max: Number.MAX_SAFE_INTEGER
+  });
+
+  // Las tareas y sus relaciones se leen todas juntas, y los estados una sola vez por feed
+  const hashes = (await findTasksByKeys(keys)).filter((data) => data.id && data.dueAt);
+  const tasks = await buildTaskResponses(hashes);
+  const closedStatuses = await getClosedStatusNames();
+  const components = tasks.map((task) => taskComponent(task, feed.type, closedStatuses));
+
+  return formatCalendar({
+    properties: [
+      ['VERSION', '2.0'],
+      ['PRODID', '-//RedisTaskFlow//Tareas//ES'],
+      ['CALSCALE', 'GREGORIAN'],
+      ['METHOD', 'PUBLISH'],
+      ['X-WR-CALNAME', escapeText(feed.name)],
+      ['REFRESH-INTERVAL;VALUE=DURATION', 'PT15M']
+    ],
+    components
+  });
+};
+
+/**
+ * Obtiene el primer valor de texto de una propiedad
+ * @param {Object} properties - Propiedades del componente (parseCalendar)
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+const textOf = (properties, name) => (properties[name] ? unescapeText(properties[name][0].value) : undefined);
+
+/**
+ * Crea tareas a partir de los VEVENT y VTODO de un archivo .ics
+ * @param {Object} user - Usuario autenticado (dueño de las tareas)
+ * @param {string} text - Contenido del archivo
+ * @param {Object} [options] - { projectId } para ubicar las tareas en un proyecto
+ * @returns {Promise<{ error: string }|{ summary: Object, results: Array<Object> }>}
+ *   results: [{ index, uid, status, id | error }] (status 201 o el error que daría POST /api/tasks)
+ */
+const importCalendar = async (user, text, { projectId } = {}) => {
+  const parsed = parseCalendar(text);
+  if (parsed.error) return parsed;
+
+  const entries = parsed.components.filter(({ type }) => type === 'VEVENT' || type === 'VTODO');
+  if (entries.length > MAX_IMPORT_ENTRIES) {
+    return { error: `Un archivo admite como máximo ${MAX_IMPORT_ENTRIES} eventos o tareas` };
+  }
+
+  // Las CATEGORIES se asocian con las etiquetas existentes del mismo nombre
+  const tagIdsByName = new Map();
+  for (const key of await client.sMembers(TAG_SET)) {
+    const [id, name] = await client.hmGet(key, ['id', 'name']);
+    if (id) tagIdsByName.set(normalizeText(name), id);
+  }
+  const closedStatus = (await getStatuses()).find((status) => status.closed);
+
+  const results = [];
+  for (const [index, { type, properties }] of entries.entries()) {
+    const uid = textOf(properties, 'UID') || null;
+    const dateProperty = (properties.DUE || properties.DTSTART || [])[0];
+    const dueAt = dateProperty ? parseDateValue(dateProperty) : null;
+    if (dateProperty && !dueAt) {
+      results.push({ index, uid, status: 400, error: `Fecha inválida o zona horaria desconocida: ${dateProperty.value}` });
+      continue;
+    }
+
+    const categories = (properties.CATEGORIES || [])
+      .flatMap(({ value }) => value.split(/(?<!\\),/).map(unescapeText));
+    const tagIds = [...new Set(categories
+      .map((category) => tagIdsByName.get(normalizeText(category.trim())))
+      .filter(Boolean))];
+    const completed = type === 'VTODO' && (textOf(properties, 'STATUS') || '').toUpperCase() === 'COMPLETED';
+
+    const prepared = await prepareCreate(user, {
+      title: textOf(properties, 'SUMMARY'),
+      description: textOf(properties, 'DESCRIPTION') || '',
+      status: completed && closedStatus ? closedStatus.name : undefined,
+      tagIds,
+      dueAt: dueAt ? dueAt.iso : undefined,
+      projectId
+    });
+    if (prepared.error) {
+      results.push({ index, uid, status: prepared.error.status, error: prepared.error.message });
+      continue;
+    }
+
+    const task = await applyCreate(prepared);
+    results.push({ index, uid, status: 201, id: task.id });
+  }
+
+  const created = results.filter((result) => result.status === 201).length;
+  return { summary: { created, failed: results.length - created }, results };
+};
+
+module.exports = {
+  FEED_TYPES,
+  createFeed,
+  listFeeds,
+  getFeed,
+  revokeFeed,
+  renderFeed,
+  importCalendar
+};
@@ -0,0 +1,35 @@
+/**
+ * Comentarios de Tareas
+ * =====================
+ * Reglas y formato público de los comentarios; su almacenamiento
+ * (comment:{id} y el índice taskComments:{taskId}) está en commentRepository.
+ */
+
+const { client } = require('../config/redis');
+
+// Longitud máxima del texto de un comentario
+const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Construye la representación pública de un comentario, con su autor
+ * @param {Object} data - Hash del comentario
+ * @returns {Promise<Object>}
+ */
+const buildCommentResponse = async (data) => {
+  const name = await client.hGet(`user:${data.authorId}`, 'name');
+  return {
+    id: data.id,
+    taskId: data.taskId,
+    author: { id: data.authorId, name },
+    body: data.body,
+    edited: Boolean(data.editedAt),
+    editedAt: data.editedAt || null,
+    createdAt: data.createdAt,
+    updatedAt: data.updatedAt
+  };
+};
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  buildCommentResponse
+};
@@ -0,0 +1,203 @@
+/**
+ * Verificación de Consistencia
+ * ============================
+ * Las altas y bajas escriben el Hash y sus Sets índice en una transacción,
+ * pero los datos anteriores (o una caída a mitad de un proceso) pueden haber
+ * dejado restos. Este servicio recorre con SCAN las entidades y sus índices:
+ *   task:*, tag:*, priority:*  contra taskIdsSet, tagIdsSet, priorityIdsSet
+ *                              (y las tareas contra userTasks:{ownerId})
+ *   user:*                     contra userByEmail:{email}
+ * y reporta cada inconsistencia:
+ *   incomplete_hash - Hash sin campo id (quedó a medio escribir)      -> se borra
+ *   orphan_hash     - Hash que no figura en su índice                 -> se agrega al índice
+ *                     (una tarea se vuelve a indexar también para los
+ *                     listados y la búsqueda)
+ *   dangling_member - Miembro de un índice cuyo Hash no existe        -> se quita del índice
+ *   dangling_index  - userByEmail:{email} que apunta a otro usuario o
+ *                     a uno inexistente                               -> se borra
+ *   email_conflict  - Dos usuarios con el mismo email                 -> sólo se reporta
+ *
+ * Con repair=true se aplica la reparación indicada (salvo email_conflict,
+ * que requiere decidir a mano qué cuenta conservar).
+ */
+
+const { client } = require('../config/redis');
+const { TASK_SET, userTasksKey } = require('../repositories/taskRepository');
+const { TAG_SET } = require('../repositories/tagRepository');
+const { PRIORITY_SET } = require('../repositories/priorityRepository');
+const { queueTaskIndex } = require('./taskIndexes');
+const { queueTaskSearch, pruneSearchTerms } = require('./searchIndex');
+
+// Entidades con un Set índice global (ver los repositorios)
+const INDEXED_ENTITIES = [
+  { type: 'task', prefix: 'task', set: TASK_SET },
+  { type: 'tag', prefix: 'tag', set: TAG_SET },
+  { type: 'priority', prefix: 'priority', set: PRIORITY_SET }
+];
+
+const SCAN_COUNT = 100;
+
+/**
+ * Obtiene las claves {prefix}:{id} con SCAN (sin bloquear Redis como KEYS)
+ * @param {string} prefix - p. ej. 'task'
+ * @returns {Promise<Array<string>>}
+ */
+const scanEntityKeys = async (prefix) => {
+  const keys = [];
+  const entityKey = new RegExp(`^${prefix}:\\d+$`);
+  for await (const key of client.scanIterator({ MATCH: `${prefix}:*`, COUNT: SCAN_COUNT })) {
+    if (entityKey.test(key)) keys.push(key);
+  }
+  return keys;
+};
+
+/**
+ * Obtiene todas las claves que coinciden con un patrón
+ * @param {string} pattern - Patrón de SCAN (p. ej. 'userTasks:*')
+ * @returns {Promise<Array<string>>}
+ */
+const scanKeys = async (pattern) => {
+  const keys = [];
+  for await (const key of client.scanIterator({ MATCH: pattern, COUNT: SCAN_COUNT })) {
+    keys.push(key);
+  }
+  return keys;
+};
+
+/**
+ * Vuelve a agregar una tarea al Set índice del que faltaba y, en la misma
+ * transacción, a los índices de listado y de búsqueda, que pudieron quedar
+ * igual de incompletos
+ * @param {string} key - Clave task:{id}
+ * @param {string} index - Set índice del que faltaba
+ * @param {Object} data - Hash de la tarea
+ */
+const reindexOrphanTask = async (key, index, data) => {
+  const transaction = client.multi().sAdd(index, key);
+  await queueTaskIndex(transaction, data);
+  const terms = await queueTaskSearch(transaction, data);
+  await transaction.exec();
+  await pruneSearchTerms(terms);
+};
+
+/**
+ * Revisa las entidades e índices y, opcionalmente, repara lo que encuentre
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=false] - Aplicar las reparaciones
+ * @returns {Promise<{ scanned: Object, issues: Array<Object>, repaired: boolean }>}
+ *   issues: [{ type, key, index, message, repaired }]
+ */
+const checkConsistency = async ({ repair = false } = {}) => {
+  const scanned = {};
+  const issues = [];
+
+  /**
+   * Registra una inconsistencia y, si corresponde, ejecuta su reparación
+   * @param {Object} issue - { type, key, index, message }
+   * @param {Function|null} fix - Reparación (null si no se repara automáticamente)
+   */
+  const report = async (issue, fix) => {
+    const repaired = Boolean(repair && fix);
+    if (repaired) await fix();
+    issues.push({ index: null, ...issue, repaired });
+  };
+
+  for (const { type, prefix, set } of INDEXED_ENTITIES) {
+    const keys = await scanEntityKeys(prefix);
+    scanned[type] = keys.length;
+
+    for (const key of keys) {
+      const data = await client.hGetAll(key);
+      if (!data.id) {
+        await report(
+          { type: 'incomplete_hash', key, message: `${key} no tiene campo id` },
+          () => client.del(key)
+        );
+        continue;
+      }
+
+      const indexes = [set];
+      if (type === 'task' && data.ownerId) indexes.push(userTasksKey(data.ownerId));
+      for (const index of indexes) {
+        if (!(await client.sIsMember(index, key))) {
+          await report(
+            { type: 'orphan_hash', key, index, message: `${key} no figura en ${index}` },
+            () => (type === 'task' ? reindexOrphanTask(key, index, data) : client.sAdd(index, key))
+          );
+        }
+      }
+    }
+
+    for (const member of await client.sMembers(set)) {
+      if (!(await client.hGet(member, 'id'))) {
+        await report(
+          { type: 'dangling_member', key: member, index: set, message: `${set} contiene ${member}, que no existe` },
+          () => client.sRem(set, member)
+        );
+      }
+    }
+  }
+
+  // Sets de tareas por usuario: cada miembro debe existir y pertenecer al usuario
+  for (const index of await scanKeys('userTasks:*')) {
+    const userId = index.slice('userTasks:'.length);
+    for (const member of await client.sMembers(index)) {
+      if ((await client.hGet(member, 'ownerId')) !== userId) {
+        await report(
+          { type: 'dangling_member', key: member, index, message: `${index} contiene ${member}, que no es del usuario` },
+          () => client.sRem(index, member)
+        );
+      }
+    }
+  }
+
+  // Usuarios e índice email -> id
+  const userKeys = await scanEntityKeys('user');
+  scanned.user = userKeys.length;
+  for (const key of userKeys) {
+    const data = await client.hGetAll(key);
+    if (!data.id || !data.email) {
+      await report(
+        { type: 'incomplete_hash', key, message: `${key} no tiene id o email` },
+        () => client.del(key)
+      );
+      continue;
+    }
+
+    const index = `userByEmail:${data.email}`;
+    const indexedId = await client.get(index);
+    if (indexedId === data.id) continue;
+
+    if (indexedId && (await client.hGet(`user:${indexedId}`, 'email')) === data.email) {
+      await report(
+        { type: 'email_conflict', key, index, message: `${key} y user:${indexedId} tienen el mismo email` },
+        null
+      );
+    } else {
+      await report(
+        { type: 'orphan_hash', key, index, message: `${index} no apunta a ${key}` },
+        () => client.set(index, data.id)
+      );
+    }
+  }
+
+  for (const index of await scanKeys('userByEmail:*')) {
+    const email = index.slice('userByEmail:'.length);
+    const userId = await client.get(index);
+    // Los índices que otro usuario reclama ya se reportaron como orphan_hash
+    if (issues.some((issue) => issue.index === index)) continue;
+    if ((await client.hGet(`user:${userId}`, 'email')) !== email) {
+      await report(
+        { type: 'dangling_index', key: index, message: `${index} apunta a user:${userId}, que no existe o tiene otro email` },
+        () => client.del(index)
+      );
+    }
+  }
+
+  return { scanned, issues, repaired: repair };
+};
+
+module.exports = {
+  scanEntityKeys,
+  checkConsistency
+};
@@ -0,0 +1,472 @@
+/**
+ * Exportación e Importación de Datos
+ * ==================================
+ * Vuelca usuarios (sin el hash de la contraseña), prioridades, etiquetas y
+ * tareas con sus relaciones (prioridad, etiquetas, tarea padre y bloqueos) a
+ * un documento JSON o a un CSV, y los vuelve a cargar desde esos formatos.
+ *
+ * Los IDs del documento sólo sirven para relacionar sus registros entre sí:
+ * al importar se piden IDs nuevos a los contadores (userIdCounter,
+ * priorityIdCounter, tagIdCounter, taskIdCounter), así que se puede importar
+ * sobre una base con datos. Los usuarios cuyo email ya existe, y las
+ * prioridades y etiquetas con un nombre que ya existe, se fusionan con los
+ * existentes en lugar de duplicarse. Los usuarios nuevos se crean sin
+ * contraseña (no pueden iniciar sesión hasta que se les asigne una).
+ * Proyectos, series, comentarios e historial no se exportan.
+ *
+ * La importación se hace en dos pasos: planImport valida el documento
+ * completo sin escribir nada y calcula el resumen (el dry-run), y
+ * commitImport aplica el plan.
+ */
+
+const { client } = require('../config/redis');
+const { getTaskTagIds } = require('./taskRelations');
+const { resolveTransition } = require('./statusWorkflow');
+const { addDependency, getBlockerIds } = require('./taskGraph');
+const { queueActivity } = require('./activityLog');
+const { publishEvent } = require('./eventBus');
+const { scanEntityKeys } = require('./consistencyCheck');
+const { createTaskRecord } = require('./taskService');
+const { TASK_SET } = require('../repositories/taskRepository');
+const { insertUser, findUserByEmail } = require('../repositories/userRepository');
+const { TAG_SET, insertTag } = require('../repositories/tagRepository');
+const { PRIORITY_SET, insertPriority } = require('../repositories/priorityRepository');
+const { parseDateTime } = require('../utils/dateTime');
+const { formatCsv, parseCsv } = require('../utils/csv');
+
+const FORMAT_VERSION = 1;
+
+// Columnas del CSV: una fila por registro, con la columna entity indicando su tipo
+const CSV_COLUMNS = [
+  'entity', 'id', 'name', 'email', 'color', 'order', 'ownerId', 'title', 'description', 'status',
+  'priorityId', 'tagIds', 'parentId', 'blockedBy', 'dueAt', 'remindAt', 'completedAt', 'createdAt', 'updatedAt'
+];
+
+// Campos de tipo lista, separados por ';' en el CSV
+const CSV_LIST_FIELDS = ['tagIds', 'blockedBy'];
+
+// Colección del documento que corresponde a cada valor de entity en el CSV
+const CSV_ENTITIES = { user: 'users', priority: 'priorities', tag: 'tags', task: 'tasks' };
+
+const TASK_DATE_FIELDS = ['dueAt', 'remindAt', 'completedAt', 'createdAt', 'updatedAt'];
+
+/**
+ * Carga los Hashes de las claves indicadas, ordenados por ID
+ * @param {Array<string>} keys - Claves {prefijo}:{id}
+ * @returns {Promise<Array<Object>>}
+ */
+const loadHashes = async (keys) => {
+  const hashes = await Promise.all(keys.map((key) => client.hGetAll(key)));
+  return hashes.filter((data) => data && data.id).sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Genera el documento de exportación con todos los datos
+ * @returns {Promise<Object>} { format, version, exportedAt, users, priorities, tags, tasks }
+ */
+const exportData = async () => {
+  const users = await loadHashes(await scanEntityKeys('user'));
+  const priorities = await loadHashes(await client.sMembers(PRIORITY_SET));
+  const tags = await loadHashes(await client.sMembers(TAG_SET));
+  const tasks = await loadHashes(await client.sMembers(TASK_SET));
+
+  return {
+    format: 'redistaskflow',
+    version: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    users: users.map(({ id, name, email }) => ({ id, name, email })),
+    priorities: priorities.map(({ id, name, color, order }) => ({ id, name, color, order: Number(order) })),
+    tags: tags.map(({ id, name }) => ({ id, name })),
+    tasks: await Promise.all(tasks.map(async (data) => ({
+      id: data.id,
+      ownerId: data.ownerId,
+      title: data.title,
+      description: data.description || '',
+      status: data.status,
+      priorityId: data.priorityId || null,
+      tagIds: await getTaskTagIds(data.id),
+      parentId: data.parentId || null,
+      blockedBy: await getBlockerIds(data.id),
+      ...Object.fromEntries(TASK_DATE_FIELDS.map((field) => [field, data[field] || null]))
+    })))
+  };
+};
+
+/**
+ * Convierte el documento de exportación a CSV
+ * @param {Object} dump - Resultado de exportData
+ * @returns {string}
+ */
+const toCsv = (dump) => formatCsv(CSV_COLUMNS, Object.entries(CSV_ENTITIES).flatMap(([entity, collection]) =>
+  dump[collection].map((record) => {
+    const row = { ...record, entity };
+    for (const field of CSV_LIST_FIELDS) {
+      if (Array.isArray(row[field])) row[field] = row[field].join(';');
+    }
+    return row;
+  })));
+
+/**
+ * Convierte un CSV (con el formato de toCsv) en un documento importable
+ * @param {string} text - Contenido del CSV
+ * @returns {{ error: string }|{ dump: Object }}
+ */
+const fromCsv = (text) => {
+  const parsed = parseCsv(text);
+  if (parsed.error) return parsed;
+
+  const dump = { users: [], priorities: [], tags: [], tasks: [] };
+  for (const [index, row] of parsed.rows.entries()) {
+    const collection = CSV_ENTITIES[row.entity];
+    if (!collection) {
+      return { error: `CSV inválido: entity desconocida en la fila ${index + 2} (${row.entity})` };
+    }
+
+    const record = {};
+    for (const [column, value] of Object.entries(row)) {
+      if (column === 'entity' || value === '') continue;
+      if (CSV_LIST_FIELDS.includes(column)) record[column] = value.split(';').filter(Boolean);
+      else if (column === 'order') record[column] = Number(value);
+      else record[column] = value;
+    }
+    dump[collection].push(record);
+  }
+  return { dump };
+};
+
+/**
+ * Indica si un valor está vacío (no enviado, null o '')
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Normaliza una lista de IDs opcional
+ * @param {*} value - Arreglo de IDs, o vacío
+ * @returns {Array<string>|null} IDs como texto, o null si no es un arreglo
+ */
+const listOf = (value) => {
+  if (isBlank(value)) return [];
+  return Array.isArray(value) ? value.map(String) : null;
+};
+
+/**
+ * Valida un documento y calcula qué se creará y qué se fusionará, sin escribir nada
+ * @param {Object} dump - Documento de exportación (JSON o resultado de fromCsv)
+ * @returns {Promise<{ errors: Array<Object>, summary: Object, plan: Object }>}
+ *   errors: [{ entity, id, message }]; si hay errores el plan no debe aplicarse
+ */
+const planImport = async (dump) => {
+  const errors = [];
+  const fail = (entity, id, message) => errors.push({ entity, id: isBlank(id) ? null : String(id), message });
+
+  if (!dump || typeof dump !== 'object' || Array.isArray(dump)) {
+    fail(null, null, 'El documento debe ser un objeto con users, priorities, tags y tasks');
+    return { errors, summary: null, plan: null };
+  }
+
+  /**
+   * Obtiene una colección del documento, verificando que cada registro tenga un ID único
+   * @param {string} collection - users | priorities | tags | tasks
+   * @param {string} entity - Nombre de la entidad para los errores
+   * @returns {Array<Object>} Registros con ID válido
+   */
+  const collect = (collection, entity) => {
+    const records = dump[collection] === undefined ? [] : dump[collection];
+    if (!Array.isArray(records)) {
+      fail(entity, null, `${collection} debe ser un arreglo`);
+      return [];
+    }
+    const seen = new Set();
+    return records.filter((record) => {
+      const id = record && !isBlank(record.id) ? String(record.id) : '';
+      if (!id) {
+        fail(entity, null, 'Falta el id');
+        return false;
+      }
+      if (seen.has(id)) {
+        fail(entity, id, 'id repetido');
+        return false;
+      }
+      seen.add(id);
+      return true;
+    });
+  };
+
+  const users = collect('users', 'user');
+  const priorities = collect('priorities', 'priority');
+  const tags = collect('tags', 'tag');
+  const tasks = collect('tasks', 'task');
+  const plan = { users: [], priorities: [], tags: [], tasks: [] };
+
+  // Usuarios: el email identifica a los que ya existen
+  const emails = new Set();
+  for (const user of users) {
+    const id = String(user.id);
+    if (isBlank(user.name) || isBlank(user.email)) {
+      fail('user', id, 'name y email son obligatorios');
+      continue;
+    }
+    if (emails.has(user.email)) {
+      fail('user', id, `El email ${user.email} está repetido en el documento`);
+      continue;
+    }
+    emails.add(user.email);
+    const existingId = await client.get(`userByEmail:${user.email}`);
+    plan.users.push({ id, name: String(user.name), email: String(user.email), existingId });
+  }
+
+  // Prioridades y etiquetas: se fusionan con las existentes del mismo nombre
+  const existingByName = async (set) => new Map((await loadHashes(await client.sMembers(set)))
+    .map((data) => [data.name, data.id]));
+  const existingPriorities = await existingByName(PRIORITY_SET);
+  for (const priority of priorities) {
+    const id = String(priority.id);
+    const order = priority.order === undefined ? 1 : Number(priority.order);
+    if (isBlank(priority.name)) {
+      fail('priority', id, 'name es obligatorio');
+    } else if (!Number.isFinite(order)) {
+      fail('priority', id, 'order debe ser un número');
+    } else {
+      plan.priorities.push({
+        id,
+        name: String(priority.name),
+        color: isBlank(priority.color) ? '#000000' : String(priority.color),
+        order,
+        existingId: existingPriorities.get(String(priority.name)) || null
+      });
+    }
+  }
+
+  const existingTags = await existingByName(TAG_SET);
+  for (const tag of tags) {
+    const id = String(tag.id);
+    if (isBlank(tag.name)) {
+      fail('tag', id, 'name es obligatorio');
+    } else {
+      plan.tags.push({ id, name: String(tag.name), existingId: existingTags.get(String(tag.name)) || null });
+    }
+  }
+
+  // Tareas: sus referencias deben apuntar a registros del mismo documento
+  const userIds = new Set(plan.users.map((user) => user.id));
+  const priorityIds = new Set(plan.priorities.map((priority) => priority.id));
+  const tagIds = new Set(plan.tags.map((tag) => tag.id));
+  const owners = new Map(tasks.map((task) => [String(task.id), String(task.ownerId)]));
+
+  for (const task of tasks) {
+    const id = String(task.id);
+    const ownerId = String(task.ownerId);
+    const taskErrors = errors.length;
+
+    if (isBlank(task.title)) fail('task', id, 'title es obligatorio');
+    if (!userIds.has(ownerId)) fail('task', id, `ownerId ${task.ownerId} no es un usuario del documento`);
+
+    const transition = await resolveTransition(undefined, isBlank(task.status) ? undefined : task.status);
+    if (transition.error) fail('task', id, transition.error);
+
+    const priorityId = isBlank(task.priorityId) ? null : String(task.priorityId);
+    if (priorityId && !priorityIds.has(priorityId)) {
+      fail('task', id, `priorityId ${priorityId} no es una prioridad del documento`);
+    }
+
+    const taskTagIds = listOf(task.tagIds);
+    if (!taskTagIds) fail('task', id, 'tagIds debe ser un arreglo');
+    for (const tagId of (taskTagIds || []).filter((value) => !tagIds.has(value))) {
+      fail('task', id, `tagIds contiene ${tagId}, que no es una etiqueta del documento`);
+    }
+
+    // El padre y los bloqueadores deben ser otras tareas del mismo dueño
+    const parentId = isBlank(task.parentId) ? null : String(task.parentId);
+    if (parentId && (parentId === id || owners.get(parentId) !== ownerId)) {
+      fail('task', id, `parentId ${parentId} debe ser otra tarea del mismo dueño en el documento`);
+    }
+    const blockedBy = listOf(task.blockedBy);
+    if (!blockedBy) fail('task', id, 'blockedBy debe ser un arreglo');
+    for (const blockerId of (blockedBy || []).filter((value) => value === id || owners.get(value) !== ownerId)) {
+      fail('task', id, `blockedBy contiene ${blockerId}, que debe ser otra tarea del mismo dueño en el documento`);
+    }
+
+    const dates = {};
+    for (const field of TASK_DATE_FIELDS) {
+      if (isBlank(task[field])) continue;
+      dates[field] = parseDateTime(task[field]);
+      if (!dates[field]) fail('task', id, `${field} no es una fecha ISO 8601 con zona horaria`);
+    }
+
+    if (errors.length === taskErrors) {
+      plan.tasks.push({
+        id,
+        ownerId,
+        title: String(task.title),
+        description: isBlank(task.description) ? '' : String(task.description),
+        status: transition.status,
+        priorityId,
+        tagIds: taskTagIds,
+        parentId,
+        blockedBy,
+        dates
+      });
+    }
+  }
+
+  // La jerarquía y las dependencias del documento deben ser acíclicas
+  const taskIds = tasks.map((task) => String(task.id));
+  const parents = new Map(tasks.map((task) => [String(task.id), isBlank(task.parentId) ? null : String(task.parentId)]));
+  for (const taskId of taskIds) {
+    const visited = new Set([taskId]);
+    for (let current = parents.get(taskId); current; current = parents.get(current)) {
+      if (visited.has(current)) {
+        fail('task', taskId, 'parentId forma un ciclo en la jerarquía de subtareas');
+        break;
+      }
+      visited.add(current);
+    }
+  }
+
+  const blockers = new Map(tasks.map((task) => [String(task.id), listOf(task.blockedBy) || []]));
+  const state = new Map();
+  const hasCycle = (taskId) => {
+    if (state.get(taskId) === 'done') return false;
+    if (state.get(taskId) === 'visiting') return true;
+    state.set(taskId, 'visiting');
+    const cycle = (blockers.get(taskId) || []).some(hasCycle);
+    state.set(taskId, 'done');
+    return cycle;
+  };
+  for (const taskId of taskIds) {
+    if (hasCycle(taskId)) {
+      fail('task', taskId, 'blockedBy forma un ciclo de dependencias');
+      break;
+    }
+  }
+
+  const count = (records) => ({
+    create: records.filter((record) => !record.existingId).length,
+    merge: records.filter((record) => record.existingId).length
+  });
+  const summary = {
+    users: count(plan.users),
+    priorities: count(plan.priorities),
+    tags: count(plan.tags),
+    tasks: { create: plan.tasks.length, merge: 0 }
+  };
+
+  return { errors, summary, plan };
+};
+
+/**
+ * Crea un usuario importado (sin contraseña) o devuelve el existente con ese email
+ * @param {Object} user - { name, email }
+ * @returns {Promise<string>} ID del usuario
+ */
+const importUser = async ({ name, email }) => {
+  for (;;) {
+    const id = await insertUser({ name, email, password: '' });
+    if (id) return id;
+
+    // Otro registro tomó el email: se fusiona con ese usuario
+    const existing = await findUserByEmail(email);
+    if (existing) return existing.id;
+  }
+};
+
+// Alta de cada tipo de catálogo en su repositorio
+const CATALOG_INSERTS = { priority: insertPriority, tag: insertTag };
+
+/**
+ * Crea una prioridad o etiqueta importada
+ * @param {string} entity - 'priority' | 'tag'
+ * @param {Object} fields - Campos del Hash (sin id ni version)
+ * @param {Object} actor - Usuario que importa
+ * @returns {Promise<string>} ID nuevo
+ */
+const importCatalogEntry = async (entity, fields, actor) => {
+  const { id } = await CATALOG_INSERTS[entity](fields, (transaction, data) => queueActivity(transaction, {
+    entity,
+    id: data.id,
+    action: 'created',
+    actor,
+    before: {},
+    after: data,
+    fields: Object.keys(fields)
+  }));
+  await publishEvent({ type: `${entity}.created`, entityId: id, data: { id, ...fields } });
+  return id;
+};
+
+/**
+ * Aplica un plan de importación válido
+ * @param {Object} plan - Plan calculado por planImport (sin errores)
+ * @param {Object} actor - Usuario que importa (queda en el historial)
+ * @returns {Promise<Object>} idMap: { users, priorities, tags, tasks }, cada uno { idDelDocumento: idNuevo }
+ */
+const commitImport = async (plan, actor) => {
+  const idMap = { users: {}, priorities: {}, tags: {}, tasks: {} };
+
+  for (const user of plan.users) {
+    idMap.users[user.id] = user.existingId || await importUser(user);
+  }
+  for (const { id, existingId, name, color, order } of plan.priorities) {
+    idMap.priorities[id] = existingId || await importCatalogEntry('priority', { name, color, order }, actor);
+  }
+  for (const { id, existingId, name } of plan.tags) {
+    idMap.tags[id] = existingId || await importCatalogEntry('tag', { name }, actor);
+  }
+
+  const now = Date.now();
+  const tasksById = new Map(plan.tasks.map((task) => [task.id, task]));
+
+  /**
+   * Crea una tarea del plan, antes su tarea padre (la jerarquía es acíclica)
+   * para crearla ya vinculada
+   * @param {Object} task - Tarea del plan
+   */
+  const importTask = async (task) => {
+    if (idMap.tasks[task.id]) return;
+    if (task.parentId) await importTask(tasksById.get(task.parentId));
+    const { dates } = task;
+
+    // Se conservan las fechas originales; un recordatorio ya vencido se
+    // guarda como enviado en lugar de dispararse
+    const created = await createTaskRecord({
+      ownerId: idMap.users[task.ownerId],
+      actor,
+      title: task.title,
+      description: task.description,
+      status: task.status,
+      priorityId: task.priorityId ? idMap.priorities[task.priorityId] : undefined,
+      tagIds: task.tagIds.map((tagId) => idMap.tags[tagId]),
+      parentId: task.parentId ? idMap.tasks[task.parentId] : undefined,
+      dueAt: dates.dueAt || null,
+      remindAt: dates.remindAt || null,
+      remindedAt: dates.remindAt && dates.remindAt.ms <= now ? dates.remindAt : null,
+      createdAt: dates.createdAt || null,
+      updatedAt: dates.updatedAt || null,
+      completedAt: dates.completedAt || null
+    });
+    idMap.tasks[task.id] = created.id;
+  };
+  for (const task of plan.tasks) {
+    await importTask(task);
+  }
+
+  // Las dependencias, una vez creadas todas las tareas
+  for (const task of plan.tasks) {
+    const id = idMap.tasks[task.id];
+    for (const blockerId of task.blockedBy) {
+      await addDependency(id, idMap.tasks[blockerId], idMap.users[task.ownerId], actor);
+    }
+  }
+
+  return idMap;
+};
+
+module.exports = {
+  exportData,
+  toCsv,
+  fromCsv,
+  planImport,
+  commitImport
+};
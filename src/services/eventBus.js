@@ -0,0 +1,110 @@
+/**
+ * Bus de Eventos de Cambios
+ * =========================
+ * Los controladores publican aquí cada cambio en tareas, comentarios,
+ * etiquetas, prioridades y estados. Cada evento:
+ *   1) se agrega a un Redis Stream acotado (events:stream), cuyo ID sirve de
+ *      ID del evento y permite reanudar con Last-Event-ID,
+ *   2) se publica en el canal de pub/sub `events`, al que está suscrita cada
+ *      instancia de la API para repartirlo entre sus clientes SSE, y
+ *   3) se encola para repartirlo después entre los webhooks suscritos (ver
+ *      webhookService); se hace aquí, en la instancia que originó el cambio,
+ *      para encolarlo una sola vez.
+ *
+ * Formato del evento:
+ *   { id, type: 'task.created', entity: 'task', entityId, ownerId, at, data }
+ */
+
+const { EventEmitter } = require('events');
+const { client } = require('../config/redis');
+const { queueWebhookEvent } = require('./webhookService');
+
+const EVENTS_STREAM = 'events:stream';
+const EVENTS_CHANNEL = 'events';
+
+// Cantidad aproximada de eventos que se conservan para reanudar conexiones
+const STREAM_MAX_LENGTH = parseInt(process.env.EVENTS_STREAM_MAX_LENGTH, 10) || 1000;
+
+// Reparte los eventos recibidos por pub/sub entre los suscriptores locales
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Conexión dedicada a pub/sub (una conexión suscrita no admite otros comandos)
+let subscriberReady = null;
+
+/**
+ * Publica un evento de cambio
+ * @param {Object} event
+ * @param {string} event.type - Tipo de evento, p. ej. 'task.updated'
+ * @param {string} event.entityId - ID de la entidad afectada
+ * @param {string} [event.ownerId] - Dueño de la entidad (limita quién la ve)
+ * @param {Object} [event.data] - Representación de la entidad tras el cambio
+ * @returns {Promise<Object>} Evento publicado, con su ID
+ */
+const publishEvent = async ({ type, entityId, ownerId, data = {} }) => {
+  const event = {
+    type,
+    entity: type.split('.')[0],
+    entityId: entityId.toString(),
+    ownerId: ownerId || null,
+    at: new Date().toISOString(),
+    data
+  };
+
+  const id = await client.xAdd(EVENTS_STREAM, '*', { event: JSON.stringify(event) }, {
+    TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: STREAM_MAX_LENGTH }
+  });
+
+  const published = { id, ...event };
+  await client.publish(EVENTS_CHANNEL, JSON.stringify(published));
+  await queueWebhookEvent(published);
+  return published;
+};
+
+/**
+ * Crea (una sola vez por proceso) la conexión suscrita al canal de eventos
+ * @returns {Promise<void>}
+ */
+const ensureSubscriber = () => {
+  if (!subscriberReady) {
+    const subscriber = client.duplicate();
+    subscriber.on('error', (err) => console.error('Redis Subscriber Error:', err));
+    subscriberReady = subscriber.connect()
+      .then(() => subscriber.subscribe(EVENTS_CHANNEL, (message) => {
+        emitter.emit('event', JSON.parse(message));
+      }))
+      .catch((error) => {
+        // Permitir reintentar en la próxima suscripción
+        subscriberReady = null;
+        throw error;
+      });
+  }
+  return subscriberReady;
+};
+
+/**
+ * Suscribe un listener a los eventos de todas las instancias
+ * @param {Function} listener - (event) => void
+ * @returns {Promise<Function>} Función para cancelar la suscripción
+ */
+const subscribe = async (listener) => {
+  await ensureSubscriber();
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Obtiene los eventos publicados después de un ID (para reanudar)
+ * @param {string} lastId - ID del último evento recibido por el cliente
+ * @returns {Promise<Array<Object>>} Eventos en orden de publicación
+ */
+const getEventsSince = async (lastId) => {
+  const entries = await client.xRange(EVENTS_STREAM, `(${lastId}`, '+', { COUNT: STREAM_MAX_LENGTH });
+  return entries.map(({ id, message }) => ({ id, ...JSON.parse(message.event) }));
+};
+
+module.exports = {
+  publishEvent,
+  subscribe,
+  getEventsSince
+};
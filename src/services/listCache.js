@@ -0,0 +1,140 @@
+/**
+ * Caché de Listados
+ * =================
+ * Caché opcional (read-through) de las respuestas ya serializadas de
+ * GET /api/tasks, /api/tags y /api/priorities. Se activa con
+ * LIST_CACHE_TTL_SECONDS; sin esa variable los listados se calculan siempre.
+ * Conviene que todas las instancias de la API usen la misma configuración:
+ * una instancia sin caché no invalida la de las demás.
+ *
+ * En lugar de borrar claves, cada escritura incrementa un contador de
+ * generación que forma parte de la clave de la caché:
+ *   listCache:gen:catalog        => etiquetas, prioridades y estados (las tareas
+ *                                   los muestran expandidos)
+ *   listCache:gen:tasks:{userId} => tareas y proyectos del usuario
+ *   listCache:{lista}:{generaciones}:{variante} => JSON de la respuesta (con TTL)
+ *
+ * Así invalidar cuesta un INCR, las entradas viejas vencen solas por TTL y una
+ * respuesta calculada mientras otra solicitud escribía queda guardada con la
+ * generación anterior, que ya nadie lee. El INCR se encola en la misma
+ * transacción que la escritura, desde las capas que escriben lo que leen los
+ * listados: versioning (todo Hash versionado, incluidas las altas y bajas de
+ * la papelera), taskIndexes (los índices de tareas) y los repositorios de
+ * etiquetas y prioridades (las altas). Así se invalida aunque la escritura no
+ * publique ningún evento (recordatorios, importación, purga de la papelera).
+ */
+
+const crypto = require('crypto');
+const { client } = require('../config/redis');
+
+// Tiempo de vida de una respuesta cacheada en segundos (0 desactiva la caché)
+const LIST_CACHE_TTL = parseInt(process.env.LIST_CACHE_TTL_SECONDS, 10) || 0;
+
+const CATALOG_GENERATION = 'listCache:gen:catalog';
+const taskGenerationKey = (userId) => `listCache:gen:tasks:${userId}`;
+
+// Entidades cuyos cambios invalidan todos los listados
+const CATALOG_ENTITIES = ['tag', 'priority', 'status'];
+// Entidades cuyos cambios invalidan los listados de tareas de su dueño
+const OWNED_ENTITIES = ['task', 'project'];
+
+/**
+ * Obtiene el contador de generación que invalida la escritura de un Hash
+ * @param {string} key - Clave del Hash (p. ej. task:1, o trash:task:1 en la papelera)
+ * @param {Object} data - Hash (se usa su ownerId)
+ * @returns {string|null} Clave del contador, o null si la entidad no aparece en los listados
+ */
+const generationKeyOf = (key, { ownerId } = {}) => {
+  const [entity] = key.replace(/^trash:/, '').split(':');
+  if (CATALOG_ENTITIES.includes(entity)) return CATALOG_GENERATION;
+  if (OWNED_ENTITIES.includes(entity) && ownerId) return taskGenerationKey(ownerId);
+  return null;
+};
+
+/**
+ * Calcula la clave de la caché con las generaciones vigentes
+ * @param {Object} scope
+ * @param {string} scope.list - 'tasks' | 'tags' | 'priorities'
+ * @param {string} [scope.userId] - Dueño de las tareas (sólo en 'tasks')
+ * @param {Object} [scope.params] - Filtros y paginación que distinguen la respuesta
+ * @returns {Promise<string>}
+ */
+const listCacheKey = async ({ list, userId, params = {} }) => {
+  const generationKeys = [CATALOG_GENERATION, ...(userId ? [taskGenerationKey(userId)] : [])];
+  const generations = (await client.mGet(generationKeys)).map((generation) => generation || '0').join('.');
+
+  const variant = crypto.createHash('sha1')
+    .update(JSON.stringify(Object.entries(params).filter(([, value]) => value !== undefined).sort()))
+    .digest('hex');
+  return `listCache:${list}:${userId ? `${userId}:` : ''}${generations}:${variant}`;
+};
+
+/**
+ * Obtiene un listado de la caché o lo calcula y lo guarda
+ * @param {Object} scope - { list, userId, params } (ver listCacheKey)
+ * @param {Function} load - async () => respuesta a cachear
+ * @returns {Promise<{ body: string, cached: boolean }>} JSON de la respuesta y si vino de la caché
+ */
+const readThroughList = async (scope, load) => {
+  if (!LIST_CACHE_TTL) {
+    return { body: JSON.stringify(await load()), cached: false };
+  }
+
+  const key = await listCacheKey(scope);
+  const cached = await client.get(key);
+  if (cached !== null) {
+    return { body: cached, cached: true };
+  }
+
+  const body = JSON.stringify(await load());
+  await client.set(key, body, { EX: LIST_CACHE_TTL });
+  return { body, cached: false };
+};
+
+/**
+ * Responde un listado a través de la caché (con el header X-Cache: HIT | MISS si está activa)
+ * @param {Object} res - Express response
+ * @param {Object} scope - { list, userId, params } (ver listCacheKey)
+ * @param {Function} load - async () => respuesta
+ * @returns {Promise<Object>} La respuesta enviada
+ */
+const sendCachedList = async (res, scope, load) => {
+  if (!LIST_CACHE_TTL) {
+    return res.json(await load());
+  }
+
+  const { body, cached } = await readThroughList(scope, load);
+  return res.set('X-Cache', cached ? 'HIT' : 'MISS').type('json').send(body);
+};
+
+/**
+ * Encola en una transacción la invalidación de los listados que afecta la
+ * escritura de un Hash
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} key - Clave del Hash escrito
+ * @param {Object} data - Hash (se usa su ownerId)
+ */
+const queueListInvalidation = (transaction, key, data) => {
+  const generationKey = LIST_CACHE_TTL ? generationKeyOf(key, data) : null;
+  if (generationKey) transaction.incr(generationKey);
+};
+
+/**
+ * Invalida los listados que afecta la escritura de un Hash (para escrituras
+ * que no van en una transacción)
+ * @param {string} key - Clave del Hash escrito
+ * @param {Object} data - Hash (se usa su ownerId)
+ * @returns {Promise<void>}
+ */
+const invalidateLists = async (key, data) => {
+  const generationKey = LIST_CACHE_TTL ? generationKeyOf(key, data) : null;
+  if (generationKey) await client.incr(generationKey);
+};
+
+module.exports = {
+  LIST_CACHE_TTL,
+  readThroughList,
+  sendCachedList,
+  queueListInvalidation,
+  invalidateLists
+};
@@ -0,0 +1,415 @@
+/**
+ * Series de Tareas Recurrentes
+ * ============================
+ * Una tarea creada con `recurrence` da origen a una serie; cada ocurrencia es
+ * una tarea normal enlazada a su serie (task:{id}.seriesId):
+ *   series:{id}        => { id, ownerId, rule, mode, title, description, priorityId,
+ *                           tagIds, projectId, columnId, parentId, remindOffsetMs, dtstart,
+ *                           lastDueAt, currentTaskId, occurrences, active, createdAt, updatedAt }
+ *   seriesTasks:{id}   => Set con las claves task:{id} de sus ocurrencias
+ *   userSeries:{uid}   => Set con las claves series:{id} del usuario
+ *   seriesQueue        => Sorted Set de series en modo "schedule" (score = momento de generar la siguiente)
+ *
+ * La siguiente ocurrencia se genera según el modo de la serie:
+ *   completion - cuando se cierra la ocurrencia actual (desde updateTask)
+ *   schedule   - cuando llega el dueAt de la ocurrencia actual, aunque siga abierta
+ *
+ * Como en los recordatorios, cada avance programado se reclama con un lease
+ * sobre la cola (ver workQueue); un avance que se interrumpe vuelve a la
+ * cola. La ocurrencia nueva y el avance de la serie se escriben en una misma
+ * transacción que vigila la serie, así que cada ocurrencia se genera una sola
+ * vez aunque dos instancias (o dos cierres) intenten avanzarla a la vez.
+ */
+
+const { client } = require('../config/redis');
+const { queueTaskCreation } = require('./taskService');
+const { resolveTransition } = require('./statusWorkflow');
+const { runIfMatch } = require('./versioning');
+const { resolvePlacement } = require('./boardService');
+const { validateParent } = require('./taskGraph');
+const { startPoller } = require('../utils/poller');
+const { getDueItems, claimItem, releaseItem } = require('./workQueue');
+const { parseRecurrence, formatRRule, nextOccurrence } = require('../utils/recurrence');
+
+const SERIES_QUEUE = 'seriesQueue';
+const SERIES_MODES = ['completion', 'schedule'];
+const seriesTasksKey = (seriesId) => `seriesTasks:${seriesId}`;
+const userSeriesKey = (userId) => `userSeries:${userId}`;
+
+// La serie está detenida o ya avanzó: no corresponde generar otra ocurrencia
+const SERIES_NOT_DUE = { status: 409, message: 'La serie no tiene una ocurrencia pendiente de generar' };
+
+const POLL_INTERVAL_MS = parseInt(process.env.RECURRENCE_POLL_INTERVAL_MS, 10) || 60000;
+const BATCH_SIZE = 50;
+
+/**
+ * Convierte el Hash de Redis en la representación pública de la serie
+ * @param {Object} data - Hash obtenido con hGetAll
+ * @returns {Object}
+ */
+const formatSeries = (data) => ({
+  id: data.id,
+  ownerId: data.ownerId,
+  rule: data.rule,
+  mode: data.mode,
+  template: {
+    title: data.title,
+    description: data.description,
+    priorityId: data.priorityId || null,
+    tagIds: data.tagIds ? data.tagIds.split(',') : [],
+    projectId: data.projectId || null,
+    columnId: data.columnId || null,
+    parentId: data.parentId || null,
+    remindOffsetMs: data.remindOffsetMs ? parseInt(data.remindOffsetMs, 10) : null
+  },
+  dtstart: data.dtstart,
+  lastDueAt: data.lastDueAt,
+  currentTaskId: data.currentTaskId || null,
+  occurrences: parseInt(data.occurrences, 10),
+  active: data.active === 'true',
+  createdAt: data.createdAt,
+  updatedAt: data.updatedAt
+});
+
+/**
+ * Valida la recurrencia recibida al crear una tarea o editar una serie
+ * @param {string|Object} recurrence - Regla RRULE (texto u objeto)
+ * @param {string} [mode] - 'completion' | 'schedule'
+ * @returns {{ error: string }|{ rule: string, mode: string|undefined }} Regla en texto canónico
+ */
+const validateRecurrence = (recurrence, mode) => {
+  if (mode !== undefined && !SERIES_MODES.includes(mode)) {
+    return { error: `recurrenceMode debe ser uno de: ${SERIES_MODES.join(', ')}` };
+  }
+  if (recurrence === undefined) return { rule: undefined, mode };
+
+  const parsed = parseRecurrence(recurrence);
+  if (parsed.error) return { error: parsed.error };
+  return { rule: formatRRule(parsed.rule), mode };
+};
+
+/**
+ * Encola en una transacción el próximo avance de una serie en modo
+ * "schedule" (o su salida de la cola)
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} series - Hash de la serie
+ */
+const queueSeriesSync = (transaction, series) => {
+  if (series.active === 'true' && series.mode === 'schedule') {
+    transaction.zAdd(SERIES_QUEUE, { score: Date.parse(series.lastDueAt), value: series.id });
+  } else {
+    transaction.zRem(SERIES_QUEUE, series.id);
+  }
+};
+
+/**
+ * Encola (o quita de la cola) el próximo avance de una serie en modo "schedule"
+ * @param {Object} series - Hash de la serie
+ */
+const syncSeriesQueue = async (series) => {
+  const transaction = client.multi();
+  queueSeriesSync(transaction, series);
+  await transaction.exec();
+};
+
+/**
+ * Encola en una transacción el alta de una serie y de su primera ocurrencia
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} options
+ * @param {string} options.rule - Regla validada por validateRecurrence
+ * @param {string} [options.mode] - 'completion' (por defecto) | 'schedule'
+ * @param {Object} options.task - Datos ya validados para createTaskRecord (dueAt obligatorio)
+ * @returns {Promise<{ created: Object, finish: Function }>} Ver taskService.queueTaskCreation
+ */
+const queueRecurringTask = async (transaction, { rule, mode = 'completion', task }) => {
+  const newSeriesId = (await client.incr('seriesIdCounter')).toString();
+  const key = `series:${newSeriesId}`;
+  const now = new Date().toISOString();
+
+  const first = await queueTaskCreation(transaction, { ...task, seriesId: newSeriesId });
+  const series = {
+    id: newSeriesId,
+    ownerId: task.ownerId,
+    rule,
+    mode,
+    title: task.title,
+    description: task.description || '',
+    priorityId: task.priorityId ? task.priorityId.toString() : '',
+    tagIds: (task.tagIds || []).join(','),
+    projectId: task.placement && task.placement.projectId ? task.placement.projectId : '',
+    columnId: task.placement && task.placement.columnId ? task.placement.columnId : '',
+    parentId: task.parentId ? task.parentId.toString() : '',
+    remindOffsetMs: task.remindAt ? (task.dueAt.ms - task.remindAt.ms).toString() : '',
+    dtstart: task.dueAt.iso,
+    lastDueAt: task.dueAt.iso,
+    currentTaskId: first.created.id,
+    occurrences: '1',
+    active: 'true',
+    createdAt: now,
+    updatedAt: now
+  };
+  transaction.hSet(key, series);
+  transaction.sAdd(userSeriesKey(task.ownerId), key);
+  transaction.sAdd(seriesTasksKey(newSeriesId), `task:${first.created.id}`);
+  queueSeriesSync(transaction, series);
+  return first;
+};
+
+/**
+ * Crea una serie y su primera ocurrencia
+ * @param {Object} options - Ver queueRecurringTask
+ * @returns {Promise<Object>} Primera ocurrencia, lista para responder
+ */
+const createRecurringTask = async (options) => {
+  const transaction = client.multi();
+  const { finish } = await queueRecurringTask(transaction, options);
+  await transaction.exec();
+  return finish();
+};
+
+/**
+ * Genera la siguiente ocurrencia de una serie (o la da por terminada).
+ * La tarea nueva y el avance de la serie se escriben en una sola transacción
+ * WATCH/MULTI sobre el Hash de la serie: si otro proceso la avanza a la vez,
+ * la condición se vuelve a comprobar con la serie ya avanzada y no se genera
+ * la misma ocurrencia dos veces.
+ * @param {string} seriesId - ID de la serie
+ * @param {Object} condition - Estado que debe tener la serie para avanzar
+ * @param {string} [condition.currentTaskId] - Ocurrencia actual esperada (modo "completion")
+ * @param {number} [condition.dueBy] - Momento en ms que debe haber alcanzado lastDueAt (modo "schedule")
+ * @returns {Promise<Object|null>} Nueva ocurrencia o null si la serie terminó, está detenida o ya avanzó
+ */
+const generateNextOccurrence = async (seriesId, { currentTaskId, dueBy } = {}) => {
+  const key = `series:${seriesId}`;
+  let finish = null;
+
+  const result = await runIfMatch(key, undefined, async (transaction, series) => {
+    if (series.active !== 'true') return { error: SERIES_NOT_DUE };
+    if (currentTaskId !== undefined && series.currentTaskId !== currentTaskId) return { error: SERIES_NOT_DUE };
+    if (dueBy !== undefined && Date.parse(series.lastDueAt) > dueBy) return { error: SERIES_NOT_DUE };
+
+    const { rule } = parseRecurrence(series.rule);
+    const occurrences = parseInt(series.occurrences, 10);
+    const nextMs = rule.count !== null && occurrences >= rule.count
+      ? null
+      : nextOccurrence(rule, Date.parse(series.dtstart), Date.parse(series.lastDueAt));
+
+    if (nextMs === null) {
+      transaction.hSet(key, { active: 'false', updatedAt: new Date().toISOString() });
+      transaction.zRem(SERIES_QUEUE, seriesId);
+      return undefined;
+    }
+
+    // La prioridad o las etiquetas de la plantilla pueden haberse eliminado
+    let priorityId = series.priorityId || undefined;
+    if (priorityId && !(await client.hGet(`priority:${priorityId}`, 'id'))) priorityId = undefined;
+    const tagIds = [];
+    for (const tagId of series.tagIds ? series.tagIds.split(',') : []) {
+      if (await client.hGet(`tag:${tagId}`, 'id')) tagIds.push(tagId);
+    }
+
+    // Cada ocurrencia vuelve a la columna y a la tarea padre de la plantilla;
+    // si la columna ya no existe va a la primera del proyecto, y si el proyecto
+    // o el padre ya no existen queda fuera de ellos
+    let placement;
+    if (series.projectId) {
+      placement = await resolvePlacement({ projectId: series.projectId, columnId: series.columnId }, series.ownerId);
+      if (placement.error) placement = await resolvePlacement({ projectId: series.projectId }, series.ownerId);
+      if (placement.error) placement = undefined;
+    }
+    const parentId = series.parentId && !(await validateParent(undefined, series.parentId, series.ownerId))
+      ? series.parentId
+      : undefined;
+
+    const initial = await resolveTransition(undefined, undefined);
+    if (initial.error) throw new Error(initial.error);
+
+    const dueAt = { iso: new Date(nextMs).toISOString(), ms: nextMs };
+    const remindMs = series.remindOffsetMs ? nextMs - parseInt(series.remindOffsetMs, 10) : null;
+
+    const occurrence = await queueTaskCreation(transaction, {
+      ownerId: series.ownerId,
+      title: series.title,
+      description: series.description,
+      status: initial.status,
+      priorityId,
+      tagIds,
+      dueAt,
+      remindAt: remindMs === null ? null : { iso: new Date(remindMs).toISOString(), ms: remindMs },
+      parentId,
+      seriesId,
+      placement
+    });
+
+    const advanced = {
+      currentTaskId: occurrence.created.id,
+      lastDueAt: dueAt.iso,
+      occurrences: (occurrences + 1).toString(),
+      updatedAt: new Date().toISOString()
+    };
+    transaction.sAdd(seriesTasksKey(seriesId), `task:${occurrence.created.id}`);
+    transaction.hSet(key, advanced);
+    queueSeriesSync(transaction, { ...series, ...advanced });
+    finish = occurrence.finish;
+    return undefined;
+  });
+
+  if (result.error || !finish) return null;
+  return finish();
+};
+
+/**
+ * Avanza la serie cuando se cierra su ocurrencia actual (modo "completion").
+ * Si dos cierres llegan a la vez sólo uno la avanza: el otro encuentra otra
+ * ocurrencia actual dentro de la transacción (ver generateNextOccurrence).
+ * @param {Object} task - Hash de la tarea que acaba de cerrarse
+ * @returns {Promise<Object|null>} Nueva ocurrencia o null si no corresponde generarla
+ */
+const handleOccurrenceClosed = async (task) => {
+  if (!task.seriesId) return null;
+
+  const series = await client.hGetAll(`series:${task.seriesId}`);
+  if (!series || series.mode !== 'completion' || series.currentTaskId !== task.id) return null;
+
+  return generateNextOccurrence(task.seriesId, { currentTaskId: task.id });
+};
+
+/**
+ * Genera las ocurrencias de las series en modo "schedule" cuyo momento llegó
+ * @param {number} [now] - Momento actual en ms (inyectable para tests)
+ * @returns {Promise<Array<Object>>} Ocurrencias creadas por esta instancia
+ */
+const processDueSeries = async (now = Date.now()) => {
+  const dueIds = await getDueItems(SERIES_QUEUE, now, BATCH_SIZE);
+
+  const created = [];
+  for (const seriesId of dueIds) {
+    // Reclamar el avance; si otra instancia ya lo tomó, se ignora
+    if (!(await claimItem(SERIES_QUEUE, seriesId, now))) continue;
+
+    // generateNextOccurrence vuelve a encolar la serie antes de liberarla; si
+    // el lease venció y otra instancia ya la avanzó, lastDueAt es futuro y no hace nada
+    const task = await generateNextOccurrence(seriesId, { dueBy: now });
+    await releaseItem(SERIES_QUEUE, seriesId);
+    if (task) created.push(task);
+  }
+  return created;
+};
+
+/**
+ * Modifica la regla, el modo o la plantilla de una serie.
+ * Sólo afecta a las ocurrencias futuras; al cambiar la regla se vuelve a
+ * contar desde la ocurrencia actual (que pasa a ser la primera de la regla nueva).
+ * @param {string} seriesId - ID de la serie
+ * @param {Object} changes - { rule, mode, title, description, priorityId, tagIds } (undefined = sin cambio)
+ * @returns {Promise<Object>} Serie actualizada
+ */
+const updateSeries = async (seriesId, { rule, mode, title, description, priorityId, tagIds }) => {
+  const key = `series:${seriesId}`;
+  const existing = await client.hGetAll(key);
+  const update = { updatedAt: new Date().toISOString() };
+
+  if (rule !== undefined && rule !== existing.rule) {
+    Object.assign(update, { rule, dtstart: existing.lastDueAt, occurrences: '1' });
+  }
+  if (mode !== undefined) update.mode = mode;
+  if (title !== undefined) update.title = title;
+  if (description !== undefined) update.description = description;
+  if (priorityId !== undefined) update.priorityId = priorityId ? priorityId.toString() : '';
+  if (tagIds !== undefined) update.tagIds = tagIds.join(',');
+
+  await client.hSet(key, update);
+  const updated = await client.hGetAll(key);
+  await syncSeriesQueue(updated);
+  return formatSeries(updated);
+};
+
+/**
+ * Detiene una serie: no se generan más ocurrencias (las existentes se conservan)
+ * @param {string} seriesId - ID de la serie
+ * @returns {Promise<Object>} Serie detenida
+ */
+const stopSeries = async (seriesId) => {
+  const key = `series:${seriesId}`;
+  await client.hSet(key, { active: 'false', updatedAt: new Date().toISOString() });
+  await client.zRem(SERIES_QUEUE, seriesId);
+  return formatSeries(await client.hGetAll(key));
+};
+
+/**
+ * Busca una serie por ID
+ * @param {string} seriesId - ID de la serie
+ * @returns {Promise<Object|null>} Hash de la serie o null si no existe
+ */
+const findSeriesById = async (seriesId) => {
+  const data = await client.hGetAll(`series:${seriesId}`);
+  return data && data.id ? data : null;
+};
+
+/**
+ * Obtiene las series de un usuario, ordenadas por ID
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Array<Object>>} Hashes de las series
+ */
+const findUserSeries = async (userId) => {
+  const keys = await client.sMembers(userSeriesKey(userId));
+
+  const hashes = await Promise.all(keys.map((key) => client.hGetAll(key)));
+  return hashes
+    .filter((data) => data && data.id)
+    .sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Encola en una transacción la salida de una ocurrencia de su serie (se usa
+ * al borrar la tarea)
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} task - Hash de la tarea
+ */
+const queueRemoveOccurrence = (transaction, task) => {
+  if (task.seriesId) {
+    transaction.sRem(seriesTasksKey(task.seriesId), `task:${task.id}`);
+  }
+};
+
+/**
+ * Encola en la transacción que restaura una tarea su vuelta a la serie, si
+ * la serie sigue existiendo (se vigila, ver queueReattachTaskGraph)
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} task - Hash de la tarea
+ * @param {Object} isolated - Conexión de la transacción
+ */
+const queueRestoreOccurrence = async (transaction, task, isolated) => {
+  if (!task.seriesId) return;
+  await isolated.watch(`series:${task.seriesId}`);
+  if (await isolated.hGet(`series:${task.seriesId}`, 'id')) {
+    transaction.sAdd(seriesTasksKey(task.seriesId), `task:${task.id}`);
+  }
+};
+
+/**
+ * Inicia la generación periódica de ocurrencias programadas
+ * @param {number} [intervalMs] - Intervalo entre consultas
+ * @returns {Function} Función para detener el programador
+ */
+const startRecurrenceScheduler = (intervalMs = POLL_INTERVAL_MS) =>
+  startPoller('recurrenceScheduler', () => processDueSeries(), intervalMs);
+
+module.exports = {
+  SERIES_MODES,
+  seriesTasksKey,
+  userSeriesKey,
+  formatSeries,
+  validateRecurrence,
+  queueRecurringTask,
+  createRecurringTask,
+  handleOccurrenceClosed,
+  processDueSeries,
+  updateSeries,
+  stopSeries,
+  findSeriesById,
+  findUserSeries,
+  queueRemoveOccurrence,
+  queueRestoreOccurrence,
+  startRecurrenceScheduler
+};
@@ -0,0 +1,130 @@
+/**
+ * Programador de Recordatorios
+ * ============================
+ * Las tareas con remindAt se encolan en un Sorted Set:
+ *   tasksByRemindAt => score = remindAt en ms, miembro = task:{id}
+ *
+ * Cada instancia de la API consulta periódicamente los recordatorios vencidos.
+ * Cada uno se reclama con un lease (ver workQueue): sólo una instancia lo
+ * dispara aunque haya varias corriendo, y si cae antes de terminar el
+ * recordatorio vuelve a la cola al vencer el lease en lugar de perderse.
+ *
+ * Al dispararse, el recordatorio se publica en el canal de pub/sub
+ * `task-reminders`, se guarda remindedAt en la tarea (incrementando su
+ * versión) junto con una entrada 'reminded' en su historial, y se publica el
+ * evento task.reminded en el bus de eventos.
+ */
+
+const { client } = require('../config/redis');
+const { startPoller } = require('../utils/poller');
+const { getDueItems, claimItem, releaseItem } = require('./workQueue');
+const { writeIfMatch } = require('./versioning');
+const { queueActivity } = require('./activityLog');
+const { publishEvent } = require('./eventBus');
+
+const REMINDER_QUEUE = 'tasksByRemindAt';
+const REMINDER_CHANNEL = 'task-reminders';
+
+// Intervalo de consulta y cantidad máxima de recordatorios por ciclo
+const POLL_INTERVAL_MS = parseInt(process.env.REMINDER_POLL_INTERVAL_MS, 10) || 15000;
+const BATCH_SIZE = 100;
+
+/**
+ * Programa (o reprograma) el recordatorio de una tarea
+ * @param {string} taskId - ID de la tarea
+ * @param {number} remindAtMs - Momento del recordatorio en ms
+ */
+const scheduleReminder = async (taskId, remindAtMs) => {
+  await client.zAdd(REMINDER_QUEUE, { score: remindAtMs, value: `task:${taskId}` });
+};
+
+/**
+ * Encola en una transacción la programación (o la cancelación) del
+ * recordatorio de una tarea
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} taskId - ID de la tarea
+ * @param {number|null} remindAtMs - Momento del aviso en ms (null lo cancela)
+ */
+const queueReminder = (transaction, taskId, remindAtMs) => {
+  if (remindAtMs === null) {
+    transaction.zRem(REMINDER_QUEUE, `task:${taskId}`);
+  } else {
+    transaction.zAdd(REMINDER_QUEUE, { score: remindAtMs, value: `task:${taskId}` });
+  }
+};
+
+/**
+ * Dispara el recordatorio ya reclamado de una tarea
+ * @param {string} key - Clave task:{id}
+ * @param {number} now - Momento actual en ms
+ * @returns {Promise<Object|null>} Evento disparado o null si la tarea ya no existe
+ */
+const fireReminder = async (key, now) => {
+  const task = await client.hGetAll(key);
+  if (!task || !task.id) return null;
+
+  const event = {
+    taskId: task.id,
+    ownerId: task.ownerId,
+    title: task.title,
+    dueAt: task.dueAt || null,
+    remindAt: task.remindAt,
+    firedAt: new Date(now).toISOString()
+  };
+
+  // Si la tarea se eliminó mientras tanto, el recordatorio se descarta; el
+  // historial lo registra sin actor (lo dispara el sistema)
+  const written = await writeIfMatch(key, undefined, { remindedAt: event.firedAt }, (transaction, current, updated) => {
+    queueActivity(transaction, {
+      entity: 'task',
+      id: task.id,
+      action: 'reminded',
+      actor: null,
+      before: current,
+      after: updated,
+      fields: ['remindedAt']
+    });
+  });
+  if (written.error) return null;
+
+  await client.publish(REMINDER_CHANNEL, JSON.stringify(event));
+  await publishEvent({ type: 'task.reminded', entityId: task.id, ownerId: task.ownerId, data: event });
+  return event;
+};
+
+/**
+ * Dispara los recordatorios vencidos
+ * @param {number} [now] - Momento actual en ms (inyectable para tests)
+ * @returns {Promise<Array<Object>>} Eventos disparados por esta instancia
+ */
+const processDueReminders = async (now = Date.now()) => {
+  const dueKeys = await getDueItems(REMINDER_QUEUE, now, BATCH_SIZE);
+
+  const fired = [];
+  for (const key of dueKeys) {
+    // Reclamar el recordatorio; si otra instancia ya lo tomó, se ignora
+    if (!(await claimItem(REMINDER_QUEUE, key, now))) continue;
+
+    const event = await fireReminder(key, now);
+    await releaseItem(REMINDER_QUEUE, key);
+    if (event) fired.push(event);
+  }
+
+  return fired;
+};
+
+/**
+ * Inicia la consulta periódica de recordatorios
+ * @param {number} [intervalMs] - Intervalo entre consultas
+ * @returns {Function} Función para detener el programador
+ */
+const startReminderScheduler = (intervalMs = POLL_INTERVAL_MS) =>
+  startPoller('reminderScheduler', () => processDueReminders(), intervalMs);
+
+module.exports = {
+  REMINDER_CHANNEL,
+  scheduleReminder,
+  queueReminder,
+  processDueReminders,
+  startReminderScheduler
+};
@@ -0,0 +1,215 @@
+/**
+ * Índice de Búsqueda de Tareas
+ * ============================
+ * Índice invertido en Redis (sin RediSearch) sobre el título y la descripción:
+ *   search:term:{término} => Sorted Set de claves task:{id} (score = relevancia)
+ *   search:terms          => Sorted Set con todos los términos (score 0, para ZRANGE BYLEX)
+ *   searchTerms:{taskId}  => Set con los términos de la tarea (para des-indexarla)
+ *
+ * Los textos se normalizan sin acentos ni mayúsculas y se descartan las
+ * palabras vacías del español. Cada término de la consulta se expande por
+ * prefijo con ZRANGE BYLEX sobre search:terms, y los términos se combinan
+ * con AND mediante ZINTERSTORE, sumando la relevancia de cada uno.
+ */
+
+const crypto = require('crypto');
+const { client } = require('../config/redis');
+const { normalizeText } = require('./taskIndexes');
+const { TASK_SET } = require('../repositories/taskRepository');
+
+const TERMS_KEY = 'search:terms';
+const termKey = (term) => `search:term:${term}`;
+const taskTermsKey = (taskId) => `searchTerms:${taskId}`;
+
+// Peso de cada aparición según el campo
+const TITLE_WEIGHT = 3;
+const DESCRIPTION_WEIGHT = 1;
+
+// Una coincidencia exacta vale más que una por prefijo
+const EXACT_MATCH_WEIGHT = 2;
+const PREFIX_MATCH_WEIGHT = 1;
+
+// Máximo de términos en los que se expande un prefijo
+const MAX_PREFIX_EXPANSIONS = 50;
+
+const STOPWORDS = new Set([
+  'al', 'con', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'le', 'lo', 'los',
+  'mas', 'para', 'pero', 'por', 'se', 'sin', 'su', 'sus', 'un', 'una', 'unos', 'unas', 'ya'
+]);
+
+/**
+ * Divide un texto en términos normalizados
+ * @param {string} text
+ * @returns {Array<string>} Términos (con repeticiones)
+ */
+const tokenize = (text = '') => normalizeText(text)
+  .split(/[^a-z0-9]+/)
+  .filter((term) => term.length >= 2 && !STOPWORDS.has(term));
+
+/**
+ * Deja de ofrecer como prefijo los términos que ya no usa ninguna tarea
+ * @param {Array<string>} terms - Términos que alguna tarea dejó de usar
+ */
+const pruneSearchTerms = async (terms) => {
+  for (const term of terms) {
+    if ((await client.zCard(termKey(term))) === 0) {
+      await client.zRem(TERMS_KEY, term);
+    }
+  }
+};
+
+/**
+ * Encola en una transacción la salida de una tarea del índice de búsqueda.
+ * Sus términos se devuelven para pasarlos a pruneSearchTerms una vez
+ * confirmada la transacción.
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} taskId - ID de la tarea
+ * @returns {Promise<Array<string>>} Términos que la tarea dejó de usar
+ */
+const queueRemoveTaskFromSearch = async (transaction, taskId) => {
+  const key = `task:${taskId}`;
+  const terms = await client.sMembers(taskTermsKey(taskId));
+
+  for (const term of terms) {
+    transaction.zRem(termKey(term), key);
+  }
+  transaction.del(taskTermsKey(taskId));
+  return terms;
+};
+
+/**
+ * Encola en una transacción la indexación (o re-indexación) del título y la
+ * descripción de una tarea. Los términos que la tarea deja de usar se
+ * devuelven para pasarlos a pruneSearchTerms una vez confirmada la transacción.
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} data - Hash de la tarea
+ * @returns {Promise<Array<string>>} Términos que la tarea dejó de usar
+ */
+const queueTaskSearch = async (transaction, data) => {
+  const key = `task:${data.id}`;
+  const previousTerms = await client.sMembers(taskTermsKey(data.id));
+
+  const scores = new Map();
+  const addTerms = (text, weight) => {
+    for (const term of tokenize(text)) {
+      scores.set(term, (scores.get(term) || 0) + weight);
+    }
+  };
+  addTerms(data.title, TITLE_WEIGHT);
+  addTerms(data.description, DESCRIPTION_WEIGHT);
+
+  const dropped = previousTerms.filter((term) => !scores.has(term));
+  for (const term of dropped) {
+    transaction.zRem(termKey(term), key);
+  }
+  transaction.del(taskTermsKey(data.id));
+  for (const [term, score] of scores) {
+    transaction.zAdd(termKey(term), { score, value: key });
+    transaction.zAdd(TERMS_KEY, { score: 0, value: term });
+    transaction.sAdd(taskTermsKey(data.id), term);
+  }
+  return dropped;
+};
+
+/**
+ * Indexa (o re-indexa) el título y la descripción de una tarea
+ * @param {Object} data - Hash de la tarea
+ */
+const indexTaskForSearch = async (data) => {
+  const transaction = client.multi();
+  const dropped = await queueTaskSearch(transaction, data);
+  await transaction.exec();
+  await pruneSearchTerms(dropped);
+};
+
+/**
+ * Construye un Sorted Set temporal con las tareas que contienen todos los
+ * términos de la consulta (por prefijo), con su relevancia como score.
+ * Quien lo usa debe borrarlo (ver withSearchResults).
+ * @param {string} query - Texto de la búsqueda
+ * @returns {Promise<string|null>} Clave del Sorted Set o null si no hay coincidencias
+ */
+const buildMatchSet = async (query) => {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return null;
+
+  const id = crypto.randomUUID();
+  const termSets = [];
+
+  try {
+    for (const [i, term] of terms.entries()) {
+      const expansions = await client.zRange(TERMS_KEY, `[${term}`, `[${term}\xff`, {
+        BY: 'LEX',
+        LIMIT: { offset: 0, count: MAX_PREFIX_EXPANSIONS }
+      });
+      if (expansions.length === 0) return null;
+
+      const unionKey = `tmp:search:${id}:${i}`;
+      termSets.push(unionKey);
+      await client.zUnionStore(unionKey, expansions.map(termKey), {
+        WEIGHTS: expansions.map((expansion) => (
+          expansion === term ? EXACT_MATCH_WEIGHT : PREFIX_MATCH_WEIGHT
+        )),
+        AGGREGATE: 'MAX'
+      });
+    }
+
+    const resultKey = `tmp:search:${id}`;
+    await client.zInterStore(resultKey, termSets);
+    await client.expire(resultKey, 60);
+    return resultKey;
+  } finally {
+    if (termSets.length > 0) await client.del(termSets);
+  }
+};
+
+/**
+ * Ejecuta una función con el Sorted Set de resultados de una búsqueda y lo
+ * borra al terminar
+ * @param {string} query - Texto de la búsqueda
+ * @param {Function} fn - async (matchKey|null) => resultado
+ * @returns {Promise<*>} Lo que devuelva fn
+ */
+const withSearchResults = async (query, fn) => {
+  const matchKey = await buildMatchSet(query);
+  try {
+    return await fn(matchKey);
+  } finally {
+    if (matchKey) await client.del(matchKey);
+  }
+};
+
+/**
+ * Reconstruye el índice completo a partir de las tareas existentes
+ * @returns {Promise<number>} Cantidad de tareas indexadas
+ */
+const rebuildSearchIndex = async () => {
+  // Borrar el índice actual
+  const terms = await client.zRange(TERMS_KEY, 0, -1);
+  for (const term of terms) {
+    await client.del(termKey(term));
+  }
+  await client.del(TERMS_KEY);
+
+  const taskKeys = await client.sMembers(TASK_SET);
+  let indexed = 0;
+  for (const key of taskKeys) {
+    const data = await client.hGetAll(key);
+    await client.del(taskTermsKey(key.split(':')[1]));
+    if (data && data.id) {
+      await indexTaskForSearch(data);
+      indexed++;
+    }
+  }
+  return indexed;
+};
+
+module.exports = {
+  tokenize,
+  pruneSearchTerms,
+  queueTaskSearch,
+  indexTaskForSearch,
+  queueRemoveTaskFromSearch,
+  withSearchResults,
+  rebuildSearchIndex
+};
@@ -0,0 +1,53 @@
+/**
+ * Servicio de Sesiones
+ * ====================
+ * Gestiona los tokens de sesión emitidos en el login. Cada sesión se almacena
+ * en Redis como una clave simple con TTL:
+ *   session:{token} => userId
+ *
+ * Al expirar la clave, el token deja de ser válido sin necesidad de limpieza.
+ */
+
+const crypto = require('crypto');
+const { client } = require('../config/redis');
+
+// Tiempo de vida de una sesión en segundos (24 horas por defecto)
+const SESSION_TTL = parseInt(process.env.SESSION_TTL_SECONDS, 10) || 60 * 60 * 24;
+
+const sessionKey = (token) => `session:${token}`;
+
+/**
+ * Crea una nueva sesión para el usuario indicado
+ * @param {string|number} userId - ID del usuario autenticado
+ * @returns {Promise<{ token: string, expiresIn: number }>} Token emitido y su TTL en segundos
+ */
+const createSession = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await client.set(sessionKey(token), userId.toString(), { EX: SESSION_TTL });
+  return { token, expiresIn: SESSION_TTL };
+};
+
+/**
+ * Obtiene el ID del usuario asociado a un token
+ * @param {string} token - Token de sesión
+ * @returns {Promise<string|null>} ID del usuario o null si la sesión no existe o expiró
+ */
+const getSessionUserId = async (token) => {
+  if (!token) return null;
+  return client.get(sessionKey(token));
+};
+
+/**
+ * Elimina una sesión (logout)
+ * @param {string} token - Token de sesión a invalidar
+ */
+const destroySession = async (token) => {
+  await client.del(sessionKey(token));
+};
+
+module.exports = {
+  SESSION_TTL,
+  createSession,
+  getSessionUserId,
+  destroySession
+};
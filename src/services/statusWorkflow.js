@@ -0,0 +1,317 @@
+/**
+ * Flujo de Estados de Tareas
+ * ==========================
+ * Los estados que puede tener una tarea se configuran en Redis, igual que las
+ * prioridades:
+ *   status:{id}              => { id, name, color, order, closed }
+ *   statusTransitions:{id}   => Set con los IDs de los estados a los que se puede pasar
+ *
+ * Las tareas guardan el nombre del estado (task.status), por lo que los nombres
+ * son únicos sin distinguir mayúsculas ni acentos. Un estado "closed" indica
+ * que la tarea está terminada: deja de contar como vencida y registra completedAt.
+ *
+ * Si todavía no hay estados configurados se crean los de siempre
+ * (pendiente, en progreso y completada) la primera vez que se consultan.
+ * Las altas, cambios y bajas de estados también se guardan desde aquí
+ * (ver statusController para las validaciones y el historial).
+ */
+
+const { WatchError } = require('redis');
+const { client } = require('../config/redis');
+const { normalizeText, statusIndexKey } = require('./taskIndexes');
+const { runIfMatch } = require('./versioning');
+const { queueListInvalidation } = require('./listCache');
+
+const STATUS_SET = 'statusIdsSet';
+const SEEDED_KEY = 'statusesSeeded';
+const transitionsKey = (statusId) => `statusTransitions:${statusId}`;
+
+// Estados iniciales y sus transiciones (por nombre)
+const DEFAULT_STATUSES = [
+  { name: 'pendiente', color: '#9e9e9e', closed: false, transitions: ['en progreso', 'completada'] },
+  { name: 'en progreso', color: '#2196f3', closed: false, transitions: ['pendiente', 'completada'] },
+  { name: 'completada', color: '#4caf50', closed: true, transitions: ['en progreso'] }
+];
+
+// Promesa de la carga inicial (una sola vez por proceso)
+let defaultsReady = null;
+
+/**
+ * Convierte el Hash de Redis en la representación pública del estado
+ * @param {Object} data - Hash obtenido con hGetAll
+ * @param {Array<string>} transitions - IDs de los estados destino
+ * @returns {Object}
+ */
+const formatStatus = (data, transitions) => ({
+  id: data.id,
+  name: data.name,
+  color: data.color,
+  order: parseInt(data.order, 10),
+  closed: data.closed === 'true',
+  transitions: transitions.sort((a, b) => a - b)
+});
+
+/**
+ * Crea los estados por defecto si nunca se configuraron estados.
+ * Los estados, sus transiciones y la marca statusesSeeded se guardan en una
+ * transacción que vigila la marca: si dos instancias los crean a la vez sólo
+ * una lo logra, y nadie ve un flujo a medio crear.
+ * @returns {Promise<void>}
+ */
+const ensureDefaultStatuses = () => {
+  if (!defaultsReady) {
+    defaultsReady = client.executeIsolated(async (isolated) => {
+      await isolated.watch(SEEDED_KEY);
+      if (await isolated.get(SEEDED_KEY)) {
+        await isolated.unwatch();
+        return;
+      }
+
+      const ids = {};
+      for (const status of DEFAULT_STATUSES) {
+        ids[status.name] = (await isolated.incr('statusIdCounter')).toString();
+      }
+
+      const transaction = isolated.multi();
+      for (const [index, status] of DEFAULT_STATUSES.entries()) {
+        const id = ids[status.name];
+        transaction.hSet(`status:${id}`, {
+          id,
+          name: status.name,
+          color: status.color,
+          order: (index + 1).toString(),
+          closed: status.closed.toString()
+        });
+        transaction.sAdd(STATUS_SET, `status:${id}`);
+        transaction.sAdd(transitionsKey(id), status.transitions.map((name) => ids[name]));
+      }
+      transaction.set(SEEDED_KEY, '1');
+      await transaction.exec();
+    }).catch((error) => {
+      // Otra instancia los creó primero
+      if (error instanceof WatchError) return;
+      // Permitir reintentar en la próxima consulta
+      defaultsReady = null;
+      throw error;
+    });
+  }
+  return defaultsReady;
+};
+
+/**
+ * Obtiene un estado por ID
+ * @param {string} id - ID del estado
+ * @returns {Promise<Object|null>} Estado o null si no existe
+ */
+const getStatus = async (id) => {
+  await ensureDefaultStatuses();
+  const data = await client.hGetAll(`status:${id}`);
+  if (!data || !data.id) return null;
+  return formatStatus(data, await client.sMembers(transitionsKey(id)));
+};
+
+/**
+ * Obtiene todos los estados ordenados por 'order'
+ * @returns {Promise<Array<Object>>}
+ */
+const getStatuses = async () => {
+  await ensureDefaultStatuses();
+  const keys = await client.sMembers(STATUS_SET);
+
+  // Los Hashes y sus transiciones se piden juntos
+  const [hashes, transitions] = await Promise.all([
+    Promise.all(keys.map((key) => client.hGetAll(key))),
+    Promise.all(keys.map((key) => client.sMembers(transitionsKey(key.slice('status:'.length)))))
+  ]);
+
+  return hashes
+    .map((data, index) => (data && data.id ? formatStatus(data, transitions[index]) : null))
+    .filter(Boolean)
+    .sort((a, b) => a.order - b.order || a.id - b.id);
+};
+
+/**
+ * Busca un estado por nombre, sin distinguir mayúsculas ni acentos
+ * @param {string} name - Nombre enviado por el cliente
+ * @param {Array<Object>} [statuses] - Estados ya cargados
+ * @returns {Promise<Object|null>} Estado o null si no existe
+ */
+const findStatusByName = async (name, statuses) => {
+  if (typeof name !== 'string') return null;
+  const normalized = normalizeText(name.trim());
+  const all = statuses || await getStatuses();
+  return all.find((status) => normalizeText(status.name) === normalized) || null;
+};
+
+/**
+ * Resuelve el estado de una tarea nueva o modificada y valida la transición
+ * @param {string|undefined} currentName - Estado actual (undefined en un alta)
+ * @param {string|undefined} requestedName - Estado pedido (undefined = sin cambio / por defecto)
+ * @returns {Promise<{ error: string }|{ status: Object }>} Estado destino o mensaje para un 422
+ */
+const resolveTransition = async (currentName, requestedName) => {
+  const statuses = await getStatuses();
+
+  if (requestedName === undefined) {
+    // Un alta sin estado usa el primero del flujo
+    if (currentName === undefined) {
+      return statuses.length > 0 ? { status: statuses[0] } : { error: 'No hay estados configurados' };
+    }
+    return { status: null };
+  }
+
+  const target = await findStatusByName(requestedName, statuses);
+  if (!target) {
+    return { error: `Estado desconocido: ${requestedName}. Estados válidos: ${statuses.map((s) => s.name).join(', ')}` };
+  }
+
+  // Las altas pueden usar cualquier estado, y las tareas con un estado que ya
+  // no existe pueden pasar a cualquiera para poder corregirlas
+  const current = currentName === undefined ? null : await findStatusByName(currentName, statuses);
+  if (current && current.id !== target.id && !current.transitions.includes(target.id)) {
+    return { error: `Transición no permitida: de '${current.name}' a '${target.name}'` };
+  }
+
+  return { status: target };
+};
+
+/**
+ * Obtiene los nombres de los estados cerrados
+ * @returns {Promise<Array<string>>}
+ */
+const getClosedStatusNames = async () => (await getStatuses())
+  .filter((status) => status.closed)
+  .map((status) => status.name);
+
+/**
+ * Encola en una transacción el reemplazo de las transiciones permitidas desde un estado
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} id - ID del estado origen
+ * @param {Array<string|number>} transitions - IDs de los estados destino
+ */
+const queueTransitions = (transaction, id, transitions) => {
+  transaction.del(transitionsKey(id));
+  if (transitions.length > 0) {
+    transaction.sAdd(transitionsKey(id), transitions.map((target) => target.toString()));
+  }
+};
+
+/**
+ * Crea un estado con sus transiciones
+ * @param {Object} status - { name, color, order, closed, transitions } ya validados
+ * @returns {Promise<string>} ID del estado creado
+ */
+const insertStatus = async ({ name, color, order, closed, transitions }) => {
+  const id = (await client.incr('statusIdCounter')).toString();
+
+  // El Hash, su clave en el Set global y sus transiciones se guardan a la vez,
+  // junto con la invalidación de los listados cacheados (ver listCache)
+  const transaction = client.multi()
+    .hSet(`status:${id}`, {
+      id,
+      name,
+      color,
+      order: order.toString(),
+      closed: closed.toString()
+    })
+    .sAdd(STATUS_SET, `status:${id}`);
+  queueTransitions(transaction, id, transitions);
+  queueListInvalidation(transaction, `status:${id}`, {});
+  await transaction.exec();
+  return id;
+};
+
+/**
+ * Modifica un estado. Las tareas guardan el nombre del estado: al renombrarlo
+ * se migran junto con su índice y su versión en la misma transacción que el
+ * estado. Se vigila el índice para que una tarea que entra o sale del estado
+ * a la vez no quede con el nombre anterior.
+ * @param {Object} existing - Estado actual (formateado)
+ * @param {Object} changes - { fields, newName, transitions } (newName null y
+ *   transitions undefined = sin cambio)
+ * @returns {Promise<{ error: { status: number, message: string } }|{ migratedKeys: Array<string> }>}
+ *   Claves de las tareas migradas
+ */
+const updateStatusRecord = async (existing, { fields, newName, transitions }) => {
+  const key = `status:${existing.id}`;
+  const previousIndex = statusIndexKey(existing.name);
+  let migratedKeys = [];
+
+  const result = await runIfMatch(key, undefined, async (transaction) => {
+    migratedKeys = newName ? await client.sMembers(previousIndex) : [];
+    if (Object.keys(fields).length > 0) transaction.hSet(key, fields);
+    if (transitions !== undefined) queueTransitions(transaction, existing.id, transitions);
+    for (const taskKey of migratedKeys) {
+      transaction.hSet(taskKey, 'status', newName);
+      transaction.hIncrBy(taskKey, 'version', 1);
+    }
+    if (migratedKeys.length > 0) transaction.sAdd(statusIndexKey(newName), migratedKeys);
+    if (newName) transaction.del(previousIndex);
+  }, { watch: newName ? [previousIndex] : [] });
+
+  return result.error ? result : { migratedKeys };
+};
+
+/**
+ * Elimina un estado y lo quita de las transiciones de los demás, sólo si
+ * ninguna tarea lo usa. Se vigilan el estado, el Set de estados, su índice de
+ * tareas y las transiciones que se leen: si una tarea entra en el estado o el
+ * flujo cambia antes del EXEC, se vuelve a comprobar todo.
+ * @param {string} id - ID del estado
+ * @param {Function} [queue] - Recibe la transacción, el estado actual (formateado) y la
+ *   conexión aislada; agrega otros comandos (p. ej. el historial) o devuelve { error }
+ *   para descartar la baja (p. ej. si hay tareas con ese estado en la papelera)
+ * @returns {Promise<{ error: { status: number, message: string } }|{ status: Object }>}
+ *   Estado eliminado
+ */
+const removeStatus = async (id, queue = () => {}) => {
+  await ensureDefaultStatuses();
+  const key = `status:${id}`;
+  let removed;
+
+  const result = await runIfMatch(key, undefined, async (transaction, current, isolated) => {
+    await isolated.watch([statusIndexKey(current.name), transitionsKey(id)]);
+    const taskKeys = await isolated.sMembers(statusIndexKey(current.name));
+    if (taskKeys.length > 0) {
+      return {
+        error: {
+          status: 409,
+          message: `El estado está asignado a ${taskKeys.length} tarea(s); cámbialas de estado antes de eliminarlo`
+        }
+      };
+    }
+
+    removed = formatStatus(current, await isolated.sMembers(transitionsKey(id)));
+    const rejected = await queue(transaction, removed, isolated);
+    if (rejected && rejected.error) return rejected;
+
+    // También se quita de las transiciones de los demás estados
+    for (const otherKey of await isolated.sMembers(STATUS_SET)) {
+      const otherId = otherKey.slice('status:'.length);
+      await isolated.watch(transitionsKey(otherId));
+      if (otherId !== id && await isolated.sIsMember(transitionsKey(otherId), id)) {
+        transaction.sRem(transitionsKey(otherId), id);
+      }
+    }
+    transaction.del([key, transitionsKey(id)]);
+    transaction.sRem(STATUS_SET, key);
+    return null;
+  }, { watch: [STATUS_SET] });
+
+  return result.error ? result : { status: removed };
+};
+
+module.exports = {
+  STATUS_SET,
+  transitionsKey,
+  formatStatus,
+  ensureDefaultStatuses,
+  getStatus,
+  getStatuses,
+  findStatusByName,
+  resolveTransition,
+  getClosedStatusNames,
+  insertStatus,
+  updateStatusRecord,
+  removeStatus
+};
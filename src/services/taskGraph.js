@@ -0,0 +1,422 @@
+/**
+ * Subtareas y Dependencias de Tareas
+ * ==================================
+ * Mantiene en Redis la jerarquía de subtareas y las dependencias de bloqueo:
+ *   task:{id}.parentId      => ID de la tarea padre ('' si no tiene)
+ *   taskSubtasks:{id}       => Set con las claves task:{id} de sus subtareas directas
+ *   taskBlockedBy:{id}      => Set con los IDs de las tareas que la bloquean
+ *   taskBlocks:{id}         => Set con los IDs de las tareas que bloquea (índice inverso)
+ *
+ * Tanto la jerarquía como las dependencias deben ser acíclicas: antes de
+ * agregar un vínculo se recorre el grafo desde el destino buscando el origen.
+ */
+
+const { client } = require('../config/redis');
+const { runIfMatchAll, runIfMatch } = require('./versioning');
+const { queueActivity } = require('./activityLog');
+
+const subtasksKey = (taskId) => `taskSubtasks:${taskId}`;
+const blockedByKey = (taskId) => `taskBlockedBy:${taskId}`;
+const blocksKey = (taskId) => `taskBlocks:${taskId}`;
+
+/**
+ * Obtiene una tarea del usuario indicado
+ * @param {string} taskId - ID de la tarea
+ * @param {string} ownerId - Usuario que debe ser su dueño
+ * @param {Object} [isolated] - Conexión de una transacción en curso (la tarea se vigila antes de leerla)
+ * @returns {Promise<Object|null>} Hash de la tarea o null si no existe o no le pertenece
+ */
+const getOwnedTask = async (taskId, ownerId, isolated = null) => {
+  if (isolated) await isolated.watch(`task:${taskId}`);
+  const data = await (isolated || client).hGetAll(`task:${taskId}`);
+  return data && data.id && data.ownerId === ownerId ? data : null;
+};
+
+/**
+ * Indica si `targetId` es `startId` o uno de sus ancestros
+ * @param {string} startId - Tarea desde la que se sube por parentId
+ * @param {string} targetId - Tarea buscada
+ * @param {Object} [isolated] - Conexión de una transacción en curso (cada tarea se vigila antes de leerla)
+ * @returns {Promise<boolean>}
+ */
+const isAncestorOrSelf = async (startId, targetId, isolated = null) => {
+  let current = startId;
+  while (current) {
+    if (current === targetId) return true;
+    if (isolated) await isolated.watch(`task:${current}`);
+    current = await (isolated || client).hGet(`task:${current}`, 'parentId');
+  }
+  return false;
+};
+
+/**
+ * Valida el padre de una tarea
+ * @param {string|undefined} taskId - ID de la tarea (undefined en un alta)
+ * @param {string|null} parentId - Nuevo padre (null o '' para quitarlo)
+ * @param {string} ownerId - Dueño de la tarea
+ * @param {Object} [isolated] - Conexión de una transacción en curso (ver getOwnedTask)
+ * @returns {Promise<{ status: number, message: string }|null>} Error a responder o null si es válido
+ */
+const validateParent = async (taskId, parentId, ownerId, isolated = null) => {
+  if (parentId === undefined || parentId === null || parentId === '') return null;
+
+  const nextId = parentId.toString();
+  if (nextId === taskId || !(await getOwnedTask(nextId, ownerId, isolated))) {
+    return { status: 400, message: 'parentId debe ser otra tarea tuya existente' };
+  }
+
+  // El nuevo padre no puede ser descendiente de la tarea
+  if (taskId !== undefined && await isAncestorOrSelf(nextId, taskId, isolated)) {
+    return { status: 422, message: 'parentId crearía un ciclo en la jerarquía de subtareas' };
+  }
+
+  return null;
+};
+
+/**
+ * Encola en una transacción la asignación (o el retiro) del padre de una
+ * tarea, manteniendo el Set de subtareas
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} taskId - ID de la tarea
+ * @param {string} previousId - Padre anterior ('' o undefined si no tenía)
+ * @param {string|null} parentId - Nuevo padre (null o '' para quitarlo)
+ */
+const queueTaskParent = (transaction, taskId, previousId, parentId) => {
+  const taskKey = `task:${taskId}`;
+  const nextId = parentId ? parentId.toString() : '';
+
+  if (previousId && previousId !== nextId) {
+    transaction.sRem(subtasksKey(previousId), taskKey);
+  }
+  if (nextId) {
+    transaction.sAdd(subtasksKey(nextId), taskKey);
+  }
+  transaction.hSet(taskKey, 'parentId', nextId);
+};
+
+/**
+ * Asigna (o quita) el padre de una tarea, manteniendo el Set de subtareas
+ * @param {string} taskId - ID de la tarea
+ * @param {string} previousId - Padre anterior ('' o undefined si no tenía)
+ * @param {string|null} parentId - Nuevo padre (null o '' para quitarlo)
+ */
+const setTaskParent = async (taskId, previousId, parentId) => {
+  const transaction = client.multi();
+  queueTaskParent(transaction, taskId, previousId, parentId);
+  await transaction.exec();
+};
+
+/**
+ * Calcula el avance de una tarea a partir de todas sus subtareas (a cualquier nivel)
+ * @param {string} taskId - ID de la tarea
+ * @param {Array<string>} closedStatuses - Nombres de los estados cerrados
+ * @returns {Promise<{ total: number, closed: number, percent: number|null }>}
+ */
+const getSubtaskProgress = async (taskId, closedStatuses) => {
+  let total = 0;
+  let closed = 0;
+  const pending = [taskId];
+
+  while (pending.length > 0) {
+    const keys = await client.sMembers(subtasksKey(pending.pop()));
+    for (const key of keys) {
+      const [id, status] = await client.hmGet(key, ['id', 'status']);
+      if (!id) continue;
+      total++;
+      if (closedStatuses.includes(status)) closed++;
+      pending.push(id);
+    }
+  }
+
+  return { total, closed, percent: total > 0 ? Math.round((closed / total) * 100) : null };
+};
+
+/**
+ * Indica si `targetId` es alcanzable desde `startId` siguiendo taskBlockedBy
+ * @param {string} startId - Tarea desde la que se recorre
+ * @param {string} targetId - Tarea buscada
+ * @param {Object} [isolated] - Conexión de una transacción en curso: cada Set recorrido
+ *   se vigila antes de leerlo, así un vínculo agregado a la vez invalida la transacción
+ * @param {Object} [replaced] - Sets taskBlockedBy que esa transacción reescribe: se usa el
+ *   contenido encolado ({ taskId: [blockerId] }) en lugar del guardado
+ * @returns {Promise<boolean>}
+ */
+const isBlockedTransitively = async (startId, targetId, isolated = null, replaced = {}) => {
+  const reader = isolated || client;
+  const visited = new Set();
+  const stack = [startId];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === targetId) return true;
+    if (visited.has(current)) continue;
+    visited.add(current);
+    if (replaced[current]) {
+      stack.push(...replaced[current]);
+      continue;
+    }
+    if (isolated) await isolated.watch(blockedByKey(current));
+    stack.push(...await reader.sMembers(blockedByKey(current)));
+  }
+  return false;
+};
+
+/**
+ * Encola en una transacción la entrada del historial de un cambio de dependencias
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} taskId - Tarea bloqueada
+ * @param {Object|null} actor - Usuario que hizo el cambio
+ * @param {Array<string>} before - Bloqueadores anteriores
+ * @param {Array<string>} after - Bloqueadores nuevos
+ */
+const queueDependencyActivity = (transaction, taskId, actor, before, after) => {
+  const format = (ids) => [...ids].sort((a, b) => a - b).join(',');
+  queueActivity(transaction, {
+    entity: 'task',
+    id: taskId,
+    action: 'updated',
+    actor,
+    before: { blockedBy: format(before) },
+    after: { blockedBy: format(after) },
+    fields: ['blockedBy']
+  });
+};
+
+/**
+ * Registra que una tarea está bloqueada por otra. La validación, el recorrido
+ * en busca de ciclos y las escrituras se hacen en una transacción WATCH/MULTI
+ * sobre ambas tareas y los Sets recorridos: dos dependencias opuestas
+ * agregadas a la vez no pueden cerrar un ciclo. Las dos tareas incrementan su
+ * versión y el cambio queda en el historial de la bloqueada.
+ * @param {string} taskId - Tarea bloqueada
+ * @param {string} blockerId - Tarea que la bloquea
+ * @param {string} ownerId - Dueño de ambas tareas
+ * @param {Object} [actor] - Usuario que hizo el cambio (para el historial)
+ * @returns {Promise<{ status: number, message: string }|null>} Error a responder o null si se agregó
+ */
+const addDependency = async (taskId, blockerId, ownerId, actor = null) => {
+  const invalid = { status: 400, message: 'taskId debe ser otra tarea tuya existente' };
+  const nextId = blockerId === undefined || blockerId === null ? '' : blockerId.toString();
+  if (!nextId || nextId === taskId) return invalid;
+
+  const result = await runIfMatchAll(
+    [{ key: `task:${taskId}` }, { key: `task:${nextId}` }],
+    async (transaction, [task, blocker], isolated) => {
+      if (task.ownerId !== ownerId || blocker.ownerId !== ownerId) return { error: invalid };
+
+      // Si el bloqueador ya depende (directa o indirectamente) de la tarea, habría un ciclo
+      if (await isBlockedTransitively(nextId, taskId, isolated)) {
+        return { error: { status: 422, message: `La dependencia crearía un ciclo: la tarea ${nextId} ya depende de ${taskId}` } };
+      }
+
+      const blockerIds = await isolated.sMembers(blockedByKey(taskId));
+      if (blockerIds.includes(nextId)) return null;
+
+      transaction.sAdd(blockedByKey(taskId), nextId);
+      transaction.sAdd(blocksKey(nextId), taskId);
+      transaction.hIncrBy(`task:${taskId}`, 'version', 1);
+      transaction.hIncrBy(`task:${nextId}`, 'version', 1);
+      queueDependencyActivity(transaction, taskId, actor, blockerIds, [...blockerIds, nextId]);
+      return null;
+    },
+    { watch: [blockedByKey(taskId)] }
+  );
+
+  // Un bloqueador inexistente es un dato inválido, no un recurso que falte
+  if (result.error) return result.index === 1 ? invalid : result.error;
+  return null;
+};
+
+/**
+ * Quita una dependencia entre dos tareas, en una transacción WATCH/MULTI
+ * sobre la tarea bloqueada que incrementa la versión de ambas y registra el
+ * cambio en el historial
+ * @param {string} taskId - Tarea bloqueada
+ * @param {string} blockerId - Tarea que la bloqueaba
+ * @param {Object} [actor] - Usuario que hizo el cambio (para el historial)
+ * @returns {Promise<boolean>} true si la dependencia existía
+ */
+const removeDependency = async (taskId, blockerId, actor = null) => {
+  const result = await runIfMatch(`task:${taskId}`, undefined, async (transaction, task, isolated) => {
+    const blockerIds = await isolated.sMembers(blockedByKey(taskId));
+    if (!blockerIds.includes(blockerId)) return { error: { status: 404, message: 'Dependencia no encontrada' } };
+
+    // El bloqueador puede estar en la papelera: sólo se versiona si sigue existiendo
+    await isolated.watch(`task:${blockerId}`);
+    const blockerExists = await isolated.hGet(`task:${blockerId}`, 'id');
+
+    transaction.sRem(blockedByKey(taskId), blockerId);
+    transaction.sRem(blocksKey(blockerId), taskId);
+    transaction.hIncrBy(`task:${taskId}`, 'version', 1);
+    if (blockerExists) transaction.hIncrBy(`task:${blockerId}`, 'version', 1);
+    queueDependencyActivity(transaction, taskId, actor, blockerIds, blockerIds.filter((id) => id !== blockerId));
+    return null;
+  }, { watch: [blockedByKey(taskId)] });
+  return !result.error;
+};
+
+/**
+ * Obtiene los IDs de las tareas que bloquean a una tarea, ordenados
+ * @param {string} taskId - ID de la tarea
+ * @returns {Promise<Array<string>>}
+ */
+const getBlockerIds = async (taskId) => (await client.sMembers(blockedByKey(taskId))).sort((a, b) => a - b);
+
+/**
+ * Obtiene las dependencias de una tarea en ambos sentidos, ya expandidas
+ * @param {string} taskId - ID de la tarea
+ * @returns {Promise<{ blockedBy: Array<Object>, blocks: Array<Object> }>}
+ */
+const expandDependencies = async (taskId) => {
+  const summarize = async (ids) => {
+    const tasks = [];
+    for (const id of ids.sort((a, b) => a - b)) {
+      const [title, status] = await client.hmGet(`task:${id}`, ['title', 'status']);
+      if (title !== null) tasks.push({ id, title, status });
+    }
+    return tasks;
+  };
+
+  return {
+    blockedBy: await summarize(await client.sMembers(blockedByKey(taskId))),
+    blocks: await summarize(await client.sMembers(blocksKey(taskId)))
+  };
+};
+
+/**
+ * Obtiene los bloqueadores de una tarea que todavía no están cerrados
+ * @param {string} taskId - ID de la tarea
+ * @param {Array<string>} closedStatuses - Nombres de los estados cerrados
+ * @param {Object} [isolated] - Conexión de una transacción en curso (el Set y cada
+ *   bloqueador se vigilan antes de leerlos)
+ * @returns {Promise<Array<string>>} IDs de los bloqueadores abiertos
+ */
+const getOpenBlockerIds = async (taskId, closedStatuses, isolated = null) => {
+  const reader = isolated || client;
+  if (isolated) await isolated.watch(blockedByKey(taskId));
+  const blockerIds = (await reader.sMembers(blockedByKey(taskId))).sort((a, b) => a - b);
+
+  const open = [];
+  for (const blockerId of blockerIds) {
+    if (isolated) await isolated.watch(`task:${blockerId}`);
+    const status = await reader.hGet(`task:${blockerId}`, 'status');
+    if (status !== null && !closedStatuses.includes(status)) {
+      open.push(blockerId);
+    }
+  }
+  return open;
+};
+
+/**
+ * Encola en una transacción la salida de una tarea de la jerarquía y de las
+ * dependencias de las demás tareas
+ * (se usa al enviarla a la papelera). Sus subtareas pasan a no tener padre;
+ * la tarea conserva sus propios Sets para poder restaurarla.
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} data - Hash de la tarea
+ */
+const queueDetachTaskGraph = async (transaction, data) => {
+  const taskId = data.id;
+
+  if (data.parentId) {
+    transaction.sRem(subtasksKey(data.parentId), `task:${taskId}`);
+  }
+  for (const subtaskKey of await client.sMembers(subtasksKey(taskId))) {
+    transaction.hSet(subtaskKey, 'parentId', '');
+  }
+
+  for (const blockerId of await client.sMembers(blockedByKey(taskId))) {
+    transaction.sRem(blocksKey(blockerId), taskId);
+  }
+  for (const blockedId of await client.sMembers(blocksKey(taskId))) {
+    transaction.sRem(blockedByKey(blockedId), taskId);
+  }
+};
+
+/**
+ * Claves de los Sets propios de una tarea que lee queueDetachTaskGraph
+ * (para vigilarlas junto con la tarea)
+ * @param {string} taskId - ID de la tarea
+ * @returns {Array<string>}
+ */
+const taskGraphKeys = (taskId) => [subtasksKey(taskId), blockedByKey(taskId), blocksKey(taskId)];
+
+/**
+ * Encola en la transacción que restaura una tarea de la papelera la vuelta a
+ * su padre, a las subtareas que siguen sin padre y a sus dependencias. Los
+ * vínculos con tareas que ya no existen, o que ahora crearían un ciclo, se
+ * descartan. Todo lo que se lee se vigila con la conexión de la transacción
+ * (los Sets propios de la tarea ya los vigila quien llama, ver taskGraphKeys);
+ * la restauración no cuenta como un cambio de dependencias en el historial.
+ * @param {Object} transaction - Transacción MULTI (la tarea todavía está en la papelera)
+ * @param {Object} data - Hash de la tarea
+ * @param {Object} isolated - Conexión de la transacción
+ * @returns {Promise<{ parentId: string, blockerIds: Array<string> }>} Padre y bloqueadores que conserva
+ */
+const queueReattachTaskGraph = async (transaction, data, isolated) => {
+  const taskId = data.id;
+
+  const parentError = await validateParent(taskId, data.parentId, data.ownerId, isolated);
+  const parentId = parentError ? '' : (data.parentId || '');
+  queueTaskParent(transaction, taskId, '', parentId);
+
+  for (const subtaskKey of await isolated.sMembers(subtasksKey(taskId))) {
+    const subtaskId = subtaskKey.split(':')[1];
+    const subtask = await getOwnedTask(subtaskId, data.ownerId, isolated);
+    // La subtarea no puede ser ancestro del nuevo padre de la tarea
+    if (subtask && subtask.parentId === '' && !(await isAncestorOrSelf(parentId, subtaskId, isolated))) {
+      queueTaskParent(transaction, subtaskId, '', taskId);
+    } else {
+      transaction.sRem(subtasksKey(taskId), subtaskKey);
+    }
+  }
+
+  const blockerIds = await isolated.sMembers(blockedByKey(taskId));
+  const blockedIds = await isolated.sMembers(blocksKey(taskId));
+  transaction.del([blockedByKey(taskId), blocksKey(taskId)]);
+
+  // Primero sus bloqueadores: los ciclos con las tareas que bloquea se buscan
+  // ya con los que conserva (y no con los guardados, que se reescriben)
+  const kept = [];
+  for (const blockerId of blockerIds) {
+    if (!(await getOwnedTask(blockerId, data.ownerId, isolated))) continue;
+    if (await isBlockedTransitively(blockerId, taskId, isolated, { [taskId]: kept })) continue;
+    transaction.sAdd(blockedByKey(taskId), blockerId);
+    transaction.sAdd(blocksKey(blockerId), taskId);
+    kept.push(blockerId);
+  }
+  for (const blockedId of blockedIds) {
+    if (!(await getOwnedTask(blockedId, data.ownerId, isolated))) continue;
+    if (await isBlockedTransitively(taskId, blockedId, isolated, { [taskId]: kept })) continue;
+    transaction.sAdd(blockedByKey(blockedId), taskId);
+    transaction.sAdd(blocksKey(taskId), blockedId);
+  }
+
+  return { parentId, blockerIds: kept };
+};
+
+/**
+ * Elimina los Sets de jerarquía y dependencias de una tarea
+ * (se usa al purgarla, después de detachTaskGraph)
+ * @param {string} taskId - ID de la tarea
+ */
+const clearTaskGraph = async (taskId) => {
+  await client.del([subtasksKey(taskId), blockedByKey(taskId), blocksKey(taskId)]);
+};
+
+module.exports = {
+  subtasksKey,
+  validateParent,
+  queueTaskParent,
+  setTaskParent,
+  getSubtaskProgress,
+  addDependency,
+  removeDependency,
+  getBlockerIds,
+  expandDependencies,
+  getOpenBlockerIds,
+  queueDetachTaskGraph,
+  taskGraphKeys,
+  queueReattachTaskGraph,
+  clearTaskGraph
+};
@@ -0,0 +1,227 @@
+/**
+ * Índices Secundarios de Tareas
+ * =============================
+ * Mantiene en Redis los índices que permiten filtrar, ordenar y paginar
+ * GET /api/tasks sin cargar todas las tareas en memoria:
+ *   tasksByStatus:{status}  => Set con las claves task:{id} en ese estado
+ *   tasksByCreated          => Sorted Set (score = createdAt en ms)
+ *   tasksByUpdated          => Sorted Set (score = updatedAt en ms)
+ *   tasksByPriorityOrder    => Sorted Set (score = order de su prioridad, +inf sin prioridad)
+ *   tasksByTitle            => Sorted Set (score = prefijo del título codificado en base 37)
+ *   tasksByDueAt            => Sorted Set (score = dueAt en ms, +inf sin fecha límite)
+ *
+ * Los filtros por usuario, prioridad y etiqueta reutilizan los Sets
+ * userTasks:{id}, priorityTasks:{id} y tagTasks:{id}; la consulta se resuelve
+ * con un ZINTERSTORE temporal entre esos Sets y el Sorted Set de ordenación.
+ * Cada cambio en los índices invalida en la misma transacción los listados
+ * cacheados del dueño de la tarea (ver listCache).
+ */
+
+const crypto = require('crypto');
+const { client } = require('../config/redis');
+const { queueListInvalidation } = require('./listCache');
+
+const CREATED_INDEX = 'tasksByCreated';
+const UPDATED_INDEX = 'tasksByUpdated';
+const PRIORITY_INDEX = 'tasksByPriorityOrder';
+const TITLE_INDEX = 'tasksByTitle';
+const DUE_INDEX = 'tasksByDueAt';
+
+const statusIndexKey = (status) => `tasksByStatus:${status}`;
+
+// Campos por los que se puede ordenar y su Sorted Set asociado
+const SORT_INDEXES = {
+  created: CREATED_INDEX,
+  updated: UPDATED_INDEX,
+  priority: PRIORITY_INDEX,
+  title: TITLE_INDEX,
+  due: DUE_INDEX
+};
+
+// Cantidad de caracteres del título que caben en un double sin perder precisión (37^10 < 2^53)
+const TITLE_SCORE_LENGTH = 10;
+
+/**
+ * Normaliza un texto para comparar: minúsculas y sin acentos
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text = '') => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Codifica los primeros caracteres del título como número para ordenar
+ * alfabéticamente con un Sorted Set (a-z => 1..26, 0-9 => 27..36, resto => 0)
+ * @param {string} title
+ * @returns {number} Score del título
+ */
+const titleScore = (title) => {
+  const normalized = normalizeText(title).padEnd(TITLE_SCORE_LENGTH, ' ').slice(0, TITLE_SCORE_LENGTH);
+  let score = 0;
+  for (const char of normalized) {
+    let digit = 0;
+    if (char >= 'a' && char <= 'z') digit = char.charCodeAt(0) - 96;
+    else if (char >= '0' && char <= '9') digit = char.charCodeAt(0) - 21;
+    score = score * 37 + digit;
+  }
+  return score;
+};
+
+/**
+ * Obtiene el score de prioridad de una tarea (order de su prioridad)
+ * @param {string} priorityId - ID de la prioridad ('' si no tiene)
+ * @returns {Promise<number>} order de la prioridad o Infinity si no tiene
+ */
+const priorityScore = async (priorityId) => {
+  if (!priorityId) return Infinity;
+  const priority = await client.hGetAll(`priority:${priorityId}`);
+  if (!priority || !priority.id) return Infinity;
+  return parseInt(priority.order, 10);
+};
+
+/**
+ * Encola en una transacción el alta o la actualización de una tarea en todos
+ * los índices
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} data - Hash actual de la tarea
+ * @param {Object} [previous] - Hash anterior (para mover el índice de estado)
+ * @returns {Promise<void>} Se resuelve con los comandos ya encolados (lee el order de la prioridad)
+ */
+const queueTaskIndex = async (transaction, data, previous = {}) => {
+  const key = `task:${data.id}`;
+  const priority = await priorityScore(data.priorityId);
+
+  if (previous.status && previous.status !== data.status) {
+    transaction.sRem(statusIndexKey(previous.status), key);
+  }
+  transaction.sAdd(statusIndexKey(data.status), key);
+
+  transaction.zAdd(CREATED_INDEX, { score: Date.parse(data.createdAt), value: key });
+  transaction.zAdd(UPDATED_INDEX, { score: Date.parse(data.updatedAt), value: key });
+  transaction.zAdd(PRIORITY_INDEX, { score: priority, value: key });
+  transaction.zAdd(TITLE_INDEX, { score: titleScore(data.title), value: key });
+  transaction.zAdd(DUE_INDEX, { score: data.dueAt ? Date.parse(data.dueAt) : Infinity, value: key });
+  queueListInvalidation(transaction, key, data);
+};
+
+/**
+ * Agrega o actualiza una tarea en todos los índices
+ * @param {Object} data - Hash actual de la tarea
+ * @param {Object} [previous] - Hash anterior (para mover el índice de estado)
+ */
+const indexTask = async (data, previous = {}) => {
+  const transaction = client.multi();
+  await queueTaskIndex(transaction, data, previous);
+  await transaction.exec();
+};
+
+/**
+ * Encola en una transacción la salida de una tarea de todos los índices
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} data - Hash de la tarea
+ */
+const queueUnindexTask = (transaction, data) => {
+  const key = `task:${data.id}`;
+  transaction.sRem(statusIndexKey(data.status), key);
+  for (const index of Object.values(SORT_INDEXES)) {
+    transaction.zRem(index, key);
+  }
+  queueListInvalidation(transaction, key, data);
+};
+
+/**
+ * Encola en una transacción el nuevo score de prioridad de las tareas indicadas
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Array<string>} taskKeys - Claves task:{id}
+ * @param {number} order - Nuevo order (Infinity si quedan sin prioridad)
+ */
+const queuePriorityScore = (transaction, taskKeys, order) => {
+  for (const key of taskKeys) {
+    transaction.zAdd(PRIORITY_INDEX, { score: order, value: key });
+  }
+};
+
+/**
+ * Actualiza el score de prioridad de las tareas indicadas
+ * (se usa cuando cambia el order de una prioridad o se reasigna)
+ * @param {Array<string>} taskKeys - Claves task:{id}
+ * @param {number} order - Nuevo order (Infinity si quedan sin prioridad)
+ */
+const setPriorityScore = async (taskKeys, order) => {
+  for (const key of taskKeys) {
+    await client.zAdd(PRIORITY_INDEX, { score: order, value: key });
+  }
+};
+
+/**
+ * Consulta las claves de tareas que cumplen los filtros, ordenadas y paginadas
+ * @param {Object} options
+ * @param {Array<string>} options.sets - Sets que deben contener la tarea (intersección)
+ * @param {string} [options.sort] - Campo de ordenación (created|updated|priority|title|due)
+ * @param {string} [options.scoreKey] - Sorted Set que ordena en lugar del índice de `sort`
+ *   (p. ej. los resultados de una búsqueda ordenados por relevancia)
+ * @param {boolean} options.descending - Orden descendente
+ * @param {number} options.offset - Posición inicial (cursor)
+ * @param {number} options.limit - Cantidad máxima de resultados
+ * @param {number} [options.min] - Score mínimo en el índice de orden (p. ej. dueAt desde)
+ * @param {number} [options.max] - Score máximo en el índice de orden (p. ej. dueAt hasta)
+ * @param {Function} [options.filter] - Filtro adicional async (keys) => claves que cumplen
+ *   (recibe todos los candidatos juntos para leerlos en una sola ida y vuelta)
+ * @returns {Promise<{ keys: Array<string>, total: number }>}
+ */
+const queryTaskKeys = async ({
+  sets,
+  sort,
+  scoreKey,
+  descending,
+  offset,
+  limit,
+  min = -Infinity,
+  max = Infinity,
+  filter
+}) => {
+  const tempKey = `tmp:taskQuery:${crypto.randomUUID()}`;
+
+  try {
+    // Los Sets sólo filtran (peso 0); el score final es el del índice de orden
+    await client.zInterStore(tempKey, [...sets, scoreKey || SORT_INDEXES[sort]], {
+      WEIGHTS: [...sets.map(() => 0), 1]
+    });
+    // Por si el proceso cae antes de borrarla
+    await client.expire(tempKey, 60);
+
+    // Con REV, ZRANGE espera los límites invertidos (de max a min)
+    const [from, to] = descending ? [max, min] : [min, max];
+    const rangeOptions = { BY: 'SCORE', REV: descending };
+
+    if (!filter) {
+      const total = await client.zCount(tempKey, min, max);
+      const keys = await client.zRange(tempKey, from, to, {
+        ...rangeOptions,
+        LIMIT: { offset, count: limit }
+      });
+      return { keys, total };
+    }
+
+    // Con un filtro adicional hay que recorrer los candidatos ya acotados
+    const candidates = await client.zRange(tempKey, from, to, rangeOptions);
+    const matching = await filter(candidates);
+    return { keys: matching.slice(offset, offset + limit), total: matching.length };
+  } finally {
+    await client.del(tempKey);
+  }
+};
+
+module.exports = {
+  SORT_INDEXES,
+  normalizeText,
+  statusIndexKey,
+  queueTaskIndex,
+  indexTask,
+  queueUnindexTask,
+  queuePriorityScore,
+  setPriorityScore,
+  queryTaskKeys
+};
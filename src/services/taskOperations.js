@@ -0,0 +1,566 @@
+/**
+ * Operaciones de Escritura sobre Tareas
+ * =====================================
+ * Alta, modificación y baja de tareas separadas en dos pasos, para que las
+ * usen tanto los endpoints individuales (taskController) como el endpoint
+ * por lotes (bulkController):
+ *   prepare* - valida la operación (formato con taskSchemas y luego contra el
+ *              estado actual) sin escribir nada y devuelve
+ *              { error: { status, message, code?, details? } } o el plan a aplicar
+ *   apply*   - aplica un plan ya validado (índices, historial, eventos...)
+ *   queue*   - encolan en una transacción MULTI lo que escribe apply* y
+ *              devuelven una función para publicar los eventos una vez
+ *              confirmada
+ *
+ * Separarlas permite al lote validar todas las operaciones antes de aplicar
+ * la primera y, en modo todo-o-nada, escribirlas todas en una sola
+ * transacción (applyAll).
+ */
+
+const { taskKey, findTaskById } = require('../repositories/taskRepository');
+const {
+  taskTagsKey,
+  validateRelations,
+  queueTaskPriority,
+  queueTaskTags
+} = require('./taskRelations');
+const { queueTaskIndex } = require('./taskIndexes');
+const { queueReminder } = require('./reminderScheduler');
+const { resolveTransition, getClosedStatusNames } = require('./statusWorkflow');
+const { validateParent, queueTaskParent, getOpenBlockerIds } = require('./taskGraph');
+const { queueTaskSearch, pruneSearchTerms } = require('./searchIndex');
+const { queueActivity } = require('./activityLog');
+const { resolvePlacement, queueTaskPlacement } = require('./boardService');
+const { taskTrashWatchKeys, queueTaskTrash, purgeEntry } = require('./trashService');
+const { publishEvent } = require('./eventBus');
+const {
+  PRECONDITION_FAILED,
+  matchesIfMatch,
+  runIfMatchAll,
+  runIfMatch
+} = require('./versioning');
+const {
+  HISTORY_FIELDS,
+  buildTaskResponse,
+  snapshotTask,
+  queueTaskCreation,
+  createTaskRecord
+} = require('./taskService');
+const {
+  validateRecurrence,
+  queueRecurringTask,
+  createRecurringTask,
+  handleOccurrenceClosed
+} = require('./recurrenceService');
+const { parseDateTime } = require('../utils/dateTime');
+const { checkSchema } = require('../utils/schema');
+const { ERROR_CODES } = require('../utils/httpErrors');
+const { taskBody } = require('../schemas/taskSchemas');
+
+// Esquemas del body, los mismos que valida taskRoutes
+const CREATE_SCHEMA = taskBody(true);
+const UPDATE_SCHEMA = taskBody(false);
+
+/**
+ * Verifica que la tarea exista y pertenezca al usuario autenticado
+ * @param {Object} data - Hash de la tarea (vacío si no existe)
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @returns {{ status: number, message: string }|null} Error a responder, o null si hay acceso
+ */
+const getAccessError = (data, user) => {
+  if (!data || !data.id) {
+    return { status: 404, message: 'Tarea no encontrada' };
+  }
+  if (data.ownerId !== user.id) {
+    return { status: 403, message: 'No tienes permiso sobre esta tarea' };
+  }
+  return null;
+};
+
+/**
+ * Valida el formato del body de una tarea
+ * @param {Object} schema - CREATE_SCHEMA o UPDATE_SCHEMA
+ * @param {Object} body - Body recibido
+ * @returns {{ status: number, message: string, code: string, details: Array<Object> }|null}
+ */
+const checkTaskBody = (schema, body) => {
+  const details = checkSchema(schema, body);
+  if (details.length === 0) return null;
+  return { status: 400, message: details[0].message, code: ERROR_CODES.VALIDATION_ERROR, details };
+};
+
+/**
+ * Interpreta las fechas opcionales de una tarea, ya validadas con checkTaskBody
+ * (undefined = no enviada, null = quitarla)
+ * @param {Object} dates - { dueAt, remindAt } tal como llegan en el body
+ * @returns {{ dueAt: Object|null|undefined, remindAt: Object|null|undefined }}
+ */
+const parseTaskDates = (dates) => {
+  const parsed = {};
+  for (const field of ['dueAt', 'remindAt']) {
+    const value = dates[field];
+    if (value === undefined || value === null || value === '') {
+      parsed[field] = value === undefined ? undefined : null;
+    } else {
+      parsed[field] = parseDateTime(value);
+    }
+  }
+  return parsed;
+};
+
+/**
+ * Valida el alta de una tarea
+ * Con `recurrence` (regla RRULE en texto u objeto, ver utils/recurrence) la
+ * tarea es la primera ocurrencia de una serie; `recurrenceMode` indica si la
+ * siguiente se genera al completarla ('completion', por defecto) o al llegar
+ * su dueAt ('schedule').
+ * Con `projectId` la tarea se agrega al final de `columnId` (por defecto, la
+ * primera columna del proyecto).
+ * @param {Object} user - Usuario que la crea (será su dueño)
+ * @param {Object} body - { title, description, status, priorityId, tagIds, dueAt, remindAt,
+ *   parentId, projectId, columnId, recurrence, recurrenceMode }
+ * @returns {Promise<{ error: { status: number, message: string } }|{ task: Object, recurrence: Object }>}
+ */
+const prepareCreate = async (user, body) => {
+  const formatError = checkTaskBody(CREATE_SCHEMA, body);
+  if (formatError) {
+    return { error: formatError };
+  }
+
+  const {
+    title,
+    description = '',
+    status,
+    priorityId,
+    tagIds = [],
+    parentId,
+    projectId,
+    columnId,
+    recurrence,
+    recurrenceMode
+  } = body;
+
+  // La prioridad y las etiquetas deben existir
+  const relationError = await validateRelations({ priorityId, tagIds });
+  if (relationError) {
+    return { error: { status: 400, message: relationError } };
+  }
+
+  const dates = parseTaskDates(body);
+
+  const recurrenceResult = validateRecurrence(recurrence, recurrenceMode);
+  if (recurrenceResult.error) {
+    return { error: { status: 400, message: recurrenceResult.error } };
+  }
+  if (recurrenceResult.rule && !dates.dueAt) {
+    return { error: { status: 400, message: 'Las tareas recurrentes requieren dueAt' } };
+  }
+
+  const parentError = await validateParent(undefined, parentId, user.id);
+  if (parentError) {
+    return { error: parentError };
+  }
+
+  let placement;
+  if (projectId !== undefined || columnId !== undefined) {
+    placement = await resolvePlacement({ projectId: projectId === undefined ? null : projectId, columnId }, user.id);
+    if (placement.error) {
+      return { error: { status: 400, message: placement.error } };
+    }
+  }
+
+  // Sin estado se usa el inicial del flujo
+  const transition = await resolveTransition(undefined, status);
+  if (transition.error) {
+    return { error: { status: 422, message: transition.error } };
+  }
+
+  return {
+    recurrence: recurrenceResult,
+    task: {
+      ownerId: user.id,
+      actor: user,
+      title,
+      description,
+      status: transition.status,
+      priorityId,
+      tagIds,
+      dueAt: dates.dueAt,
+      remindAt: dates.remindAt,
+      parentId,
+      placement
+    }
+  };
+};
+
+/**
+ * Crea la tarea validada por prepareCreate
+ * @param {Object} plan - Resultado de prepareCreate
+ * @returns {Promise<Object>} Tarea creada, lista para responder
+ */
+const applyCreate = ({ task, recurrence }) => (recurrence.rule
+  ? createRecurringTask({ rule: recurrence.rule, mode: recurrence.mode, task })
+  : createTaskRecord(task));
+
+/**
+ * Encola en una transacción el alta validada por prepareCreate
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} plan - Resultado de prepareCreate
+ * @returns {Promise<Function>} Función async que, una vez confirmada la transacción,
+ *   publica el evento y devuelve la tarea creada lista para responder
+ */
+const queueCreate = async (transaction, { task, recurrence }) => {
+  const { finish } = recurrence.rule
+    ? await queueRecurringTask(transaction, { rule: recurrence.rule, mode: recurrence.mode, task })
+    : await queueTaskCreation(transaction, task);
+  return finish;
+};
+
+/**
+ * Valida la modificación de una tarea
+ * Cambiar projectId ubica la tarea al final de la primera columna del nuevo
+ * proyecto (null la quita del proyecto).
+ * @param {Object} user - Usuario autenticado
+ * @param {string} id - ID de la tarea
+ * @param {Object} body - { title, description, status, priorityId, tagIds, dueAt, remindAt, parentId, projectId }
+ * @param {string} [ifMatch] - Header If-Match
+ * @returns {Promise<{ error: { status: number, message: string } }|{ plan: Object }>}
+ */
+const prepareUpdate = async (user, id, body, ifMatch) => {
+  const formatError = checkTaskBody(UPDATE_SCHEMA, body);
+  if (formatError) {
+    return { error: formatError };
+  }
+
+  const { priorityId, tagIds, parentId, projectId, status } = body;
+
+  const existing = await findTaskById(id);
+  const accessError = getAccessError(existing, user);
+  if (accessError) {
+    return { error: accessError };
+  }
+  if (!matchesIfMatch(ifMatch, existing.version)) {
+    return { error: PRECONDITION_FAILED };
+  }
+
+  const relationError = await validateRelations({ priorityId, tagIds });
+  if (relationError) {
+    return { error: { status: 400, message: relationError } };
+  }
+
+  const dates = parseTaskDates(body);
+
+  // Cambiar de proyecto la lleva a su primera columna; el mismo proyecto no la mueve
+  let placement;
+  if (projectId !== undefined && String(projectId || '') !== (existing.projectId || '')) {
+    placement = await resolvePlacement({ projectId }, existing.ownerId);
+    if (placement.error) {
+      return { error: { status: 400, message: placement.error } };
+    }
+  }
+
+  const checked = await checkUpdateState(id, body, existing);
+  if (checked.error) {
+    return { error: checked.error };
+  }
+
+  return { plan: { id, existing, body, dates, placement, transition: checked.transition, ifMatch } };
+};
+
+/**
+ * Valida la modificación contra el estado actual de la tarea: el nuevo padre,
+ * la transición de estado y, si la cierra, sus bloqueadores abiertos.
+ * prepareUpdate la usa para responder antes de escribir; applyUpdate y
+ * applyAll la repiten dentro de la transacción, porque el estado o los
+ * bloqueadores pueden haber cambiado desde entonces.
+ * @param {string} id - ID de la tarea
+ * @param {Object} body - { status, parentId } (undefined = sin cambio)
+ * @param {Object} current - Hash de la tarea
+ * @param {Object} [isolated] - Conexión de una transacción en curso (lo que se lee se vigila)
+ * @returns {Promise<{ error: { status: number, message: string } }|{ transition: Object }>}
+ */
+const checkUpdateState = async (id, { status, parentId }, current, isolated = null) => {
+  const parentError = await validateParent(id, parentId, current.ownerId, isolated);
+  if (parentError) {
+    return { error: parentError };
+  }
+
+  // El nuevo estado debe existir y ser alcanzable desde el actual
+  const transition = await resolveTransition(current.status, status);
+  if (transition.error) {
+    return { error: { status: 422, message: transition.error } };
+  }
+
+  // No se puede cerrar una tarea mientras la bloqueen tareas abiertas
+  if (transition.status && transition.status.closed && transition.status.name !== current.status) {
+    const openBlockers = await getOpenBlockerIds(id, await getClosedStatusNames(), isolated);
+    if (openBlockers.length > 0) {
+      return {
+        error: { status: 422, message: `La tarea está bloqueada por tareas abiertas: ${openBlockers.join(', ')}` }
+      };
+    }
+  }
+
+  return { transition };
+};
+
+/**
+ * Encola en una transacción la modificación validada por prepareUpdate: el
+ * Hash con su nueva versión, las relaciones, los índices y el historial
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} plan - Resultado de prepareUpdate (transition: la de checkUpdateState
+ *   con el Hash vigilado)
+ * @param {Object} current - Hash actual de la tarea, leído con la clave ya vigilada
+ * @param {Object} actor - Usuario que hace el cambio (para el historial)
+ * @returns {Promise<Function>} Función async que, una vez confirmada la transacción,
+ *   publica los eventos y devuelve { data, response }
+ */
+const queueUpdate = async (transaction, { id, body, dates, placement, transition }, current, actor) => {
+  const { title, description, priorityId, tagIds, parentId } = body;
+  const key = taskKey(id);
+  const before = await snapshotTask(current);
+
+  // Campos provistos del Hash; se escriben junto con la nueva versión
+  const fields = { updatedAt: new Date().toISOString() };
+  if (title !== undefined) fields.title = title;
+  if (description !== undefined) fields.description = description;
+  if (transition.status) {
+    // completedAt se fija al entrar en un estado cerrado y se borra al reabrirla
+    const { name, closed } = transition.status;
+    fields.status = name;
+    fields.completedAt = closed ? (current.completedAt || fields.updatedAt) : '';
+  }
+  // dueAt/remindAt: null las quita; un nuevo remindAt reprograma el recordatorio
+  if (dates.dueAt !== undefined) fields.dueAt = dates.dueAt ? dates.dueAt.iso : '';
+  if (dates.remindAt !== undefined) {
+    fields.remindAt = dates.remindAt ? dates.remindAt.iso : '';
+    fields.remindedAt = '';
+  }
+  transaction.hSet(key, fields);
+  transaction.hIncrBy(key, 'version', 1);
+
+  // Hash que quedará al confirmar la transacción
+  const updated = {
+    ...current,
+    ...fields,
+    version: String(parseInt(current.version || '0', 10) + 1)
+  };
+  let afterTagIds = before.tagIds;
+
+  // priorityId: null quita la prioridad; tagIds reemplaza las etiquetas
+  if (priorityId !== undefined) {
+    queueTaskPriority(transaction, id, current.priorityId, priorityId);
+    updated.priorityId = priorityId ? priorityId.toString() : '';
+  }
+  if (tagIds !== undefined) {
+    queueTaskTags(transaction, id, before.tagIds ? before.tagIds.split(',') : [], tagIds);
+    afterTagIds = [...new Set(tagIds.map(String))].sort((a, b) => a - b).join(',');
+  }
+  if (parentId !== undefined) {
+    queueTaskParent(transaction, id, current.parentId, parentId);
+    updated.parentId = parentId ? parentId.toString() : '';
+  }
+  if (placement) {
+    await queueTaskPlacement(transaction, current, placement);
+    updated.projectId = placement.projectId;
+    updated.columnId = placement.columnId || '';
+  }
+
+  if (dates.remindAt !== undefined) {
+    queueReminder(transaction, id, dates.remindAt ? dates.remindAt.ms : null);
+  }
+
+  await queueTaskIndex(transaction, updated, current);
+  const droppedTerms = title !== undefined || description !== undefined
+    ? await queueTaskSearch(transaction, updated)
+    : [];
+  queueActivity(transaction, {
+    entity: 'task',
+    id,
+    action: 'updated',
+    actor,
+    before,
+    after: { ...updated, tagIds: afterTagIds, blockedBy: before.blockedBy },
+    fields: HISTORY_FIELDS
+  });
+
+  return async () => {
+    await pruneSearchTerms(droppedTerms);
+
+    const response = await buildTaskResponse(updated);
+    await publishEvent({ type: 'task.updated', entityId: id, ownerId: updated.ownerId, data: response });
+    if (current.status !== updated.status) {
+      await publishEvent({
+        type: 'task.status_changed',
+        entityId: id,
+        ownerId: updated.ownerId,
+        data: { ...response, previousStatus: current.status }
+      });
+    }
+
+    // Cerrar la ocurrencia actual de una serie genera la siguiente
+    if (transition.status && transition.status.closed && current.status !== updated.status) {
+      await handleOccurrenceClosed(updated);
+    }
+    return { data: updated, response };
+  };
+};
+
+/**
+ * Aplica la modificación validada por prepareUpdate
+ * @param {Object} plan - Resultado de prepareUpdate
+ * @param {Object} actor - Usuario que hace el cambio (para el historial)
+ * @returns {Promise<{ error: { status: number, message: string } }|{ data: Object, response: Object }>}
+ *   Hash actualizado y tarea lista para responder
+ */
+const applyUpdate = async (plan, actor) => {
+  let finish;
+  // Se vigilan también las etiquetas, que se leen para calcular cuáles quitar
+  const written = await runIfMatch(taskKey(plan.id), plan.ifMatch, async (transaction, current, isolated) => {
+    const checked = await checkUpdateState(plan.id, plan.body, current, isolated);
+    if (checked.error) return checked;
+    finish = await queueUpdate(transaction, { ...plan, transition: checked.transition }, current, actor);
+    return null;
+  }, { watch: [taskTagsKey(plan.id)] });
+  if (written.error) {
+    return { error: written.error };
+  }
+  return finish();
+};
+
+/**
+ * Valida la baja de una tarea
+ * @param {Object} user - Usuario autenticado
+ * @param {string} id - ID de la tarea
+ * @param {string} [ifMatch] - Header If-Match
+ * @param {boolean} [permanent] - Purgarla en lugar de enviarla a la papelera
+ * @returns {Promise<{ error: { status: number, message: string } }|{ plan: Object }>}
+ */
+const prepareDelete = async (user, id, ifMatch, permanent = false) => {
+  const data = await findTaskById(id);
+  const accessError = getAccessError(data, user);
+  if (accessError) {
+    return { error: accessError };
+  }
+  if (!matchesIfMatch(ifMatch, data.version)) {
+    return { error: PRECONDITION_FAILED };
+  }
+  return { plan: { id, data, ifMatch, permanent } };
+};
+
+/**
+ * Encola en una transacción la baja validada por prepareDelete: la tarea pasa
+ * a la papelera y sale de todos los índices (ver trashService)
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} plan - Resultado de prepareDelete
+ * @param {Object} current - Hash actual de la tarea, leído con la clave ya vigilada
+ * @param {Object} actor - Usuario que la elimina (para el historial)
+ * @returns {Promise<Function>} Función async que, una vez confirmada la transacción,
+ *   la purga si se pidió y publica el evento
+ */
+const queueDelete = async (transaction, { id, permanent }, current, actor) => {
+  const before = await snapshotTask(current);
+  const finishTrash = await queueTaskTrash(transaction, current);
+
+  // El historial se conserva para auditoría aunque la tarea ya no exista
+  queueActivity(transaction, {
+    entity: 'task',
+    id,
+    action: 'deleted',
+    actor,
+    before,
+    after: {},
+    fields: HISTORY_FIELDS
+  });
+
+  return async () => {
+    await finishTrash();
+    // Con permanent se purga en el acto
+    if (permanent) await purgeEntry(taskKey(id));
+    await publishEvent({ type: 'task.deleted', entityId: id, ownerId: current.ownerId, data: { id, permanent } });
+    return {};
+  };
+};
+
+/**
+ * Elimina la tarea validada por prepareDelete
+ * @param {Object} plan - Resultado de prepareDelete
+ * @param {Object} actor - Usuario que la elimina (para el historial)
+ * @returns {Promise<{ error: { status: number, message: string } }|{}>}
+ */
+const applyDelete = async (plan, actor) => {
+  let finish;
+  // Se vigilan también los Sets propios que se leen para sacarla de los índices
+  const trashed = await runIfMatch(taskKey(plan.id), plan.ifMatch, async (transaction, current) => {
+    finish = await queueDelete(transaction, plan, current, actor);
+  }, { watch: taskTrashWatchKeys(plan.id) });
+  if (trashed.error) {
+    return { error: trashed.error };
+  }
+  return finish();
+};
+
+/**
+ * Aplica varias operaciones ya validadas en una sola transacción WATCH/MULTI
+ * (todo o nada): se vigilan todas las tareas que modifican o eliminan, y si
+ * alguna ya no existe, no está en la versión de su If-Match o su modificación
+ * dejó de ser válida (ver checkUpdateState) no se escribe ninguna. Los
+ * eventos se publican después, en el orden de las operaciones.
+ * @param {Array<{ op: string, plan: Object }>} operations - op: 'create' | 'update' | 'delete';
+ *   plan: resultado de prepareCreate, prepareUpdate o prepareDelete
+ * @param {Object} actor - Usuario que hace los cambios (para el historial)
+ * @returns {Promise<{ error: { status: number, message: string }, index: number }|{ results: Array<Object> }>}
+ *   index: operación que impidió aplicar el resto; results: lo que devolvería
+ *   applyCreate, applyUpdate o applyDelete para cada operación
+ */
+const applyAll = async (operations, actor) => {
+  // Tareas existentes que se tocan, en el orden de las operaciones
+  const touched = operations
+    .map(({ op, plan }, index) => ({ op, plan, index }))
+    .filter(({ op }) => op !== 'create');
+  const watch = touched.flatMap(({ op, plan }) => (op === 'delete' ? taskTrashWatchKeys(plan.id) : [taskTagsKey(plan.id)]));
+
+  let finishes;
+  const result = await runIfMatchAll(
+    touched.map(({ plan }) => ({ key: taskKey(plan.id), ifMatch: plan.ifMatch })),
+    async (transaction, currents, isolated) => {
+      finishes = [];
+      for (const { op, plan } of operations) {
+        if (op === 'create') {
+          finishes.push(await queueCreate(transaction, plan));
+          continue;
+        }
+        const position = touched.findIndex((target) => target.plan === plan);
+        const current = currents[position];
+        if (op === 'delete') {
+          finishes.push(await queueDelete(transaction, plan, current, actor));
+          continue;
+        }
+        const checked = await checkUpdateState(plan.id, plan.body, current, isolated);
+        if (checked.error) return { error: checked.error, index: position };
+        finishes.push(await queueUpdate(transaction, { ...plan, transition: checked.transition }, current, actor));
+      }
+      return null;
+    },
+    { watch }
+  );
+  if (result.error) {
+    return { error: result.error, index: touched[result.index].index };
+  }
+
+  const results = [];
+  for (const finish of finishes) results.push(await finish());
+  return { results };
+};
+
+module.exports = {
+  getAccessError,
+  parseTaskDates,
+  prepareCreate,
+  applyCreate,
+  prepareUpdate,
+  applyUpdate,
+  prepareDelete,
+  applyDelete,
+  applyAll
+};
@@ -0,0 +1,340 @@
+/**
+ * Relaciones de Tareas con Prioridades y Etiquetas
+ * ================================================
+ * Mantiene en Redis las relaciones entre tareas, prioridades y etiquetas:
+ *   task:{id}.priorityId   => ID de la prioridad asignada ('' si no tiene)
+ *   taskTags:{taskId}      => Set con los IDs de las etiquetas de la tarea
+ *   priorityTasks:{id}     => Set con las claves task:{id} que usan la prioridad
+ *   tagTasks:{id}          => Set con las claves task:{id} que usan la etiqueta
+ *
+ * Los índices inversos permiten que deletePriority/deleteTag sepan qué tareas
+ * afectan sin recorrer todas las tareas.
+ */
+
+const { client } = require('../config/redis');
+const { queuePriorityScore } = require('./taskIndexes');
+
+const taskTagsKey = (taskId) => `taskTags:${taskId}`;
+const priorityTasksKey = (priorityId) => `priorityTasks:${priorityId}`;
+const tagTasksKey = (tagId) => `tagTasks:${tagId}`;
+
+// Estrategias disponibles al eliminar una prioridad o etiqueta en uso
+const DELETE_STRATEGIES = ['reject', 'detach', 'reassign'];
+
+/**
+ * Valida que la prioridad y las etiquetas indicadas existan
+ * @param {Object} relations - { priorityId, tagIds } tal como llegan en el body
+ * @returns {Promise<string|null>} Mensaje de error o null si todo es válido
+ */
+const validateRelations = async ({ priorityId, tagIds }) => {
+  if (priorityId !== undefined && priorityId !== null && priorityId !== '') {
+    const priority = await client.hGetAll(`priority:${priorityId}`);
+    if (!priority || !priority.id) {
+      return `La prioridad ${priorityId} no existe`;
+    }
+  }
+
+  if (tagIds !== undefined) {
+    if (!Array.isArray(tagIds)) {
+      return 'tagIds debe ser un arreglo de IDs de etiquetas';
+    }
+    for (const tagId of tagIds) {
+      const tag = await client.hGetAll(`tag:${tagId}`);
+      if (!tag || !tag.id) {
+        return `La etiqueta ${tagId} no existe`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Encola en una transacción la asignación (o el retiro) de la prioridad de
+ * una tarea, manteniendo el índice inverso
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} taskId - ID de la tarea
+ * @param {string} previousId - Prioridad anterior ('' o undefined si no tenía)
+ * @param {string|null} priorityId - Nueva prioridad (null o '' para quitarla)
+ */
+const queueTaskPriority = (transaction, taskId, previousId, priorityId) => {
+  const taskKey = `task:${taskId}`;
+  const nextId = priorityId ? priorityId.toString() : '';
+
+  if (previousId && previousId !== nextId) {
+    transaction.sRem(priorityTasksKey(previousId), taskKey);
+  }
+  if (nextId) {
+    transaction.sAdd(priorityTasksKey(nextId), taskKey);
+  }
+  transaction.hSet(taskKey, 'priorityId', nextId);
+};
+
+/**
+ * Asigna (o quita) la prioridad de una tarea, manteniendo el índice inverso
+ * @param {string} taskId - ID de la tarea
+ * @param {string} previousId - Prioridad anterior ('' o undefined si no tenía)
+ * @param {string|null} priorityId - Nueva prioridad (null o '' para quitarla)
+ */
+const setTaskPriority = async (taskId, previousId, priorityId) => {
+  const transaction = client.multi();
+  queueTaskPriority(transaction, taskId, previousId, priorityId);
+  await transaction.exec();
+};
+
+/**
+ * Encola en una transacción el reemplazo de las etiquetas de una tarea,
+ * manteniendo los índices inversos
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} taskId - ID de la tarea
+ * @param {Array<string>} previousIds - Etiquetas actuales (ver getTaskTagIds)
+ * @param {Array<string|number>} tagIds - IDs de las nuevas etiquetas
+ */
+const queueTaskTags = (transaction, taskId, previousIds, tagIds) => {
+  const taskKey = `task:${taskId}`;
+  const nextIds = [...new Set(tagIds.map((tagId) => tagId.toString()))];
+
+  for (const tagId of previousIds) {
+    if (!nextIds.includes(tagId)) {
+      transaction.sRem(taskTagsKey(taskId), tagId);
+      transaction.sRem(tagTasksKey(tagId), taskKey);
+    }
+  }
+  for (const tagId of nextIds) {
+    transaction.sAdd(taskTagsKey(taskId), tagId);
+    transaction.sAdd(tagTasksKey(tagId), taskKey);
+  }
+};
+
+/**
+ * Reemplaza las etiquetas de una tarea, manteniendo los índices inversos
+ * @param {string} taskId - ID de la tarea
+ * @param {Array<string|number>} tagIds - IDs de las nuevas etiquetas
+ */
+const setTaskTags = async (taskId, tagIds) => {
+  const transaction = client.multi();
+  queueTaskTags(transaction, taskId, await client.sMembers(taskTagsKey(taskId)), tagIds);
+  await transaction.exec();
+};
+
+/**
+ * Obtiene los IDs de las etiquetas de una tarea, ordenados
+ * @param {string} taskId - ID de la tarea
+ * @returns {Promise<Array<string>>}
+ */
+const getTaskTagIds = async (taskId) => {
+  const tagIds = await client.sMembers(taskTagsKey(taskId));
+  return tagIds.sort((a, b) => a - b);
+};
+
+/**
+ * Obtiene las claves de las tareas que usan una prioridad
+ * @param {string} priorityId - ID de la prioridad
+ * @returns {Promise<Array<string>>} Claves task:{id}
+ */
+const getPriorityTaskKeys = (priorityId) => client.sMembers(priorityTasksKey(priorityId));
+
+/**
+ * Obtiene las claves de las tareas que usan una etiqueta
+ * @param {string} tagId - ID de la etiqueta
+ * @returns {Promise<Array<string>>} Claves task:{id}
+ */
+const getTagTaskKeys = (tagId) => client.sMembers(tagTasksKey(tagId));
+
+/**
+ * Obtiene la prioridad y las etiquetas de varias tareas ya expandidas. Cada
+ * prioridad o etiqueta se lee una sola vez y las lecturas de cada paso se
+ * lanzan juntas: dos idas y vueltas a Redis sin importar cuántas tareas sean.
+ * @param {Array<Object>} tasks - Hashes de las tareas
+ * @returns {Promise<Array<{ priority: Object|null, tags: Array<Object> }>>} En el orden de `tasks`
+ */
+const expandRelationsOfTasks = async (tasks) => {
+  const priorityIds = [...new Set(tasks.map((data) => data.priorityId).filter(Boolean))];
+  const [tagIdLists, priorityHashes] = await Promise.all([
+    Promise.all(tasks.map((data) => client.sMembers(taskTagsKey(data.id)))),
+    Promise.all(priorityIds.map((priorityId) => client.hGetAll(`priority:${priorityId}`)))
+  ]);
+
+  const tagIds = [...new Set(tagIdLists.flat())];
+  const tagHashes = await Promise.all(tagIds.map((tagId) => client.hGetAll(`tag:${tagId}`)));
+
+  const priorities = new Map();
+  for (const priorityData of priorityHashes) {
+    if (priorityData && priorityData.id) {
+      priorities.set(priorityData.id, {
+        id: priorityData.id,
+        name: priorityData.name,
+        color: priorityData.color,
+        order: parseInt(priorityData.order, 10)
+      });
+    }
+  }
+  const tagsById = new Map();
+  for (const tagData of tagHashes) {
+    if (tagData && tagData.id) {
+      tagsById.set(tagData.id, { id: tagData.id, name: tagData.name });
+    }
+  }
+
+  return tasks.map((data, index) => ({
+    priority: priorities.has(data.priorityId) ? { ...priorities.get(data.priorityId) } : null,
+    tags: tagIdLists[index]
+      .filter((tagId) => tagsById.has(tagId))
+      .map((tagId) => ({ ...tagsById.get(tagId) }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }));
+};
+
+/**
+ * Elimina todas las relaciones de una tarea (se usa al purgarla de la papelera)
+ * @param {Object} data - Hash de la tarea
+ */
+const clearTaskRelations = async (data) => {
+  if (data.priorityId) {
+    await client.sRem(priorityTasksKey(data.priorityId), `task:${data.id}`);
+  }
+  await setTaskTags(data.id, []);
+  await client.del(taskTagsKey(data.id));
+};
+
+/**
+ * Encola en una transacción la salida de una tarea de los índices inversos,
+ * conservando su prioridad y sus etiquetas (se usa al enviarla a la
+ * papelera, para poder restaurarla)
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} data - Hash de la tarea
+ */
+const queueDetachTaskRelations = async (transaction, data) => {
+  const taskKey = `task:${data.id}`;
+  if (data.priorityId) {
+    transaction.sRem(priorityTasksKey(data.priorityId), taskKey);
+  }
+  for (const tagId of await client.sMembers(taskTagsKey(data.id))) {
+    transaction.sRem(tagTasksKey(tagId), taskKey);
+  }
+};
+
+/**
+ * Encola en la transacción que restaura una tarea de la papelera su vuelta a
+ * los índices inversos. La prioridad y las etiquetas que se eliminaron
+ * mientras estaba en la papelera se descartan; las que conserva se vigilan,
+ * así una baja simultánea invalida la transacción (taskTags:{id} ya lo vigila
+ * quien llama).
+ * @param {Object} transaction - Transacción MULTI (la tarea todavía está en la papelera)
+ * @param {Object} data - Hash de la tarea
+ * @param {Object} isolated - Conexión de la transacción
+ * @returns {Promise<{ priorityId: string, tagIds: Array<string> }>} Prioridad y etiquetas que conserva
+ */
+const queueReattachTaskRelations = async (transaction, data, isolated) => {
+  const previousTagIds = await isolated.sMembers(taskTagsKey(data.id));
+  const keys = previousTagIds.map((tagId) => `tag:${tagId}`);
+  if (data.priorityId) keys.push(`priority:${data.priorityId}`);
+  if (keys.length > 0) await isolated.watch(keys);
+
+  const priorityId = data.priorityId && (await isolated.hGet(`priority:${data.priorityId}`, 'id'))
+    ? data.priorityId
+    : '';
+  const tagIds = [];
+  for (const tagId of previousTagIds) {
+    if (await isolated.hGet(`tag:${tagId}`, 'id')) tagIds.push(tagId);
+  }
+
+  queueTaskPriority(transaction, data.id, '', priorityId);
+  queueTaskTags(transaction, data.id, previousTagIds, tagIds);
+  return { priorityId, tagIds };
+};
+
+/**
+ * Encola en la transacción que elimina una prioridad la liberación de las
+ * tareas que la usan
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} priorityId - Prioridad que se va a eliminar
+ * @param {Array<string>} taskKeys - Claves task:{id} que la usan (ver getPriorityTaskKeys)
+ * @param {string} strategy - 'reject' | 'detach' | 'reassign'
+ * @param {string} [reassignTo] - Prioridad destino cuando strategy = 'reassign'
+ * @returns {Promise<{ status: number, message: string }|null>} Error a responder o null si se puede eliminar
+ */
+const queueReleasePriority = async (transaction, priorityId, taskKeys, strategy, reassignTo) => {
+  if (taskKeys.length === 0) return null;
+
+  if (strategy === 'reject') {
+    return {
+      status: 409,
+      message: `La prioridad está asignada a ${taskKeys.length} tarea(s)`
+    };
+  }
+
+  const target = strategy === 'reassign' && reassignTo ? await client.hGetAll(`priority:${reassignTo}`) : null;
+  if (strategy === 'reassign' && (!target || !target.id || target.id === priorityId.toString())) {
+    return { status: 400, message: 'reassignTo debe ser otra prioridad existente' };
+  }
+
+  for (const taskKey of taskKeys) {
+    queueTaskPriority(transaction, taskKey.split(':')[1], priorityId.toString(), target ? target.id : null);
+  }
+
+  // Las tareas pasan a ordenarse según su nueva prioridad (o al final si no tienen)
+  queuePriorityScore(transaction, taskKeys, target ? parseInt(target.order, 10) : Infinity);
+  transaction.del(priorityTasksKey(priorityId));
+  return null;
+};
+
+/**
+ * Encola en la transacción que elimina una etiqueta la liberación de las
+ * tareas que la usan
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} tagId - Etiqueta que se va a eliminar
+ * @param {Array<string>} taskKeys - Claves task:{id} que la usan (ver getTagTaskKeys)
+ * @param {string} strategy - 'reject' | 'detach' | 'reassign'
+ * @param {string} [reassignTo] - Etiqueta destino cuando strategy = 'reassign'
+ * @returns {Promise<{ status: number, message: string }|null>} Error a responder o null si se puede eliminar
+ */
+const queueReleaseTag = async (transaction, tagId, taskKeys, strategy, reassignTo) => {
+  if (taskKeys.length === 0) return null;
+
+  if (strategy === 'reject') {
+    return {
+      status: 409,
+      message: `La etiqueta está asignada a ${taskKeys.length} tarea(s)`
+    };
+  }
+
+  if (strategy === 'reassign') {
+    const target = reassignTo ? await client.hGetAll(`tag:${reassignTo}`) : null;
+    if (!target || !target.id || target.id === tagId.toString()) {
+      return { status: 400, message: 'reassignTo debe ser otra etiqueta existente' };
+    }
+  }
+
+  for (const taskKey of taskKeys) {
+    const taskId = taskKey.split(':')[1];
+    transaction.sRem(taskTagsKey(taskId), tagId.toString());
+    if (strategy === 'reassign') {
+      transaction.sAdd(taskTagsKey(taskId), reassignTo.toString());
+      transaction.sAdd(tagTasksKey(reassignTo), taskKey);
+    }
+  }
+  transaction.del(tagTasksKey(tagId));
+  return null;
+};
+
+module.exports = {
+  DELETE_STRATEGIES,
+  taskTagsKey,
+  priorityTasksKey,
+  tagTasksKey,
+  validateRelations,
+  queueTaskPriority,
+  setTaskPriority,
+  queueTaskTags,
+  setTaskTags,
+  getTaskTagIds,
+  getPriorityTaskKeys,
+  getTagTaskKeys,
+  expandRelationsOfTasks,
+  clearTaskRelations,
+  queueDetachTaskRelations,
+  queueReattachTaskRelations,
+  queueReleasePriority,
+  queueReleaseTag
+};
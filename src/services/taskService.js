@@ -0,0 +1,218 @@
+/**
+ * Servicio de Tareas
+ * ==================
+ * Reúne lo que comparten el controlador de tareas y los procesos en segundo
+ * plano que también crean tareas (p. ej. las series recurrentes): el formato
+ * público de una tarea, los campos auditados y el alta completa con sus
+ * relaciones, índices, búsqueda, recordatorio, historial y evento. El
+ * registro de la tarea lo guarda taskRepository; todo lo anterior, salvo el
+ * evento, se escribe en la misma transacción MULTI que el Hash.
+ *
+ * Las validaciones de la entrada (relaciones, fechas, estado) las hace quien
+ * llama antes de crear la tarea.
+ */
+
+const { client } = require('../config/redis');
+const { nextTaskId, queueTaskInsert } = require('../repositories/taskRepository');
+const {
+  queueTaskPriority,
+  queueTaskTags,
+  getTaskTagIds,
+  expandRelationsOfTasks
+} = require('./taskRelations');
+const { queueTaskIndex } = require('./taskIndexes');
+const { queueReminder } = require('./reminderScheduler');
+const { queueTaskSearch, pruneSearchTerms } = require('./searchIndex');
+const { queueTaskParent, getBlockerIds } = require('./taskGraph');
+const { queueTaskPlacement } = require('./boardService');
+const { queueActivity } = require('./activityLog');
+const { publishEvent } = require('./eventBus');
+
+// Campos de la tarea que se auditan en el historial
+const HISTORY_FIELDS = [
+  'title', 'description', 'status', 'priorityId', 'tagIds', 'dueAt', 'remindAt', 'parentId', 'blockedBy',
+  'projectId', 'columnId'
+];
+
+/**
+ * Convierte el Hash de Redis en la representación pública de la tarea
+ * @param {Object} data - Hash obtenido con hGetAll
+ * @returns {Object} Tarea lista para responder
+ */
+const formatTask = (data) => ({
+  id: data.id,
+  title: data.title,
+  description: data.description,
+  status: data.status,
+  ownerId: data.ownerId,
+  parentId: data.parentId || null,
+  seriesId: data.seriesId || null,
+  projectId: data.projectId || null,
+  columnId: data.columnId || null,
+  dueAt: data.dueAt || null,
+  remindAt: data.remindAt || null,
+  remindedAt: data.remindedAt || null,
+  completedAt: data.completedAt || null,
+  version: parseInt(data.version || '0', 10),
+  createdAt: data.createdAt,
+  updatedAt: data.updatedAt
+});
+
+/**
+ * Construye la respuesta de varias tareas con su prioridad y etiquetas
+ * expandidas, leyendo las relaciones de todas juntas (ver expandRelationsOfTasks)
+ * @param {Array<Object>} hashes - Hashes obtenidos con hGetAll
+ * @returns {Promise<Array<Object>>} Tareas listas para responder, en el mismo orden
+ */
+const buildTaskResponses = async (hashes) => {
+  const relations = await expandRelationsOfTasks(hashes);
+  return hashes.map((data, index) => ({ ...formatTask(data), ...relations[index] }));
+};
+
+/**
+ * Construye la respuesta de una tarea con su prioridad y etiquetas expandidas
+ * @param {Object} data - Hash obtenido con hGetAll
+ * @returns {Promise<Object>} Tarea lista para responder
+ */
+const buildTaskResponse = async (data) => (await buildTaskResponses([data]))[0];
+
+/**
+ * Obtiene los valores auditables de una tarea (hash + IDs de etiquetas y bloqueadores)
+ * @param {Object} data - Hash de la tarea
+ * @returns {Promise<Object>} Valores para calcular el diff del historial
+ */
+const snapshotTask = async (data) => ({
+  ...data,
+  tagIds: (await getTaskTagIds(data.id)).join(','),
+  blockedBy: (await getBlockerIds(data.id)).join(',')
+});
+
+/**
+ * Encola en una transacción el alta de una tarea ya validada con sus
+ * relaciones, índices, búsqueda, recordatorio e historial
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} task - Ver createTaskRecord
+ * @returns {Promise<{ created: Object, finish: Function }>} Hash que tendrá la tarea y
+ *   una función async que, una vez confirmada la transacción, publica task.created
+ *   y devuelve la tarea lista para responder
+ */
+const queueTaskCreation = async (transaction, {
+  ownerId,
+  actor = null,
+  title,
+  description = '',
+  status,
+  priorityId,
+  tagIds = [],
+  dueAt = null,
+  remindAt = null,
+  remindedAt = null,
+  parentId,
+  seriesId = '',
+  placement,
+  createdAt = null,
+  updatedAt = null,
+  completedAt = null
+}) => {
+  // La tarea se guarda registrando a su creador como dueño
+  const id = await nextTaskId();
+  const now = new Date().toISOString();
+  const fields = {
+    title,
+    description,
+    status: status.name,
+    ownerId,
+    seriesId,
+    dueAt: dueAt ? dueAt.iso : '',
+    remindAt: remindAt ? remindAt.iso : '',
+    completedAt: completedAt ? completedAt.iso : (status.closed ? now : ''),
+    version: '1',
+    createdAt: createdAt ? createdAt.iso : now,
+    updatedAt: updatedAt ? updatedAt.iso : now
+  };
+  if (remindedAt) fields.remindedAt = remindedAt.iso;
+  queueTaskInsert(transaction, id, fields);
+
+  // Relacionar con la prioridad, las etiquetas y la tarea padre
+  const created = {
+    id,
+    ...fields,
+    priorityId: priorityId ? priorityId.toString() : '',
+    parentId: parentId ? parentId.toString() : ''
+  };
+  queueTaskPriority(transaction, id, '', priorityId);
+  queueTaskTags(transaction, id, [], tagIds);
+  queueTaskParent(transaction, id, '', parentId);
+
+  // Ubicarla al final de su columna si pertenece a un proyecto
+  if (placement && placement.projectId) {
+    await queueTaskPlacement(transaction, { id, projectId: '', columnId: '' }, placement);
+    created.projectId = placement.projectId;
+    created.columnId = placement.columnId || '';
+  }
+
+  if (remindAt && !remindedAt) queueReminder(transaction, id, remindAt.ms);
+
+  await queueTaskIndex(transaction, created);
+  const droppedTerms = await queueTaskSearch(transaction, created);
+  queueActivity(transaction, {
+    entity: 'task',
+    id,
+    action: 'created',
+    actor,
+    before: {},
+    after: {
+      ...created,
+      tagIds: [...new Set(tagIds.map(String))].sort((a, b) => a - b).join(','),
+      blockedBy: ''
+    },
+    fields: HISTORY_FIELDS
+  });
+
+  const finish = async () => {
+    await pruneSearchTerms(droppedTerms);
+    const response = await buildTaskResponse(created);
+    await publishEvent({ type: 'task.created', entityId: id, ownerId, data: response });
+    return response;
+  };
+  return { created, finish };
+};
+
+/**
+ * Crea una tarea ya validada
+ * @param {Object} task
+ * @param {string} task.ownerId - Dueño de la tarea
+ * @param {Object} [task.actor] - Usuario que la crea (null si la crea el sistema)
+ * @param {string} task.title
+ * @param {string} [task.description]
+ * @param {Object} task.status - Estado resuelto por statusWorkflow ({ name, closed })
+ * @param {string} [task.priorityId]
+ * @param {Array<string>} [task.tagIds]
+ * @param {{ iso: string, ms: number }|null} [task.dueAt]
+ * @param {{ iso: string, ms: number }|null} [task.remindAt]
+ * @param {{ iso: string, ms: number }|null} [task.remindedAt] - Recordatorio ya enviado (no se programa)
+ * @param {string} [task.parentId]
+ * @param {string} [task.seriesId] - Serie recurrente a la que pertenece
+ * @param {Object} [task.placement] - Proyecto y columna resueltos por boardService.resolvePlacement
+ * @param {{ iso: string, ms: number }|null} [task.createdAt] - Fechas a conservar (p. ej. al
+ *   importar); por defecto, el momento del alta (completedAt sólo si el estado es de cierre)
+ * @param {{ iso: string, ms: number }|null} [task.updatedAt]
+ * @param {{ iso: string, ms: number }|null} [task.completedAt]
+ * @returns {Promise<Object>} Tarea creada, lista para responder
+ */
+const createTaskRecord = async (task) => {
+  const transaction = client.multi();
+  const { finish } = await queueTaskCreation(transaction, task);
+  await transaction.exec();
+  return finish();
+};
+
+module.exports = {
+  HISTORY_FIELDS,
+  formatTask,
+  buildTaskResponse,
+  buildTaskResponses,
+  snapshotTask,
+  queueTaskCreation,
+  createTaskRecord
+};
@@ -0,0 +1,479 @@
+/**
+ * Papelera
+ * ========
+ * Las tareas, etiquetas y prioridades eliminadas no se borran en el acto: su
+ * Hash se renombra (así ninguna lectura existente las encuentra), se le
+ * agrega deletedAt y se registra en un Sorted Set:
+ *   trash                  => ZSET con las claves originales (task:1, tag:2...), score = deletedAt en ms
+ *   userTrash:{userId}     => ZSET con las claves de las tareas eliminadas de cada usuario (mismo score)
+ *   catalogTrash:{type}    => ZSET con las claves de las etiquetas o prioridades eliminadas (mismo score)
+ *   trash:{type}:{id}      => Hash de la entidad eliminada
+ *   trashLinks:{type}:{id} => Set con las claves task:{id} que usaban la etiqueta o prioridad
+ *
+ * El ZSET global lo recorre la purga; los listados paginan los de cada
+ * usuario y tipo sin leer la papelera de los demás.
+ *
+ * Una tarea en la papelera sale de todos los índices pero conserva sus propios
+ * Sets (etiquetas, subtareas, dependencias) y sus comentarios. Al restaurarla
+ * vuelve a sus índices; los vínculos con entidades que se eliminaron mientras
+ * tanto se descartan. Una etiqueta restaurada vuelve a las tareas que la
+ * tenían, y una prioridad a las que no tienen otra.
+ *
+ * Pasados TRASH_RETENTION_DAYS días (30 por defecto) las entidades se purgan:
+ * se borra el Hash y todo lo que quedaba de ellas. El historial se conserva.
+ */
+
+const crypto = require('crypto');
+const { client } = require('../config/redis');
+const { startPoller } = require('../utils/poller');
+const { runIfMatch } = require('./versioning');
+const {
+  taskTagsKey,
+  priorityTasksKey,
+  tagTasksKey,
+  setTaskPriority,
+  setTaskTags,
+  getTaskTagIds,
+  clearTaskRelations,
+  queueDetachTaskRelations,
+  queueReattachTaskRelations,
+  queueReleasePriority,
+  queueReleaseTag
+} = require('./taskRelations');
+const {
+  taskGraphKeys,
+  queueDetachTaskGraph,
+  queueReattachTaskGraph,
+  clearTaskGraph
+} = require('./taskGraph');
+const { queueTaskIndex, queueUnindexTask, setPriorityScore } = require('./taskIndexes');
+const { queueReminder } = require('./reminderScheduler');
+const { queueTaskSearch, queueRemoveTaskFromSearch, pruneSearchTerms } = require('./searchIndex');
+const { deleteTaskComments } = require('../repositories/commentRepository');
+const { queueRemoveTaskFromBoard, queueRestoreTaskToBoard } = require('./boardService');
+const { queueRemoveOccurrence, queueRestoreOccurrence } = require('./recurrenceService');
+const { queueActivity, recordActivity } = require('./activityLog');
+const { publishEvent } = require('./eventBus');
+const { invalidateLists } = require('./listCache');
+const { TASK_SET, userTasksKey } = require('../repositories/taskRepository');
+const { TAG_SET } = require('../repositories/tagRepository');
+const { PRIORITY_SET } = require('../repositories/priorityRepository');
+const {
+  HISTORY_FIELDS,
+  formatTask,
+  buildTaskResponse
+} = require('./taskService');
+
+const TRASH_INDEX = 'trash';
+const trashKey = (key) => `trash:${key}`;
+const userTrashKey = (userId) => `userTrash:${userId}`;
+const catalogTrashKey = (type) => `catalogTrash:${type}`;
+
+/**
+ * ZSET del listado de la papelera en el que figura una entidad
+ * @param {string} key - Clave original de la entidad (p. ej. task:1)
+ * @param {Object} data - Hash de la entidad (se usa el ownerId de las tareas)
+ * @returns {string}
+ */
+const trashListKeyOf = (key, data) => {
+  const [type] = key.split(':');
+  return type === 'task' ? userTrashKey(data.ownerId) : catalogTrashKey(type);
+};
+const trashLinksKey = (key) => `trashLinks:${key}`;
+
+// Etiquetas y prioridades: Set donde se listan, campos auditados, representación
+// pública, índice inverso de las tareas que la usan y cómo liberarlas al eliminarla
+const CATALOG_TYPES = {
+  tag: {
+    set: TAG_SET,
+    fields: ['name'],
+    format: (data) => ({ id: data.id, name: data.name }),
+    tasksKey: tagTasksKey,
+    queueRelease: queueReleaseTag
+  },
+  priority: {
+    set: PRIORITY_SET,
+    fields: ['name', 'color', 'order'],
+    format: (data) => ({ id: data.id, name: data.name, color: data.color, order: parseInt(data.order, 10) }),
+    tasksKey: priorityTasksKey,
+    queueRelease: queueReleasePriority
+  }
+};
+const TRASH_TYPES = ['task', ...Object.keys(CATALOG_TYPES)];
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const RETENTION_MS = RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Intervalo de consulta y cantidad máxima de entidades purgadas por ciclo
+const POLL_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+/**
+ * Encola en una transacción el paso del Hash de una entidad a la papelera
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} key - Clave de la entidad (p. ej. task:1)
+ * @param {Object} data - Hash actual de la entidad
+ * @param {Array<string>} sets - Sets índice de los que se quita la clave
+ */
+const queueMoveToTrash = (transaction, key, data, sets) => {
+  const deletedAt = Date.now();
+  transaction.hSet(key, 'deletedAt', new Date(deletedAt).toISOString());
+  transaction.rename(key, trashKey(key));
+  for (const set of sets) transaction.sRem(set, key);
+  transaction.zAdd(TRASH_INDEX, { score: deletedAt, value: key });
+  transaction.zAdd(trashListKeyOf(key, data), { score: deletedAt, value: key });
+};
+
+/**
+ * Encola en una transacción la vuelta del Hash de una entidad de la papelera
+ * a su clave, incrementando su versión (los ETag anteriores a la baja dejan de valer)
+ * @param {Object} transaction - Transacción MULTI
+ * @param {string} key - Clave original de la entidad
+ * @param {Object} data - Hash de la entidad en la papelera
+ * @param {Array<string>} sets - Sets índice a los que vuelve la clave
+ * @param {Object} [fields] - Campos a escribir junto con la restauración
+ */
+const queueTakeFromTrash = (transaction, key, data, sets, fields = {}) => {
+  transaction.rename(trashKey(key), key);
+  transaction.hDel(key, 'deletedAt');
+  if (Object.keys(fields).length > 0) transaction.hSet(key, fields);
+  transaction.hIncrBy(key, 'version', 1);
+  for (const set of sets) transaction.sAdd(set, key);
+  transaction.zRem(TRASH_INDEX, key);
+  transaction.zRem(trashListKeyOf(key, data), key);
+};
+
+/**
+ * Devuelve a su clave el Hash de una entidad de la papelera (ver queueTakeFromTrash)
+ * @param {string} key - Clave original de la entidad
+ * @param {string|undefined} ifMatch - Header If-Match
+ * @param {Array<string>} sets - Sets índice a los que vuelve la clave
+ * @returns {Promise<{ error: { status: number, message: string } }|{}>}
+ */
+const takeFromTrash = async (key, ifMatch, sets) => {
+  const result = await runIfMatch(trashKey(key), ifMatch, (transaction, data) => {
+    queueTakeFromTrash(transaction, key, data, sets);
+  });
+  return result.error ? result : {};
+};
+
+/**
+ * Claves que lee queueTaskTrash además del Hash de la tarea (sus etiquetas,
+ * subtareas y dependencias), para vigilarlas en la misma transacción
+ * @param {string} taskId - ID de la tarea
+ * @returns {Array<string>}
+ */
+const taskTrashWatchKeys = (taskId) => [taskTagsKey(taskId), ...taskGraphKeys(taskId)];
+
+/**
+ * Encola en una transacción el paso de una tarea a la papelera y su salida de
+ * todos los índices
+ * @param {Object} transaction - Transacción MULTI
+ * @param {Object} data - Hash actual de la tarea
+ * @returns {Promise<Function>} Función async que completa la baja una vez confirmada la transacción
+ */
+const queueTaskTrash = async (transaction, data) => {
+  queueMoveToTrash(transaction, `task:${data.id}`, data, [TASK_SET, userTasksKey(data.ownerId)]);
+  await queueDetachTaskRelations(transaction, data);
+  await queueDetachTaskGraph(transaction, data);
+  queueRemoveOccurrence(transaction, data);
+  queueRemoveTaskFromBoard(transaction, data);
+  queueUnindexTask(transaction, data);
+  queueReminder(transaction, data.id, null);
+  const terms = await queueRemoveTaskFromSearch(transaction, data.id);
+  return () => pruneSearchTerms(terms);
+};
+
+/**
+ * Envía una etiqueta o prioridad a la papelera liberando antes las tareas que
+ * la usan según la estrategia pedida. La versión se comprueba en la misma
+ * transacción WATCH/MULTI que libera las tareas, vigilando también su índice
+ * inverso: si la entidad cambia o se le asigna a otra tarea a la vez, no se
+ * toca nada.
+ * @param {string} type - 'tag' | 'priority'
+ * @param {string} id - ID de la entidad
+ * @param {string|undefined} ifMatch - Header If-Match
+ * @param {Object} release
+ * @param {string} release.strategy - 'reject' | 'detach' | 'reassign'
+ * @param {string} [release.reassignTo] - Entidad destino cuando strategy = 'reassign'
+ * @param {Object} actor - Usuario que la elimina (la baja queda en el historial en la misma transacción)
+ * @returns {Promise<{ error: { status: number, message: string } }|{}>}
+ */
+const trashCatalogEntry = async (type, id, ifMatch, { strategy, reassignTo }, actor) => {
+  const key = `${type}:${id}`;
+  const { set, fields, tasksKey, queueRelease } = CATALOG_TYPES[type];
+
+  const result = await runIfMatch(key, ifMatch, async (transaction, current) => {
+    // Tareas que la usan, para volver a asignársela si se restaura
+    const taskKeys = await client.sMembers(tasksKey(id));
+    const releaseError = await queueRelease(transaction, id, taskKeys, strategy, reassignTo);
+    if (releaseError) return { error: releaseError };
+
+    queueMoveToTrash(transaction, key, current, [set]);
+    if (taskKeys.length > 0) transaction.sAdd(trashLinksKey(key), taskKeys);
+    queueActivity(transaction, { entity: type, id, action: 'deleted', actor, before: current, after: {}, fields });
+    return null;
+  }, { watch: [tasksKey(id), ...(reassignTo ? [`${type}:${reassignTo}`] : [])] });
+  return result.error ? result : {};
+};
+
+/**
+ * Convierte una entidad de la papelera en su representación pública
+ * @param {string} type - 'task' | 'tag' | 'priority'
+ * @param {Object} data - Hash de la entidad en la papelera
+ * @returns {Object} { type, id, deletedAt, purgeAt, data }
+ */
+const formatTrashItem = (type, data) => ({
+  type,
+  id: data.id,
+  deletedAt: data.deletedAt,
+  purgeAt: new Date(Date.parse(data.deletedAt) + RETENTION_MS).toISOString(),
+  data: type === 'task' ? formatTask(data) : CATALOG_TYPES[type].format(data)
+});
+
+/**
+ * Lista una página de la papelera visible para un usuario: sus tareas y
+ * todas las etiquetas y prioridades (que son compartidas). Sin filtro de
+ * tipo, los listados se unen en un ZSET temporal, como las consultas de tareas
+ * (ver taskIndexes.queryTaskKeys).
+ * @param {Object} user - Usuario autenticado
+ * @param {string|undefined} type - Sólo las entidades de este tipo
+ * @param {Object} page
+ * @param {number} page.offset - Posición inicial
+ * @param {number} page.limit - Cantidad máxima
+ * @returns {Promise<{ items: Array<Object>, total: number, nextOffset: number }>} Entidades de la
+ *   página (de la eliminada más recientemente a la más antigua), total y posición de la página siguiente
+ */
+const listTrash = async (user, type, { offset, limit }) => {
+  const sources = (type ? [type] : TRASH_TYPES)
+    .map((itemType) => (itemType === 'task' ? userTrashKey(user.id) : catalogTrashKey(itemType)));
+  const tempKey = sources.length > 1 ? `tmp:trashQuery:${crypto.randomUUID()}` : null;
+
+  try {
+    if (tempKey) {
+      await client.zUnionStore(tempKey, sources);
+      // Por si el proceso cae antes de borrarla
+      await client.expire(tempKey, 60);
+    }
+    const listKey = tempKey || sources[0];
+    const total = await client.zCard(listKey);
+    const keys = await client.zRange(listKey, offset, offset + limit - 1, { REV: true });
+
+    const hashes = await Promise.all(keys.map((key) => client.hGetAll(trashKey(key))));
+    const items = hashes
+      .map((data, index) => (data && data.id ? formatTrashItem(keys[index].split(':')[0], data) : null))
+      .filter(Boolean);
+    return { items, total, nextOffset: offset + keys.length };
+  } finally {
+    if (tempKey) await client.del(tempKey);
+  }
+};
+
+/**
+ * Obtiene una entidad de la papelera visible para un usuario
+ * @param {Object} user - Usuario autenticado
+ * @param {string} type - 'task' | 'tag' | 'priority'
+ * @param {string} id - ID de la entidad
+ * @returns {Promise<Object|null>} Hash de la entidad, o null si no está en la papelera o es una tarea ajena
+ */
+const getTrashedEntry = async (user, type, id) => {
+  const data = await client.hGetAll(trashKey(`${type}:${id}`));
+  if (!data || !data.id || (type === 'task' && data.ownerId !== user.id)) return null;
+  return data;
+};
+
+/**
+ * Restaura una tarea de la papelera con sus relaciones e índices. La vuelta
+ * del Hash, sus vínculos, índices, recordatorio e historial van en una sola
+ * transacción WATCH/MULTI sobre trash:task:{id}; las tareas, etiquetas,
+ * prioridades, serie y proyecto que se leen para decidir qué vínculos
+ * conserva se vigilan también, así una restauración nunca queda a medias.
+ * @param {Object} data - Hash de la tarea en la papelera
+ * @param {string|undefined} ifMatch - Header If-Match
+ * @param {Object} actor - Usuario que la restaura (para el historial)
+ * @returns {Promise<{ error: { status: number, message: string } }|{ data: Object, response: Object }>}
+ */
+const restoreTask = async (data, ifMatch, actor) => {
+  const key = `task:${data.id}`;
+  let restored;
+  let terms;
+
+  const result = await runIfMatch(trashKey(key), ifMatch, async (transaction, trashed, isolated) => {
+    const fields = { updatedAt: new Date().toISOString() };
+    restored = { ...trashed, ...fields, version: String(parseInt(trashed.version || '0', 10) + 1) };
+    delete restored.deletedAt;
+    queueTakeFromTrash(transaction, key, trashed, [TASK_SET, userTasksKey(restored.ownerId)], fields);
+
+    // Los vínculos con entidades que se eliminaron mientras tanto se descartan
+    const { tagIds, ...relations } = await queueReattachTaskRelations(transaction, restored, isolated);
+    const { blockerIds, ...graph } = await queueReattachTaskGraph(transaction, restored, isolated);
+    await queueRestoreOccurrence(transaction, restored, isolated);
+    const placement = await queueRestoreTaskToBoard(transaction, restored, isolated);
+    Object.assign(restored, relations, graph, placement);
+
+    await queueTaskIndex(transaction, restored);
+    terms = await queueTaskSearch(transaction, restored);
+    if (restored.remindAt && !restored.remindedAt) {
+      queueReminder(transaction, restored.id, Date.parse(restored.remindAt));
+    }
+    const sortIds = (ids) => [...ids].sort((a, b) => a - b).join(',');
+    queueActivity(transaction, {
+      entity: 'task',
+      id: restored.id,
+      action: 'restored',
+      actor,
+      before: {},
+      after: { ...restored, tagIds: sortIds(tagIds), blockedBy: sortIds(blockerIds) },
+      fields: HISTORY_FIELDS
+    });
+    return null;
+  }, { watch: taskTrashWatchKeys(data.id) });
+  if (result.error) return result;
+
+  await pruneSearchTerms(terms);
+  const response = await buildTaskResponse(restored);
+  await publishEvent({ type: 'task.restored', entityId: restored.id, ownerId: restored.ownerId, data: response });
+  return { data: restored, response };
+};
+
+/**
+ * Restaura una etiqueta o prioridad de la papelera y la vuelve a asignar a
+ * las tareas que la usaban (una prioridad, sólo a las que no tienen otra)
+ * @param {string} type - 'tag' | 'priority'
+ * @param {Object} data - Hash de la entidad en la papelera
+ * @param {string|undefined} ifMatch - Header If-Match
+ * @param {Object} actor - Usuario que la restaura (para el historial)
+ * @returns {Promise<{ error: { status: number, message: string } }|{ data: Object, response: Object }>}
+ */
+const restoreCatalogEntry = async (type, data, ifMatch, actor) => {
+  const key = `${type}:${data.id}`;
+  const { set, fields, format } = CATALOG_TYPES[type];
+  const taken = await takeFromTrash(key, ifMatch, [set]);
+  if (taken.error) return taken;
+
+  const restored = await client.hGetAll(key);
+  for (const taskKey of await client.sMembers(trashLinksKey(key))) {
+    const taskId = taskKey.split(':')[1];
+    const [exists, priorityId] = await client.hmGet(taskKey, ['id', 'priorityId']);
+    if (!exists) continue;
+
+    if (type === 'tag') {
+      await setTaskTags(taskId, [...await getTaskTagIds(taskId), restored.id]);
+    } else if (!priorityId) {
+      await setTaskPriority(taskId, '', restored.id);
+      await setPriorityScore([taskKey], parseInt(restored.order, 10));
+    }
+  }
+  await client.del(trashLinksKey(key));
+  // Las tareas vuelven a mostrarla: los listados cacheados con la restauración ya no valen
+  await invalidateLists(key, restored);
+
+  await recordActivity({
+    entity: type,
+    id: restored.id,
+    action: 'restored',
+    actor,
+    before: {},
+    after: restored,
+    fields
+  });
+  const response = { ...format(restored), version: parseInt(restored.version, 10) };
+  await publishEvent({ type: `${type}.restored`, entityId: restored.id, data: format(restored) });
+  return { data: restored, response };
+};
+
+/**
+ * Restaura una entidad de la papelera
+ * @param {string} type - 'task' | 'tag' | 'priority'
+ * @param {Object} data - Hash de la entidad en la papelera (getTrashedEntry)
+ * @param {string|undefined} ifMatch - Header If-Match
+ * @param {Object} actor - Usuario que la restaura
+ * @returns {Promise<{ error: { status: number, message: string } }|{ data: Object, response: Object }>}
+ */
+const restoreEntry = (type, data, ifMatch, actor) => (type === 'task'
+  ? restoreTask(data, ifMatch, actor)
+  : restoreCatalogEntry(type, data, ifMatch, actor));
+
+/**
+ * Purga definitivamente una entidad de la papelera
+ * @param {string} key - Clave original de la entidad (p. ej. task:1)
+ * @returns {Promise<boolean>} false si ya no estaba en la papelera (p. ej. se restauró)
+ */
+const purgeEntry = async (key) => {
+  const [type, id] = key.split(':');
+  const data = await client.hGetAll(trashKey(key));
+
+  // Se borra vigilando el Hash: si otra petición lo restauró, no se toca nada
+  const result = await runIfMatch(trashKey(key), undefined, (transaction, current) => {
+    transaction.del(trashKey(key));
+    transaction.zRem(TRASH_INDEX, key);
+    transaction.zRem(trashListKeyOf(key, current), key);
+  });
+  if (result.error) {
+    await client.zRem(TRASH_INDEX, key);
+    return false;
+  }
+
+  if (type === 'task') {
+    await clearTaskRelations(data);
+    await clearTaskGraph(id);
+    await deleteTaskComments(id);
+  } else {
+    await client.del(trashLinksKey(key));
+  }
+  return true;
+};
+
+/**
+ * Purga las entidades que superaron el tiempo de retención
+ * @param {number} [now] - Momento actual en ms (inyectable para tests)
+ * @returns {Promise<Array<string>>} Claves purgadas por esta instancia
+ */
+const purgeExpired = async (now = Date.now()) => {
+  const expired = await client.zRange(TRASH_INDEX, 0, now - RETENTION_MS, {
+    BY: 'SCORE',
+    LIMIT: { offset: 0, count: BATCH_SIZE }
+  });
+
+  const purged = [];
+  for (const key of expired) {
+    if (await purgeEntry(key)) purged.push(key);
+  }
+  return purged;
+};
+
+/**
+ * Inicia la purga periódica de la papelera
+ * @param {number} [intervalMs] - Intervalo entre consultas
+ * @returns {Function} Función para detener la purga
+ */
+const startTrashPurger = (intervalMs = POLL_INTERVAL_MS) =>
+  startPoller('trashPurger', () => purgeExpired(), intervalMs);
+
+/**
+ * Cuenta las tareas de la papelera que tienen un estado (al restaurarlas
+ * volverían con ese nombre, así que un estado en uso en la papelera no se elimina)
+ * @param {string} name - Nombre del estado
+ * @param {Object} isolated - Conexión de una transacción en curso (la papelera se vigila antes de leerla)
+ * @returns {Promise<number>}
+ */
+const countTrashedTasksWithStatus = async (name, isolated) => {
+  await isolated.watch(TRASH_INDEX);
+  const keys = (await isolated.zRange(TRASH_INDEX, 0, -1)).filter((key) => key.startsWith('task:'));
+  const statuses = await Promise.all(keys.map((key) => isolated.hGet(trashKey(key), 'status')));
+  return statuses.filter((status) => status === name).length;
+};
+
+module.exports = {
+  TRASH_TYPES,
+  taskTrashWatchKeys,
+  queueTaskTrash,
+  trashCatalogEntry,
+  countTrashedTasksWithStatus,
+  listTrash,
+  getTrashedEntry,
+  restoreEntry,
+  purgeEntry,
+  purgeExpired,
+  startTrashPurger
+};
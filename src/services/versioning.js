@@ -0,0 +1,169 @@
+/**
+ * Control de Concurrencia Optimista
+ * =================================
+ * Las entidades editables (tareas, etiquetas y prioridades) guardan en su
+ * Hash un campo `version` que aumenta con cada escritura. Las respuestas lo
+ * envían como ETag ("3") y PUT/DELETE aceptan el header If-Match: si la
+ * entidad cambió desde que el cliente la leyó se responde 412 en lugar de
+ * pisar el cambio ajeno.
+ *
+ * La comprobación de la versión y la escritura del Hash se hacen en una
+ * transacción WATCH/MULTI sobre una conexión aislada: si otra petición
+ * modifica el Hash entre la lectura y el EXEC, Redis descarta la transacción
+ * y se vuelve a intentar. Con If-Match el reintento responde 412 si la
+ * versión ya cambió; sin If-Match gana la última escritura, pero la versión
+ * nunca se pierde.
+ */
+
+const { WatchError } = require('redis');
+const { client } = require('../config/redis');
+const { queueListInvalidation } = require('./listCache');
+
+// Reintentos ante conflictos cuando el cliente no envía If-Match
+const MAX_RETRIES = 5;
+
+const PRECONDITION_FAILED = {
+  status: 412,
+  message: 'El recurso fue modificado por otra petición; vuelve a obtenerlo (If-Match no coincide)'
+};
+const GONE = { status: 404, message: 'El recurso ya no existe' };
+
+/**
+ * Formatea la versión de una entidad como ETag
+ * @param {string|number} [version] - Campo version del Hash (las entidades previas no lo tienen)
+ * @returns {string} p. ej. "3"
+ */
+const formatETag = (version) => `"${version || 0}"`;
+
+/**
+ * Agrega el header ETag con la versión de la entidad a la respuesta
+ * @param {Object} res - Express response
+ * @param {Object} data - Hash o entidad con su campo version
+ * @returns {Object} La misma response, para encadenar
+ */
+const setETag = (res, data) => res.set('ETag', formatETag(data.version));
+
+/**
+ * Indica si un header If-Match admite la versión actual
+ * (sin header, o con "*", se admite cualquiera; se ignora el prefijo débil W/)
+ * @param {string|undefined} ifMatch - Valor del header
+ * @param {string|number} [version] - Versión actual
+ * @returns {boolean}
+ */
+const matchesIfMatch = (ifMatch, version) => {
+  if (ifMatch === undefined || ifMatch.trim() === '*') return true;
+  return ifMatch
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .includes(formatETag(version));
+};
+
+/**
+ * Comprueba If-Match contra el Hash ya leído, para rechazar cuanto antes
+ * (la escritura vuelve a comprobarlo de forma atómica)
+ * @param {Object} req - Express request
+ * @param {Object} data - Hash de la entidad
+ * @returns {{ status: number, message: string }|null} Error a responder o null
+ */
+const getPreconditionError = (req, data) =>
+  (matchesIfMatch(req.get('If-Match'), data.version) ? null : PRECONDITION_FAILED);
+
+/**
+ * Ejecuta una transacción sobre varios Hashes sólo si todos existen y sus
+ * versiones coinciden con su If-Match. Si otra petición modifica una clave
+ * vigilada antes del EXEC se vuelve a leer y a comprobar todo: con If-Match,
+ * la nueva lectura responde 412 si la versión ya no es la esperada. La
+ * transacción invalida además los listados cacheados de esos Hashes (ver listCache).
+ * @param {Array<{ key: string, ifMatch: (string|undefined) }>} targets - Hashes y su header If-Match
+ * @param {Function} queue - Recibe la transacción (MULTI), los Hashes actuales (en el orden de
+ *   targets) y la conexión aislada, y agrega los comandos (puede ser async para leer otras
+ *   claves; las lecturas se hacen con las claves ya vigiladas, y las que no se conocen de
+ *   antemano pueden vigilarse con isolated.watch antes de leerlas). Si devuelve { error } la
+ *   transacción se descarta y se devuelve ese error.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.watch] - Otras claves que, si cambian antes del EXEC,
+ *   invalidan la transacción igual que un cambio en los Hashes (p. ej. los Sets que lee `queue`)
+ * @returns {Promise<{ error: { status: number, message: string }, index?: number }|{ replies: Array }>}
+ *   index: posición en targets del Hash que no existe o no está en la versión esperada
+ */
+const runIfMatchAll = async (targets, queue, { watch = [] } = {}) => {
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    try {
+      return await client.executeIsolated(async (isolated) => {
+        await isolated.watch([...targets.map(({ key }) => key), ...watch]);
+        const currents = await Promise.all(targets.map(({ key }) => isolated.hGetAll(key)));
+        const index = currents.findIndex((current, i) => (
+          !current.id || !matchesIfMatch(targets[i].ifMatch, current.version)
+        ));
+        if (index !== -1) {
+          await isolated.unwatch();
+          return { error: currents[index].id ? PRECONDITION_FAILED : GONE, index };
+        }
+
+        const transaction = isolated.multi();
+        const rejected = await queue(transaction, currents, isolated);
+        if (rejected && rejected.error) {
+          await isolated.unwatch();
+          return rejected;
+        }
+        // Los listados cacheados que muestran estos Hashes se invalidan con la escritura
+        targets.forEach(({ key }, i) => queueListInvalidation(transaction, key, currents[i]));
+        return { replies: await transaction.exec() };
+      });
+    } catch (error) {
+      if (!(error instanceof WatchError)) throw error;
+    }
+  }
+  throw new Error(`Demasiadas escrituras concurrentes sobre ${targets.map(({ key }) => key).join(', ')}`);
+};
+
+/**
+ * Ejecuta una transacción sobre el Hash sólo si su versión coincide con If-Match
+ * @param {string} key - Clave del Hash
+ * @param {string|undefined} ifMatch - Header If-Match
+ * @param {Function} queue - Recibe la transacción (MULTI), el Hash actual y la conexión
+ *   aislada, y agrega los comandos (ver runIfMatchAll)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.watch] - Otras claves vigiladas (ver runIfMatchAll)
+ * @returns {Promise<{ error: { status: number, message: string } }|{ replies: Array }>}
+ */
+const runIfMatch = async (key, ifMatch, queue, options) => {
+  const result = await runIfMatchAll(
+    [{ key, ifMatch }],
+    (transaction, [current], isolated) => queue(transaction, current, isolated),
+    options
+  );
+  return result.error ? { error: result.error } : result;
+};
+
+/**
+ * Escribe campos del Hash e incrementa su versión de forma atómica
+ * @param {string} key - Clave del Hash (p. ej. task:1)
+ * @param {string|undefined} ifMatch - Header If-Match
+ * @param {Object} [fields] - Campos a escribir junto con la nueva versión
+ * @param {Function} [queue] - Recibe la transacción, el Hash actual y el que queda tras la
+ *   escritura, y agrega otros comandos a la misma transacción (p. ej. la entrada del historial)
+ * @returns {Promise<{ error: { status: number, message: string } }|{ version: number }>}
+ */
+const writeIfMatch = async (key, ifMatch, fields = {}, queue = () => {}) => {
+  const hasFields = Object.keys(fields).length > 0;
+  const result = await runIfMatch(key, ifMatch, (transaction, current) => {
+    if (hasFields) transaction.hSet(key, fields);
+    transaction.hIncrBy(key, 'version', 1);
+    queue(transaction, current, { ...current, ...fields });
+  });
+  if (result.error) return result;
+  // La respuesta de HINCRBY va después de la de HSET (los demás comandos se encolan detrás)
+  return { version: Number(result.replies[hasFields ? 1 : 0]) };
+};
+
+module.exports = {
+  PRECONDITION_FAILED,
+  formatETag,
+  setETag,
+  matchesIfMatch,
+  getPreconditionError,
+  runIfMatchAll,
+  runIfMatch,
+  writeIfMatch
+};
@@ -0,0 +1,446 @@
+/**
+ * Servicio de Webhooks
+ * ====================
+ * Convierte los eventos del bus (ver eventBus) en entregas HTTP a los webhooks
+ * registrados y las reintenta con backoff exponencial:
+ *   webhook:{id}                 => { id, url, events, secret, ownerId, active, createdAt }
+ *   webhookIdsSet                => Set con las claves webhook:{id} de todos los webhooks
+ *   userWebhooks:{userId}        => Set con las claves webhook:{id} de cada usuario
+ *   webhookDelivery:{id}         => { id, webhookId, event, payload, status, attempts, ... }
+ *   webhookDeliveries:{webhookId} => List con los IDs de sus últimas entregas (más reciente primero)
+ *   webhookQueue                 => Sorted Set de entregas pendientes (score = próximo intento en ms)
+ *   webhookEvents                => Sorted Set de eventos por repartir (JSON, score = publicación en ms)
+ *
+ * publishEvent sólo encola el evento; el worker lo reparte después en una
+ * entrega por webhook suscrito, fuera del request que originó el cambio.
+ *
+ * Cada entrega se firma con HMAC-SHA256 usando el secreto del webhook:
+ *   X-Webhook-Timestamp: {ms}
+ *   X-Webhook-Signature: sha256={hex(HMAC(secret, "{timestamp}.{body}"))}
+ *
+ * Las URLs deben apuntar a hosts públicos (ver utils/network): se verifica al
+ * registrarlas y en cada intento. WEBHOOK_ALLOWED_HOSTS (separados por comas)
+ * exime a los hosts indicados, p. ej. un servicio de la red interna.
+ *
+ * Al igual que los recordatorios, los eventos y las entregas vencidas se
+ * reclaman con un lease (ver workQueue) para que cada reparto e intento lo
+ * haga una sola instancia; si la instancia cae a mitad de camino, el elemento
+ * vuelve a la cola al vencer el lease y sigue pendiente.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { client } = require('../config/redis');
+const { startPoller } = require('../utils/poller');
+const { getDueItems, claimItem, releaseItem } = require('./workQueue');
+const { hostOf, checkPublicUrl, publicLookup } = require('../utils/network');
+
+const WEBHOOK_SET = 'webhookIdsSet';
+const DELIVERY_QUEUE = 'webhookQueue';
+const EVENT_QUEUE = 'webhookEvents';
+const deliveryLogKey = (webhookId) => `webhookDeliveries:${webhookId}`;
+const userWebhooksKey = (userId) => `userWebhooks:${userId}`;
+
+// Eventos a los que se puede suscribir un webhook ('*' = todos)
+const WEBHOOK_EVENTS = [
+  'task.created', 'task.updated', 'task.status_changed', 'task.moved', 'task.deleted', 'task.restored',
+  'task.reminded',
+  'tag.created', 'tag.updated', 'tag.deleted', 'tag.restored',
+  'priority.created', 'priority.updated', 'priority.deleted', 'priority.restored',
+  'status.created', 'status.updated', 'status.deleted',
+  'comment.created', 'comment.updated', 'comment.deleted',
+  'project.created', 'project.updated', 'project.deleted'
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS, 10) || 30000;
+const REQUEST_TIMEOUT_MS = 10000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+// Plazo de un intento reclamado antes de que otra instancia lo retome
+const LEASE_MS = REQUEST_TIMEOUT_MS * 6;
+const BATCH_SIZE = 50;
+
+// Cantidad de entregas que se conservan en el log de cada webhook
+const DELIVERY_LOG_SIZE = 100;
+
+// Hosts a los que se permite entregar aunque no sean públicos
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Verifica que la URL de un webhook apunte a un host público o permitido
+ * @param {string} url - URL http(s)
+ * @returns {Promise<string|null>} Mensaje de error o null si es válida
+ */
+const checkWebhookUrl = (url) => checkPublicUrl(url, ALLOWED_HOSTS);
+
+/**
+ * Firma el cuerpo de una entrega
+ * @param {string} secret - Secreto del webhook
+ * @param {string} timestamp - Momento del envío en ms
+ * @param {string} body - JSON enviado
+ * @returns {string} Valor de X-Webhook-Signature
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Convierte el Hash de una entrega en su representación pública
+ * @param {Object} data - Hash de la entrega
+ * @returns {Object}
+ */
+const formatDelivery = (data) => ({
+  id: data.id,
+  webhookId: data.webhookId,
+  event: data.event,
+  status: data.status,
+  attempts: parseInt(data.attempts, 10),
+  lastStatusCode: data.lastStatusCode ? parseInt(data.lastStatusCode, 10) : null,
+  lastError: data.lastError || null,
+  nextAttemptAt: data.nextAttemptAt || null,
+  createdAt: data.createdAt,
+  updatedAt: data.updatedAt
+});
+
+/**
+ * Crea una entrega pendiente y la encola para enviarse cuanto antes
+ * @param {string} webhookId - Webhook destino
+ * @param {string} eventType - Tipo de evento
+ * @param {string} payload - JSON del evento
+ * @param {number} [now] - Momento actual en ms
+ * @returns {Promise<Object>} Entrega creada
+ */
+const createDelivery = async (webhookId, eventType, payload, now = Date.now()) => {
+  const deliveryId = (await client.incr('webhookDeliveryIdCounter')).toString();
+  const createdAt = new Date(now).toISOString();
+  const data = {
+    id: deliveryId,
+    webhookId,
+    event: eventType,
+    payload,
+    status: 'pending',
+    attempts: '0',
+    lastStatusCode: '',
+    lastError: '',
+    nextAttemptAt: createdAt,
+    createdAt,
+    updatedAt: createdAt
+  };
+
+  // La entrega, su lugar en el log y en la cola se guardan a la vez
+  await client.multi()
+    .hSet(`webhookDelivery:${deliveryId}`, data)
+    .lPush(deliveryLogKey(webhookId), deliveryId)
+    .lTrim(deliveryLogKey(webhookId), 0, DELIVERY_LOG_SIZE - 1)
+    .zAdd(DELIVERY_QUEUE, { score: now, value: deliveryId })
+    .exec();
+
+  return formatDelivery(data);
+};
+
+/**
+ * Crea una entrega por cada webhook suscrito al evento
+ * @param {Object} event - Evento publicado por eventBus
+ * @param {number} [now] - Momento actual en ms
+ * @returns {Promise<number>} Cantidad de entregas creadas
+ */
+const enqueueDeliveries = async (event, now = Date.now()) => {
+  const keys = await client.sMembers(WEBHOOK_SET);
+  const webhooks = await Promise.all(keys.map((key) => client.hGetAll(key)));
+  let created = 0;
+
+  for (const webhook of webhooks) {
+    if (!webhook || !webhook.id || webhook.active !== 'true') continue;
+
+    const events = webhook.events.split(',');
+    if (!events.includes('*') && !events.includes(event.type)) continue;
+
+    // Igual que en el stream SSE: las tareas sólo se notifican a su dueño
+    if (event.ownerId && event.ownerId !== webhook.ownerId) continue;
+
+    const payload = JSON.stringify({ event: event.type, eventId: event.id, at: event.at, data: event.data });
+    await createDelivery(webhook.id, event.type, payload, now);
+    created++;
+  }
+
+  return created;
+};
+
+/**
+ * Encola un evento para repartirlo entre los webhooks (ver fanOutEvents)
+ * @param {Object} event - Evento publicado por eventBus
+ * @returns {Promise<void>}
+ */
+const queueWebhookEvent = async (event) => {
+  await client.zAdd(EVENT_QUEUE, { score: Date.parse(event.at), value: JSON.stringify(event) });
+};
+
+/**
+ * Reparte los eventos encolados en entregas para los webhooks suscritos
+ * @param {number} [now] - Momento actual en ms (inyectable para tests)
+ * @returns {Promise<number>} Cantidad de eventos repartidos por esta instancia
+ */
+const fanOutEvents = async (now = Date.now()) => {
+  const dueEvents = await getDueItems(EVENT_QUEUE, now, BATCH_SIZE);
+
+  let fannedOut = 0;
+  for (const item of dueEvents) {
+    if (!(await claimItem(EVENT_QUEUE, item, now, LEASE_MS))) continue;
+
+    await enqueueDeliveries(JSON.parse(item), now);
+    await releaseItem(EVENT_QUEUE, item);
+    fannedOut++;
+  }
+  return fannedOut;
+};
+
+/**
+ * Registra un webhook activo
+ * @param {Object} webhook - { url, events, secret, ownerId }
+ * @returns {Promise<Object>} Hash del webhook creado
+ */
+const insertWebhook = async ({ url, events, secret, ownerId }) => {
+  const id = (await client.incr('webhookIdCounter')).toString();
+  const key = `webhook:${id}`;
+  const data = {
+    id,
+    url,
+    events: events.join(','),
+    secret,
+    ownerId,
+    active: 'true',
+    createdAt: new Date().toISOString()
+  };
+
+  // El Hash y su clave en el Set global y en el del dueño se guardan a la vez
+  await client.multi()
+    .hSet(key, data)
+    .sAdd(WEBHOOK_SET, key)
+    .sAdd(userWebhooksKey(ownerId), key)
+    .exec();
+  return data;
+};
+
+/**
+ * Busca un webhook por ID
+ * @param {string} id - ID del webhook
+ * @returns {Promise<Object|null>} Hash del webhook o null si no existe
+ */
+const findWebhookById = async (id) => {
+  const data = await client.hGetAll(`webhook:${id}`);
+  return data && data.id ? data : null;
+};
+
+/**
+ * Obtiene los webhooks de un usuario, ordenados por ID
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Array<Object>>} Hashes de los webhooks
+ */
+const findUserWebhooks = async (userId) => {
+  const keys = await client.sMembers(userWebhooksKey(userId));
+
+  const hashes = await Promise.all(keys.map((key) => client.hGetAll(key)));
+  return hashes
+    .filter((data) => data && data.id)
+    .sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Modifica un webhook
+ * @param {string} id - ID del webhook
+ * @param {Object} changes - { url, events, active, secret } (undefined = sin cambio)
+ * @returns {Promise<Object>} Hash actualizado
+ */
+const updateWebhook = async (id, { url, events, active, secret }) => {
+  const key = `webhook:${id}`;
+  const update = {};
+  if (url !== undefined) update.url = url;
+  if (events !== undefined) update.events = events.join(',');
+  if (active !== undefined) update.active = active.toString();
+  if (secret !== undefined) update.secret = secret;
+
+  if (Object.keys(update).length > 0) await client.hSet(key, update);
+  return client.hGetAll(key);
+};
+
+/**
+ * Elimina un webhook y su log de entregas (las entregas pendientes fallarán
+ * al no encontrar el webhook)
+ * @param {Object} data - Hash del webhook
+ */
+const deleteWebhook = async (data) => {
+  const key = `webhook:${data.id}`;
+  const deliveryIds = await client.lRange(deliveryLogKey(data.id), 0, -1);
+
+  await client.multi()
+    .del([key, deliveryLogKey(data.id), ...deliveryIds.map((deliveryId) => `webhookDelivery:${deliveryId}`)])
+    .sRem(WEBHOOK_SET, key)
+    .sRem(userWebhooksKey(data.ownerId), key)
+    .exec();
+};
+
+/**
+ * Busca una entrega por ID
+ * @param {string} deliveryId - ID de la entrega
+ * @returns {Promise<Object|null>} Hash de la entrega o null si no existe
+ */
+const findDeliveryById = async (deliveryId) => {
+  const data = await client.hGetAll(`webhookDelivery:${deliveryId}`);
+  return data && data.id ? data : null;
+};
+
+/**
+ * Obtiene las últimas entregas de un webhook (más reciente primero)
+ * @param {string} webhookId - ID del webhook
+ * @param {number} limit - Cantidad máxima
+ * @returns {Promise<Array<Object>>} Hashes de las entregas
+ */
+const findWebhookDeliveries = async (webhookId, limit) => {
+  const deliveryIds = await client.lRange(deliveryLogKey(webhookId), 0, limit - 1);
+  const hashes = await Promise.all(deliveryIds.map((deliveryId) => client.hGetAll(`webhookDelivery:${deliveryId}`)));
+  return hashes.filter((data) => data && data.id);
+};
+
+/**
+ * Envía una petición POST con JSON
+ * @param {string} url - URL destino
+ * @param {string} body - JSON a enviar
+ * @param {Object} headers - Headers adicionales
+ * @returns {Promise<number>} Código de estado HTTP
+ */
+const postJson = (url, body, headers) => new Promise((resolve, reject) => {
+  const transport = url.startsWith('https:') ? https : http;
+  const req = transport.request(url, {
+    method: 'POST',
+    // La dirección se vuelve a verificar al conectarse, por si el DNS cambió
+    lookup: ALLOWED_HOSTS.includes(hostOf(url)) ? undefined : publicLookup,
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      ...headers
+    },
+    timeout: REQUEST_TIMEOUT_MS
+  }, (res) => {
+    res.resume();
+    res.on('end', () => resolve(res.statusCode));
+  });
+  req.on('timeout', () => req.destroy(new Error('Tiempo de espera agotado')));
+  req.on('error', reject);
+  req.end(body);
+});
+
+/**
+ * Realiza un intento de entrega y la reprograma si falla
+ * @param {string} deliveryId - ID de la entrega
+ * @param {number} now - Momento actual en ms
+ * @returns {Promise<Object|null>} Entrega actualizada o null si ya no existe
+ */
+const attemptDelivery = async (deliveryId, now) => {
+  const key = `webhookDelivery:${deliveryId}`;
+  const delivery = await client.hGetAll(key);
+  if (!delivery || !delivery.id) return null;
+
+  const webhook = await client.hGetAll(`webhook:${delivery.webhookId}`);
+  if (!webhook || !webhook.id) {
+    await client.hSet(key, { status: 'failed', lastError: 'El webhook ya no existe', updatedAt: new Date(now).toISOString() });
+    return formatDelivery(await client.hGetAll(key));
+  }
+
+  const timestamp = now.toString();
+  const attempts = parseInt(delivery.attempts, 10) + 1;
+  let statusCode = null;
+  let errorMessage = '';
+
+  try {
+    const destinationError = await checkWebhookUrl(webhook.url);
+    if (destinationError) throw new Error(destinationError);
+
+    statusCode = await postJson(webhook.url, delivery.payload, {
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.payload)
+    });
+    if (statusCode < 200 || statusCode >= 300) {
+      errorMessage = `Respuesta HTTP ${statusCode}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  const update = {
+    attempts: attempts.toString(),
+    lastStatusCode: statusCode ? statusCode.toString() : '',
+    lastError: errorMessage,
+    updatedAt: new Date(now).toISOString()
+  };
+
+  if (!errorMessage) {
+    Object.assign(update, { status: 'success', nextAttemptAt: '' });
+  } else if (attempts >= MAX_ATTEMPTS) {
+    Object.assign(update, { status: 'failed', nextAttemptAt: '' });
+  } else {
+    // Backoff exponencial: base, 2x base, 4x base...
+    const nextAttempt = now + BACKOFF_BASE_MS * 2 ** (attempts - 1);
+    Object.assign(update, { status: 'pending', nextAttemptAt: new Date(nextAttempt).toISOString() });
+    await client.zAdd(DELIVERY_QUEUE, { score: nextAttempt, value: delivery.id });
+  }
+
+  await client.hSet(key, update);
+  return formatDelivery(await client.hGetAll(key));
+};
+
+/**
+ * Reparte los eventos encolados y procesa las entregas cuyo próximo intento
+ * ya venció
+ * @param {number} [now] - Momento actual en ms (inyectable para tests)
+ * @returns {Promise<Array<Object>>} Entregas procesadas por esta instancia
+ */
+const processWebhookQueue = async (now = Date.now()) => {
+  await fanOutEvents(now);
+  const dueIds = await getDueItems(DELIVERY_QUEUE, now, BATCH_SIZE);
+
+  const processed = [];
+  for (const deliveryId of dueIds) {
+    // Reclamar la entrega; si otra instancia ya la tomó, se ignora
+    if (!(await claimItem(DELIVERY_QUEUE, deliveryId, now, LEASE_MS))) continue;
+
+    // Un reintento vuelve a la cola dentro de attemptDelivery, antes de liberarla
+    const delivery = await attemptDelivery(deliveryId, now);
+    await releaseItem(DELIVERY_QUEUE, deliveryId);
+    if (delivery) processed.push(delivery);
+  }
+  return processed;
+};
+
+/**
+ * Inicia el envío periódico de entregas pendientes
+ * @param {number} [intervalMs] - Intervalo entre consultas
+ * @returns {Function} Función para detener el proceso
+ */
+const startWebhookWorker = (intervalMs = POLL_INTERVAL_MS) =>
+  startPoller('webhookWorker', () => processWebhookQueue(), intervalMs);
+
+module.exports = {
+  WEBHOOK_SET,
+  WEBHOOK_EVENTS,
+  signPayload,
+  checkWebhookUrl,
+  formatDelivery,
+  createDelivery,
+  enqueueDeliveries,
+  queueWebhookEvent,
+  fanOutEvents,
+  insertWebhook,
+  findWebhookById,
+  findUserWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  findDeliveryById,
+  findWebhookDeliveries,
+  processWebhookQueue,
+  startWebhookWorker
+};
@@ -0,0 +1,112 @@
+/**
+ * Colas de Trabajo con Lease
+ * ==========================
+ * Los procesos en segundo plano (recordatorios, webhooks y series
+ * programadas) guardan su trabajo pendiente en un Sorted Set cuyo score es el
+ * momento en que toca procesarlo. Para reclamar un elemento se lo mueve a un
+ * segundo Sorted Set con un lease (plazo de visibilidad):
+ *   {cola}             => pendientes (score = cuándo procesarlo en ms)
+ *   {cola}:processing  => reclamados (score = vencimiento del lease en ms)
+ *
+ * El reclamo agrega el elemento a {cola}:processing con ZADD NX (sólo lo
+ * logra una instancia) y después lo quita de la cola. Al terminar, quien lo
+ * procesó lo libera; si lo vuelve a encolar (p. ej. un reintento), lo hace
+ * antes de liberarlo. Si el proceso cae a mitad de camino el elemento sigue
+ * en {cola}:processing y, al vencer su lease, cualquier instancia lo devuelve
+ * a la cola: nada se pierde, a cambio de que un elemento pueda procesarse más
+ * de una vez (el lease debe superar lo que tarda en procesarse uno).
+ */
+
+const { WatchError } = require('redis');
+const { client } = require('../config/redis');
+
+// Plazo por defecto para procesar un elemento reclamado
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+
+const processingKey = (queue) => `${queue}:processing`;
+
+/**
+ * Devuelve a la cola los elementos cuyo lease venció (su proceso cayó).
+ * Se vigila el Set de reclamados: si otra instancia lo modifica a la vez, el
+ * reintento queda para la próxima consulta.
+ * @param {string} queue - Clave de la cola
+ * @param {number} now - Momento actual en ms
+ * @returns {Promise<number>} Cantidad de elementos devueltos a la cola
+ */
+const reclaimExpired = async (queue, now) => {
+  try {
+    return await client.executeIsolated(async (isolated) => {
+      await isolated.watch(processingKey(queue));
+      const expired = await isolated.zRange(processingKey(queue), 0, now, { BY: 'SCORE' });
+      if (expired.length === 0) {
+        await isolated.unwatch();
+        return 0;
+      }
+
+      // NX: si alcanzó a volver a encolarse (p. ej. un reintento), conserva su score
+      await isolated.multi()
+        .zAdd(queue, expired.map((value) => ({ score: now, value })), { NX: true })
+        .zRem(processingKey(queue), expired)
+        .exec();
+      return expired.length;
+    });
+  } catch (error) {
+    if (error instanceof WatchError) return 0;
+    throw error;
+  }
+};
+
+/**
+ * Obtiene los elementos de la cola que ya toca procesar, después de devolver
+ * a la cola los reclamos vencidos
+ * @param {string} queue - Clave de la cola
+ * @param {number} now - Momento actual en ms
+ * @param {number} count - Cantidad máxima de elementos
+ * @returns {Promise<Array<string>>}
+ */
+const getDueItems = async (queue, now, count) => {
+  await reclaimExpired(queue, now);
+  return client.zRange(queue, 0, now, {
+    BY: 'SCORE',
+    LIMIT: { offset: 0, count }
+  });
+};
+
+/**
+ * Libera un elemento ya procesado (se llama después de volver a encolarlo, si corresponde)
+ * @param {string} queue - Clave de la cola
+ * @param {string} item - Elemento reclamado con claimItem
+ * @returns {Promise<void>}
+ */
+const releaseItem = async (queue, item) => {
+  await client.zRem(processingKey(queue), item);
+};
+
+/**
+ * Reclama un elemento de la cola
+ * @param {string} queue - Clave de la cola
+ * @param {string} item - Elemento a reclamar
+ * @param {number} now - Momento actual en ms
+ * @param {number} [leaseMs] - Plazo para procesarlo antes de que vuelva a la cola
+ * @returns {Promise<boolean>} false si otra instancia ya lo reclamó
+ */
+const claimItem = async (queue, item, now, leaseMs = DEFAULT_LEASE_MS) => {
+  const leased = await client.zAdd(processingKey(queue), { score: now + leaseMs, value: item }, { NX: true });
+  if (!leased) return false;
+
+  // Si otra instancia lo procesó en el medio, ya no está en la cola o volvió
+  // con un próximo intento futuro: se suelta sin tocarlo
+  const score = await client.zScore(queue, item);
+  if (score === null || score > now || !(await client.zRem(queue, item))) {
+    await releaseItem(queue, item);
+    return false;
+  }
+  return true;
+};
+
+module.exports = {
+  processingKey,
+  getDueItems,
+  claimItem,
+  releaseItem
+};
@@ -0,0 +1,466 @@
+/**
+ * Cliente de Redis en Memoria
+ * ===========================
+ * Implementa, dentro del proceso, los comandos de node-redis que usa la API
+ * (Strings, Hashes, Sets, Sorted Sets, Lists, Streams, TTL, MULTI/WATCH,
+ * pub/sub y SCAN) con la misma forma de llamada y de respuesta. Se usa con
+ * STORAGE_DRIVER=memory (ver config/redis) para demos locales sin un servidor
+ * de Redis, y es la base del mock de los tests.
+ *
+ * Los datos viven en un "store" compartido por el cliente y sus duplicados
+ * (duplicate()), igual que varias conexiones a un mismo servidor, y se
+ * pierden al terminar el proceso. Cada clave guarda su tipo: usar una clave
+ * con un comando de otro tipo falla con WRONGTYPE, como en Redis. Las claves
+ * con TTL vencen al leerlas. Cada comando corre completo sin ceder el turno y
+ * EXEC lanza los de la transacción seguidos, así que MULTI es atómico; WATCH
+ * compara el estado de las claves vigiladas al EXEC.
+ */
+
+const { WatchError } = require('redis');
+
+/**
+ * Crea un store vacío
+ * @returns {{ keys: Object, expires: Object, channels: Object }}
+ *   keys:     clave => { type, value }
+ *   expires:  clave => vencimiento en ms
+ *   channels: canal => listeners de pub/sub
+ */
+const createStore = () => ({ keys: {}, expires: {}, channels: {} });
+
+const wrongTypeError = () => new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+
+// Compara strings por bytes, como ordena Redis los miembros con igual score
+const compareMembers = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Compara IDs de entradas de Stream ("ms-secuencia")
+const compareStreamIds = (a, b) => {
+  const [msA, seqA] = a.split('-').map(Number);
+  const [msB, seqB] = b.split('-').map(Number);
+  return (msA - msB) || (seqA - seqB);
+};
+
+// Traduce índices negativos de ZRANGE/LRANGE a posiciones absolutas
+const sliceByRank = (items, start, stop) => {
+  const from = start < 0 ? items.length + start : start;
+  const to = stop < 0 ? items.length + stop : stop;
+  return items.slice(Math.max(from, 0), to + 1);
+};
+
+/**
+ * Interpreta un límite de score: número, "-inf"/"+inf" o "(valor" (exclusivo)
+ * @param {number|string} bound
+ * @returns {{ value: number, exclusive: boolean }}
+ */
+const parseScoreBound = (bound) => {
+  const text = String(bound);
+  const exclusive = text.startsWith('(');
+  const raw = exclusive ? text.slice(1) : text;
+  const infinite = { '-inf': -Infinity, inf: Infinity, '+inf': Infinity };
+  return { value: raw in infinite ? infinite[raw] : Number(raw), exclusive };
+};
+
+const aboveMin = (score, min) => (min.exclusive ? score > min.value : score >= min.value);
+const belowMax = (score, max) => (max.exclusive ? score < max.value : score <= max.value);
+
+// Filtra pares [miembro, score] entre dos límites de score
+const inScoreRange = (entries, min, max) => {
+  const [from, to] = [parseScoreBound(min), parseScoreBound(max)];
+  return entries.filter(([, score]) => aboveMin(score, from) && belowMax(score, to));
+};
+
+// Límites de ZRANGE BYLEX: "[valor" (inclusivo), "(valor" (exclusivo), "-" y "+"
+const inLexRange = (member, bound, isMin) => {
+  if (bound === '-') return isMin;
+  if (bound === '+') return !isMin;
+  const value = bound.slice(1);
+  if (bound[0] === '[') return isMin ? member >= value : member <= value;
+  return isMin ? member > value : member < value;
+};
+
+// Filtra entradas de un Stream entre dos IDs ("-", "+" o "(id" exclusivo)
+const inStreamRange = (id, start, end) => {
+  if (start !== '-') {
+    const cmp = compareStreamIds(id, start.replace('(', ''));
+    if (start.startsWith('(') ? cmp <= 0 : cmp < 0) return false;
+  }
+  if (end !== '+') {
+    const cmp = compareStreamIds(id, end.replace('(', ''));
+    if (end.startsWith('(') ? cmp >= 0 : cmp > 0) return false;
+  }
+  return true;
+};
+
+// Aplica la opción LIMIT { offset, count } de ZRANGE
+const applyLimit = (items, limit) => (limit ? items.slice(limit.offset, limit.offset + limit.count) : items);
+
+/**
+ * Crea un cliente sobre un store (por defecto, uno nuevo)
+ * @param {Object} [store] - Store compartido (ver createStore)
+ * @returns {Object} Cliente con la interfaz de node-redis v4
+ */
+const createMemoryClient = (store = createStore()) => {
+  const { keys, expires, channels } = store;
+
+  // Entrada vigente de una clave (las vencidas se borran al leerlas)
+  const lookup = (key) => {
+    if (expires[key] !== undefined && expires[key] <= Date.now()) {
+      delete keys[key];
+      delete expires[key];
+    }
+    return keys[key];
+  };
+
+  // Valor de una clave del tipo indicado (undefined si no existe)
+  const read = (key, type) => {
+    const entry = lookup(key);
+    if (!entry) return undefined;
+    if (entry.type !== type) throw wrongTypeError();
+    return entry.value;
+  };
+
+  // Valor de una clave del tipo indicado, creándola vacía si no existe
+  const write = (key, type, empty) => {
+    const value = read(key, type);
+    if (value !== undefined) return value;
+    keys[key] = { type, value: empty() };
+    return keys[key].value;
+  };
+
+  const remove = (key) => {
+    const existed = lookup(key) !== undefined;
+    delete keys[key];
+    delete expires[key];
+    return existed;
+  };
+
+  // Redis borra los Hashes, Sets, Sorted Sets y Lists que quedan vacíos
+  const dropIfEmpty = (key) => {
+    const entry = keys[key];
+    if (!entry) return;
+    const size = entry.value instanceof Map || entry.value instanceof Set
+      ? entry.value.size
+      : Array.isArray(entry.value) ? entry.value.length : Object.keys(entry.value).length;
+    if (size === 0) remove(key);
+  };
+
+  // Pares [miembro, score] de un Sorted Set ordenados como Redis; en
+  // ZINTERSTORE y ZUNIONSTORE un Set normal cuenta como Sorted Set con score 1
+  const sortedEntries = (key, { allowSet = false } = {}) => {
+    const entry = lookup(key);
+    if (!entry) return [];
+    if (allowSet && entry.type === 'set') return [...entry.value].sort(compareMembers).map((member) => [member, 1]);
+    if (entry.type !== 'zset') throw wrongTypeError();
+    return [...entry.value.entries()].sort((a, b) => (a[1] - b[1]) || compareMembers(a[0], b[0]));
+  };
+
+  // Guarda el resultado de ZINTERSTORE/ZUNIONSTORE (si está vacío, borra el destino)
+  const storeSorted = (destination, result) => {
+    remove(destination);
+    if (result.size > 0) keys[destination] = { type: 'zset', value: result };
+    return result.size;
+  };
+
+  // Estado serializado de una clave, para detectar cambios sobre claves vigiladas con WATCH
+  const snapshotKey = (key) => {
+    const entry = lookup(key);
+    if (!entry) return null;
+    const { type, value } = entry;
+    if (type === 'set') return JSON.stringify([type, [...value].sort()]);
+    if (type === 'zset') return JSON.stringify([type, [...value.entries()]]);
+    return JSON.stringify([type, value]);
+  };
+
+  const setExpiry = (key, ms) => {
+    if (lookup(key) === undefined) return false;
+    expires[key] = Date.now() + ms;
+    return true;
+  };
+
+  const commands = {
+    connect: async () => {},
+    quit: async () => 'OK',
+    on: () => {},
+    duplicate: () => createMemoryClient(store),
+
+    subscribe: async (channel, listener) => {
+      (channels[channel] = channels[channel] || []).push(listener);
+    },
+    publish: async (channel, message) => {
+      const listeners = channels[channel] || [];
+      listeners.forEach((listener) => listener(message, channel));
+      return listeners.length;
+    },
+
+    dbSize: async () => Object.keys(keys).filter((key) => lookup(key) !== undefined).length,
+    flushDb: async () => {
+      Object.keys(keys).forEach(remove);
+      return 'OK';
+    },
+    del: async (names) => [].concat(names).filter(remove).length,
+    // Como en Redis, falla si la clave de origen no existe y pisa la de destino
+    rename: async (key, newKey) => {
+      const entry = lookup(key);
+      if (entry === undefined) throw new Error('ERR no such key');
+      const expiry = expires[key];
+      remove(key);
+      remove(newKey);
+      keys[newKey] = entry;
+      if (expiry !== undefined) expires[newKey] = expiry;
+      return 'OK';
+    },
+    expire: async (key, seconds) => setExpiry(key, seconds * 1000),
+    pExpire: async (key, ms) => setExpiry(key, ms),
+    // SCAN con MATCH: recorre las claves que coinciden con el patrón (sólo comodín *)
+    scanIterator: ({ MATCH = '*' } = {}) => {
+      const escape = (part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`^${MATCH.split('*').map(escape).join('.*')}$`);
+      const matching = Object.keys(keys).filter((key) => pattern.test(key) && lookup(key) !== undefined);
+      return (async function* scan() {
+        for (const key of matching) yield key;
+      })();
+    },
+
+    get: async (key) => {
+      const value = read(key, 'string');
+      return value === undefined ? null : value;
+    },
+    mGet: async (names) => names.map((key) => {
+      const entry = lookup(key);
+      return entry && entry.type === 'string' ? entry.value : null;
+    }),
+    // Soporta las opciones NX, XX, EX, PX y KEEPTTL de node-redis
+    set: async (key, value, options = {}) => {
+      const exists = lookup(key) !== undefined;
+      if ((options.NX && exists) || (options.XX && !exists)) return null;
+      const expiry = options.KEEPTTL ? expires[key] : undefined;
+      remove(key);
+      keys[key] = { type: 'string', value: String(value) };
+      if (options.EX) expires[key] = Date.now() + options.EX * 1000;
+      else if (options.PX) expires[key] = Date.now() + options.PX;
+      else if (expiry !== undefined) expires[key] = expiry;
+      return 'OK';
+    },
+    incr: async (key) => {
+      const current = read(key, 'string');
+      const value = parseInt(current || '0', 10);
+      if (Number.isNaN(value)) throw new Error('ERR value is not an integer or out of range');
+      if (current === undefined) keys[key] = { type: 'string', value: '0' };
+      keys[key].value = String(value + 1);
+      return value + 1;
+    },
+
+    // Soporta tanto hSet(key, { campo: valor }) como hSet(key, campo, valor)
+    hSet: async (key, data, value) => {
+      const entries = typeof data === 'string' ? [[data, value]] : Object.entries(data);
+      const hash = write(key, 'hash', () => ({}));
+      let added = 0;
+      for (const [field, fieldValue] of entries) {
+        if (!(field in hash)) added++;
+        hash[field] = String(fieldValue);
+      }
+      return added;
+    },
+    hIncrBy: async (key, field, increment) => {
+      const hash = write(key, 'hash', () => ({}));
+      const value = parseInt(hash[field] || '0', 10) + increment;
+      hash[field] = String(value);
+      return value;
+    },
+    hGet: async (key, field) => {
+      const hash = read(key, 'hash') || {};
+      return hash[field] !== undefined ? hash[field] : null;
+    },
+    hmGet: async (key, fields) => {
+      const hash = read(key, 'hash') || {};
+      return fields.map((field) => (hash[field] !== undefined ? hash[field] : null));
+    },
+    hGetAll: async (key) => ({ ...(read(key, 'hash') || {}) }),
+    hDel: async (key, fields) => {
+      const hash = read(key, 'hash');
+      if (!hash) return 0;
+      const removed = [].concat(fields).filter((field) => field in hash);
+      removed.forEach((field) => delete hash[field]);
+      dropIfEmpty(key);
+      return removed.length;
+    },
+
+    sAdd: async (key, members) => {
+      const set = write(key, 'set', () => new Set());
+      let added = 0;
+      for (const member of [].concat(members).map(String)) {
+        if (!set.has(member)) added++;
+        set.add(member);
+      }
+      return added;
+    },
+    sRem: async (key, members) => {
+      const set = read(key, 'set');
+      if (!set) return 0;
+      const removed = [].concat(members).map(String).filter((member) => set.delete(member)).length;
+      dropIfEmpty(key);
+      return removed;
+    },
+    sMembers: async (key) => [...(read(key, 'set') || [])],
+    sIsMember: async (key, member) => Boolean((read(key, 'set') || new Set()).has(String(member))),
+
+    // Soporta las opciones NX (sólo agregar) y XX (sólo actualizar) de node-redis
+    zAdd: async (key, members, options = {}) => {
+      const zset = write(key, 'zset', () => new Map());
+      let added = 0;
+      for (const { score, value } of [].concat(members)) {
+        const exists = zset.has(String(value));
+        if ((options.NX && exists) || (options.XX && !exists)) continue;
+        if (!exists) added++;
+        zset.set(String(value), Number(score));
+      }
+      dropIfEmpty(key);
+      return added;
+    },
+    zRem: async (key, members) => {
+      const zset = read(key, 'zset');
+      if (!zset) return 0;
+      const removed = [].concat(members).map(String).filter((member) => zset.delete(member)).length;
+      dropIfEmpty(key);
+      return removed;
+    },
+    zRemRangeByScore: async (key, min, max) => {
+      const removed = inScoreRange(sortedEntries(key), min, max);
+      removed.forEach(([member]) => keys[key].value.delete(member));
+      dropIfEmpty(key);
+      return removed.length;
+    },
+    zScore: async (key, member) => {
+      const zset = read(key, 'zset');
+      return zset && zset.has(String(member)) ? zset.get(String(member)) : null;
+    },
+    zCard: async (key) => sortedEntries(key).length,
+    zCount: async (key, min, max) => inScoreRange(sortedEntries(key), min, max).length,
+    // Por posición, BY: 'SCORE' o BY: 'LEX', con REV y LIMIT
+    zRange: async (key, start, stop, options = {}) => {
+      let entries = sortedEntries(key);
+      if (options.REV) entries = entries.reverse();
+      if (options.BY === 'LEX') {
+        const [min, max] = options.REV ? [stop, start] : [start, stop];
+        entries = entries.filter(([member]) => inLexRange(member, min, true) && inLexRange(member, max, false));
+        return applyLimit(entries, options.LIMIT).map(([member]) => member);
+      }
+      if (options.BY === 'SCORE') {
+        // Con REV los límites llegan invertidos (de max a min)
+        const [min, max] = options.REV ? [stop, start] : [start, stop];
+        return applyLimit(inScoreRange(entries, min, max), options.LIMIT).map(([member]) => member);
+      }
+      return sliceByRank(entries, start, stop).map(([member]) => member);
+    },
+    // Sólo rangos por posición (sin BY)
+    zRangeWithScores: async (key, start, stop) => sliceByRank(sortedEntries(key), start, stop)
+      .map(([value, score]) => ({ value, score })),
+    zInterStore: async (destination, names, options = {}) => {
+      const weights = options.WEIGHTS || names.map(() => 1);
+      const [first, ...rest] = names.map((key) => new Map(sortedEntries(key, { allowSet: true })));
+      // Un peso 0 anula el score (también si es infinito), como hace Redis
+      const scoreOf = (value, i) => (weights[i] === 0 ? 0 : value * weights[i]);
+      const result = new Map();
+      for (const [member, score] of first) {
+        if (!rest.every((other) => other.has(member))) continue;
+        result.set(member, rest.reduce((sum, other, i) => sum + scoreOf(other.get(member), i + 1), scoreOf(score, 0)));
+      }
+      return storeSorted(destination, result);
+    },
+    zUnionStore: async (destination, names, options = {}) => {
+      const weights = options.WEIGHTS || names.map(() => 1);
+      const aggregate = { SUM: (a, b) => a + b, MIN: Math.min, MAX: Math.max }[options.AGGREGATE || 'SUM'];
+      const result = new Map();
+      names.forEach((key, i) => {
+        for (const [member, score] of sortedEntries(key, { allowSet: true })) {
+          const weighted = score * weights[i];
+          result.set(member, result.has(member) ? aggregate(result.get(member), weighted) : weighted);
+        }
+      });
+      return storeSorted(destination, result);
+    },
+
+    lPush: async (key, values) => {
+      const list = write(key, 'list', () => []);
+      for (const value of [].concat(values)) list.unshift(String(value));
+      return list.length;
+    },
+    lRange: async (key, start, stop) => sliceByRank(read(key, 'list') || [], start, stop),
+    lTrim: async (key, start, stop) => {
+      if (read(key, 'list')) {
+        keys[key].value = sliceByRank(keys[key].value, start, stop);
+        dropIfEmpty(key);
+      }
+      return 'OK';
+    },
+
+    // Sólo IDs autogenerados ('*'); TRIM MAXLEN se aplica de forma exacta
+    xAdd: async (key, id, message, options = {}) => {
+      const stream = write(key, 'stream', () => []);
+      const last = stream.length > 0 ? stream[stream.length - 1].id.split('-').map(Number) : [0, 0];
+      const now = Date.now();
+      const entryId = now > last[0] ? `${now}-0` : `${last[0]}-${last[1] + 1}`;
+      stream.push({ id: entryId, message: { ...message } });
+      if (options.TRIM && options.TRIM.strategy === 'MAXLEN' && stream.length > options.TRIM.threshold) {
+        stream.splice(0, stream.length - options.TRIM.threshold);
+      }
+      return entryId;
+    },
+    xRange: async (key, start, end, options = {}) => {
+      const entries = (read(key, 'stream') || []).filter(({ id }) => inStreamRange(id, start, end));
+      return options.COUNT ? entries.slice(0, options.COUNT) : entries;
+    },
+    xRevRange: async (key, end, start, options = {}) => {
+      const entries = (read(key, 'stream') || []).filter(({ id }) => inStreamRange(id, start, end)).reverse();
+      return options.COUNT ? entries.slice(0, options.COUNT) : entries;
+    },
+
+    // MULTI: encola los comandos y exec() los ejecuta en orden, sin intercalar otros
+    multi() {
+      const queue = [];
+      const chain = new Proxy({}, {
+        get: (target, command) => {
+          if (command === 'exec') {
+            return async () => {
+              // Con WATCH, la transacción se descarta si alguna clave vigilada cambió
+              const watched = this.watchedKeys;
+              this.watchedKeys = null;
+              if (watched && Object.entries(watched).some(([key, snapshot]) => snapshotKey(key) !== snapshot)) {
+                throw new WatchError();
+              }
+              // Los comandos no esperan nada entre sí: se lanzan todos seguidos para
+              // que ningún otro cliente lea ni escriba en medio de la transacción
+              return Promise.all(queue.map(([name, args]) => this[name](...args)));
+            };
+          }
+          return (...args) => {
+            queue.push([command, args]);
+            return chain;
+          };
+        }
+      });
+      return chain;
+    },
+    // Conexión aislada para WATCH: comparte los datos pero vigila sus propias claves
+    executeIsolated(fn) {
+      const isolated = Object.create(this);
+      isolated.watchedKeys = null;
+      return Promise.resolve().then(() => fn(isolated));
+    },
+    async watch(names) {
+      this.watchedKeys = this.watchedKeys || {};
+      for (const key of [].concat(names)) this.watchedKeys[key] = snapshotKey(key);
+      return 'OK';
+    },
+    async unwatch() {
+      this.watchedKeys = null;
+      return 'OK';
+    }
+  };
+
+  return commands;
+};
+
+module.exports = {
+  createStore,
+  createMemoryClient
+};
@@ -0,0 +1,93 @@
+/**
+ * Utilidades de CSV
+ * =================
+ * Lectura y escritura de CSV según RFC 4180: campos separados por comas,
+ * registros separados por CRLF (se acepta también LF) y comillas dobles
+ * alrededor de los campos que contienen comas, comillas o saltos de línea
+ * (las comillas internas se duplican). La primera fila es el encabezado.
+ */
+
+/**
+ * Escapa un valor para escribirlo como campo CSV
+ * @param {*} value - Valor (null/undefined se escriben vacíos)
+ * @returns {string}
+ */
+const formatField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Genera un CSV con encabezado
+ * @param {Array<string>} columns - Nombres de las columnas, en orden
+ * @param {Array<Object>} rows - Objetos con (algunas de) esas columnas
+ * @returns {string}
+ */
+const formatCsv = (columns, rows) => [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+  .map((fields) => fields.map(formatField).join(','))
+  .join('\r\n') + '\r\n';
+
+/**
+ * Interpreta un CSV con encabezado
+ * @param {string} text - Contenido del CSV
+ * @returns {{ error: string }|{ rows: Array<Object> }} Una fila por registro, indexada por columna
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    return { error: 'CSV inválido: hay comillas sin cerrar' };
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...body] = records.filter((fields) => fields.length > 1 || fields[0] !== '');
+  if (!header) {
+    return { error: 'CSV inválido: falta el encabezado' };
+  }
+
+  const rows = [];
+  for (const [index, fields] of body.entries()) {
+    if (fields.length !== header.length) {
+      return { error: `CSV inválido: la fila ${index + 2} tiene ${fields.length} campos y el encabezado ${header.length}` };
+    }
+    rows.push(Object.fromEntries(header.map((column, i) => [column, fields[i]])));
+  }
+  return { rows };
+};
+
+module.exports = {
+  formatCsv,
+  parseCsv
+};
@@ -0,0 +1,35 @@
+/**
+ * Utilidades de Fechas
+ * ====================
+ * Las fechas de las tareas (dueAt, remindAt) se reciben como ISO 8601 y
+ * deben indicar su zona horaria (Z o ±hh:mm) para que no dependan de la
+ * zona del servidor. Se guardan siempre normalizadas a UTC.
+ */
+
+// Fecha y hora ISO 8601 con zona horaria obligatoria
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Interpreta una fecha ISO 8601 con zona horaria
+ * @param {string} value - Fecha recibida (p. ej. "2024-05-01T18:00:00-03:00")
+ * @returns {{ iso: string, ms: number }|null} Fecha normalizada a UTC o null si no es válida
+ */
+const parseDateTime = (value) => {
+  if (typeof value !== 'string' || !ISO_DATE_TIME.test(value)) return null;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) return null;
+  return { iso: new Date(ms).toISOString(), ms };
+};
+
+/**
+ * Mensaje de error estándar para un campo de fecha inválido
+ * @param {string} field - Nombre del campo
+ * @returns {string}
+ */
+const invalidDateMessage = (field) =>
+  `${field} debe ser una fecha ISO 8601 con zona horaria (p. ej. 2024-05-01T18:00:00-03:00)`;
+
+module.exports = {
+  parseDateTime,
+  invalidDateMessage
+};
@@ -0,0 +1,80 @@
+/**
+ * Respuestas de Error
+ * ===================
+ * Todas las respuestas de error de la API comparten el mismo formato:
+ *   { code: 'VALIDATION_ERROR', message: 'El nombre es obligatorio', details: [...] }
+ *
+ * - code: identificador estable para los clientes (ver ERROR_CODES); por
+ *   defecto se deduce del status HTTP.
+ * - message: descripción legible, en español.
+ * - details: opcional; en los errores de validación, una entrada por campo
+ *   { in, field, code, message } (ver utils/schema).
+ *
+ * Los errores inesperados nunca se exponen: el manejador central
+ * (middlewares/errorHandler) los registra y responde INTERNAL_ERROR.
+ */
+
+const ERROR_CODES = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_IMPORT: 'INVALID_IMPORT',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  PRECONDITION_FAILED: 'PRECONDITION_FAILED',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE',
+  UNPROCESSABLE_ENTITY: 'UNPROCESSABLE_ENTITY',
+  TOO_MANY_REQUESTS: 'TOO_MANY_REQUESTS',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Código por defecto de cada status HTTP
+const STATUS_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  412: ERROR_CODES.PRECONDITION_FAILED,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  415: ERROR_CODES.UNSUPPORTED_MEDIA_TYPE,
+  422: ERROR_CODES.UNPROCESSABLE_ENTITY,
+  429: ERROR_CODES.TOO_MANY_REQUESTS,
+  500: ERROR_CODES.INTERNAL_ERROR
+};
+
+/**
+ * Construye el cuerpo de una respuesta de error
+ * @param {number} status - Status HTTP
+ * @param {string} message - Descripción legible
+ * @param {Object} [options] - { code, details }
+ * @returns {{ code: string, message: string, details?: Array<Object> }}
+ */
+const formatError = (status, message, { code, details } = {}) => {
+  const body = {
+    code: code || STATUS_CODES[status] || (status >= 500 ? ERROR_CODES.INTERNAL_ERROR : ERROR_CODES.BAD_REQUEST),
+    message
+  };
+  if (details && details.length > 0) body.details = details;
+  return body;
+};
+
+/**
+ * Responde un error con el formato común
+ * @param {Object} res - Express response
+ * @param {number} status - Status HTTP
+ * @param {string} message - Descripción legible
+ * @param {Object} [options] - { code, details }
+ * @returns {Object} La respuesta enviada
+ */
+const sendError = (res, status, message, options) =>
+  res.status(status).json(formatError(status, message, options));
+
+module.exports = {
+  ERROR_CODES,
+  formatError,
+  sendError
+};
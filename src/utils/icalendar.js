@@ -0,0 +1,222 @@
+/**
+ * Utilidades de iCalendar (RFC 5545)
+ * ==================================
+ * Escritura y lectura del formato .ics: líneas terminadas en CRLF y
+ * plegadas a 75 octetos, texto con \ , ; y saltos de línea escapados, y
+ * fechas en formato básico (20240501T180000Z).
+ *
+ * La lectura admite fechas en UTC (sufijo Z), con TZID (zona IANA, p. ej.
+ * America/Argentina/Buenos_Aires), flotantes (sin zona, se interpretan como
+ * UTC) y de día completo (VALUE=DATE, a las 00:00 UTC).
+ */
+
+// Longitud máxima de una línea en octetos, sin contar el CRLF
+const MAX_LINE_OCTETS = 75;
+
+const DATE_TIME = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+
+/**
+ * Escapa un texto para un valor de tipo TEXT
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeText = (text = '') => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Revierte escapeText
+ * @param {string} value
+ * @returns {string}
+ */
+const unescapeText = (value = '') => value
+  .replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+/**
+ * Pliega una línea de contenido en segmentos de hasta 75 octetos
+ * (sin partir caracteres multibyte)
+ * @param {string} line
+ * @returns {string} Línea con los pliegues (CRLF + espacio) ya insertados
+ */
+const foldLine = (line) => {
+  const segments = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Los segmentos de continuación empiezan con un espacio, que también cuenta
+    const limit = segments.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      segments.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  segments.push(current);
+  return segments.join('\r\n ');
+};
+
+/**
+ * Formatea una fecha como DATE-TIME en UTC
+ * @param {string|number|Date} value - Fecha ISO, milisegundos o Date
+ * @returns {string} p. ej. 20240501T210000Z
+ */
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Genera un calendario a partir de sus componentes
+ * @param {Object} calendar
+ * @param {Array<Array<string>>} calendar.properties - Propiedades del VCALENDAR ([nombre, valor ya escapado])
+ * @param {Array<{ type: string, properties: Array<Array<string>> }>} calendar.components - VEVENT, VTODO...
+ * @returns {string}
+ */
+const formatCalendar = ({ properties, components }) => {
+  const lines = ['BEGIN:VCALENDAR', ...properties.map(([name, value]) => `${name}:${value}`)];
+  for (const { type, properties: componentProperties } of components) {
+    lines.push(`BEGIN:${type}`);
+    for (const [name, value] of componentProperties) {
+      if (value !== undefined && value !== null && value !== '') lines.push(`${name}:${value}`);
+    }
+    lines.push(`END:${type}`);
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Interpreta una línea de contenido ya desplegada: NOMBRE;PARAM=valor:valor
+ * @param {string} line
+ * @returns {{ name: string, params: Object, value: string }|null}
+ */
+const parseLine = (line) => {
+  // Separa en ';' y en el primer ':' que no estén entre comillas
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') quoted = !quoted;
+    if (!quoted && (char === ';' || char === ':')) {
+      parts.push(current);
+      current = '';
+      if (char === ':') {
+        const [name, ...params] = parts;
+        if (!/^[A-Za-z0-9-]+$/.test(name)) return null;
+        return {
+          name: name.toUpperCase(),
+          params: Object.fromEntries(params.map((param) => {
+            const [key, ...value] = param.split('=');
+            return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+          })),
+          value: line.slice(i + 1)
+        };
+      }
+      continue;
+    }
+    current += char;
+  }
+  return null;
+};
+
+/**
+ * Interpreta un archivo .ics
+ * @param {string} text - Contenido del archivo
+ * @returns {{ error: string }|{ components: Array<{ type: string, properties: Object }> }}
+ *   Componentes de primer nivel dentro de VCALENDAR; properties agrupa por nombre
+ *   cada aparición { params, value }
+ */
+const parseCalendar = (text) => {
+  // Desplegar: una línea que empieza con espacio o tab continúa la anterior
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter((line) => line !== '');
+  if (lines.length === 0 || lines[0].toUpperCase() !== 'BEGIN:VCALENDAR') {
+    return { error: 'El archivo no es un calendario iCalendar (falta BEGIN:VCALENDAR)' };
+  }
+
+  const components = [];
+  const stack = [];
+  for (const [index, line] of lines.entries()) {
+    const parsed = parseLine(line);
+    if (!parsed) {
+      return { error: `Línea ${index + 1} inválida: ${line.slice(0, 40)}` };
+    }
+
+    const { name, params, value } = parsed;
+    if (name === 'BEGIN') {
+      const component = { type: value.toUpperCase(), properties: {} };
+      // Sólo interesan los componentes de primer nivel (VEVENT, VTODO...), no sus VALARM
+      if (stack.length === 1) components.push(component);
+      stack.push(component);
+    } else if (name === 'END') {
+      const component = stack.pop();
+      if (!component || component.type !== value.toUpperCase()) {
+        return { error: `Línea ${index + 1}: END:${value} sin su BEGIN` };
+      }
+    } else if (stack.length > 0) {
+      const { properties } = stack[stack.length - 1];
+      (properties[name] = properties[name] || []).push({ params, value });
+    }
+  }
+  if (stack.length > 0) {
+    return { error: `Falta END:${stack[stack.length - 1].type}` };
+  }
+  return { components };
+};
+
+/**
+ * Calcula la diferencia en milisegundos entre una zona horaria y UTC en un instante
+ * @param {number} ms - Instante
+ * @param {string} timeZone - Zona IANA
+ * @returns {number}
+ */
+const zoneOffset = (ms, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(ms)).map(({ type, value }) => [type, Number(value)]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+};
+
+/**
+ * Interpreta un valor DATE o DATE-TIME
+ * @param {{ params: Object, value: string }} property - Propiedad leída por parseCalendar
+ * @returns {{ iso: string, ms: number }|null} Fecha en UTC, o null si no es válida
+ */
+const parseDateValue = ({ params, value }) => {
+  const match = DATE_TIME.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+  let ms = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  if (Number.isNaN(ms)) return null;
+
+  if (!utc && params.TZID) {
+    try {
+      // Se corrige dos veces por si el instante cae en un cambio de horario
+      const first = ms - zoneOffset(ms, params.TZID);
+      ms -= zoneOffset(first, params.TZID);
+    } catch (error) {
+      return null;
+    }
+  }
+  return { iso: new Date(ms).toISOString(), ms };
+};
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  formatDateTime,
+  formatCalendar,
+  parseCalendar,
+  parseDateValue
+};
@@ -0,0 +1,100 @@
+/**
+ * Utilidades de Red
+ * =================
+ * Las URLs que registran los usuarios (webhooks) no deben apuntar a la red
+ * interna del servidor: loopback, redes privadas, link-local (que incluye
+ * la metadata de los proveedores cloud, 169.254.169.254) y demás rangos
+ * reservados. Se valida la dirección a la que resuelve el host, tanto al
+ * registrar la URL como al conectarse (el DNS puede cambiar entre medio).
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Rangos que no son destinos públicos (las IPv6 mapeadas de IPv4 se comparan
+// con los rangos IPv4)
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Indica si una dirección IP es un destino público
+ * @param {string} address - IPv4 o IPv6
+ * @returns {boolean}
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !NON_PUBLIC_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Obtiene el host de una URL sin los corchetes de las IPv6
+ * @param {string} url
+ * @returns {string} Host en minúsculas
+ */
+const hostOf = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+/**
+ * Verifica que el host de una URL resuelva sólo a direcciones públicas
+ * @param {string} url - URL http(s) ya validada
+ * @param {Array<string>} [allowedHosts] - Hosts exentos de la verificación
+ * @returns {Promise<string|null>} Mensaje de error o null si es un destino válido
+ */
+const checkPublicUrl = async (url, allowedHosts = []) => {
+  const host = hostOf(url);
+  if (allowedHosts.includes(host)) return null;
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map((entry) => entry.address);
+  } catch (error) {
+    return `No se pudo resolver el host ${host}`;
+  }
+
+  const blocked = addresses.find((address) => !isPublicAddress(address));
+  return blocked ? `El host ${host} apunta a una dirección no pública (${blocked})` : null;
+};
+
+/**
+ * Reemplazo de dns.lookup para http.request que rechaza las direcciones no
+ * públicas al momento de conectarse
+ * @param {string} hostname
+ * @param {Object} options - Opciones de dns.lookup (con all: true devuelve todas)
+ * @param {Function} callback - (error, address, family) o (error, addresses)
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const entries = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = entries.find((entry) => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`El host ${hostname} apunta a una dirección no pública (${blocked.address})`));
+    }
+    return callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPublicAddress,
+  hostOf,
+  checkPublicUrl,
+  publicLookup
+};
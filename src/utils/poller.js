@@ -0,0 +1,36 @@
+/**
+ * Consulta Periódica
+ * ==================
+ * Ejecuta una tarea asíncrona cada cierto intervalo sin solapar ejecuciones
+ * (si Redis responde lento, el ciclo siguiente se salta). Lo usan los
+ * procesos en segundo plano: recordatorios, webhooks, etc.
+ */
+
+/**
+ * Inicia la ejecución periódica de una tarea
+ * @param {string} name - Nombre para los logs de error
+ * @param {Function} task - async () => void
+ * @param {number} intervalMs - Intervalo entre ejecuciones
+ * @returns {Function} Función para detener la consulta
+ */
+const startPoller = (name, task, intervalMs) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`[${name}] Error:`, error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  startPoller
+};
@@ -0,0 +1,195 @@
+/**
+ * Reglas de Recurrencia
+ * =====================
+ * Interpreta un subconjunto de RRULE (RFC 5545) para las tareas recurrentes:
+ *   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (sólo semanal), UNTIL, COUNT
+ *
+ * La regla puede llegar como texto ("FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10") o como
+ * objeto ({ freq: 'weekly', interval: 1, byDay: ['MO', 'TH'], count: 10 }).
+ * Las fechas se calculan en UTC a partir de la primera ocurrencia (dtstart):
+ * la hora se conserva y, en la recurrencia mensual, el día del mes se ajusta
+ * al último día si el mes es más corto.
+ */
+
+const { parseDateTime } = require('./dateTime');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MAX_INTERVAL = 365;
+
+// UNTIL en formato RRULE: 20301231 o 20301231T235959Z
+const RRULE_DATE = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})Z)?$/;
+
+/**
+ * Convierte una regla en texto RRULE a objeto (sin validar los valores)
+ * @param {string} text - p. ej. "RRULE:FREQ=DAILY;INTERVAL=2"
+ * @returns {{ error: string }|{ fields: Object }}
+ */
+const parseRRuleText = (text) => {
+  const fields = {};
+  for (const part of text.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [name, value] = part.split('=');
+    switch (name.toUpperCase()) {
+      case 'FREQ': fields.freq = value; break;
+      case 'INTERVAL': fields.interval = Number(value); break;
+      case 'BYDAY': fields.byDay = value ? value.split(',') : []; break;
+      case 'COUNT': fields.count = Number(value); break;
+      case 'UNTIL': {
+        const match = RRULE_DATE.exec(value || '');
+        if (!match) return { error: 'UNTIL debe tener el formato AAAAMMDD o AAAAMMDDTHHMMSSZ' };
+        const [, y, m, d, , hh = '23', mm = '59', ss = '59'] = match;
+        fields.until = `${y}-${m}-${d}T${hh}:${mm}:${ss}Z`;
+        break;
+      }
+      default:
+        return { error: `Parte de RRULE no soportada: ${name}` };
+    }
+  }
+  return { fields };
+};
+
+/**
+ * Valida una regla de recurrencia
+ * @param {string|Object} input - Regla en texto RRULE o como objeto
+ * @returns {{ error: string }|{ rule: { freq: string, interval: number, byDay: Array<string>, until: number|null, count: number|null } }}
+ */
+const parseRecurrence = (input) => {
+  let fields = input;
+  if (typeof input === 'string') {
+    const parsed = parseRRuleText(input);
+    if (parsed.error) return parsed;
+    fields = parsed.fields;
+  } else if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'recurrence debe ser una regla RRULE o un objeto { freq, interval, byDay, until, count }' };
+  }
+
+  const freq = typeof fields.freq === 'string' ? fields.freq.toUpperCase() : '';
+  if (!FREQUENCIES.includes(freq)) {
+    return { error: `freq debe ser uno de: ${FREQUENCIES.join(', ')}` };
+  }
+
+  const interval = fields.interval === undefined ? 1 : fields.interval;
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return { error: `interval debe ser un entero entre 1 y ${MAX_INTERVAL}` };
+  }
+
+  const byDay = fields.byDay === undefined ? [] : fields.byDay;
+  if (!Array.isArray(byDay) || byDay.some((day) => !WEEKDAYS.includes(String(day).toUpperCase()))) {
+    return { error: `byDay debe contener sólo: ${WEEKDAYS.join(', ')}` };
+  }
+  if (byDay.length > 0 && freq !== 'WEEKLY') {
+    return { error: 'byDay sólo se admite con freq WEEKLY' };
+  }
+
+  let until = null;
+  if (fields.until !== undefined && fields.until !== null) {
+    const parsed = parseDateTime(fields.until);
+    if (!parsed) return { error: 'until debe ser una fecha ISO 8601 con zona horaria' };
+    until = parsed.ms;
+  }
+
+  let count = null;
+  if (fields.count !== undefined && fields.count !== null) {
+    if (!Number.isInteger(fields.count) || fields.count < 1) {
+      return { error: 'count debe ser un entero mayor que 0' };
+    }
+    count = fields.count;
+  }
+  if (until !== null && count !== null) {
+    return { error: 'until y count no pueden usarse a la vez' };
+  }
+
+  const days = [...new Set(byDay.map((day) => String(day).toUpperCase()))]
+    .sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+
+  return { rule: { freq, interval, byDay: days, until, count } };
+};
+
+/**
+ * Convierte una regla validada en su texto RRULE canónico
+ * @param {Object} rule - Resultado de parseRecurrence
+ * @returns {string}
+ */
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`, `INTERVAL=${rule.interval}`];
+  if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.until !== null) {
+    parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+  if (rule.count !== null) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+/**
+ * Milisegundos transcurridos desde las 00:00 UTC del día
+ * @param {number} ms
+ * @returns {number}
+ */
+const timeOfDay = (ms) => ((ms % DAY_MS) + DAY_MS) % DAY_MS;
+
+/**
+ * Lunes 00:00 UTC de la semana que contiene una fecha
+ * @param {number} ms
+ * @returns {number}
+ */
+const startOfWeek = (ms) => {
+  const dayStart = ms - timeOfDay(ms);
+  return dayStart - ((new Date(dayStart).getUTCDay() + 6) % 7) * DAY_MS;
+};
+
+/**
+ * Calcula la primera ocurrencia posterior a un momento dado
+ * (no controla COUNT: eso depende de cuántas ocurrencias se generaron)
+ * @param {Object} rule - Resultado de parseRecurrence
+ * @param {number} startMs - Primera ocurrencia de la serie (dtstart)
+ * @param {number} afterMs - La ocurrencia buscada debe ser estrictamente posterior
+ * @returns {number|null} Momento de la ocurrencia en ms, o null si la serie terminó
+ */
+const nextOccurrence = (rule, startMs, afterMs) => {
+  let candidate;
+
+  if (rule.freq === 'MONTHLY') {
+    const start = new Date(startMs);
+    const after = new Date(Math.max(afterMs, startMs));
+    const monthsApart = (after.getUTCFullYear() - start.getUTCFullYear()) * 12 + (after.getUTCMonth() - start.getUTCMonth());
+
+    for (let k = Math.floor(monthsApart / rule.interval); ; k++) {
+      const month = start.getUTCMonth() + k * rule.interval;
+      const daysInMonth = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+      candidate = Date.UTC(start.getUTCFullYear(), month, Math.min(start.getUTCDate(), daysInMonth)) + timeOfDay(startMs);
+      if (candidate > afterMs) break;
+    }
+  } else if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+    const firstWeek = startOfWeek(startMs);
+    const offsets = rule.byDay.map((day) => WEEKDAYS.indexOf(day) * DAY_MS + timeOfDay(startMs));
+
+    // Primera semana válida (múltiplo de interval) a partir de afterMs
+    const weeksApart = Math.max(0, Math.round((startOfWeek(afterMs) - firstWeek) / WEEK_MS));
+    let week = firstWeek + Math.ceil(weeksApart / rule.interval) * rule.interval * WEEK_MS;
+    if (week > startOfWeek(Math.max(afterMs, startMs))) {
+      // La semana de afterMs no es válida; la siguiente válida sirve completa
+      candidate = week + offsets[0];
+    } else {
+      candidate = offsets.map((offset) => week + offset).find((ms) => ms > afterMs && ms >= startMs);
+      if (candidate === undefined) {
+        week += rule.interval * WEEK_MS;
+        candidate = week + offsets[0];
+      }
+    }
+  } else {
+    const step = rule.interval * (rule.freq === 'WEEKLY' ? WEEK_MS : DAY_MS);
+    const k = afterMs < startMs ? 0 : Math.floor((afterMs - startMs) / step) + 1;
+    candidate = startMs + k * step;
+  }
+
+  if (rule.until !== null && candidate > rule.until) return null;
+  return candidate;
+};
+
+module.exports = {
+  parseRecurrence,
+  formatRRule,
+  nextOccurrence
+};
@@ -0,0 +1,222 @@
+/**
+ * Validación Declarativa
+ * ======================
+ * Un esquema describe los campos esperados de un objeto (body, query o
+ * params) con una regla por campo:
+ *   {
+ *     name:  { type: 'string', required: true, maxLength: 100 },
+ *     order: { type: 'integer', min: 0 },
+ *     color: { type: 'string', pattern: HEX_COLOR }
+ *   }
+ *
+ * Opciones de las reglas:
+ *   type      - 'string' | 'integer' | 'number' | 'boolean' | 'id' | 'datetime'
+ *               | 'array' | 'object', o un arreglo de tipos (cualquiera vale)
+ *   required  - el campo debe enviarse (un texto vacío cuenta como no enviado)
+ *   notEmpty  - si se envía, un texto no puede estar vacío (campos opcionales)
+ *   nullable  - acepta null y '' (p. ej. para quitar una relación)
+ *   min, max              - límites de integer y number
+ *   minLength, maxLength  - límites de string
+ *   minItems, maxItems    - límites de array
+ *   items     - regla de cada elemento de un array
+ *   pattern   - expresión regular que debe cumplir un string
+ *   enum      - valores permitidos
+ *   messages  - mensajes propios por código ({ required: '...' })
+ *
+ * En query y params todo llega como texto, así que integer, number, boolean
+ * e id aceptan su representación textual. Los campos que el esquema no
+ * menciona se ignoran.
+ *
+ * Cada falla se informa como { in, field, code, message } con uno de los
+ * códigos de DETAIL_CODES.
+ */
+
+const { parseDateTime, invalidDateMessage } = require('./dateTime');
+
+const DETAIL_CODES = {
+  REQUIRED: 'required',
+  INVALID_TYPE: 'invalid_type',
+  TOO_SMALL: 'too_small',
+  TOO_BIG: 'too_big',
+  INVALID_FORMAT: 'invalid_format',
+  INVALID_ENUM: 'invalid_enum'
+};
+
+// Color hexadecimal (#RRGGBB), usado por prioridades y estados
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const TYPE_NAMES = {
+  string: 'texto',
+  integer: 'un entero',
+  number: 'un número',
+  boolean: 'booleano',
+  id: 'un ID numérico',
+  datetime: 'una fecha ISO 8601 con zona horaria',
+  array: 'un arreglo',
+  object: 'un objeto'
+};
+
+const INTEGER_TEXT = /^-?\d+$/;
+const ID_TEXT = /^[1-9]\d*$/;
+
+/**
+ * Interpreta un valor según un tipo
+ * @param {string} type - Tipo de la regla
+ * @param {*} value - Valor recibido
+ * @param {boolean} fromText - true para query y params (valores de texto)
+ * @returns {{ value: * }|null} Valor interpretado o null si no es del tipo
+ */
+const coerce = (type, value, fromText) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? { value } : null;
+    case 'integer':
+      if (Number.isInteger(value)) return { value };
+      return fromText && typeof value === 'string' && INTEGER_TEXT.test(value) ? { value: Number(value) } : null;
+    case 'number':
+      if (typeof value === 'number' && Number.isFinite(value)) return { value };
+      return fromText && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))
+        ? { value: Number(value) }
+        : null;
+    case 'boolean':
+      if (typeof value === 'boolean') return { value };
+      return fromText && (value === 'true' || value === 'false') ? { value: value === 'true' } : null;
+    case 'id':
+      if (Number.isInteger(value) && value > 0) return { value: String(value) };
+      return typeof value === 'string' && ID_TEXT.test(value) ? { value } : null;
+    case 'datetime':
+      return parseDateTime(value) ? { value } : null;
+    case 'array':
+      return Array.isArray(value) ? { value } : null;
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? { value } : null;
+    default:
+      throw new Error(`Tipo de regla desconocido: ${type}`);
+  }
+};
+
+/**
+ * Construye el mensaje por defecto de una falla
+ * @param {string} field - Nombre del campo
+ * @param {Object} rule - Regla del campo
+ * @param {string} code - Código de la falla
+ * @param {string} [type] - Tipo con el que se interpretó el valor
+ * @returns {string}
+ */
+const defaultMessage = (field, rule, code, type) => {
+  const types = [].concat(rule.type || []);
+  const isInteger = types.length === 1 && types[0] === 'integer';
+
+  // Un entero acotado se describe siempre con su rango
+  if (isInteger && rule.min !== undefined && rule.max !== undefined && code !== DETAIL_CODES.REQUIRED) {
+    return `${field} debe ser un entero entre ${rule.min} y ${rule.max}`;
+  }
+
+  switch (code) {
+    case DETAIL_CODES.REQUIRED:
+      return `${field} es obligatorio`;
+    case DETAIL_CODES.INVALID_TYPE:
+      if (types.length === 1 && types[0] === 'datetime') return invalidDateMessage(field);
+      return `${field} debe ser ${types.map((name) => TYPE_NAMES[name]).join(' o ')}`;
+    case DETAIL_CODES.TOO_SMALL:
+      if (type === 'string') return `${field} debe tener al menos ${rule.minLength} caracteres`;
+      if (type === 'array') return `${field} debe tener al menos ${rule.minItems} elemento(s)`;
+      return `${field} debe ser mayor o igual a ${rule.min}`;
+    case DETAIL_CODES.TOO_BIG:
+      if (type === 'string') return `${field} no puede superar los ${rule.maxLength} caracteres`;
+      if (type === 'array') return `${field} admite como máximo ${rule.maxItems} elemento(s)`;
+      return `${field} debe ser menor o igual a ${rule.max}`;
+    case DETAIL_CODES.INVALID_ENUM:
+      return `${field} debe ser uno de: ${rule.enum.join(', ')}`;
+    default:
+      return `${field} tiene un formato inválido`;
+  }
+};
+
+/**
+ * Verifica los límites de un valor ya interpretado
+ * @param {string} type - Tipo con el que se interpretó
+ * @param {*} value - Valor interpretado
+ * @param {Object} rule - Regla del campo
+ * @returns {string|null} Código de la falla o null
+ */
+const checkBounds = (type, value, rule) => {
+  if (type === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) return DETAIL_CODES.TOO_SMALL;
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) return DETAIL_CODES.TOO_BIG;
+    if (rule.pattern && !rule.pattern.test(value)) return DETAIL_CODES.INVALID_FORMAT;
+  }
+  if (type === 'integer' || type === 'number') {
+    if (rule.min !== undefined && value < rule.min) return DETAIL_CODES.TOO_SMALL;
+    if (rule.max !== undefined && value > rule.max) return DETAIL_CODES.TOO_BIG;
+  }
+  if (type === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) return DETAIL_CODES.TOO_SMALL;
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) return DETAIL_CODES.TOO_BIG;
+  }
+  if (rule.enum && !rule.enum.includes(value)) return DETAIL_CODES.INVALID_ENUM;
+  return null;
+};
+
+/**
+ * Valida un valor contra una regla
+ * @param {string} field - Nombre del campo (para los mensajes)
+ * @param {*} value - Valor recibido
+ * @param {Object} rule - Regla del campo
+ * @param {string} location - 'body' | 'query' | 'params'
+ * @returns {Array<{ in: string, field: string, code: string, message: string }>}
+ */
+const checkValue = (field, value, rule, location) => {
+  const fail = (code, type) => [{
+    in: location,
+    field,
+    code,
+    message: (rule.messages && rule.messages[code]) || defaultMessage(field, rule, code, type)
+  }];
+
+  if (value === undefined) {
+    return rule.required ? fail(DETAIL_CODES.REQUIRED) : [];
+  }
+  if ((value === null || value === '') && rule.nullable) {
+    return [];
+  }
+  if (typeof value === 'string' && !value.trim() && (rule.required || rule.notEmpty)) {
+    return fail(DETAIL_CODES.REQUIRED);
+  }
+
+  const fromText = location !== 'body';
+  const types = [].concat(rule.type || []);
+  let type;
+  let parsed = { value };
+  if (types.length > 0) {
+    type = types.find((candidate) => coerce(candidate, value, fromText));
+    if (!type) return fail(DETAIL_CODES.INVALID_TYPE);
+    parsed = coerce(type, value, fromText);
+  }
+
+  const boundsError = checkBounds(type, parsed.value, rule);
+  if (boundsError) return fail(boundsError, type);
+
+  if (type === 'array' && rule.items) {
+    return parsed.value.flatMap((item, index) => checkValue(`${field}[${index}]`, item, rule.items, location));
+  }
+  return [];
+};
+
+/**
+ * Valida un objeto contra un esquema
+ * @param {Object} schema - { campo: regla }
+ * @param {Object} values - Objeto a validar (req.body, req.query o req.params)
+ * @param {string} [location] - 'body' | 'query' | 'params'
+ * @returns {Array<{ in: string, field: string, code: string, message: string }>} Fallas (vacío si es válido)
+ */
+const checkSchema = (schema, values, location = 'body') => {
+  const source = values && typeof values === 'object' ? values : {};
+  return Object.entries(schema).flatMap(([field, rule]) => checkValue(field, source[field], rule, location));
+};
+
+module.exports = {
+  DETAIL_CODES,
+  HEX_COLOR,
+  checkSchema
+};
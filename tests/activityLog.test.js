@@ -0,0 +1,130 @@
+/**
+ * Tests del historial de actividad
+ * ================================
+ * Verifica que los cambios en tareas (y etiquetas) queden en su Stream con
+ * actor y diff por campo, y la paginación de GET /api/tasks/:id/history.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const tagRoutes = require('../src/routes/tagRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { getHistory } = require('../src/services/activityLog');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+
+describe('Historial de actividad', () => {
+  let user;
+  let taskId;
+
+  const history = (query = '') => request(app)
+    .get(`/api/tasks/${taskId}/history${query}`)
+    .set('Authorization', user.auth);
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Auditor', email: 'audit@example.com', password: 'pass' });
+
+    const created = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Auditar' })
+      .expect(201);
+    taskId = created.body.id;
+
+    for (const status of ['en progreso', 'completada']) {
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', user.auth)
+        .send({ status })
+        .expect(200);
+    }
+  });
+
+  it('debe registrar cada cambio con actor y diff, del más reciente al más antiguo', async () => {
+    const res = await history().expect(200);
+
+    expect(res.body.data.map((e) => e.action)).toEqual(['updated', 'updated', 'created']);
+    expect(res.body.data[0]).toMatchObject({
+      actorId: user.id,
+      changes: { status: { from: 'en progreso', to: 'completada' } }
+    });
+    expect(res.body.data[2].changes.title).toEqual({ from: null, to: 'Auditar' });
+  });
+
+  it('no debe registrar modificaciones que no cambian nada', async () => {
+    await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set('Authorization', user.auth)
+      .send({ status: 'completada' })
+      .expect(200);
+
+    const res = await history().expect(200);
+    expect(res.body.data).toHaveLength(3);
+  });
+
+  it('debe paginar con cursor', async () => {
+    const page1 = await history('?limit=2').expect(200);
+    expect(page1.body.data).toHaveLength(2);
+    expect(page1.body.nextCursor).toBe(page1.body.data[1].id);
+
+    const page2 = await history(`?limit=2&cursor=${page1.body.nextCursor}`).expect(200);
+    expect(page2.body.data.map((e) => e.action)).toEqual(['created']);
+    expect(page2.body.nextCursor).toBeNull();
+  });
+
+  it('debe retornar 403 para el historial de una tarea ajena', async () => {
+    const other = await loginAs(app, { name: 'Curioso', email: 'curioso@example.com', password: 'pass' });
+
+    await request(app)
+      .get(`/api/tasks/${taskId}/history`)
+      .set('Authorization', other.auth)
+      .expect(403);
+  });
+
+  it('debe registrar también los cambios de etiquetas', async () => {
+    const created = await request(app)
+      .post('/api/tags')
+      .set('Authorization', user.auth)
+      .send({ name: 'Auditoría' })
+      .expect(201);
+
+    await request(app)
+      .delete(`/api/tags/${created.body.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    const { data } = await getHistory('tag', created.body.id, { limit: 10 });
+    expect(data.map((e) => e.action)).toEqual(['deleted', 'created']);
+    expect(data[0].changes).toEqual({ name: { from: 'Auditoría', to: null } });
+  });
+
+  it('debe registrar la modificación de una etiqueta sólo si la escritura se aplica', async () => {
+    const created = await request(app)
+      .post('/api/tags')
+      .set('Authorization', user.auth)
+      .send({ name: 'Revisión' })
+      .expect(201);
+
+    const rename = (name) => request(app)
+      .put(`/api/tags/${created.body.id}`)
+      .set('Authorization', user.auth)
+      .set('If-Match', '"1"')
+      .send({ name });
+    await rename('Revisión final').expect(200);
+    await rename('Otra').expect(412);
+
+    const { data } = await getHistory('tag', created.body.id, { limit: 10 });
+    expect(data.map((e) => e.action)).toEqual(['updated', 'created']);
+    expect(data[0].changes).toEqual({ name: { from: 'Revisión', to: 'Revisión final' } });
+  });
+});
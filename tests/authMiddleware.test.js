@@ -0,0 +1,77 @@
+/**
+ * Tests del middleware de autenticación
+ * =====================================
+ * Verifica que las rutas protegidas rechacen solicitudes sin token válido
+ * y que expongan el usuario autenticado en req.user. El token en
+ * ?access_token= sólo vale en el stream de eventos.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const userRoutes = require('../src/routes/userRoutes');
+const { authenticate, authenticateEventStream } = require('../src/middlewares/authMiddleware');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.get('/api/protegida', authenticate, (req, res) => res.json(req.user));
+app.get('/api/stream', authenticateEventStream, (req, res) => res.json(req.user));
+
+describe('Auth Middleware', () => {
+  let token;
+
+  beforeAll(async () => {
+    await request(app)
+      .post('/api/users/register')
+      .send({ name: 'Ana', email: 'ana@example.com', password: 'secreta' })
+      .expect(201);
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'ana@example.com', password: 'secreta' })
+      .expect(200);
+
+    token = login.body.token;
+  });
+
+  it('debe retornar 401 si no se envía token', async () => {
+    const res = await request(app)
+      .get('/api/protegida')
+      .expect(401);
+
+    expect(res.body).toHaveProperty('message', 'No autenticado');
+  });
+
+  it('debe retornar 401 si el token no existe', async () => {
+    const res = await request(app)
+      .get('/api/protegida')
+      .set('Authorization', 'Bearer token-inventado')
+      .expect(401);
+
+    expect(res.body).toHaveProperty('message', 'Sesión inválida o expirada');
+  });
+
+  it('debe exponer el usuario autenticado en req.user', async () => {
+    const res = await request(app)
+      .get('/api/protegida')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.body).toHaveProperty('email', 'ana@example.com');
+    expect(res.body).not.toHaveProperty('password');
+  });
+
+  it('debe aceptar el token en access_token sólo en el stream de eventos', async () => {
+    await request(app)
+      .get(`/api/protegida?access_token=${token}`)
+      .expect(401);
+
+    const res = await request(app)
+      .get(`/api/stream?access_token=${token}`)
+      .expect(200);
+    expect(res.body).toHaveProperty('email', 'ana@example.com');
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Tests de operaciones por lotes
+ * ==============================
+ * Verifica que POST /api/tasks/bulk aplique altas, cambios, bajas y atajos
+ * con un resultado por tarea, que el modo atómico no escriba nada si alguna
+ * operación falla o si otra petición modifica a la vez una de sus tareas, y
+ * que se respeten los límites del lote.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const tagRoutes = require('../src/routes/tagRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+
+describe('Operaciones por lotes sobre tareas', () => {
+  let user;
+  let other;
+  let urgent;
+
+  const bulk = (body, as = user) => request(app)
+    .post('/api/tasks/bulk')
+    .set('Authorization', as.auth)
+    .send(body);
+
+  const createTask = async (title, as = user) => (await request(app)
+    .post('/api/tasks')
+    .set('Authorization', as.auth)
+    .send({ title })
+    .expect(201)).body;
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Ana', email: 'ana-lotes@example.com', password: 'pass' });
+    other = await loginAs(app, { name: 'Beto', email: 'beto-lotes@example.com', password: 'pass' });
+    urgent = (await request(app)
+      .post('/api/tags')
+      .set('Authorization', user.auth)
+      .send({ name: 'Urgente' })
+      .expect(201)).body;
+  });
+
+  it('debe aplicar altas, cambios y bajas con un resultado por operación', async () => {
+    const toUpdate = await createTask('Renombrar');
+    const toDelete = await createTask('Descartar');
+
+    const res = await bulk({
+      operations: [
+        { op: 'create', data: { title: 'Nueva' } },
+        { op: 'update', id: toUpdate.id, data: { title: 'Renombrada' }, ifMatch: '"1"' },
+        { op: 'delete', id: toDelete.id },
+        { op: 'create', data: {} }
+      ]
+    }).expect(200);
+
+    expect(res.body).toMatchObject({ atomic: false, applied: true, summary: { succeeded: 3, failed: 1 } });
+    const [created, updated, deleted, invalid] = res.body.results;
+    expect(created).toMatchObject({ index: 0, op: 'create', status: 201, data: { title: 'Nueva', version: 1 } });
+    expect(created.id).toBe(created.data.id);
+    expect(updated).toMatchObject({ index: 1, id: toUpdate.id, status: 200, data: { title: 'Renombrada', version: 2 } });
+    expect(deleted).toEqual({ index: 2, op: 'delete', id: toDelete.id, status: 200 });
+    expect(invalid).toMatchObject({ index: 3, status: 400, error: 'El título de la tarea es obligatorio' });
+
+    expect(await client.hGetAll(`task:${toDelete.id}`)).toEqual({});
+    expect(await client.sIsMember(`userTasks:${user.id}`, `task:${created.id}`)).toBe(true);
+  });
+
+  it('debe expandir los atajos en un cambio por tarea', async () => {
+    const first = await createTask('Primera');
+    const second = await createTask('Segunda');
+    const foreign = await createTask('Ajena', other);
+    const ids = [first.id, second.id];
+
+    const tagged = await bulk({
+      operations: [
+        { op: 'addTag', ids, tagId: urgent.id },
+        { op: 'setStatus', ids: [foreign.id], status: 'en progreso' }
+      ]
+    }).expect(200);
+    expect(tagged.body.results.map(({ index, id, status }) => ({ index, id, status }))).toEqual([
+      { index: 0, id: first.id, status: 200 },
+      { index: 0, id: second.id, status: 200 },
+      { index: 1, id: foreign.id, status: 403 }
+    ]);
+    expect(tagged.body.results[0].data.tags.map((tag) => tag.name)).toEqual(['Urgente']);
+
+    const moved = await bulk({ operations: [{ op: 'setStatus', ids, status: 'en progreso' }] }).expect(200);
+    expect(moved.body.results.map((result) => result.data.status)).toEqual(['en progreso', 'en progreso']);
+
+    await bulk({ operations: [{ op: 'removeTag', ids: [first.id], tagId: urgent.id }] }).expect(200);
+    const read = await request(app).get(`/api/tasks/${first.id}`).set('Authorization', user.auth).expect(200);
+    expect(read.body).toMatchObject({ status: 'en progreso', tags: [] });
+  });
+
+  it('no debe escribir nada en modo atómico si alguna operación falla', async () => {
+    const task = await createTask('Intacta');
+
+    const res = await bulk({
+      atomic: true,
+      operations: [
+        { op: 'create', data: { title: 'No debe existir' } },
+        { op: 'update', id: task.id, data: { title: 'Tampoco' } },
+        { op: 'delete', id: '9999' }
+      ]
+    }).expect(422);
+
+    expect(res.body).toMatchObject({ atomic: true, applied: false, summary: { succeeded: 0, failed: 3 } });
+    expect(res.body.results.map((result) => result.status)).toEqual([424, 424, 404]);
+
+    const { body } = await request(app).get('/api/tasks?limit=100').set('Authorization', user.auth).expect(200);
+    expect(body.data.map((t) => t.title)).not.toContain('No debe existir');
+    expect(await client.hGet(`task:${task.id}`, 'title')).toBe('Intacta');
+  });
+
+  it('debe aplicar un lote atómico válido en una sola transacción', async () => {
+    const kept = await createTask('Conservada');
+    const removed = await createTask('Descartada');
+
+    const res = await bulk({
+      atomic: true,
+      operations: [
+        { op: 'create', data: { title: 'Nueva del lote' } },
+        { op: 'update', id: kept.id, data: { title: 'Renombrada' }, ifMatch: '"1"' },
+        { op: 'delete', id: removed.id }
+      ]
+    }).expect(200);
+
+    expect(res.body).toMatchObject({ atomic: true, applied: true, summary: { succeeded: 3, failed: 0 } });
+    expect(res.body.results.map((result) => result.status)).toEqual([201, 200, 200]);
+    expect(res.body.results[1].data).toMatchObject({ title: 'Renombrada', version: 2 });
+    expect(await client.hGetAll(`task:${removed.id}`)).toEqual({});
+    expect(await client.sIsMember(`userTasks:${user.id}`, `task:${res.body.results[0].data.id}`)).toBe(true);
+  });
+
+  it('no debe escribir nada en modo atómico si otra petición modifica una de sus tareas', async () => {
+    const kept = await createTask('Sin cambios');
+    const raced = await createTask('En carrera');
+
+    // Otra petición modifica la tarea justo después de que el lote la vigile
+    const realWatch = client.watch.getMockImplementation();
+    client.watch.mockImplementationOnce(async function watch(keys) {
+      const result = await realWatch.call(this, keys);
+      await client.hIncrBy(`task:${raced.id}`, 'version', 1);
+      return result;
+    });
+
+    const res = await bulk({
+      atomic: true,
+      operations: [
+        { op: 'create', data: { title: 'Nunca creada' } },
+        { op: 'update', id: kept.id, data: { title: 'Tampoco renombrada' } },
+        { op: 'delete', id: raced.id, ifMatch: '"1"' }
+      ]
+    }).expect(409);
+
+    expect(res.body).toMatchObject({ atomic: true, applied: false, summary: { succeeded: 0, failed: 3 } });
+    expect(res.body.results.map((result) => result.status)).toEqual([424, 424, 412]);
+
+    const { body } = await request(app).get('/api/tasks?limit=100').set('Authorization', user.auth).expect(200);
+    expect(body.data.map((t) => t.title)).not.toContain('Nunca creada');
+    expect(await client.hGet(`task:${kept.id}`, 'title')).toBe('Sin cambios');
+    expect(await client.hGet(`task:${raced.id}`, 'title')).toBe('En carrera');
+  });
+
+  it('debe rechazar una misma tarea en dos operaciones y los lotes fuera de límite', async () => {
+    const task = await createTask('Repetida');
+
+    const res = await bulk({
+      operations: [
+        { op: 'setStatus', ids: [task.id], status: 'en progreso' },
+        { op: 'delete', id: task.id },
+        { op: 'archive', id: task.id }
+      ]
+    }).expect(200);
+    expect(res.body.results.map((result) => result.status)).toEqual([200, 409, 400]);
+
+    await bulk({ operations: [] }).expect(400);
+    await bulk({ operations: Array.from({ length: 101 }, () => ({ op: 'create', data: { title: 'x' } })) }).expect(400);
+    const ids = Array.from({ length: 501 }, (value, i) => String(i + 1));
+    await bulk({ operations: [{ op: 'setStatus', ids, status: 'pendiente' }] }).expect(413);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests del calendario iCalendar
+ * ==============================
+ * Verifica que el feed .ics se sirva con el token del feed (sin sesión),
+ * que incluya sólo las tareas con dueAt que cumplen sus filtros, que refleje
+ * los cambios de las tareas, que pueda revocarse y que la importación de un
+ * .ics cree tareas.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const tagRoutes = require('../src/routes/tagRoutes');
+const calendarRoutes = require('../src/routes/calendarRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { parseCalendar, formatCalendar, escapeText } = require('../src/utils/icalendar');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api/calendar', calendarRoutes);
+
+describe('Calendario de tareas (.ics)', () => {
+  let user;
+  let other;
+  let release;
+  let meeting;
+  let urgent;
+
+  const createTask = async (body, as = user) => (await request(app)
+    .post('/api/tasks')
+    .set('Authorization', as.auth)
+    .send(body)
+    .expect(201)).body;
+
+  const createFeed = async (body = {}, as = user) => (await request(app)
+    .post('/api/calendar/feeds')
+    .set('Authorization', as.auth)
+    .send(body)
+    .expect(201)).body;
+
+  /**
+   * Descarga un feed sin sesión y devuelve sus componentes
+   * @param {Object} feed - Feed creado (con url)
+   * @returns {Promise<Array<Object>>}
+   */
+  const fetchFeed = async (feed) => {
+    const res = await request(app).get(new URL(feed.url).pathname).expect(200);
+    expect(res.headers['content-type']).toMatch(/text\/calendar/);
+    return parseCalendar(res.text).components;
+  };
+
+  const summaries = (components) => components.map((component) => component.properties.SUMMARY[0].value);
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Ana', email: 'ana-calendario@example.com', password: 'pass' });
+    other = await loginAs(app, { name: 'Beto', email: 'beto-calendario@example.com', password: 'pass' });
+    urgent = (await request(app)
+      .post('/api/tags')
+      .set('Authorization', user.auth)
+      .send({ name: 'Urgente' })
+      .expect(201)).body;
+
+    release = await createTask({ title: 'Publicar versión, final', dueAt: '2030-05-02T18:00:00-03:00', tagIds: [urgent.id] });
+    meeting = await createTask({ title: 'Reunión', dueAt: '2030-05-01T12:00:00Z' });
+    await createTask({ title: 'Sin fecha' });
+    await createTask({ title: 'De Beto', dueAt: '2030-05-01T10:00:00Z' }, other);
+  });
+
+  it('debe servir las tareas con dueAt como VEVENT usando sólo el token', async () => {
+    const feed = await createFeed({ name: 'Mis tareas' });
+    expect(feed.url).toMatch(new RegExp(`/api/calendar/${feed.token}\\.ics$`));
+
+    const res = await request(app).get(`/api/calendar/${feed.token}.ics`).expect(200);
+    expect(res.text).toMatch(/^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/);
+    expect(res.text).toContain('X-WR-CALNAME:Mis tareas');
+
+    const components = parseCalendar(res.text).components;
+    expect(components.map((component) => component.type)).toEqual(['VEVENT', 'VEVENT']);
+    expect(summaries(components)).toEqual(['Reunión', 'Publicar versión\\, final']);
+
+    const [, event] = components;
+    expect(event.properties.UID[0].value).toBe(`task-${release.id}@redistaskflow`);
+    expect(event.properties.DTSTART[0].value).toBe('20300502T210000Z');
+    expect(event.properties.CATEGORIES[0].value).toBe('Urgente');
+
+    await request(app).get('/api/calendar/no-existe.ics').expect(404);
+  });
+
+  it('debe filtrar por etiqueta y estado y reflejar los cambios de las tareas', async () => {
+    const tagged = await createFeed({ tagId: urgent.id });
+    expect(summaries(await fetchFeed(tagged))).toEqual(['Publicar versión\\, final']);
+
+    const done = await createFeed({ status: 'Completada', type: 'todo' });
+    expect(done.status).toBe('completada');
+    expect(await fetchFeed(done)).toEqual([]);
+
+    await request(app)
+      .put(`/api/tasks/${meeting.id}`)
+      .set('Authorization', user.auth)
+      .send({ title: 'Reunión movida', status: 'completada', dueAt: '2030-06-01T09:00:00Z' })
+      .expect(200);
+
+    const [todo] = await fetchFeed(done);
+    expect(todo.type).toBe('VTODO');
+    expect(todo.properties).toMatchObject({
+      SUMMARY: [{ value: 'Reunión movida' }],
+      DUE: [{ value: '20300601T090000Z' }],
+      STATUS: [{ value: 'COMPLETED' }],
+      SEQUENCE: [{ value: '2' }]
+    });
+
+    const invalid = await request(app)
+      .post('/api/calendar/feeds')
+      .set('Authorization', user.auth)
+      .send({ status: 'archivada' })
+      .expect(400);
+    expect(invalid.body.message).toMatch(/Estado desconocido/);
+  });
+
+  it('debe listar y revocar los feeds de cada usuario', async () => {
+    const feed = await createFeed({ name: 'Temporal' });
+
+    const listed = await request(app).get('/api/calendar/feeds').set('Authorization', user.auth).expect(200);
+    expect(listed.body.map((item) => item.token)).toContain(feed.token);
+
+    // Otro usuario no puede revocarlo
+    await request(app).delete(`/api/calendar/feeds/${feed.token}`).set('Authorization', other.auth).expect(404);
+    await request(app).delete(`/api/calendar/feeds/${feed.token}`).set('Authorization', user.auth).expect(200);
+    await request(app).get(`/api/calendar/${feed.token}.ics`).expect(404);
+  });
+
+  it('debe crear tareas a partir de un archivo .ics', async () => {
+    const ics = formatCalendar({
+      properties: [['VERSION', '2.0'], ['PRODID', '-//Otro calendario//ES']],
+      components: [
+        {
+          type: 'VEVENT',
+          properties: [
+            ['UID', 'evento-1@otro'],
+            ['SUMMARY', escapeText('Entrega; parte 1')],
+            ['DESCRIPTION', escapeText('Detalle\ncon dos líneas')],
+            ['DTSTART;TZID=America/Argentina/Buenos_Aires', '20300710T090000'],
+            ['CATEGORIES', 'urgente,Desconocida']
+          ]
+        },
+        { type: 'VTODO', properties: [['UID', 'todo-1@otro'], ['SUMMARY', 'Hecha'], ['STATUS', 'COMPLETED']] },
+        { type: 'VEVENT', properties: [['UID', 'sin-titulo@otro'], ['DTSTART', '20300710T090000Z']] },
+        { type: 'VEVENT', properties: [['SUMMARY', 'Fecha rota'], ['DTSTART', '2030-07-10']] }
+      ]
+    });
+
+    const res = await request(app)
+      .post('/api/calendar/import')
+      .set('Authorization', user.auth)
+      .set('Content-Type', 'text/calendar')
+      .send(ics)
+      .expect(200);
+    expect(res.body.summary).toEqual({ created: 2, failed: 2 });
+    expect(res.body.results.map(({ uid, status }) => ({ uid, status }))).toEqual([
+      { uid: 'evento-1@otro', status: 201 },
+      { uid: 'todo-1@otro', status: 201 },
+      { uid: 'sin-titulo@otro', status: 400 },
+      { uid: null, status: 400 }
+    ]);
+
+    const event = await request(app)
+      .get(`/api/tasks/${res.body.results[0].id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(event.body).toMatchObject({
+      title: 'Entrega; parte 1',
+      description: 'Detalle\ncon dos líneas',
+      dueAt: '2030-07-10T12:00:00.000Z',
+      tags: [expect.objectContaining({ name: 'Urgente' })]
+    });
+
+    const todo = await request(app)
+      .get(`/api/tasks/${res.body.results[1].id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(todo.body).toMatchObject({ status: 'completada', dueAt: null });
+
+    await request(app)
+      .post('/api/calendar/import')
+      .set('Authorization', user.auth)
+      .set('Content-Type', 'text/calendar')
+      .send('BEGIN:VEVENT\r\nEND:VEVENT\r\n')
+      .expect(400);
+  });
+});
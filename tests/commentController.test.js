@@ -0,0 +1,118 @@
+/**
+ * Tests de comentarios
+ * ====================
+ * Verifica el CRUD de comentarios de una tarea, la paginación del más
+ * reciente al más antiguo, la marca de edición, los permisos y que se
+ * eliminen al purgar la tarea.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+
+describe('Comentarios de tareas', () => {
+  let user;
+  let other;
+  let task;
+
+  const comment = (body, taskId = task.id, as = user) => request(app)
+    .post(`/api/tasks/${taskId}/comments`)
+    .set('Authorization', as.auth)
+    .send({ body });
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Ana', email: 'ana-comentarios@example.com', password: 'pass' });
+    other = await loginAs(app, { name: 'Beto', email: 'beto-comentarios@example.com', password: 'pass' });
+    task = (await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Discutir alcance' })
+      .expect(201)).body;
+  });
+
+  it('debe crear comentarios con su autor', async () => {
+    const res = await comment('Primera idea').expect(201);
+    expect(res.body).toMatchObject({
+      taskId: task.id,
+      author: { id: user.id, name: 'Ana' },
+      body: 'Primera idea',
+      edited: false,
+      editedAt: null
+    });
+
+    await comment('   ').expect(400);
+    await comment('x'.repeat(5001)).expect(400);
+  });
+
+  it('debe listar los comentarios del más reciente al más antiguo con paginación', async () => {
+    await comment('Segunda idea').expect(201);
+    await comment('Tercera idea').expect(201);
+
+    const first = await request(app)
+      .get(`/api/tasks/${task.id}/comments?limit=2`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(first.body.data.map((c) => c.body)).toEqual(['Tercera idea', 'Segunda idea']);
+    expect(first.body).toMatchObject({ total: 3, nextCursor: '2' });
+
+    const second = await request(app)
+      .get(`/api/tasks/${task.id}/comments?limit=2&cursor=${first.body.nextCursor}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(second.body.data.map((c) => c.body)).toEqual(['Primera idea']);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('debe marcar los comentarios editados', async () => {
+    const { body: created } = await comment('Con errata').expect(201);
+
+    const res = await request(app)
+      .put(`/api/tasks/${task.id}/comments/${created.id}`)
+      .set('Authorization', user.auth)
+      .send({ body: 'Sin errata' })
+      .expect(200);
+    expect(res.body).toMatchObject({ body: 'Sin errata', edited: true, editedAt: expect.any(String) });
+  });
+
+  it('no debe permitir comentar ni leer tareas ajenas', async () => {
+    await comment('Intruso', task.id, other).expect(403);
+    await request(app)
+      .get(`/api/tasks/${task.id}/comments`)
+      .set('Authorization', other.auth)
+      .expect(403);
+    await comment('Nada', '9999').expect(404);
+  });
+
+  it('debe eliminar comentarios y limpiarlos al purgar la tarea', async () => {
+    const { body: created } = await comment('Para borrar').expect(201);
+    await request(app)
+      .delete(`/api/tasks/${task.id}/comments/${created.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    await request(app)
+      .delete(`/api/tasks/${task.id}/comments/${created.id}`)
+      .set('Authorization', user.auth)
+      .expect(404);
+
+    const { body: remaining } = await comment('Último').expect(201);
+    await request(app)
+      .delete(`/api/tasks/${task.id}?permanent=true`)
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    expect(await client.hGetAll(`comment:${remaining.id}`)).toEqual({});
+    expect(await client.zCard(`taskComments:${task.id}`)).toBe(0);
+  });
+});
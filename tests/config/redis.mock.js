@@ -1,38 +1,28 @@
-const mockData = { keys: {} };
+/**
+ * Mock de Redis para los tests
+ * ============================
+ * Usa el cliente en memoria de la API (ver src/storage/memoryClient) con cada
+ * comando envuelto en jest.fn, para que los tests puedan contar llamadas o
+ * cambiar la respuesta de un comando. Todos los clientes del archivo de test
+ * (también los duplicados) comparten los mismos datos.
+ */
+
+const { createStore, createMemoryClient } = require('../../src/storage/memoryClient');
+
+const store = createStore();
+
+const createClient = () => {
+  const client = createMemoryClient(store);
+  for (const [name, command] of Object.entries(client)) {
+    // function () para que multi, watch, etc. reciban el cliente (o la conexión aislada) como this
+    client[name] = jest.fn(function mockCommand(...args) {
+      return command.apply(this, args);
+    });
+  }
+  client.duplicate.mockImplementation(() => createClient());
+  return client;
+};
 
 module.exports = {
-  createClient: () => ({
-    connect: jest.fn(() => Promise.resolve()),
-    on: jest.fn(),
-    get: jest.fn((key) => Promise.resolve(mockData.keys[key] || null)),
-    set: jest.fn((key, value) => {
-      mockData.keys[key] = value;
-      return Promise.resolve();
-    }),
-    incr: jest.fn((counterKey) => {
-      let val = parseInt(mockData.keys[counterKey] || '0', 10);
-      val++;
-      mockData.keys[counterKey] = val.toString();
-      return Promise.resolve(val);
-    }),
-    hSet: jest.fn((key, data) => {
-      if (!mockData.keys[key]) mockData.keys[key] = { ___hash: {} };
-      const hash = mockData.keys[key].___hash || {};
-      for (const [field, value] of Object.entries(data)) {
-        hash[field] = value;
-      }
-      mockData.keys[key].___hash = hash;
-      return Promise.resolve();
-    }),
-    hGetAll: jest.fn((key) => {
-      if (mockData.keys[key] && mockData.keys[key].___hash) {
-        return Promise.resolve(mockData.keys[key].___hash);
-      }
-      return Promise.resolve({});
-    }),
-    del: jest.fn((key) => {
-      delete mockData.keys[key];
-      return Promise.resolve();
-    })
-  })
+  createClient
 };
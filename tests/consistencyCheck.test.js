@@ -0,0 +1,160 @@
+/**
+ * Tests de consistencia
+ * =====================
+ * Verifica que las altas escriban el Hash y sus índices en una transacción,
+ * que el registro no admita dos usuarios con el mismo email y que el
+ * endpoint de administración reporte y repare las inconsistencias.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.ADMIN_EMAILS = 'admin-consistencia@example.com';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const tagRoutes = require('../src/routes/tagRoutes');
+const adminRoutes = require('../src/routes/adminRoutes');
+const { authenticate, requireAdmin } = require('../src/middlewares/authMiddleware');
+const { errorHandler } = require('../src/middlewares/errorHandler');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api/admin', authenticate, requireAdmin, adminRoutes);
+app.use(errorHandler);
+
+describe('Consistencia entre Hashes e índices', () => {
+  let admin;
+  let user;
+  let task;
+
+  const report = () => request(app)
+    .get('/api/admin/consistency')
+    .set('Authorization', admin.auth)
+    .expect(200);
+
+  beforeAll(async () => {
+    admin = await loginAs(app, { name: 'Admin', email: 'admin-consistencia@example.com', password: 'pass' });
+    user = await loginAs(app, { name: 'Ana', email: 'ana-consistencia@example.com', password: 'pass' });
+    task = (await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Consistente' })
+      .expect(201)).body;
+  });
+
+  it('debe reservar el endpoint a los administradores', async () => {
+    await request(app).get('/api/admin/consistency').set('Authorization', user.auth).expect(403);
+
+    const res = await report();
+    expect(res.body.scanned).toMatchObject({ task: 1, user: 2 });
+    expect(res.body.issues).toEqual([]);
+  });
+
+  it('no debe dejar restos si la transacción de un alta falla', async () => {
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+    client.multi.mockImplementationOnce(() => {
+      const chain = new Proxy({}, {
+        get: (target, command) => (command === 'exec' ? () => Promise.reject(new Error('Conexión perdida')) : () => chain)
+      });
+      return chain;
+    });
+
+    await request(app).post('/api/tags').set('Authorization', user.auth).send({ name: 'Fantasma' }).expect(500);
+    expect(await client.sMembers('tagIdsSet')).toEqual([]);
+    expect((await report()).body.issues).toEqual([]);
+  });
+
+  it('no debe dejar índices a medias si falla la transacción de una tarea', async () => {
+    const failNextExec = () => client.multi.mockImplementationOnce(() => {
+      const chain = new Proxy({}, {
+        get: (target, command) => (command === 'exec' ? () => Promise.reject(new Error('Conexión perdida')) : () => chain)
+      });
+      return chain;
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    failNextExec();
+    await request(app).post('/api/tasks').set('Authorization', user.auth).send({ title: 'Fantasma' }).expect(500);
+    failNextExec();
+    await request(app)
+      .put(`/api/tasks/${task.id}`)
+      .set('Authorization', user.auth)
+      .send({ title: 'Renombrada', status: 'completada' })
+      .expect(500);
+    console.error.mockRestore();
+
+    expect(await client.zRange('search:terms', 0, -1)).not.toEqual(expect.arrayContaining(['fantasma']));
+    expect(await client.zRange('search:terms', 0, -1)).not.toEqual(expect.arrayContaining(['renombrada']));
+    expect(await client.sMembers('tasksByStatus:completada')).toEqual([]);
+    expect(await client.hGet(`task:${task.id}`, 'title')).toBe('Consistente');
+    expect((await report()).body.issues).toEqual([]);
+  });
+
+  it('no debe registrar dos usuarios con el mismo email aunque lleguen a la vez', async () => {
+    const body = { name: 'Doble', email: 'doble@example.com', password: 'pass' };
+    const responses = await Promise.all([
+      request(app).post('/api/users/register').send(body),
+      request(app).post('/api/users/register').send(body)
+    ]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([201, 400]);
+    expect((await report()).body.issues).toEqual([]);
+  });
+
+  it('debe reportar las inconsistencias y repararlas a pedido', async () => {
+    // Tarea fuera del índice global, miembros colgantes, Hash a medio escribir y email huérfano
+    await client.sRem('taskIdsSet', `task:${task.id}`);
+    await client.zRem('tasksByCreated', `task:${task.id}`);
+    await client.sAdd('tagIdsSet', 'tag:999');
+    await client.sAdd(`userTasks:${user.id}`, 'task:999');
+    await client.hSet('priority:50', { order: '1' });
+    await client.set('userByEmail:fantasma@example.com', '999');
+
+    const found = (await report()).body;
+    expect(found.repaired).toBe(false);
+    expect(found.issues.map(({ type, key, index, repaired }) => ({ type, key, index, repaired }))).toEqual(
+      expect.arrayContaining([
+        { type: 'orphan_hash', key: `task:${task.id}`, index: 'taskIdsSet', repaired: false },
+        { type: 'dangling_member', key: 'tag:999', index: 'tagIdsSet', repaired: false },
+        { type: 'dangling_member', key: 'task:999', index: `userTasks:${user.id}`, repaired: false },
+        { type: 'incomplete_hash', key: 'priority:50', index: null, repaired: false },
+        { type: 'dangling_index', key: 'userByEmail:fantasma@example.com', index: null, repaired: false }
+      ])
+    );
+    expect(found.issues).toHaveLength(5);
+
+    const repaired = await request(app)
+      .post('/api/admin/consistency/repair')
+      .set('Authorization', admin.auth)
+      .expect(200);
+    expect(repaired.body.repaired).toBe(true);
+    expect(repaired.body.issues.every((issue) => issue.repaired)).toBe(true);
+
+    expect((await report()).body.issues).toEqual([]);
+    expect(await client.sIsMember('taskIdsSet', `task:${task.id}`)).toBe(true);
+    // La tarea vuelve también a los índices de listado
+    expect(await client.zScore('tasksByCreated', `task:${task.id}`)).not.toBeNull();
+    expect(await client.hGetAll('priority:50')).toEqual({});
+    expect(await client.get('userByEmail:fantasma@example.com')).toBeNull();
+  });
+
+  it('debe reportar sin reparar dos usuarios con el mismo email', async () => {
+    await client.hSet('user:500', { id: '500', name: 'Copia', email: 'ana-consistencia@example.com', password: 'x' });
+
+    const issues = (await report()).body.issues;
+    expect(issues).toEqual([expect.objectContaining({ type: 'email_conflict', key: 'user:500' })]);
+
+    const repaired = await request(app)
+      .post('/api/admin/consistency/repair')
+      .set('Authorization', admin.auth)
+      .expect(200);
+    expect(repaired.body.issues[0].repaired).toBe(false);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Tests de exportación e importación
+ * ==================================
+ * Verifica que la exportación no incluya contraseñas y conserve las
+ * relaciones, que la importación valide el documento completo, informe un
+ * dry-run sin escribir nada y, al aplicarse, asigne IDs nuevos fusionando
+ * usuarios, prioridades y etiquetas existentes. Cubre JSON y CSV.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.ADMIN_EMAILS = 'admin-datos@example.com';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const tagRoutes = require('../src/routes/tagRoutes');
+const dataRoutes = require('../src/routes/dataRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { formatCsv, parseCsv } = require('../src/utils/csv');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api', dataRoutes);
+
+describe('Exportación e importación de datos', () => {
+  let admin;
+  let user;
+  let backend;
+  let parent;
+
+  const importDoc = (body, query = '') => request(app)
+    .post(`/api/import${query}`)
+    .set('Authorization', admin.auth)
+    .send(body);
+
+  // Documento de otra instalación: sus IDs chocan con los de esta base
+  const foreignDump = () => ({
+    users: [
+      { id: '1', name: 'Ana', email: 'ana-datos@example.com' },
+      { id: '2', name: 'Carla', email: 'carla-datos@example.com' }
+    ],
+    priorities: [{ id: '1', name: 'Alta', color: '#ff0000', order: 1 }],
+    tags: [{ id: '1', name: 'Backend' }, { id: '2', name: 'Legal' }],
+    tasks: [
+      { id: '1', ownerId: '2', title: 'Contrato', status: 'pendiente', tagIds: ['2'], priorityId: '1', blockedBy: ['2'] },
+      {
+        id: '2',
+        ownerId: '2',
+        title: 'Revisión',
+        status: 'completada',
+        parentId: '1',
+        tagIds: ['1', '2'],
+        createdAt: '2023-01-10T09:00:00.000Z',
+        completedAt: '2023-01-12T09:00:00.000Z'
+      },
+      { id: '3', ownerId: '1', title: 'Importada para Ana', description: 'Con, comas y "comillas"' }
+    ]
+  });
+
+  beforeAll(async () => {
+    admin = await loginAs(app, { name: 'Admin', email: 'admin-datos@example.com', password: 'pass' });
+    user = await loginAs(app, { name: 'Ana', email: 'ana-datos@example.com', password: 'pass' });
+    backend = (await request(app)
+      .post('/api/tags')
+      .set('Authorization', user.auth)
+      .send({ name: 'Backend' })
+      .expect(201)).body;
+    parent = (await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Padre', tagIds: [backend.id] })
+      .expect(201)).body;
+    await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Hija', parentId: parent.id })
+      .expect(201);
+  });
+
+  it('debe exportar en JSON sin contraseñas y con las relaciones', async () => {
+    await request(app).get('/api/export').set('Authorization', user.auth).expect(403);
+
+    const res = await request(app).get('/api/export').set('Authorization', admin.auth).expect(200);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="redistaskflow-.*\.json"/);
+    expect(res.body.users).toEqual([
+      { id: admin.id, name: 'Admin', email: 'admin-datos@example.com' },
+      { id: user.id, name: 'Ana', email: 'ana-datos@example.com' }
+    ]);
+    expect(res.body.tags).toEqual([{ id: backend.id.toString(), name: 'Backend' }]);
+    expect(res.body.tasks).toEqual([
+      expect.objectContaining({ id: parent.id, ownerId: user.id, tagIds: [backend.id.toString()], parentId: null }),
+      expect.objectContaining({ title: 'Hija', parentId: parent.id, blockedBy: [] })
+    ]);
+  });
+
+  it('debe exportar en CSV con una fila por registro', async () => {
+    const res = await request(app).get('/api/export?format=csv').set('Authorization', admin.auth).expect(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+
+    const { rows } = parseCsv(res.text);
+    expect(rows.map((row) => row.entity)).toEqual(['user', 'user', 'tag', 'task', 'task']);
+    expect(rows[2]).toMatchObject({ id: backend.id.toString(), name: 'Backend', email: '' });
+    expect(res.text).not.toMatch(/password|\$2b\$/);
+
+    await request(app).get('/api/export?format=xml').set('Authorization', admin.auth).expect(400);
+  });
+
+  it('debe informar un dry-run sin escribir nada', async () => {
+    const counter = await client.get('taskIdCounter');
+
+    const res = await importDoc(foreignDump()).expect(200);
+    expect(res.body).toEqual({
+      dryRun: true,
+      summary: {
+        users: { create: 1, merge: 1 },
+        priorities: { create: 1, merge: 0 },
+        tags: { create: 1, merge: 1 },
+        tasks: { create: 3, merge: 0 }
+      }
+    });
+    expect(await client.get('taskIdCounter')).toBe(counter);
+    expect(await client.get('userByEmail:carla-datos@example.com')).toBeNull();
+  });
+
+  it('debe rechazar documentos inválidos sin importar nada', async () => {
+    const dump = foreignDump();
+    dump.tasks[0].tagIds = ['99'];
+    dump.tasks[0].parentId = '2';
+    dump.tasks.push({ id: '3', ownerId: '1', title: 'Repetida' }, { id: '4', ownerId: '7', title: 'Sin dueño' });
+
+    const res = await importDoc(dump, '?dryRun=false').expect(400);
+    expect(res.body.code).toBe('INVALID_IMPORT');
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      expect.objectContaining({ entity: 'task', id: '1', message: expect.stringMatching(/tagIds contiene 99/) }),
+      expect.objectContaining({ entity: 'task', id: '3', message: 'id repetido' }),
+      expect.objectContaining({ entity: 'task', id: '4', message: expect.stringMatching(/ownerId 7/) }),
+      expect.objectContaining({ entity: 'task', message: expect.stringMatching(/ciclo en la jerarquía/) })
+    ]));
+    expect(await client.get('userByEmail:carla-datos@example.com')).toBeNull();
+  });
+
+  it('debe importar asignando IDs nuevos y fusionando lo existente', async () => {
+    const res = await importDoc(foreignDump(), '?dryRun=false').expect(201);
+    const { idMap } = res.body;
+
+    expect(idMap.users['1']).toBe(user.id);
+    expect(idMap.tags['1']).toBe(backend.id.toString());
+    expect(idMap.users['2']).not.toBe('2');
+    expect(Object.values(idMap.tasks)).not.toContain(parent.id);
+
+    // Las tareas de Ana quedan en su listado; las de Carla, con sus relaciones
+    const listed = await request(app).get('/api/tasks').set('Authorization', user.auth).expect(200);
+    expect(listed.body.data.map((task) => task.title)).toContain('Importada para Ana');
+
+    const review = await client.hGetAll(`task:${idMap.tasks['2']}`);
+    expect(review).toMatchObject({
+      ownerId: idMap.users['2'],
+      parentId: idMap.tasks['1'],
+      status: 'completada',
+      createdAt: '2023-01-10T09:00:00.000Z',
+      completedAt: '2023-01-12T09:00:00.000Z'
+    });
+    // El evento de alta y los índices ya llevan las fechas originales
+    const events = await client.xRange('events:stream', '-', '+');
+    const created = events
+      .map(({ message }) => JSON.parse(message.event))
+      .find((event) => event.type === 'task.created' && event.entityId === idMap.tasks['2']);
+    expect(created.data).toMatchObject({
+      createdAt: '2023-01-10T09:00:00.000Z',
+      completedAt: '2023-01-12T09:00:00.000Z'
+    });
+    expect(await client.zScore('tasksByCreated', `task:${idMap.tasks['2']}`))
+      .toBe(Date.parse('2023-01-10T09:00:00.000Z'));
+    expect((await client.sMembers(`taskTags:${idMap.tasks['2']}`)).sort())
+      .toEqual([backend.id.toString(), idMap.tags['2']].sort());
+    expect(await client.sMembers(`taskBlockedBy:${idMap.tasks['1']}`)).toEqual([idMap.tasks['2']]);
+    expect(await client.hGet(`task:${idMap.tasks['1']}`, 'priorityId')).toBe(idMap.priorities['1']);
+
+    // Los usuarios nuevos no tienen contraseña
+    await request(app).post('/api/users/login').send({ email: 'carla-datos@example.com', password: '' }).expect(400);
+  });
+
+  it('debe importar un CSV con campos entre comillas', async () => {
+    const csv = formatCsv(['entity', 'id', 'name', 'email', 'ownerId', 'title', 'description', 'tagIds'], [
+      { entity: 'user', id: '10', name: 'Ana', email: 'ana-datos@example.com' },
+      { entity: 'tag', id: '20', name: 'Migrada, con coma' },
+      { entity: 'task', id: '30', ownerId: '10', title: 'Desde CSV', description: 'Línea 1\nLínea "2"', tagIds: '20' }
+    ]);
+
+    const dry = await request(app)
+      .post('/api/import')
+      .set('Authorization', admin.auth)
+      .set('Content-Type', 'text/csv')
+      .send(csv)
+      .expect(200);
+    expect(dry.body.summary.tasks.create).toBe(1);
+
+    const res = await request(app)
+      .post('/api/import?dryRun=false')
+      .set('Authorization', admin.auth)
+      .set('Content-Type', 'text/csv')
+      .send(csv)
+      .expect(201);
+    const task = await client.hGetAll(`task:${res.body.idMap.tasks['30']}`);
+    expect(task).toMatchObject({ ownerId: user.id, description: 'Línea 1\nLínea "2"' });
+    expect(await client.hGet(`tag:${res.body.idMap.tags['20']}`, 'name')).toBe('Migrada, con coma');
+
+    await request(app)
+      .post('/api/import')
+      .set('Authorization', admin.auth)
+      .set('Content-Type', 'text/csv')
+      .send('entity,id\nproject,1\n')
+      .expect(400);
+  });
+});
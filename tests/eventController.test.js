@@ -0,0 +1,121 @@
+/**
+ * Tests del stream de eventos (SSE)
+ * =================================
+ * Abre conexiones reales a GET /api/events y verifica que lleguen los
+ * cambios publicados por los controladores, filtrados por tipo y dueño,
+ * y que Last-Event-ID reanude desde el último evento recibido.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const tagRoutes = require('../src/routes/tagRoutes');
+const eventRoutes = require('../src/routes/eventRoutes');
+const { authenticate, authenticateEventStream } = require('../src/middlewares/authMiddleware');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api/events', authenticateEventStream, eventRoutes);
+
+/**
+ * Abre una conexión SSE y acumula los eventos recibidos
+ * @returns {Promise<{ events: Array<Object>, waitFor: Function, close: Function }>}
+ */
+const openStream = (port, path, headers) => new Promise((resolve, reject) => {
+  const events = [];
+  let waiters = [];
+  let pending = '';
+
+  const req = http.get({ port, path, headers }, (res) => {
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      pending += chunk;
+      const blocks = pending.split('\n\n');
+      pending = blocks.pop();
+      for (const block of blocks) {
+        const data = block.split('\n').find((line) => line.startsWith('data: '));
+        if (data) events.push(JSON.parse(data.slice(6)));
+      }
+      waiters = waiters.filter(({ count, done }) => (events.length >= count ? (done(), false) : true));
+    });
+    resolve({
+      events,
+      waitFor: (count) => new Promise((done) => (
+        events.length >= count ? done() : waiters.push({ count, done })
+      )),
+      close: () => req.destroy()
+    });
+  });
+  req.on('error', (error) => (error.code === 'ECONNRESET' ? null : reject(error)));
+});
+
+describe('Stream de eventos (SSE)', () => {
+  let server;
+  let port;
+  let user;
+  let other;
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    port = server.address().port;
+    user = await loginAs(app, { name: 'Live', email: 'live@example.com', password: 'pass' });
+    other = await loginAs(app, { name: 'Otro', email: 'otro-live@example.com', password: 'pass' });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  it('debe retornar 401 sin token', async () => {
+    await request(app).get('/api/events').expect(401);
+  });
+
+  it('debe enviar los cambios de las tareas propias y no los de otros usuarios', async () => {
+    const stream = await openStream(port, '/api/events?types=task', { Authorization: user.auth });
+
+    await request(app).post('/api/tasks').set('Authorization', other.auth).send({ title: 'Ajena' }).expect(201);
+    await request(app).post('/api/tags').set('Authorization', user.auth).send({ name: 'Filtrada' }).expect(201);
+    await request(app).post('/api/tasks').set('Authorization', user.auth).send({ title: 'Propia' }).expect(201);
+
+    await stream.waitFor(1);
+    stream.close();
+
+    expect(stream.events).toHaveLength(1);
+    expect(stream.events[0]).toMatchObject({ type: 'task.created', data: { title: 'Propia' } });
+  });
+
+  it('debe aceptar el token en access_token y reanudar con Last-Event-ID', async () => {
+    const first = await openStream(port, `/api/events?access_token=${user.token}`, {});
+    await request(app).post('/api/tags').set('Authorization', user.auth).send({ name: 'Uno' }).expect(201);
+    await first.waitFor(1);
+    first.close();
+
+    // Mientras el cliente está desconectado se publica otro evento
+    await request(app).post('/api/tags').set('Authorization', user.auth).send({ name: 'Dos' }).expect(201);
+
+    const resumed = await openStream(port, '/api/events', {
+      Authorization: user.auth,
+      'Last-Event-ID': first.events[0].id
+    });
+    await resumed.waitFor(1);
+    resumed.close();
+
+    expect(resumed.events.map((e) => e.data.name)).toEqual(['Dos']);
+  });
+
+  it('debe retornar 400 con un tipo desconocido', async () => {
+    await request(app)
+      .get('/api/events?types=user')
+      .set('Authorization', user.auth)
+      .expect(400);
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Helpers de autenticación para los tests
+ * =======================================
+ * Registra un usuario e inicia sesión a través de las rutas reales,
+ * devolviendo la cabecera Authorization lista para usar con Supertest.
+ */
+
+const request = require('supertest');
+
+/**
+ * Registra un usuario (si no existe) e inicia sesión
+ * @param {Object} app - App Express con /api/users montado
+ * @param {Object} user - { name, email, password }
+ * @returns {Promise<{ id: string, token: string, auth: string }>}
+ */
+const loginAs = async (app, { name, email, password }) => {
+  await request(app)
+    .post('/api/users/register')
+    .send({ name, email, password });
+
+  const res = await request(app)
+    .post('/api/users/login')
+    .send({ email, password })
+    .expect(200);
+
+  return {
+    id: res.body.user.id,
+    token: res.body.token,
+    auth: `Bearer ${res.body.token}`
+  };
+};
+
+module.exports = { loginAs };
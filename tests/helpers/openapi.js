@@ -0,0 +1,149 @@
+/**
+ * Validación de respuestas contra la especificación OpenAPI
+ * =========================================================
+ * Busca en src/docs/openapi la operación de una respuesta de Supertest (por
+ * método, ruta y status) y valida el cuerpo contra su schema. Implementa el
+ * subconjunto de JSON Schema que usa la especificación: $ref, allOf, oneOf,
+ * type, nullable, enum, pattern, format date-time, límites, required,
+ * properties, additionalProperties e items.
+ */
+
+const spec = require('../../src/docs/openapi');
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Resuelve un $ref local (#/components/...)
+ * @param {Object} node - Schema, respuesta o parámetro
+ * @returns {Object} El nodo referenciado (o el mismo si no es un $ref)
+ */
+const resolve = (node) => {
+  if (!node || !node.$ref) return node;
+  return resolve(node.$ref.replace(/^#\//, '').split('/').reduce((target, key) => target[key], spec));
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Valida un valor contra un schema
+ * @param {Object} node - Schema (puede ser un $ref)
+ * @param {*} value - Valor a validar
+ * @param {string} path - Ubicación del valor, para los mensajes
+ * @returns {Array<string>} Errores encontrados (vacío si es válido)
+ */
+const validateValue = (node, value, path = 'body') => {
+  const schema = resolve(node);
+
+  if (value === null) {
+    return schema.nullable || !schema.type ? [] : [`${path}: no admite null`];
+  }
+  if (schema.allOf) {
+    const errors = schema.allOf.flatMap((part) => validateValue(part, value, path));
+    if (errors.length > 0) return errors;
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((option) => validateValue(option, value, path).length === 0);
+    if (matches.length !== 1) return [`${path}: debe cumplir exactamente una de las opciones de oneOf`];
+  }
+
+  const actual = typeOf(value);
+  if (schema.type) {
+    const matchesType = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+    if (!matchesType) return [`${path}: se esperaba ${schema.type} y llegó ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: ${JSON.stringify(value)} no está en el enum`];
+  }
+
+  const errors = [];
+  if (actual === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: no cumple ${schema.pattern}`);
+    if (schema.format === 'date-time' && !ISO_DATE_TIME.test(value)) errors.push(`${path}: no es date-time`);
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: demasiado corto`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: demasiado largo`);
+  }
+  if (actual === 'integer' || actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: menor que ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: mayor que ${schema.maximum}`);
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: faltan elementos`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: sobran elementos`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateValue(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    for (const field of schema.required || []) {
+      if (!(field in value)) errors.push(`${path}.${field}: es obligatorio`);
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (properties[field]) {
+        errors.push(...validateValue(properties[field], fieldValue, `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field}: no está documentado`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateValue(schema.additionalProperties, fieldValue, `${path}.${field}`));
+      }
+    }
+  }
+  return errors;
+};
+
+/**
+ * Busca la operación documentada de una ruta; las rutas literales
+ * (/api/tasks/search) tienen prioridad sobre las de parámetros (/api/tasks/{id})
+ * @param {string} method - Método HTTP
+ * @param {string} url - Ruta de la solicitud (la query se ignora)
+ * @returns {{ template: string, operation: Object }|null}
+ */
+const findOperation = (method, url) => {
+  const path = url.split('?')[0];
+  const candidates = Object.keys(spec.paths)
+    .filter((template) => {
+      const pattern = template.replace(/\{[^}]+\}/g, '[^/]+');
+      return new RegExp(`^${pattern}$`).test(path) && spec.paths[template][method.toLowerCase()];
+    })
+    .sort((a, b) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length);
+
+  return candidates.length > 0
+    ? { template: candidates[0], operation: spec.paths[candidates[0]][method.toLowerCase()] }
+    : null;
+};
+
+/**
+ * Valida una respuesta de Supertest contra la especificación
+ * @param {Object} res - Respuesta de Supertest
+ * @returns {Array<string>} Errores encontrados (vacío si la respuesta está documentada y la cumple)
+ */
+const validateResponse = (res) => {
+  const { method, path } = res.req;
+  const found = findOperation(method, path);
+  if (!found) return [`${method} ${path}: la operación no está documentada`];
+
+  const documented = resolve(found.operation.responses[res.status]);
+  const where = `${method} ${found.template} ${res.status}`;
+  if (!documented) return [`${where}: el status no está documentado`];
+
+  const errors = [];
+  if (documented.headers && documented.headers.ETag && !res.headers.etag) {
+    errors.push(`${where}: falta el header ETag`);
+  }
+  const content = documented.content && documented.content['application/json'];
+  if (content) {
+    errors.push(...validateValue(content.schema, res.body, where));
+  }
+  return errors;
+};
+
+module.exports = {
+  findOperation,
+  validateValue,
+  validateResponse
+};
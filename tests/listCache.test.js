@@ -0,0 +1,162 @@
+/**
+ * Tests de lecturas en lote y caché de listados
+ * =============================================
+ * Verifica que los listados de tareas, etiquetas y prioridades lancen sus
+ * lecturas juntas (en un mismo pipeline) y lean cada relación una sola vez,
+ * y que la caché de listados responda desde Redis hasta que una escritura del
+ * mismo usuario o del catálogo la invalide, aunque no publique ningún evento.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.LIST_CACHE_TTL_SECONDS = '60';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const tagRoutes = require('../src/routes/tagRoutes');
+const priorityRoutes = require('../src/routes/priorityRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { processDueReminders } = require('../src/services/reminderScheduler');
+const { insertTag } = require('../src/repositories/tagRepository');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api/priorities', authenticate, priorityRoutes);
+
+describe('Lecturas en lote y caché de listados', () => {
+  let user;
+  let other;
+  let tag;
+  let priority;
+
+  const call = (method, url, body, as = user) => {
+    const req = request(app)[method](url).set('Authorization', as.auth);
+    return body === undefined ? req : req.send(body);
+  };
+
+  /**
+   * Ejecuta fn midiendo cuántos hGetAll llegan a estar en curso a la vez
+   * @returns {Promise<{ result: *, keys: Array<string>, maxInFlight: number }>}
+   */
+  const trackReads = async (fn) => {
+    const original = client.hGetAll.getMockImplementation();
+    const keys = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    client.hGetAll.mockImplementation((key) => {
+      keys.push(key);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      return original(key).finally(() => { inFlight--; });
+    });
+    try {
+      return { result: await fn(), keys, maxInFlight };
+    } finally {
+      client.hGetAll.mockImplementation(original);
+    }
+  };
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Ana', email: 'ana-cache@example.com', password: 'pass' });
+    other = await loginAs(app, { name: 'Beto', email: 'beto-cache@example.com', password: 'pass' });
+
+    tag = (await call('post', '/api/tags', { name: 'Informes' }).expect(201)).body;
+    priority = (await call('post', '/api/priorities', { name: 'Alta', color: '#ff0000' }).expect(201)).body;
+    for (const title of ['Uno', 'Dos', 'Tres', 'Cuatro', 'Cinco']) {
+      await call('post', '/api/tasks', { title, priorityId: priority.id, tagIds: [tag.id] }).expect(201);
+    }
+  });
+
+  it('debe leer las tareas de una página en lote y cada relación una sola vez', async () => {
+    // Una variante que todavía no está en la caché
+    const { result, keys, maxInFlight } = await trackReads(() => call('get', '/api/tasks?limit=5').expect(200));
+
+    expect(result.headers['x-cache']).toBe('MISS');
+    expect(result.body.data).toHaveLength(5);
+    expect(result.body.data[0]).toMatchObject({
+      priority: { id: priority.id, name: 'Alta' },
+      tags: [{ id: tag.id, name: 'Informes' }]
+    });
+
+    // Las 5 tareas a la vez y la prioridad y la etiqueta una sola vez
+    expect(maxInFlight).toBe(5);
+    expect(keys.filter((key) => key.startsWith('task:'))).toHaveLength(5);
+    expect(keys.filter((key) => key === `priority:${priority.id}`)).toHaveLength(1);
+    expect(keys.filter((key) => key === `tag:${tag.id}`)).toHaveLength(1);
+  });
+
+  it('debe leer las etiquetas y prioridades en lote', async () => {
+    await call('post', '/api/tags', { name: 'Backend' }).expect(201);
+    await call('post', '/api/tags', { name: 'Frontend' }).expect(201);
+
+    const tags = await trackReads(() => call('get', '/api/tags').expect(200));
+    expect(tags.result.body.map(({ name }) => name)).toEqual(['Backend', 'Frontend', 'Informes']);
+    expect(tags.maxInFlight).toBe(3);
+
+    await call('post', '/api/priorities', { name: 'Baja', color: '#00ff00', order: 0 }).expect(201);
+    const priorities = await trackReads(() => call('get', '/api/priorities').expect(200));
+    expect(priorities.result.body.map(({ name }) => name)).toEqual(['Baja', 'Alta']);
+    expect(priorities.maxInFlight).toBe(2);
+  });
+
+  it('debe responder el catálogo desde la caché hasta que cambie', async () => {
+    await call('get', '/api/tags').expect('X-Cache', /HIT|MISS/).expect(200);
+
+    client.sMembers.mockClear();
+    const hit = await call('get', '/api/tags').expect('X-Cache', 'HIT').expect(200);
+    expect(client.sMembers).not.toHaveBeenCalled();
+
+    await call('put', `/api/tags/${tag.id}`, { name: 'Reportes' }).expect(200);
+    const miss = await call('get', '/api/tags').expect('X-Cache', 'MISS').expect(200);
+    expect(miss.body).not.toEqual(hit.body);
+    expect(miss.body.map(({ name }) => name)).toContain('Reportes');
+  });
+
+  it('debe invalidar los listados de tareas del usuario que escribe y con el catálogo', async () => {
+    await call('get', '/api/tasks').expect(200);
+    await call('get', '/api/tasks').expect('X-Cache', 'HIT');
+    await call('get', '/api/tasks?sort=title').expect('X-Cache', 'MISS');
+
+    // Las escrituras de otro usuario no afectan su caché
+    await call('get', '/api/tasks', undefined, other).expect('X-Cache', 'MISS');
+    await call('post', '/api/tasks', { title: 'De Beto' }, other).expect(201);
+    await call('get', '/api/tasks').expect('X-Cache', 'HIT');
+    await call('get', '/api/tasks', undefined, other).expect('X-Cache', 'MISS');
+
+    // Sus propias escrituras, también por lotes, sí
+    await call('post', '/api/tasks/bulk', { operations: [{ op: 'create', data: { title: 'Seis' } }] }).expect(200);
+    const afterBulk = await call('get', '/api/tasks').expect('X-Cache', 'MISS');
+    expect(afterBulk.body.total).toBe(6);
+
+    // Las tareas muestran la prioridad expandida: cambiarla invalida todos los listados
+    await call('put', `/api/priorities/${priority.id}`, { name: 'Urgente' }).expect(200);
+    const renamed = await call('get', '/api/tasks').expect('X-Cache', 'MISS');
+    expect(renamed.body.data.find((task) => task.title === 'Uno').priority.name).toBe('Urgente');
+  });
+
+  it('debe invalidar los listados con escrituras que no publican eventos', async () => {
+    const remindAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const task = (await call('post', '/api/tasks', { title: 'Recordar', remindAt }).expect(201)).body;
+    await call('get', '/api/tasks').expect(200);
+    await call('get', '/api/tasks').expect('X-Cache', 'HIT');
+
+    // El recordatorio guarda remindedAt en la tarea sin pasar por el bus de eventos
+    await processDueReminders(Date.parse(remindAt) + 1000);
+    const reminded = await call('get', '/api/tasks').expect('X-Cache', 'MISS');
+    expect(reminded.body.data.find(({ id }) => id === task.id).remindedAt).not.toBeNull();
+
+    // Un alta directa en el repositorio (como la de la importación)
+    await call('get', '/api/tags').expect(200);
+    await call('get', '/api/tags').expect('X-Cache', 'HIT');
+    await insertTag({ name: 'Importada' });
+    const tags = await call('get', '/api/tags').expect('X-Cache', 'MISS');
+    expect(tags.body.map(({ name }) => name)).toContain('Importada');
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Tests de la especificación OpenAPI
+ * ==================================
+ * Verifica que /api/docs sirva la especificación y la página interactiva, y
+ * que las respuestas de usuarios, tareas, etiquetas y prioridades (las
+ * exitosas y las de error) cumplan el schema documentado para su status.
+ * Si un controlador cambia lo que responde sin actualizar src/docs/openapi,
+ * estos tests fallan.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const spec = require('../src/docs/openapi');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const tagRoutes = require('../src/routes/tagRoutes');
+const priorityRoutes = require('../src/routes/priorityRoutes');
+const projectRoutes = require('../src/routes/projectRoutes');
+const docsRoutes = require('../src/routes/docsRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { notFound, errorHandler } = require('../src/middlewares/errorHandler');
+const { loginAs } = require('./helpers/auth');
+const { findOperation, validateValue, validateResponse } = require('./helpers/openapi');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/docs', docsRoutes);
+app.use('/api/priorities', authenticate, priorityRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/projects', authenticate, projectRoutes);
+app.use(notFound);
+app.use(errorHandler);
+
+// Verifica que la respuesta esté documentada y cumpla su schema
+const expectDocumented = (res) => {
+  expect(validateResponse(res)).toEqual([]);
+  return res;
+};
+
+describe('Especificación OpenAPI', () => {
+  let user;
+
+  const call = (method, url, body) => {
+    const req = request(app)[method](url).set('Authorization', user.auth);
+    return body === undefined ? req : req.send(body);
+  };
+  const documented = async (method, url, body, status) => expectDocumented(
+    await call(method, url, body).expect(status)
+  );
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Ana', email: 'ana-openapi@example.com', password: 'pass' });
+  });
+
+  it('debe servir la especificación y la página interactiva', async () => {
+    const json = await request(app).get('/api/docs/openapi.json').expect(200);
+    expect(json.body).toEqual(JSON.parse(JSON.stringify(spec)));
+    expect(json.body.openapi).toMatch(/^3\./);
+
+    const page = await request(app).get('/api/docs').expect('Content-Type', /html/).expect(200);
+    expect(page.text).toContain('src="/api/docs/assets/swagger-ui-bundle.js"');
+    expect(page.text).toContain('"/api/docs/openapi.json"');
+    expect(page.text).not.toMatch(/https?:\/\//);
+
+    // Swagger UI se sirve desde el paquete instalado, no desde un CDN
+    await request(app).get('/api/docs/assets/swagger-ui-bundle.js').expect('Content-Type', /javascript/).expect(200);
+    await request(app).get('/api/docs/assets/swagger-ui.css').expect('Content-Type', /css/).expect(200);
+  });
+
+  it('debe generar los parámetros desde los esquemas de validación', () => {
+    const { operation } = findOperation('GET', '/api/tasks?limit=5');
+    const limit = operation.parameters.find((parameter) => parameter.name === 'limit');
+    expect(limit).toEqual({
+      name: 'limit',
+      in: 'query',
+      required: false,
+      schema: { type: 'integer', minimum: 1, maximum: 100 }
+    });
+
+    const body = findOperation('POST', '/api/tasks').operation.requestBody.content['application/json'].schema;
+    expect(body.required).toEqual(['title']);
+    expect(validateValue(body, { title: 'Informe', tagIds: [1, '2'], dueAt: null })).toEqual([]);
+    expect(validateValue(body, { title: 'Informe', tagIds: 'backend' })).not.toEqual([]);
+
+    expect(findOperation('GET', '/api/tasks/search').template).toBe('/api/tasks/search');
+    expect(findOperation('GET', '/api/tasks/7').template).toBe('/api/tasks/{id}');
+  });
+
+  it('debe documentar todas las rutas y sus respuestas de error', async () => {
+    const missing = '999999';
+    const checks = [];
+    for (const [template, operations] of Object.entries(spec.paths)) {
+      for (const method of Object.keys(operations)) {
+        if (template === '/api/users/logout') continue;
+        const url = template.replace(/\{[^}]+\}/g, missing);
+        const res = await call(method, url, ['post', 'put'].includes(method) ? {} : undefined);
+        expect(String(res.body.message)).not.toMatch(/^Ruta no encontrada/);
+        checks.push([`${method.toUpperCase()} ${template}`, validateResponse(res)]);
+      }
+    }
+    expect(checks.filter(([, errors]) => errors.length > 0)).toEqual([]);
+
+    expectDocumented(await request(app).get('/api/tasks').expect(401));
+  });
+
+  it('debe cumplir la especificación en los usuarios', async () => {
+    const created = expectDocumented(await request(app)
+      .post('/api/users/register')
+      .send({ name: 'Beto', email: 'beto-openapi@example.com', password: 'pass' })
+      .expect(201));
+
+    const session = expectDocumented(await request(app)
+      .post('/api/users/login')
+      .send({ email: 'beto-openapi@example.com', password: 'pass' })
+      .expect(200));
+    expectDocumented(await request(app)
+      .post('/api/users/login')
+      .send({ email: 'beto-openapi@example.com', password: 'otra' })
+      .expect(401));
+
+    expectDocumented(await request(app).get(`/api/users/${created.body.id}`).expect(200));
+    expectDocumented(await request(app)
+      .post('/api/users/logout')
+      .set('Authorization', `Bearer ${session.body.token}`)
+      .expect(200));
+  });
+
+  it('debe cumplir la especificación en las etiquetas y prioridades', async () => {
+    for (const [base, body] of [['/api/tags', { name: 'Backend' }], ['/api/priorities', { name: 'Alta', order: 2 }]]) {
+      const created = await documented('post', base, body, 201);
+      const url = `${base}/${created.body.id}`;
+
+      await documented('get', base, undefined, 200);
+      await documented('get', url, undefined, 200);
+      await documented('put', url, { name: `${body.name} 2` }, 200);
+      expectDocumented(await call('put', url, { name: 'Tarde' }).set('If-Match', '"1"').expect(412));
+
+      const field = base === '/api/tags' ? { tagIds: [created.body.id] } : { priorityId: created.body.id };
+      await documented('post', '/api/tasks', { title: `Usa ${url}`, ...field }, 201);
+      await documented('delete', url, undefined, 409);
+      await documented('delete', `${url}?strategy=detach`, undefined, 200);
+    }
+  });
+
+  it('debe cumplir la especificación en las tareas', async () => {
+    const tag = (await call('post', '/api/tags', { name: 'Informes' }).expect(201)).body;
+    const priority = (await call('post', '/api/priorities', { name: 'Urgente', color: '#ff0000' }).expect(201)).body;
+
+    const task = (await documented('post', '/api/tasks', {
+      title: 'Informe mensual',
+      description: 'Cierre de mes',
+      priorityId: priority.id,
+      tagIds: [tag.id],
+      dueAt: '2020-01-31T18:00:00Z'
+    }, 201)).body;
+    const blocker = (await documented('post', '/api/tasks', { title: 'Reunir datos' }, 201)).body;
+    await documented('post', '/api/tasks', { title: 'Tabla de gastos', parentId: task.id }, 201);
+
+    await documented('get', '/api/tasks?limit=2', undefined, 200);
+    await documented('get', '/api/tasks/search?q=informe', undefined, 200);
+    await documented('get', '/api/tasks/overdue', undefined, 200);
+    await documented('get', '/api/tasks/due?from=2020-01-01T00:00:00Z&to=2020-02-01T00:00:00Z', undefined, 200);
+
+    await documented('post', `/api/tasks/${task.id}/dependencies`, { taskId: blocker.id }, 201);
+    await documented('post', `/api/tasks/${blocker.id}/dependencies`, { taskId: task.id }, 422);
+    await documented('get', `/api/tasks/${task.id}`, undefined, 200);
+    await documented('get', `/api/tasks/${task.id}/subtasks`, undefined, 200);
+    await documented('delete', `/api/tasks/${task.id}/dependencies/${blocker.id}`, undefined, 200);
+
+    await documented('put', `/api/tasks/${task.id}`, { title: 'Informe de enero', dueAt: null }, 200);
+    await documented('get', `/api/tasks/${task.id}/history`, undefined, 200);
+
+    const project = (await call('post', '/api/projects', { name: 'Cierre' }).expect(201)).body;
+    const card = (await documented('post', '/api/tasks', { title: 'Tarjeta', projectId: project.id }, 201)).body;
+    await documented('post', `/api/tasks/${card.id}/move`, { columnId: project.columns[1].id }, 200);
+    await documented('post', `/api/tasks/${blocker.id}/move`, {}, 422);
+
+    await documented('post', '/api/tasks/bulk', {
+      operations: [
+        { op: 'create', data: { title: 'Desde el lote' } },
+        { op: 'update', id: blocker.id, data: { title: 'Datos reunidos' } },
+        { op: 'setStatus', ids: [card.id], status: 'inexistente' }
+      ]
+    }, 200);
+    await documented('post', '/api/tasks/bulk', {
+      atomic: true,
+      operations: [{ op: 'delete', id: '999999' }]
+    }, 422);
+
+    await documented('delete', `/api/tasks/${blocker.id}`, undefined, 200);
+  });
+});
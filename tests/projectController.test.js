@@ -0,0 +1,250 @@
+/**
+ * Tests de proyectos y tableros
+ * =============================
+ * Verifica el CRUD de proyectos y columnas, la asignación de tareas a un
+ * proyecto, los movimientos en el tablero con posiciones fraccionarias y
+ * la respuesta de GET /api/projects/:id/board.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const projectRoutes = require('../src/routes/projectRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { queuePositionAt, columnTasksKey } = require('../src/services/boardService');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/projects', authenticate, projectRoutes);
+
+describe('Proyectos y tableros Kanban', () => {
+  let user;
+  let other;
+  let project;
+
+  const createTask = (body, as = user) => request(app)
+    .post('/api/tasks')
+    .set('Authorization', as.auth)
+    .send(body);
+
+  const move = (taskId, body) => request(app)
+    .post(`/api/tasks/${taskId}/move`)
+    .set('Authorization', user.auth)
+    .send(body);
+
+  const board = async () => (await request(app)
+    .get(`/api/projects/${project.id}/board`)
+    .set('Authorization', user.auth)
+    .expect(200)).body;
+
+  const titlesIn = (boardBody, columnIndex) => boardBody.columns[columnIndex].tasks.map((task) => task.title);
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Ana', email: 'ana-proyectos@example.com', password: 'pass' });
+    other = await loginAs(app, { name: 'Beto', email: 'beto-proyectos@example.com', password: 'pass' });
+  });
+
+  it('debe crear un proyecto con las columnas por defecto', async () => {
+    const res = await request(app)
+      .post('/api/projects')
+      .set('Authorization', user.auth)
+      .send({ name: 'Lanzamiento' })
+      .expect(201);
+
+    project = res.body;
+    expect(project).toMatchObject({ name: 'Lanzamiento', ownerId: user.id });
+    expect(project.columns.map((column) => column.name)).toEqual(['Por hacer', 'En curso', 'Hecho']);
+
+    await request(app).post('/api/projects').set('Authorization', user.auth).send({}).expect(400);
+    await request(app)
+      .post('/api/projects')
+      .set('Authorization', user.auth)
+      .send({ name: 'Vacío', columns: [] })
+      .expect(400);
+
+    const list = await request(app).get('/api/projects').set('Authorization', user.auth).expect(200);
+    expect(list.body.map((item) => item.id)).toEqual([project.id]);
+
+    await request(app).get(`/api/projects/${project.id}`).set('Authorization', other.auth).expect(403);
+  });
+
+  it('debe agregar las tareas al final de la columna indicada o de la primera', async () => {
+    const [todo, doing] = project.columns;
+
+    const first = await createTask({ title: 'A', projectId: project.id }).expect(201);
+    expect(first.body).toMatchObject({ projectId: project.id, columnId: todo.id });
+    await createTask({ title: 'B', projectId: project.id }).expect(201);
+    await createTask({ title: 'C', projectId: project.id, columnId: doing.id }).expect(201);
+
+    // La columna debe ser del proyecto y el proyecto del usuario
+    await createTask({ title: 'X', projectId: project.id, columnId: '9999' }).expect(400);
+    await createTask({ title: 'X', columnId: doing.id }).expect(400);
+    await createTask({ title: 'X', projectId: project.id }, other).expect(400);
+
+    const body = await board();
+    expect(body.project.id).toBe(project.id);
+    expect(body.columns.map((column) => column.name)).toEqual(['Por hacer', 'En curso', 'Hecho']);
+    expect(titlesIn(body, 0)).toEqual(['A', 'B']);
+    expect(titlesIn(body, 1)).toEqual(['C']);
+    expect(titlesIn(body, 2)).toEqual([]);
+
+    const filtered = await request(app)
+      .get(`/api/tasks?projectId=${project.id}&sort=title`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(filtered.body.data.map((task) => task.title)).toEqual(['A', 'B', 'C']);
+  });
+
+  it('debe mover tareas entre columnas y dentro de la misma sin renumerar la columna', async () => {
+    const [todo, doing, done] = project.columns;
+    let body = await board();
+    const [a, b] = body.columns[0].tasks;
+    const [c] = body.columns[1].tasks;
+
+    // B pasa al principio de "En curso", antes de C
+    const res = await move(b.id, { columnId: doing.id, position: 0 }).expect(200);
+    expect(res.body.columnId).toBe(doing.id);
+    body = await board();
+    expect(titlesIn(body, 0)).toEqual(['A']);
+    expect(titlesIn(body, 1)).toEqual(['B', 'C']);
+
+    // A queda entre B y C: sólo cambia su score
+    const scoreOfC = await client.zScore(columnTasksKey(doing.id), `task:${c.id}`);
+    await move(a.id, { columnId: doing.id, position: 1 }).expect(200);
+    body = await board();
+    expect(titlesIn(body, 0)).toEqual([]);
+    expect(titlesIn(body, 1)).toEqual(['B', 'A', 'C']);
+    expect(await client.zScore(columnTasksKey(doing.id), `task:${c.id}`)).toBe(scoreOfC);
+
+    // Sin columnId se reordena dentro de la misma columna; sin position va al final
+    await move(c.id, { position: 0 }).expect(200);
+    await move(b.id, { columnId: done.id }).expect(200);
+    body = await board();
+    expect(titlesIn(body, 1)).toEqual(['C', 'A']);
+    expect(titlesIn(body, 2)).toEqual(['B']);
+
+    await move(a.id, { columnId: todo.id, position: -1 }).expect(400);
+    await move(a.id, { columnId: '9999' }).expect(400);
+
+    const history = await request(app)
+      .get(`/api/tasks/${b.id}/history`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(history.body.data[0].changes.columnId).toEqual({ from: doing.id, to: done.id });
+  });
+
+  it('no debe mover tareas que no pertenecen a un proyecto', async () => {
+    const loose = await createTask({ title: 'Suelta' }).expect(201);
+    expect(loose.body).toMatchObject({ projectId: null, columnId: null });
+
+    await move(loose.body.id, { columnId: project.columns[0].id }).expect(422);
+  });
+
+  it('debe renumerar la columna cuando ya no hay espacio entre dos posiciones', async () => {
+    const key = 'columnTasks:test-rebalance';
+    await client.zAdd(key, [{ score: 1, value: 'x' }, { score: 1 + Number.EPSILON, value: 'y' }]);
+
+    // La renumeración va en la misma transacción que usa la posición
+    const score = await client.executeIsolated(async (isolated) => {
+      const transaction = isolated.multi();
+      const position = await queuePositionAt(transaction, isolated, key, 1);
+      await transaction.exec();
+      return position;
+    });
+    expect(await client.zRange(key, 0, -1)).toEqual(['x', 'y']);
+    expect(score).toBeGreaterThan(await client.zScore(key, 'x'));
+    expect(score).toBeLessThan(await client.zScore(key, 'y'));
+  });
+
+  it('no debe dar la misma posición a dos tareas movidas a la vez al mismo lugar', async () => {
+    const done = project.columns[2];
+    const first = (await createTask({ title: 'Par 1', projectId: project.id }).expect(201)).body;
+    const second = (await createTask({ title: 'Par 2', projectId: project.id }).expect(201)).body;
+
+    // La otra tarea llega al mismo lugar justo después de que el primer movimiento vigile la suya
+    const realWatch = client.watch.getMockImplementation();
+    client.watch.mockImplementationOnce(async function watch(keys) {
+      const result = await realWatch.call(this, keys);
+      await move(second.id, { columnId: done.id, position: 0 }).expect(200);
+      return result;
+    });
+    await move(first.id, { columnId: done.id, position: 0 }).expect(200);
+
+    const scores = await Promise.all([first, second].map((task) => (
+      client.zScore(columnTasksKey(done.id), `task:${task.id}`)
+    )));
+    expect(scores[0]).not.toBe(scores[1]);
+  });
+
+  it('debe gestionar columnas: crear, renombrar, reordenar y eliminar sólo si están vacías', async () => {
+    const created = await request(app)
+      .post(`/api/projects/${project.id}/columns`)
+      .set('Authorization', user.auth)
+      .send({ name: 'Revisión', position: 2 })
+      .expect(201);
+    expect(created.body.columns.map((column) => column.name)).toEqual(['Por hacer', 'En curso', 'Revisión', 'Hecho']);
+
+    const updated = await request(app)
+      .put(`/api/projects/${project.id}/columns/${created.body.id}`)
+      .set('Authorization', user.auth)
+      .send({ name: 'QA', position: 0 })
+      .expect(200);
+    expect(updated.body.columns.map((column) => column.name)).toEqual(['QA', 'Por hacer', 'En curso', 'Hecho']);
+
+    // "En curso" tiene tareas
+    await request(app)
+      .delete(`/api/projects/${project.id}/columns/${project.columns[1].id}`)
+      .set('Authorization', user.auth)
+      .expect(409);
+    await request(app)
+      .delete(`/api/projects/${project.id}/columns/${created.body.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    expect((await board()).columns.map((column) => column.name)).toEqual(['Por hacer', 'En curso', 'Hecho']);
+  });
+
+  it('debe cambiar de proyecto una tarea y quitarla del tablero al borrarla', async () => {
+    const second = (await request(app)
+      .post('/api/projects')
+      .set('Authorization', user.auth)
+      .send({ name: 'Soporte', columns: ['Entrada', 'Cerrado'] })
+      .expect(201)).body;
+
+    const task = (await createTask({ title: 'Viajera', projectId: project.id }).expect(201)).body;
+    const res = await request(app)
+      .put(`/api/tasks/${task.id}`)
+      .set('Authorization', user.auth)
+      .send({ projectId: second.id })
+      .expect(200);
+    expect(res.body).toMatchObject({ projectId: second.id, columnId: second.columns[0].id });
+    expect(titlesIn(await board(), 0)).not.toContain('Viajera');
+
+    await request(app).delete(`/api/tasks/${task.id}`).set('Authorization', user.auth).expect(200);
+    const secondBoard = await request(app)
+      .get(`/api/projects/${second.id}/board`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(secondBoard.body.columns[0].tasks).toEqual([]);
+  });
+
+  it('debe eliminar el proyecto dejando sus tareas sin proyecto', async () => {
+    const before = await board();
+    const taskId = before.columns[1].tasks[0].id;
+
+    await request(app).delete(`/api/projects/${project.id}`).set('Authorization', other.auth).expect(403);
+    await request(app).delete(`/api/projects/${project.id}`).set('Authorization', user.auth).expect(200);
+    await request(app).get(`/api/projects/${project.id}/board`).set('Authorization', user.auth).expect(404);
+
+    const task = await request(app).get(`/api/tasks/${taskId}`).set('Authorization', user.auth).expect(200);
+    expect(task.body).toMatchObject({ projectId: null, columnId: null });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests del límite de solicitudes
+ * ===============================
+ * Verifica la ventana deslizante (las solicitudes viejas salen de la cuenta y
+ * las rechazadas no alargan el bloqueo), la respuesta 429 con Retry-After y
+ * los headers RateLimit-*, los contadores por IP, usuario y API key, el costo
+ * de los lotes y las importaciones de calendario, los límites de los feeds de calendario y la exportación, y la
+ * configuración de los grupos de rutas.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.ADMIN_EMAILS = 'admin-limite@example.com';
+process.env.RATE_LIMIT_CALENDAR_FEED_MAX = '2';
+process.env.RATE_LIMIT_DATA_TRANSFER_MAX = '1';
+process.env.RATE_LIMIT_TASK_WRITES_MAX = '3';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const calendarRoutes = require('../src/routes/calendarRoutes');
+const dataRoutes = require('../src/routes/dataRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { rateLimit } = require('../src/middlewares/rateLimit');
+const { RATE_LIMITS } = require('../src/config/rateLimits');
+const { formatCalendar } = require('../src/utils/icalendar');
+const { loginAs } = require('./helpers/auth');
+
+const MINUTE = 60 * 1000;
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users/register', rateLimit({ name: 'register', limit: 2, windowMs: MINUTE }));
+app.use('/api/users', userRoutes);
+app.use(
+  '/api/tasks',
+  authenticate,
+  rateLimit({ ...RATE_LIMITS.taskWrites, limit: 3, windowMs: MINUTE, methods: ['POST'] }),
+  taskRoutes
+);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api', dataRoutes);
+app.get('/api/ping', rateLimit({ name: 'ping', limit: 1, windowMs: MINUTE, keyBy: 'apiKey' }), (req, res) => {
+  res.json({ pong: true });
+});
+
+describe('Límite de solicitudes', () => {
+  let now = Date.parse('2026-03-02T10:00:00Z');
+  let user;
+  let other;
+
+  const register = (email) => request(app)
+    .post('/api/users/register')
+    .send({ name: 'Cliente', email, password: 'pass' });
+
+  beforeAll(async () => {
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    user = await loginAs(app, { name: 'Ana', email: 'ana-limite@example.com', password: 'pass' });
+    other = await loginAs(app, { name: 'Beto', email: 'beto-limite@example.com', password: 'pass' });
+  });
+
+  // Cada test empieza con las ventanas anteriores ya vencidas
+  beforeEach(() => {
+    now += 60 * MINUTE;
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('debe responder 429 con Retry-After al superar el límite', async () => {
+    const first = await register('uno-limite@example.com').expect(201);
+    expect(first.headers).toMatchObject({
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '1',
+      'ratelimit-reset': '60',
+      'ratelimit-policy': '2;w=60'
+    });
+    const second = await register('dos-limite@example.com').expect(201);
+    expect(second.headers['ratelimit-remaining']).toBe('0');
+
+    now += 10 * 1000;
+    const rejected = await register('tres-limite@example.com').expect(429);
+
+    expect(rejected.body).toEqual({
+      code: 'TOO_MANY_REQUESTS',
+      message: 'Demasiadas solicitudes, vuelve a intentarlo en 50 s'
+    });
+    expect(rejected.headers['retry-after']).toBe('50');
+    expect(rejected.headers['ratelimit-remaining']).toBe('0');
+    expect(await client.get('userByEmail:tres-limite@example.com')).toBeNull();
+  });
+
+  it('debe deslizar la ventana sin contar las solicitudes rechazadas', async () => {
+    await register('a-ventana@example.com').expect(201);
+    now += 30 * 1000;
+    await register('b-ventana@example.com').expect(201);
+    now += 15 * 1000;
+    const rejected = await register('c-ventana@example.com').expect(429);
+    expect(rejected.headers['retry-after']).toBe('15');
+
+    // Sale sólo la primera solicitud: hay lugar para una más
+    now += 16 * 1000;
+    const allowed = await register('c-ventana@example.com').expect(201);
+    expect(allowed.headers['ratelimit-remaining']).toBe('0');
+    await register('d-ventana@example.com').expect(429);
+  });
+
+  it('debe contar por usuario y sólo los métodos indicados', async () => {
+    for (const title of ['Uno', 'Dos', 'Tres']) {
+      await request(app).post('/api/tasks').set('Authorization', user.auth).send({ title }).expect(201);
+    }
+    await request(app).post('/api/tasks').set('Authorization', user.auth).send({ title: 'Cuatro' }).expect(429);
+
+    const list = await request(app).get('/api/tasks').set('Authorization', user.auth).expect(200);
+    expect(list.headers['ratelimit-limit']).toBeUndefined();
+
+    await request(app).post('/api/tasks').set('Authorization', other.auth).send({ title: 'De Beto' }).expect(201);
+  });
+
+  it('debe contar cada tarea de un lote como una escritura', async () => {
+    const bulk = (operations) => request(app)
+      .post('/api/tasks/bulk')
+      .set('Authorization', user.auth)
+      .send({ operations });
+
+    const created = await bulk([
+      { op: 'create', data: { title: 'Lote uno' } },
+      { op: 'create', data: { title: 'Lote dos' } }
+    ]).expect(200);
+    expect(created.headers['ratelimit-remaining']).toBe('1');
+
+    const ids = created.body.results.map((result) => result.id);
+    await bulk([{ op: 'setStatus', ids, status: 'completada' }]).expect(429);
+    // El lote rechazado no consume el lugar que queda
+    await request(app).post('/api/tasks').set('Authorization', user.auth).send({ title: 'Suelta' }).expect(201);
+
+    // Un lote más grande que el límite entero no se podría reintentar: 413 sin Retry-After
+    const oversize = await bulk([{ op: 'setStatus', ids: ['1', '2', '3', '4'], status: 'completada' }]).expect(413);
+    expect(oversize.headers['retry-after']).toBeUndefined();
+  });
+
+  it('debe contar cada entrada de un calendario importado como una escritura', async () => {
+    const importCalendar = (titles) => request(app)
+      .post('/api/calendar/import')
+      .set('Authorization', user.auth)
+      .set('Content-Type', 'text/calendar')
+      .send(formatCalendar({
+        properties: [['VERSION', '2.0']],
+        components: titles.map((title) => ({ type: 'VEVENT', properties: [['SUMMARY', title]] }))
+      }));
+
+    const imported = await importCalendar(['Importada uno', 'Importada dos']).expect(200);
+    expect(imported.headers['ratelimit-remaining']).toBe('1');
+
+    // Comparte la cuenta con las demás escrituras de tareas
+    await request(app).post('/api/tasks').set('Authorization', user.auth).send({ title: 'Suelta' }).expect(201);
+    await importCalendar(['Importada tres']).expect(429);
+    await importCalendar(['A', 'B', 'C', 'D']).expect(413);
+  });
+
+  it('debe limitar por IP los feeds de calendario y por usuario la exportación', async () => {
+    // El token del feed no se verifica hasta pasar el límite: frena a quien prueba tokens
+    await request(app).get('/api/calendar/no-existe.ics').expect(404);
+    await request(app).get('/api/calendar/tampoco.ics').expect(404);
+    await request(app).get('/api/calendar/otro.ics').expect(429);
+
+    const admin = await loginAs(app, { name: 'Admin', email: 'admin-limite@example.com', password: 'pass' });
+    await request(app).get('/api/export').set('Authorization', admin.auth).expect(200);
+    await request(app).get('/api/export').set('Authorization', admin.auth).expect(429);
+  });
+
+  it('debe contar por API key sin guardar la clave', async () => {
+    await request(app).get('/api/ping').set('X-API-Key', 'clave-secreta').expect(200);
+    await request(app).get('/api/ping').set('X-API-Key', 'clave-secreta').expect(429);
+    await request(app).get('/api/ping').set('X-API-Key', 'otra-clave').expect(200);
+
+    // Sin API key se cuenta por IP
+    await request(app).get('/api/ping').expect(200);
+    await request(app).get('/api/ping').expect(429);
+
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: 'rateLimit:ping:*' })) keys.push(key);
+    expect(keys).toHaveLength(3);
+    expect(keys.join(' ')).not.toMatch(/clave/);
+  });
+
+  it('debe configurar los grupos con límites más estrictos para registro y login', () => {
+    const { RATE_LIMITS } = require('../src/config/rateLimits');
+    const perMinute = ({ limit, windowMs }) => limit / (windowMs / MINUTE);
+
+    expect(perMinute(RATE_LIMITS.register)).toBeLessThan(perMinute(RATE_LIMITS.login));
+    expect(perMinute(RATE_LIMITS.login)).toBeLessThan(perMinute(RATE_LIMITS.taskWrites));
+    expect(perMinute(RATE_LIMITS.taskWrites)).toBeLessThan(perMinute(RATE_LIMITS.api));
+    expect(RATE_LIMITS.api.keyBy).toBe('user');
+
+    process.env.RATE_LIMIT_TASK_WRITES_MAX = '5';
+    process.env.RATE_LIMIT_TASK_WRITES_WINDOW_SECONDS = '10';
+    jest.isolateModules(() => {
+      const { RATE_LIMITS: configured } = require('../src/config/rateLimits');
+      expect(configured.taskWrites).toMatchObject({ limit: 5, windowMs: 10 * 1000 });
+    });
+    delete process.env.RATE_LIMIT_TASK_WRITES_MAX;
+    delete process.env.RATE_LIMIT_TASK_WRITES_WINDOW_SECONDS;
+  });
+});
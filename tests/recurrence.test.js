@@ -0,0 +1,244 @@
+/**
+ * Tests de tareas recurrentes
+ * ===========================
+ * Verifica el cálculo de ocurrencias de las reglas RRULE y la generación de
+ * la siguiente ocurrencia al completar la actual o por el programador.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const seriesRoutes = require('../src/routes/seriesRoutes');
+const projectRoutes = require('../src/routes/projectRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { client } = require('../src/config/redis');
+const { processDueSeries, handleOccurrenceClosed } = require('../src/services/recurrenceService');
+const { parseRecurrence, formatRRule, nextOccurrence } = require('../src/utils/recurrence');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/series', authenticate, seriesRoutes);
+app.use('/api/projects', authenticate, projectRoutes);
+
+/**
+ * Lista las primeras ocurrencias de una regla a partir de dtstart
+ */
+const occurrences = (input, dtstart, n) => {
+  const { rule } = parseRecurrence(input);
+  const start = Date.parse(dtstart);
+  const result = [];
+  let last = start - 1;
+  while (result.length < n) {
+    last = nextOccurrence(rule, start, last);
+    if (last === null) break;
+    result.push(new Date(last).toISOString());
+  }
+  return result;
+};
+
+describe('Reglas de recurrencia', () => {
+  it('debe calcular ocurrencias semanales por día de la semana con intervalo', () => {
+    expect(occurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', '2030-01-02T09:00:00Z', 4)).toEqual([
+      '2030-01-03T09:00:00.000Z',
+      '2030-01-14T09:00:00.000Z',
+      '2030-01-17T09:00:00.000Z',
+      '2030-01-28T09:00:00.000Z'
+    ]);
+  });
+
+  it('debe ajustar la recurrencia mensual al último día del mes y respetar until', () => {
+    expect(occurrences({ freq: 'monthly', until: '2030-04-30T23:59:59Z' }, '2030-01-31T10:00:00Z', 10)).toEqual([
+      '2030-01-31T10:00:00.000Z',
+      '2030-02-28T10:00:00.000Z',
+      '2030-03-31T10:00:00.000Z',
+      '2030-04-30T10:00:00.000Z'
+    ]);
+  });
+
+  it('debe normalizar la regla y rechazar partes no soportadas', () => {
+    expect(formatRRule(parseRecurrence('RRULE:freq=daily;UNTIL=20300101').rule))
+      .toBe('FREQ=DAILY;INTERVAL=1;UNTIL=20300101T235959Z');
+    expect(parseRecurrence('FREQ=HOURLY').error).toMatch(/freq/);
+    expect(parseRecurrence('FREQ=DAILY;BYMONTH=1').error).toMatch(/BYMONTH/);
+    expect(parseRecurrence({ freq: 'daily', byDay: ['MO'] }).error).toMatch(/byDay/);
+    expect(parseRecurrence({ freq: 'daily', count: 2, until: '2030-01-01T00:00:00Z' }).error).toMatch(/a la vez/);
+  });
+});
+
+describe('Series de tareas', () => {
+  let user;
+
+  const createTask = (body) => request(app)
+    .post('/api/tasks')
+    .set('Authorization', user.auth)
+    .send(body);
+
+  const completeTask = (id) => request(app)
+    .put(`/api/tasks/${id}`)
+    .set('Authorization', user.auth)
+    .send({ status: 'completada' })
+    .expect(200);
+
+  const listSeriesTasks = async (seriesId) => {
+    const res = await request(app)
+      .get(`/api/tasks?seriesId=${seriesId}&sort=due`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    return res.body.data;
+  };
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Rutina', email: 'rutina@example.com', password: 'pass' });
+  });
+
+  it('debe validar la regla y exigir dueAt', async () => {
+    await createTask({ title: 'Sin fecha', recurrence: 'FREQ=DAILY' }).expect(400);
+    await createTask({ title: 'Mala', recurrence: 'FREQ=YEARLY', dueAt: '2030-01-01T09:00:00Z' }).expect(400);
+    await createTask({
+      title: 'Modo raro',
+      recurrence: 'FREQ=DAILY',
+      recurrenceMode: 'nunca',
+      dueAt: '2030-01-01T09:00:00Z'
+    }).expect(400);
+  });
+
+  it('debe generar la siguiente ocurrencia al completar la actual hasta agotar COUNT', async () => {
+    const first = await createTask({
+      title: 'Informe semanal',
+      dueAt: '2030-01-07T09:00:00Z',
+      remindAt: '2030-01-07T08:00:00Z',
+      recurrence: 'FREQ=WEEKLY;COUNT=3'
+    }).expect(201);
+    const { seriesId } = first.body;
+    expect(seriesId).toEqual(expect.any(String));
+
+    await completeTask(first.body.id);
+    // Volver a cerrar una ocurrencia ya avanzada no genera otra
+    await request(app)
+      .put(`/api/tasks/${first.body.id}`)
+      .set('Authorization', user.auth)
+      .send({ status: 'en progreso' })
+      .expect(200);
+    await completeTask(first.body.id);
+
+    let tasks = await listSeriesTasks(seriesId);
+    expect(tasks.map((task) => task.dueAt)).toEqual(['2030-01-07T09:00:00.000Z', '2030-01-14T09:00:00.000Z']);
+    expect(tasks[1]).toMatchObject({ title: 'Informe semanal', status: 'pendiente', remindAt: '2030-01-14T08:00:00.000Z' });
+
+    await completeTask(tasks[1].id);
+    tasks = await listSeriesTasks(seriesId);
+    await completeTask(tasks[2].id);
+
+    tasks = await listSeriesTasks(seriesId);
+    expect(tasks).toHaveLength(3);
+
+    const series = await request(app)
+      .get(`/api/series/${seriesId}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(series.body).toMatchObject({ rule: 'FREQ=WEEKLY;INTERVAL=1;COUNT=3', occurrences: 3, active: false });
+  });
+
+  it('debe generar cada ocurrencia una sola vez y poder reintentar si la generación falla', async () => {
+    const first = await createTask({
+      title: 'Riego',
+      dueAt: '2030-05-01T07:00:00Z',
+      recurrence: 'FREQ=DAILY'
+    }).expect(201);
+    const { seriesId } = first.body;
+
+    // Si la generación falla no queda nada a medias ni un reclamo que impida reintentarla
+    client.incr.mockRejectedValueOnce(new Error('Redis no disponible'));
+    await request(app)
+      .put(`/api/tasks/${first.body.id}`)
+      .set('Authorization', user.auth)
+      .send({ status: 'completada' })
+      .expect(500);
+    expect(await listSeriesTasks(seriesId)).toHaveLength(1);
+
+    const closed = await client.hGetAll(`task:${first.body.id}`);
+    const results = await Promise.all([handleOccurrenceClosed(closed), handleOccurrenceClosed(closed)]);
+    expect(results.filter(Boolean)).toHaveLength(1);
+
+    const tasks = await listSeriesTasks(seriesId);
+    expect(tasks.map((task) => task.dueAt)).toEqual(['2030-05-01T07:00:00.000Z', '2030-05-02T07:00:00.000Z']);
+  });
+
+  it('debe generar ocurrencias programadas aunque la actual siga abierta', async () => {
+    const first = await createTask({
+      title: 'Factura mensual',
+      dueAt: '2030-01-31T12:00:00Z',
+      recurrence: { freq: 'monthly' },
+      recurrenceMode: 'schedule'
+    }).expect(201);
+    const { seriesId } = first.body;
+
+    expect(await processDueSeries(Date.parse('2030-01-30T00:00:00Z'))).toEqual([]);
+
+    const [created] = await processDueSeries(Date.parse('2030-01-31T12:00:00Z'));
+    expect(created).toMatchObject({ seriesId, dueAt: '2030-02-28T12:00:00.000Z' });
+
+    // Editar la plantilla afecta a las siguientes ocurrencias
+    await request(app)
+      .put(`/api/series/${seriesId}`)
+      .set('Authorization', user.auth)
+      .send({ title: 'Factura mensual (proveedor nuevo)' })
+      .expect(200);
+
+    const [next] = await processDueSeries(Date.parse('2030-03-01T00:00:00Z'));
+    expect(next).toMatchObject({ title: 'Factura mensual (proveedor nuevo)', dueAt: '2030-03-31T12:00:00.000Z' });
+
+    const stopped = await request(app)
+      .post(`/api/series/${seriesId}/stop`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(stopped.body.active).toBe(false);
+    expect(await processDueSeries(Date.parse('2030-04-01T00:00:00Z'))).toEqual([]);
+  });
+
+  it('debe mantener las ocurrencias en el proyecto, la columna y la tarea padre de la plantilla', async () => {
+    const { body: project } = await request(app)
+      .post('/api/projects')
+      .set('Authorization', user.auth)
+      .send({ name: 'Operaciones' })
+      .expect(201);
+    const doing = project.columns[1];
+    const { body: parent } = await createTask({ title: 'Mantenimiento' }).expect(201);
+
+    const first = await createTask({
+      title: 'Revisar backups',
+      dueAt: '2030-02-01T09:00:00Z',
+      recurrence: 'FREQ=DAILY',
+      projectId: project.id,
+      columnId: doing.id,
+      parentId: parent.id
+    }).expect(201);
+    await completeTask(first.body.id);
+
+    const [, next] = await listSeriesTasks(first.body.seriesId);
+    expect(next).toMatchObject({ projectId: project.id, columnId: doing.id, parentId: parent.id });
+
+    const series = await request(app)
+      .get(`/api/series/${first.body.seriesId}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(series.body.template).toMatchObject({ projectId: project.id, columnId: doing.id, parentId: parent.id });
+  });
+
+  it('no debe permitir acceder a series ajenas', async () => {
+    const other = await loginAs(app, { name: 'Otro', email: 'otro-rutina@example.com', password: 'pass' });
+    const [series] = (await request(app).get('/api/series').set('Authorization', user.auth).expect(200)).body;
+
+    await request(app)
+      .post(`/api/series/${series.id}/stop`)
+      .set('Authorization', other.auth)
+      .expect(403);
+  });
+});
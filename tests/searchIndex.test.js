@@ -0,0 +1,115 @@
+/**
+ * Tests de búsqueda de texto en tareas
+ * ====================================
+ * Verifica GET /api/tasks/search: sin acentos, por prefijo, varios términos
+ * con AND, orden por relevancia y la reconstrucción del índice.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { tokenize, rebuildSearchIndex } = require('../src/services/searchIndex');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+
+describe('Búsqueda de tareas', () => {
+  let user;
+  let other;
+
+  const search = (q, as = user) => request(app)
+    .get('/api/tasks/search')
+    .query({ q })
+    .set('Authorization', as.auth)
+    .expect(200);
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Busca', email: 'busca@example.com', password: 'pass' });
+    other = await loginAs(app, { name: 'Ajeno', email: 'ajeno@example.com', password: 'pass' });
+
+    const create = (as, body) => request(app)
+      .post('/api/tasks')
+      .set('Authorization', as.auth)
+      .send(body)
+      .expect(201);
+
+    await create(user, { title: 'Redactar informe trimestral', description: 'Incluir la facturación' });
+    await create(user, { title: 'Revisar facturación', description: 'Revisar el informe del mes' });
+    await create(user, { title: 'Reunión de planificación', description: 'Preparar la agenda' });
+    await create(other, { title: 'Informe confidencial' });
+  });
+
+  it('debe normalizar y descartar palabras vacías al tokenizar', () => {
+    expect(tokenize('La Reunión de PLANIFICACIÓN')).toEqual(['reunion', 'planificacion']);
+  });
+
+  it('debe encontrar sin distinguir acentos ni mayúsculas', async () => {
+    const res = await search('REUNION');
+
+    expect(res.body.data.map((t) => t.title)).toEqual(['Reunión de planificación']);
+  });
+
+  it('debe encontrar por prefijo', async () => {
+    const res = await search('planif');
+
+    expect(res.body.total).toBe(1);
+  });
+
+  it('debe exigir todos los términos y ordenar por relevancia', async () => {
+    const res = await search('informe factura');
+
+    // Ambas tareas tienen los dos términos; "informe" en el título pesa más
+    expect(res.body.data.map((t) => t.title)).toEqual([
+      'Redactar informe trimestral',
+      'Revisar facturación'
+    ]);
+
+    const none = await search('informe agenda');
+    expect(none.body.total).toBe(0);
+  });
+
+  it('debe buscar sólo entre las tareas del usuario', async () => {
+    const res = await search('confidencial');
+
+    expect(res.body.total).toBe(0);
+  });
+
+  it('debe reflejar los cambios de título', async () => {
+    const created = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Comprar café' })
+      .expect(201);
+
+    await request(app)
+      .put(`/api/tasks/${created.body.id}`)
+      .set('Authorization', user.auth)
+      .send({ title: 'Comprar té' })
+      .expect(200);
+
+    expect((await search('cafe')).body.total).toBe(0);
+    expect((await search('te comprar')).body.total).toBe(1);
+  });
+
+  it('debe retornar 400 sin q', async () => {
+    await request(app)
+      .get('/api/tasks/search')
+      .set('Authorization', user.auth)
+      .expect(400);
+  });
+
+  it('debe reconstruir el índice completo', async () => {
+    const indexed = await rebuildSearchIndex();
+
+    expect(indexed).toBe(5);
+    expect((await search('informe')).body.total).toBe(2);
+  });
+});
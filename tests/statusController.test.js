@@ -0,0 +1,238 @@
+/**
+ * Tests del flujo de estados
+ * ==========================
+ * Verifica los estados por defecto, el CRUD de /api/statuses y que las
+ * tareas sólo acepten estados configurados y transiciones permitidas,
+ * registrando completedAt al cerrarlas. Sólo los administradores configuran el
+ * flujo, y un estado no se elimina mientras lo use alguna tarea (incluso en la papelera).
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.ADMIN_EMAILS = 'flujo@example.com';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const statusRoutes = require('../src/routes/statusRoutes');
+const trashRoutes = require('../src/routes/trashRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { getHistory } = require('../src/services/activityLog');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/statuses', authenticate, statusRoutes);
+app.use('/api/trash', authenticate, trashRoutes);
+
+describe('Flujo de estados', () => {
+  let user;
+  let defaults;
+
+  const createTask = (body) => request(app)
+    .post('/api/tasks')
+    .set('Authorization', user.auth)
+    .send(body);
+
+  const updateTask = (id, body) => request(app)
+    .put(`/api/tasks/${id}`)
+    .set('Authorization', user.auth)
+    .send(body);
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Flujo', email: 'flujo@example.com', password: 'pass' });
+  });
+
+  it('debe crear los estados por defecto con sus transiciones', async () => {
+    const res = await request(app)
+      .get('/api/statuses')
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    defaults = Object.fromEntries(res.body.map((status) => [status.name, status]));
+    expect(res.body.map((status) => status.name)).toEqual(['pendiente', 'en progreso', 'completada']);
+    expect(defaults.completada.closed).toBe(true);
+    expect(defaults.pendiente.transitions).toEqual([defaults['en progreso'].id, defaults.completada.id]);
+  });
+
+  it('debe usar el estado inicial y rechazar estados desconocidos con 422', async () => {
+    const created = await createTask({ title: 'Sin estado' }).expect(201);
+    expect(created.body).toMatchObject({ status: 'pendiente', completedAt: null });
+
+    const res = await createTask({ title: 'Con typo', status: 'hecho' }).expect(422);
+    expect(res.body.message).toMatch(/Estado desconocido: hecho/);
+
+    await updateTask(created.body.id, { status: 'Done' }).expect(422);
+  });
+
+  it('debe normalizar mayúsculas y acentos al nombre configurado', async () => {
+    const res = await createTask({ title: 'Mayúsculas', status: 'EN PROGRESO' }).expect(201);
+    expect(res.body.status).toBe('en progreso');
+  });
+
+  it('debe registrar completedAt al cerrar y borrarlo al reabrir', async () => {
+    const { body: task } = await createTask({ title: 'Cerrar y reabrir' }).expect(201);
+
+    const closed = await updateTask(task.id, { status: 'completada' }).expect(200);
+    expect(closed.body.completedAt).toEqual(expect.any(String));
+
+    // completada sólo puede volver a "en progreso"
+    const res = await updateTask(task.id, { status: 'pendiente' }).expect(422);
+    expect(res.body.message).toBe("Transición no permitida: de 'completada' a 'pendiente'");
+
+    const reopened = await updateTask(task.id, { status: 'en progreso' }).expect(200);
+    expect(reopened.body.completedAt).toBeNull();
+  });
+
+  it('debe permitir configurar nuevos estados y transiciones', async () => {
+    const created = await request(app)
+      .post('/api/statuses')
+      .set('Authorization', user.auth)
+      .send({ name: 'cancelada', color: '#f44336', order: 4, closed: true, transitions: [defaults.pendiente.id] })
+      .expect(201);
+    expect(created.body).toMatchObject({ name: 'cancelada', closed: true, transitions: [defaults.pendiente.id] });
+
+    await request(app)
+      .post('/api/statuses')
+      .set('Authorization', user.auth)
+      .send({ name: 'Cancelada' })
+      .expect(400);
+
+    const { body: task } = await createTask({ title: 'Se cancela' }).expect(201);
+    await updateTask(task.id, { status: 'cancelada' }).expect(422);
+
+    await request(app)
+      .put(`/api/statuses/${defaults.pendiente.id}`)
+      .set('Authorization', user.auth)
+      .send({ transitions: [...defaults.pendiente.transitions, created.body.id] })
+      .expect(200);
+
+    const cancelled = await updateTask(task.id, { status: 'cancelada' }).expect(200);
+    expect(cancelled.body.completedAt).toEqual(expect.any(String));
+  });
+
+  it('debe reservar la configuración del flujo a los administradores', async () => {
+    const other = await loginAs(app, { name: 'Otro', email: 'otro-flujo@example.com', password: 'pass' });
+
+    await request(app)
+      .post('/api/statuses')
+      .set('Authorization', other.auth)
+      .send({ name: 'pausada' })
+      .expect(403);
+    await request(app)
+      .put(`/api/statuses/${defaults.pendiente.id}`)
+      .set('Authorization', other.auth)
+      .send({ name: 'por hacer' })
+      .expect(403);
+    await request(app)
+      .delete(`/api/statuses/${defaults.completada.id}`)
+      .set('Authorization', other.auth)
+      .expect(403);
+
+    // Consultar el flujo sigue abierto a todos
+    await request(app)
+      .get('/api/statuses')
+      .set('Authorization', other.auth)
+      .expect(200);
+  });
+
+  it('debe migrar las tareas al renombrar un estado', async () => {
+    const { body: task } = await createTask({ title: 'Renombrada', status: 'en progreso' }).expect(201);
+
+    await request(app)
+      .put(`/api/statuses/${defaults['en progreso'].id}`)
+      .set('Authorization', user.auth)
+      .send({ name: 'en curso' })
+      .expect(200);
+
+    const res = await request(app)
+      .get(`/api/tasks/${task.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(res.body.status).toBe('en curso');
+    expect(res.body.version).toBe(task.version + 1);
+
+    const list = await request(app)
+      .get('/api/tasks?status=en%20curso')
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(list.body.data.map((t) => t.id)).toContain(task.id);
+  });
+
+  it('no debe eliminar un estado en uso', async () => {
+    await request(app)
+      .delete(`/api/statuses/${defaults.pendiente.id}`)
+      .set('Authorization', user.auth)
+      .expect(409);
+
+    const unused = await request(app)
+      .post('/api/statuses')
+      .set('Authorization', user.auth)
+      .send({ name: 'archivada', closed: true })
+      .expect(201);
+
+    await request(app)
+      .delete(`/api/statuses/${unused.body.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/statuses/${unused.body.id}`)
+      .set('Authorization', user.auth)
+      .expect(404);
+  });
+
+  it('no debe eliminar un estado que usa una tarea en la papelera', async () => {
+    const draft = (await request(app)
+      .post('/api/statuses')
+      .set('Authorization', user.auth)
+      .send({ name: 'borrador' })
+      .expect(201)).body;
+    const task = (await createTask({ title: 'Descartada', status: 'borrador' }).expect(201)).body;
+    await request(app).delete(`/api/tasks/${task.id}`).set('Authorization', user.auth).expect(200);
+
+    const res = await request(app)
+      .delete(`/api/statuses/${draft.id}`)
+      .set('Authorization', user.auth)
+      .expect(409);
+    expect(res.body.message).toMatch(/papelera/);
+
+    await request(app).delete(`/api/trash/task/${task.id}`).set('Authorization', user.auth).expect(200);
+    await request(app)
+      .delete(`/api/statuses/${draft.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    const { data } = await getHistory('status', draft.id, { limit: 10 });
+    expect(data.map((entry) => entry.action)).toEqual(['deleted', 'created']);
+  });
+
+  it('no debe eliminar un estado al que entra una tarea mientras se elimina', async () => {
+    const review = (await request(app)
+      .post('/api/statuses')
+      .set('Authorization', user.auth)
+      .send({ name: 'en revisión' })
+      .expect(201)).body;
+
+    // La tarea entra en el estado después de vigilarlo y antes de eliminarlo
+    const realWatch = client.watch.getMockImplementation();
+    client.watch.mockImplementationOnce(async function watch(keys) {
+      const result = await realWatch.call(this, keys);
+      await createTask({ title: 'A revisar', status: 'en revisión' }).expect(201);
+      return result;
+    });
+    await request(app)
+      .delete(`/api/statuses/${review.id}`)
+      .set('Authorization', user.auth)
+      .expect(409);
+
+    await request(app)
+      .get(`/api/statuses/${review.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+  });
+});
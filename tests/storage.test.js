@@ -0,0 +1,158 @@
+/**
+ * Tests de la capa de almacenamiento
+ * ==================================
+ * Verifica que el cliente en memoria se comporte como Redis en lo que la API
+ * necesita (TTL, tipos, claves vacías, WATCH), que STORAGE_DRIVER elija el
+ * backend y que los repositorios guarden y lean los registros.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const { WatchError } = require('redis');
+const { createMemoryClient } = require('../src/storage/memoryClient');
+const { client } = require('../src/config/redis');
+const tagRepository = require('../src/repositories/tagRepository');
+const priorityRepository = require('../src/repositories/priorityRepository');
+const userRepository = require('../src/repositories/userRepository');
+const taskRepository = require('../src/repositories/taskRepository');
+
+describe('Cliente en memoria', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('debe vencer las claves con TTL', async () => {
+    const memory = createMemoryClient();
+    let now = Date.parse('2026-03-02T10:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    await memory.set('session:a', '1', { EX: 60 });
+    await memory.hSet('limit', { count: '1' });
+    await memory.pExpire('limit', 500);
+    await memory.set('permanent', '1');
+
+    now += 1000;
+    expect(await memory.hGetAll('limit')).toEqual({});
+    expect(await memory.get('session:a')).toBe('1');
+
+    now += 60 * 1000;
+    expect(await memory.get('session:a')).toBeNull();
+    expect(await memory.dbSize()).toBe(1);
+    expect(await memory.set('session:a', '2', { NX: true })).toBe('OK');
+  });
+
+  it('debe rechazar comandos sobre claves de otro tipo y borrar las colecciones vacías', async () => {
+    const memory = createMemoryClient();
+    await memory.sAdd('tags', ['1', '2']);
+
+    await expect(memory.hGetAll('tags')).rejects.toThrow(/WRONGTYPE/);
+    await expect(memory.get('tags')).rejects.toThrow(/WRONGTYPE/);
+
+    await memory.sRem('tags', ['1', '2']);
+    expect(await memory.dbSize()).toBe(0);
+    await memory.hSet('tags', 'name', 'Backend');
+    expect(await memory.hGet('tags', 'name')).toBe('Backend');
+  });
+
+  it('debe compartir los datos con sus duplicados y descartar transacciones con WATCH', async () => {
+    const memory = createMemoryClient();
+    const other = memory.duplicate();
+    const received = [];
+    await other.subscribe('events', (message) => received.push(message));
+
+    await memory.set('counter', '1');
+    expect(await other.get('counter')).toBe('1');
+    await memory.publish('events', 'hola');
+    expect(received).toEqual(['hola']);
+
+    const attempt = memory.executeIsolated(async (isolated) => {
+      await isolated.watch('counter');
+      await other.incr('counter');
+      return isolated.multi().set('counter', '10').exec();
+    });
+    await expect(attempt).rejects.toBeInstanceOf(WatchError);
+    expect(await memory.get('counter')).toBe('2');
+  });
+
+  it('no debe intercalar otra transacción en medio de un EXEC', async () => {
+    const memory = createMemoryClient();
+    await memory.set('counter', '0');
+
+    // Dos transacciones que vigilan la misma clave y la escriben al final: sólo una puede confirmarse
+    const attempt = () => memory.executeIsolated(async (isolated) => {
+      await isolated.watch('counter');
+      return isolated.multi().set('other', '1').set('log', 'x').incr('counter').exec();
+    });
+    const results = await Promise.allSettled([attempt(), attempt()]);
+
+    expect(results.map(({ status }) => status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(await memory.get('counter')).toBe('1');
+  });
+
+  it('debe elegir el backend según STORAGE_DRIVER', () => {
+    const { NODE_ENV, STORAGE_DRIVER } = process.env;
+    try {
+      process.env.NODE_ENV = 'development';
+      process.env.STORAGE_DRIVER = 'memory';
+      jest.isolateModules(() => {
+        const config = require('../src/config/redis');
+        expect(config.STORAGE_DRIVER).toBe('memory');
+        expect(jest.isMockFunction(config.client.get)).toBe(false);
+      });
+
+      process.env.STORAGE_DRIVER = 'mongo';
+      jest.isolateModules(() => {
+        expect(() => require('../src/config/redis')).toThrow(/STORAGE_DRIVER inválido/);
+      });
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (STORAGE_DRIVER === undefined) delete process.env.STORAGE_DRIVER;
+      else process.env.STORAGE_DRIVER = STORAGE_DRIVER;
+    }
+  });
+});
+
+describe('Repositorios', () => {
+  it('debe guardar y listar etiquetas y prioridades', async () => {
+    const backend = await tagRepository.insertTag({ name: 'Backend' });
+    await tagRepository.insertTag({ name: 'Frontend' });
+
+    expect(backend).toEqual({ id: '1', name: 'Backend', version: '1' });
+    expect(await tagRepository.findTagById(backend.id)).toEqual(backend);
+    expect(await tagRepository.findTagById('999')).toBeNull();
+    expect((await tagRepository.findAllTags()).map(tagRepository.formatTag)).toEqual([
+      { id: '1', name: 'Backend', version: 1 },
+      { id: '2', name: 'Frontend', version: 1 }
+    ]);
+
+    const high = await priorityRepository.insertPriority({ name: 'Alta', color: '#ff0000', order: 2 });
+    expect(priorityRepository.formatPriority(high)).toEqual({
+      id: '1', name: 'Alta', color: '#ff0000', order: 2, version: 1
+    });
+    expect(await client.sMembers(priorityRepository.PRIORITY_SET)).toEqual(['priority:1']);
+  });
+
+  it('debe registrar usuarios sin repetir el email', async () => {
+    const id = await userRepository.insertUser({ name: 'Ana', email: 'ana@example.com', password: 'hash' });
+
+    expect(await userRepository.insertUser({ name: 'Otra', email: 'ana@example.com', password: 'x' })).toBeNull();
+    expect(await userRepository.isEmailTaken('ana@example.com')).toBe(true);
+    const user = await userRepository.findUserByEmail('ana@example.com');
+    expect(user).toMatchObject({ id, name: 'Ana', password: 'hash' });
+    expect(userRepository.toPublicUser(user)).toEqual({ id, name: 'Ana', email: 'ana@example.com' });
+    expect(await userRepository.findUserByEmail('nadie@example.com')).toBeNull();
+  });
+
+  it('debe guardar las tareas en el Set global y en el de su dueño', async () => {
+    const id = await taskRepository.insertTask({ title: 'Informe', status: 'pendiente', ownerId: '7' });
+
+    expect(await taskRepository.findTaskById(id)).toEqual({ id, title: 'Informe', status: 'pendiente', ownerId: '7' });
+    expect(await client.sMembers(taskRepository.TASK_SET)).toContain(taskRepository.taskKey(id));
+    expect(await client.sMembers(taskRepository.userTasksKey('7'))).toEqual([taskRepository.taskKey(id)]);
+    expect(await taskRepository.getTaskStatuses([taskRepository.taskKey(id), 'task:999'])).toEqual(['pendiente', null]);
+
+    const [found, missing] = await taskRepository.findTasksByKeys([taskRepository.taskKey(id), 'task:999']);
+    expect(found.title).toBe('Informe');
+    expect(missing).toEqual({});
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests de Tareas (taskController)
+ * ================================
+ * Verifica el CRUD de tareas y que cada usuario sólo pueda ver
+ * y modificar las tareas que le pertenecen.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+
+describe('Task Controller', () => {
+  let owner;
+  let other;
+
+  beforeAll(async () => {
+    owner = await loginAs(app, { name: 'Dueño', email: 'owner@example.com', password: 'pass1' });
+    other = await loginAs(app, { name: 'Otro', email: 'other@example.com', password: 'pass2' });
+  });
+
+  it('debe retornar 401 sin token', async () => {
+    await request(app).get('/api/tasks').expect(401);
+  });
+
+  it('debe crear una tarea asignada al usuario autenticado', async () => {
+    const res = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', owner.auth)
+      .send({ title: 'Preparar informe' })
+      .expect(201);
+
+    expect(res.body).toHaveProperty('title', 'Preparar informe');
+    expect(res.body).toHaveProperty('status', 'pendiente');
+    expect(res.body).toHaveProperty('ownerId', owner.id);
+  });
+
+  it('debe retornar 400 si falta "title"', async () => {
+    const res = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', owner.auth)
+      .send({ description: 'Sin título' })
+      .expect(400);
+
+    expect(res.body).toHaveProperty('message', 'El título de la tarea es obligatorio');
+  });
+
+  it('debe listar sólo las tareas del usuario autenticado', async () => {
+    await request(app)
+      .post('/api/tasks')
+      .set('Authorization', other.auth)
+      .send({ title: 'Tarea ajena' })
+      .expect(201);
+
+    const res = await request(app)
+      .get('/api/tasks')
+      .set('Authorization', owner.auth)
+      .expect(200);
+
+    expect(res.body.data.length).toBeGreaterThanOrEqual(1);
+    expect(res.body.total).toBe(res.body.data.length);
+    res.body.data.forEach((task) => expect(task.ownerId).toBe(owner.id));
+  });
+
+  it('debe retornar 403 al acceder a una tarea ajena', async () => {
+    const created = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', owner.auth)
+      .send({ title: 'Privada' })
+      .expect(201);
+
+    const taskId = created.body.id;
+
+    await request(app)
+      .get(`/api/tasks/${taskId}`)
+      .set('Authorization', other.auth)
+      .expect(403);
+
+    await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set('Authorization', other.auth)
+      .send({ title: 'Hackeada' })
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/tasks/${taskId}`)
+      .set('Authorization', other.auth)
+      .expect(403);
+  });
+
+  it('debe actualizar y eliminar una tarea propia', async () => {
+    const created = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', owner.auth)
+      .send({ title: 'Editable' })
+      .expect(201);
+
+    const taskId = created.body.id;
+
+    const updated = await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set('Authorization', owner.auth)
+      .send({ title: 'Editada' })
+      .expect(200);
+
+    expect(updated.body).toHaveProperty('title', 'Editada');
+
+    await request(app)
+      .delete(`/api/tasks/${taskId}`)
+      .set('Authorization', owner.auth)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/tasks/${taskId}`)
+      .set('Authorization', owner.auth)
+      .expect(404);
+  });
+
+  describe('filtros, orden y paginación', () => {
+    let lister;
+
+    beforeAll(async () => {
+      lister = await loginAs(app, { name: 'Lista', email: 'lista@example.com', password: 'pass3' });
+      for (const [title, status] of [['Café', 'pendiente'], ['Árbol', 'completada'], ['Bicicleta', 'pendiente']]) {
+        await request(app)
+          .post('/api/tasks')
+          .set('Authorization', lister.auth)
+          .send({ title, status, description: `Descripción de ${title}` })
+          .expect(201);
+      }
+    });
+
+    const list = (query) => request(app)
+      .get(`/api/tasks${query}`)
+      .set('Authorization', lister.auth)
+      .expect(200);
+
+    it('debe filtrar por estado', async () => {
+      const res = await list('?status=pendiente&sort=title');
+
+      expect(res.body.total).toBe(2);
+      expect(res.body.data.map((t) => t.title)).toEqual(['Bicicleta', 'Café']);
+    });
+
+    it('debe ordenar por título ignorando acentos, en ambos sentidos', async () => {
+      const asc = await list('?sort=title');
+      expect(asc.body.data.map((t) => t.title)).toEqual(['Árbol', 'Bicicleta', 'Café']);
+
+      const desc = await list('?sort=-title');
+      expect(desc.body.data.map((t) => t.title)).toEqual(['Café', 'Bicicleta', 'Árbol']);
+    });
+
+    it('debe buscar texto sin distinguir acentos', async () => {
+      const res = await list('?q=cafe');
+
+      expect(res.body.total).toBe(1);
+      expect(res.body.data[0]).toHaveProperty('title', 'Café');
+    });
+
+    it('debe paginar con cursor y limit', async () => {
+      const page1 = await list('?sort=title&limit=2');
+      expect(page1.body.data).toHaveLength(2);
+      expect(page1.body.total).toBe(3);
+      expect(page1.body.nextCursor).not.toBeNull();
+
+      const page2 = await list(`?sort=title&limit=2&cursor=${page1.body.nextCursor}`);
+      expect(page2.body.data.map((t) => t.title)).toEqual(['Café']);
+      expect(page2.body.nextCursor).toBeNull();
+    });
+
+    it('debe retornar 400 con parámetros inválidos', async () => {
+      await request(app).get('/api/tasks?sort=random').set('Authorization', lister.auth).expect(400);
+      await request(app).get('/api/tasks?limit=1000').set('Authorization', lister.auth).expect(400);
+    });
+  });
+});
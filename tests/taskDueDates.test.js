@@ -0,0 +1,113 @@
+/**
+ * Tests de fechas límite y recordatorios
+ * ======================================
+ * Verifica dueAt/remindAt en las tareas, los endpoints /overdue y /due,
+ * y que el programador dispare cada recordatorio una única vez y lo deje
+ * en el historial.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { processDueReminders, REMINDER_CHANNEL } = require('../src/services/reminderScheduler');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Fechas límite y recordatorios', () => {
+  let user;
+
+  const createTask = (body) => request(app)
+    .post('/api/tasks')
+    .set('Authorization', user.auth)
+    .send(body);
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Due', email: 'due@example.com', password: 'pass' });
+  });
+
+  it('debe normalizar dueAt a UTC', async () => {
+    const res = await createTask({ title: 'Con zona', dueAt: '2030-05-01T18:00:00-03:00' }).expect(201);
+
+    expect(res.body).toHaveProperty('dueAt', '2030-05-01T21:00:00.000Z');
+  });
+
+  it('debe rechazar fechas sin zona horaria', async () => {
+    const res = await createTask({ title: 'Ambigua', dueAt: '2030-05-01T18:00:00' }).expect(400);
+
+    expect(res.body.message).toMatch(/dueAt debe ser una fecha ISO 8601 con zona horaria/);
+  });
+
+  it('debe listar las tareas vencidas que no están completadas', async () => {
+    const past = new Date(Date.now() - HOUR).toISOString();
+    await createTask({ title: 'Atrasada', dueAt: past }).expect(201);
+    await createTask({ title: 'Atrasada pero hecha', dueAt: past, status: 'completada' }).expect(201);
+
+    const res = await request(app)
+      .get('/api/tasks/overdue')
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    expect(res.body.data.map((t) => t.title)).toEqual(['Atrasada']);
+  });
+
+  it('debe listar las tareas que vencen en un rango', async () => {
+    const res = await request(app)
+      .get('/api/tasks/due')
+      .query({ from: '2030-05-01T00:00:00Z', to: '2030-05-31T23:59:59Z' })
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    expect(res.body.data.map((t) => t.title)).toEqual(['Con zona']);
+  });
+
+  it('debe disparar un recordatorio vencido una única vez', async () => {
+    const created = await createTask({
+      title: 'Recordarme',
+      remindAt: new Date(Date.now() - 1000).toISOString()
+    }).expect(201);
+
+    const fired = await processDueReminders();
+    expect(fired.map((e) => e.taskId)).toEqual([created.body.id]);
+    expect(client.publish).toHaveBeenCalledWith(REMINDER_CHANNEL, expect.stringContaining('Recordarme'));
+
+    // Una segunda pasada (u otra instancia) ya no lo encuentra
+    expect(await processDueReminders()).toEqual([]);
+
+    const res = await request(app)
+      .get(`/api/tasks/${created.body.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    expect(res.body.remindedAt).not.toBeNull();
+    expect(res.body.version).toBe(created.body.version + 1);
+
+    // Queda registrado en el historial, sin actor
+    const history = await request(app)
+      .get(`/api/tasks/${created.body.id}/history`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(history.body.data[0]).toMatchObject({
+      action: 'reminded',
+      actorId: null,
+      changes: { remindedAt: { from: null, to: res.body.remindedAt } }
+    });
+  });
+
+  it('no debe disparar recordatorios futuros', async () => {
+    await createTask({ title: 'Más tarde', remindAt: new Date(Date.now() + HOUR).toISOString() }).expect(201);
+
+    expect(await processDueReminders()).toEqual([]);
+  });
+});
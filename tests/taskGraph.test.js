@@ -0,0 +1,184 @@
+/**
+ * Tests de subtareas y dependencias
+ * =================================
+ * Verifica parentId y el avance de las subtareas, las dependencias de
+ * bloqueo con detección de ciclos y que una tarea bloqueada no pueda cerrarse.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+
+describe('Subtareas y dependencias', () => {
+  let user;
+  let other;
+
+  const createTask = (body, as = user) => request(app)
+    .post('/api/tasks')
+    .set('Authorization', as.auth)
+    .send(body);
+
+  const updateTask = (id, body) => request(app)
+    .put(`/api/tasks/${id}`)
+    .set('Authorization', user.auth)
+    .send(body);
+
+  const getTask = (id) => request(app)
+    .get(`/api/tasks/${id}`)
+    .set('Authorization', user.auth)
+    .expect(200);
+
+  const addDependency = (id, taskId) => request(app)
+    .post(`/api/tasks/${id}/dependencies`)
+    .set('Authorization', user.auth)
+    .send({ taskId });
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Grafo', email: 'grafo@example.com', password: 'pass' });
+    other = await loginAs(app, { name: 'Ajeno', email: 'ajeno@example.com', password: 'pass' });
+  });
+
+  describe('Subtareas', () => {
+    let parent;
+    let child;
+
+    beforeAll(async () => {
+      parent = (await createTask({ title: 'Lanzamiento' }).expect(201)).body;
+      child = (await createTask({ title: 'Preparar notas', parentId: parent.id }).expect(201)).body;
+      await createTask({ title: 'Revisar notas', parentId: child.id }).expect(201);
+      await createTask({ title: 'Anunciar', parentId: parent.id, status: 'completada' }).expect(201);
+    });
+
+    it('debe listar las subtareas directas con el avance acumulado', async () => {
+      expect(child.parentId).toBe(parent.id);
+
+      const res = await request(app)
+        .get(`/api/tasks/${parent.id}/subtasks`)
+        .set('Authorization', user.auth)
+        .expect(200);
+
+      expect(res.body.data.map((task) => task.title)).toEqual(['Preparar notas', 'Anunciar']);
+      expect(res.body.progress).toEqual({ total: 3, closed: 1, percent: 33 });
+
+      const task = await getTask(parent.id);
+      expect(task.body.progress).toEqual({ total: 3, closed: 1, percent: 33 });
+    });
+
+    it('debe rechazar padres inexistentes, ajenos o que formen un ciclo', async () => {
+      const foreign = (await createTask({ title: 'De otro' }, other).expect(201)).body;
+      await createTask({ title: 'Huérfana', parentId: foreign.id }).expect(400);
+      await updateTask(parent.id, { parentId: parent.id }).expect(400);
+
+      const res = await updateTask(parent.id, { parentId: child.id }).expect(422);
+      expect(res.body.message).toMatch(/ciclo/);
+    });
+
+    it('debe desvincular las subtareas al eliminar el padre', async () => {
+      const temp = (await createTask({ title: 'Temporal' }).expect(201)).body;
+      const sub = (await createTask({ title: 'Sub temporal', parentId: temp.id }).expect(201)).body;
+
+      await request(app)
+        .delete(`/api/tasks/${temp.id}`)
+        .set('Authorization', user.auth)
+        .expect(200);
+
+      const res = await getTask(sub.id);
+      expect(res.body.parentId).toBeNull();
+    });
+  });
+
+  describe('Dependencias', () => {
+    let a;
+    let b;
+    let c;
+
+    beforeAll(async () => {
+      a = (await createTask({ title: 'Diseño' }).expect(201)).body;
+      b = (await createTask({ title: 'Implementación' }).expect(201)).body;
+      c = (await createTask({ title: 'Pruebas' }).expect(201)).body;
+    });
+
+    it('debe mostrar blockedBy y blocks en la tarea', async () => {
+      await addDependency(b.id, a.id).expect(201);
+      await addDependency(c.id, b.id).expect(201);
+
+      const res = await getTask(b.id);
+      expect(res.body.blockedBy).toEqual([{ id: a.id, title: 'Diseño', status: 'pendiente' }]);
+      expect(res.body.blocks).toEqual([{ id: c.id, title: 'Pruebas', status: 'pendiente' }]);
+    });
+
+    it('debe rechazar dependencias circulares y consigo misma', async () => {
+      const res = await addDependency(a.id, c.id).expect(422);
+      expect(res.body.message).toMatch(/ciclo/);
+
+      await addDependency(a.id, a.id).expect(400);
+      await addDependency(a.id, '9999').expect(400);
+    });
+
+    it('no debe permitir cerrar una tarea con bloqueadores abiertos', async () => {
+      const res = await updateTask(b.id, { status: 'completada' }).expect(422);
+      expect(res.body.message).toBe(`La tarea está bloqueada por tareas abiertas: ${a.id}`);
+
+      await updateTask(a.id, { status: 'completada' }).expect(200);
+      await updateTask(b.id, { status: 'completada' }).expect(200);
+    });
+
+    it('debe quitar dependencias y registrarlas en el historial', async () => {
+      await request(app)
+        .delete(`/api/tasks/${c.id}/dependencies/${b.id}`)
+        .set('Authorization', user.auth)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/tasks/${c.id}/dependencies/${b.id}`)
+        .set('Authorization', user.auth)
+        .expect(404);
+
+      const history = await request(app)
+        .get(`/api/tasks/${c.id}/history`)
+        .set('Authorization', user.auth)
+        .expect(200);
+      expect(history.body.data[0].changes).toEqual({ blockedBy: { from: b.id, to: null } });
+    });
+
+    it('no debe cerrar un ciclo con dos dependencias opuestas agregadas a la vez', async () => {
+      const d = (await createTask({ title: 'Migración' }).expect(201)).body;
+      const e = (await createTask({ title: 'Limpieza' }).expect(201)).body;
+
+      const results = await Promise.all([addDependency(d.id, e.id), addDependency(e.id, d.id)]);
+      expect(results.map((res) => res.status).sort()).toEqual([201, 422]);
+
+      // Ambas tareas cambian de versión: los ETag anteriores dejan de valer
+      expect((await getTask(d.id)).body.version).toBe(d.version + 1);
+      expect((await getTask(e.id)).body.version).toBe(e.version + 1);
+    });
+
+    it('no debe cerrar una tarea si la bloquean mientras se modifica', async () => {
+      const task = (await createTask({ title: 'Publicar' }).expect(201)).body;
+      const blocker = (await createTask({ title: 'Revisar' }).expect(201)).body;
+
+      // La dependencia llega después de validar el cambio y antes de escribirlo
+      const realWatch = client.watch.getMockImplementation();
+      client.watch.mockImplementationOnce(async function watch(keys) {
+        const result = await realWatch.call(this, keys);
+        await addDependency(task.id, blocker.id).expect(201);
+        return result;
+      });
+      const res = await updateTask(task.id, { status: 'completada' }).expect(422);
+      expect(res.body.message).toBe(`La tarea está bloqueada por tareas abiertas: ${blocker.id}`);
+      expect((await getTask(task.id)).body.status).toBe('pendiente');
+    });
+  });
+});
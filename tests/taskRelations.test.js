@@ -0,0 +1,128 @@
+/**
+ * Tests de relaciones Tarea - Prioridad/Etiqueta
+ * ==============================================
+ * Verifica que las tareas acepten priorityId y tagIds, los devuelvan
+ * expandidos y que eliminar prioridades o etiquetas mantenga la consistencia.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const tagRoutes = require('../src/routes/tagRoutes');
+const priorityRoutes = require('../src/routes/priorityRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api/priorities', authenticate, priorityRoutes);
+
+describe('Relaciones de tareas', () => {
+  let user;
+  let alta;
+  let baja;
+  let backend;
+  let frontend;
+
+  const createTask = (body) => request(app)
+    .post('/api/tasks')
+    .set('Authorization', user.auth)
+    .send(body);
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Rel', email: 'rel@example.com', password: 'pass' });
+
+    const post = (url, body) => request(app).post(url).set('Authorization', user.auth).send(body);
+    alta = (await post('/api/priorities', { name: 'Alta', order: 1 })).body;
+    baja = (await post('/api/priorities', { name: 'Baja', order: 5 })).body;
+    backend = (await post('/api/tags', { name: 'Backend' })).body;
+    frontend = (await post('/api/tags', { name: 'Frontend' })).body;
+  });
+
+  it('debe crear una tarea con prioridad y etiquetas expandidas', async () => {
+    const res = await createTask({
+      title: 'API de login',
+      priorityId: alta.id,
+      tagIds: [backend.id, frontend.id]
+    }).expect(201);
+
+    expect(res.body.priority).toMatchObject({ id: alta.id.toString(), name: 'Alta', order: 1 });
+    expect(res.body.tags.map((t) => t.name)).toEqual(['Backend', 'Frontend']);
+  });
+
+  it('debe retornar 400 si la prioridad o una etiqueta no existen', async () => {
+    const res1 = await createTask({ title: 'X', priorityId: 9999 }).expect(400);
+    expect(res1.body).toHaveProperty('message', 'La prioridad 9999 no existe');
+
+    const res2 = await createTask({ title: 'X', tagIds: [backend.id, 9999] }).expect(400);
+    expect(res2.body).toHaveProperty('message', 'La etiqueta 9999 no existe');
+  });
+
+  it('debe actualizar prioridad y reemplazar etiquetas', async () => {
+    const created = await createTask({ title: 'Cambiar', priorityId: alta.id, tagIds: [backend.id] }).expect(201);
+
+    const res = await request(app)
+      .put(`/api/tasks/${created.body.id}`)
+      .set('Authorization', user.auth)
+      .send({ priorityId: null, tagIds: [frontend.id] })
+      .expect(200);
+
+    expect(res.body.priority).toBeNull();
+    expect(res.body.tags.map((t) => t.name)).toEqual(['Frontend']);
+  });
+
+  it('debe rechazar con 409 eliminar una prioridad en uso (strategy=reject)', async () => {
+    const res = await request(app)
+      .delete(`/api/priorities/${alta.id}`)
+      .set('Authorization', user.auth)
+      .expect(409);
+
+    expect(res.body.message).toMatch(/asignada/);
+  });
+
+  it('debe reasignar las tareas al eliminar una prioridad (strategy=reassign)', async () => {
+    const created = await createTask({ title: 'Reasignar', priorityId: alta.id }).expect(201);
+
+    await request(app)
+      .delete(`/api/priorities/${alta.id}?strategy=reassign&reassignTo=${baja.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    const res = await request(app)
+      .get(`/api/tasks/${created.body.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    expect(res.body.priority).toHaveProperty('name', 'Baja');
+  });
+
+  it('debe quitar la etiqueta de las tareas al eliminarla (strategy=detach)', async () => {
+    const created = await createTask({ title: 'Desvincular', tagIds: [backend.id, frontend.id] }).expect(201);
+
+    await request(app)
+      .delete(`/api/tags/${backend.id}?strategy=detach`)
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    const res = await request(app)
+      .get(`/api/tasks/${created.body.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    expect(res.body.tags.map((t) => t.name)).toEqual(['Frontend']);
+  });
+
+  it('debe retornar 400 con una estrategia desconocida', async () => {
+    await request(app)
+      .delete(`/api/tags/${frontend.id}?strategy=borrar`)
+      .set('Authorization', user.auth)
+      .expect(400);
+  });
+});
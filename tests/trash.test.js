@@ -0,0 +1,215 @@
+/**
+ * Tests de la papelera
+ * ====================
+ * Verifica que eliminar tareas, etiquetas y prioridades las envíe a la
+ * papelera, que al restaurarlas vuelvan con sus relaciones e índices (salvo
+ * los vínculos con entidades eliminadas mientras tanto), que ?permanent=true
+ * las purgue en el acto y que la purga automática respete la retención.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const tagRoutes = require('../src/routes/tagRoutes');
+const priorityRoutes = require('../src/routes/priorityRoutes');
+const trashRoutes = require('../src/routes/trashRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { purgeExpired } = require('../src/services/trashService');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api/priorities', authenticate, priorityRoutes);
+app.use('/api/trash', authenticate, trashRoutes);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Papelera', () => {
+  let user;
+  let other;
+  let alta;
+  let backend;
+
+  const post = (url, body, as = user) => request(app).post(url).set('Authorization', as.auth).send(body);
+  const remove = (url, as = user) => request(app).delete(url).set('Authorization', as.auth);
+  const getTask = (id) => request(app).get(`/api/tasks/${id}`).set('Authorization', user.auth);
+  const getTrash = (query = '', as = user) => request(app).get(`/api/trash${query}`).set('Authorization', as.auth);
+  const createTask = async (body) => (await post('/api/tasks', body).expect(201)).body;
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Ana', email: 'ana-papelera@example.com', password: 'pass' });
+    other = await loginAs(app, { name: 'Beto', email: 'beto-papelera@example.com', password: 'pass' });
+    alta = (await post('/api/priorities', { name: 'Alta', order: 1 }).expect(201)).body;
+    backend = (await post('/api/tags', { name: 'Backend' }).expect(201)).body;
+  });
+
+  it('debe enviar la tarea a la papelera y restaurarla con sus relaciones', async () => {
+    const parent = await createTask({ title: 'Padre' });
+    const task = await createTask({
+      title: 'Migrar base',
+      priorityId: alta.id,
+      tagIds: [backend.id],
+      parentId: parent.id,
+      remindAt: '2099-01-01T10:00:00Z'
+    });
+    const sub = await createTask({ title: 'Sub', parentId: task.id });
+    const blocker = await createTask({ title: 'Bloqueadora' });
+    await post(`/api/tasks/${task.id}/dependencies`, { taskId: blocker.id }).expect(201);
+    await post(`/api/tasks/${task.id}/comments`, { body: 'Se conserva' }).expect(201);
+    const { version } = (await getTask(task.id).expect(200)).body;
+
+    await remove(`/api/tasks/${task.id}`).expect(200);
+    await getTask(task.id).expect(404);
+    expect((await getTask(sub.id)).body.parentId).toBeNull();
+    expect(await client.sIsMember(`tagTasks:${backend.id}`, `task:${task.id}`)).toBe(false);
+    expect(await client.zScore('tasksByRemindAt', `task:${task.id}`)).toBeNull();
+
+    const trash = (await getTrash().expect(200)).body.data;
+    expect(trash).toEqual([expect.objectContaining({
+      type: 'task',
+      id: task.id,
+      data: expect.objectContaining({ title: 'Migrar base' })
+    })]);
+    const { deletedAt, purgeAt } = trash[0];
+    expect(Date.parse(purgeAt) - Date.parse(deletedAt)).toBe(30 * DAY_MS);
+
+    // Las tareas en la papelera son privadas
+    expect((await getTrash('', other).expect(200)).body).toEqual({ data: [], total: 0, nextCursor: null });
+    await post(`/api/trash/task/${task.id}/restore`, {}, other).expect(404);
+
+    const restored = await post(`/api/trash/task/${task.id}/restore`, {}).expect(200);
+    expect(restored.headers.etag).toBe(`"${version + 1}"`);
+    expect(restored.body).toMatchObject({
+      title: 'Migrar base',
+      parentId: parent.id,
+      remindAt: '2099-01-01T10:00:00.000Z',
+      priority: expect.objectContaining({ name: 'Alta' }),
+      tags: [expect.objectContaining({ name: 'Backend' })]
+    });
+
+    expect((await getTask(sub.id)).body.parentId).toBe(task.id);
+    expect(await client.sMembers(`taskBlockedBy:${task.id}`)).toEqual([blocker.id]);
+    expect(await client.zScore('tasksByRemindAt', `task:${task.id}`)).toBe(Date.parse('2099-01-01T10:00:00Z'));
+    const comments = await request(app).get(`/api/tasks/${task.id}/comments`).set('Authorization', user.auth).expect(200);
+    expect(comments.body.data.map((comment) => comment.body)).toEqual(['Se conserva']);
+
+    const listed = await request(app).get(`/api/tasks?tagId=${backend.id}`).set('Authorization', user.auth).expect(200);
+    expect(listed.body.data.map((item) => item.id)).toEqual([task.id]);
+    expect((await getTrash().expect(200)).body.data).toEqual([]);
+
+    const history = await request(app).get(`/api/tasks/${task.id}/history`).set('Authorization', user.auth).expect(200);
+    expect(history.body.data.map((entry) => entry.action).slice(0, 2)).toEqual(['restored', 'deleted']);
+  });
+
+  it('debe descartar al restaurar los vínculos con entidades eliminadas', async () => {
+    const tag = (await post('/api/tags', { name: 'Efímera' }).expect(201)).body;
+    const parent = await createTask({ title: 'Padre efímero' });
+    const task = await createTask({ title: 'Huérfana', tagIds: [tag.id, backend.id], parentId: parent.id });
+
+    await remove(`/api/tasks/${task.id}`).expect(200);
+    await remove(`/api/tags/${tag.id}?permanent=true`).expect(200);
+    await remove(`/api/tasks/${parent.id}?permanent=true`).expect(200);
+
+    const restored = await post(`/api/trash/task/${task.id}/restore`, {}).expect(200);
+    expect(restored.body.parentId).toBeNull();
+    expect(restored.body.tags.map((item) => item.name)).toEqual(['Backend']);
+    expect(await client.sMembers(`taskTags:${task.id}`)).toEqual([backend.id.toString()]);
+  });
+
+  it('no debe dejar una restauración a medias si falla antes de confirmarse', async () => {
+    const task = await createTask({ title: 'Intacta', tagIds: [backend.id] });
+    await remove(`/api/tasks/${task.id}`).expect(200);
+
+    // Falla la lectura de sus etiquetas, después de vigilar la tarea en la papelera
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+    client.sMembers.mockRejectedValueOnce(new Error('Conexión perdida'));
+    await post(`/api/trash/task/${task.id}/restore`, {}).expect(500);
+
+    expect(await client.hGetAll(`task:${task.id}`)).toEqual({});
+    expect(await client.sIsMember('taskIdsSet', `task:${task.id}`)).toBe(false);
+    expect(await client.sIsMember(`tagTasks:${backend.id}`, `task:${task.id}`)).toBe(false);
+
+    const restored = await post(`/api/trash/task/${task.id}/restore`, {}).expect(200);
+    expect(restored.body.tags.map((item) => item.name)).toEqual(['Backend']);
+  });
+
+  it('debe restaurar etiquetas y prioridades en las tareas que las usaban', async () => {
+    const tag = (await post('/api/tags', { name: 'Legal' }).expect(201)).body;
+    const priority = (await post('/api/priorities', { name: 'Media', order: 3 }).expect(201)).body;
+    const task = await createTask({ title: 'Contrato', tagIds: [tag.id], priorityId: priority.id });
+
+    await remove(`/api/tags/${tag.id}?strategy=detach`).expect(200);
+    await remove(`/api/priorities/${priority.id}?strategy=detach`).expect(200);
+    expect((await getTask(task.id)).body).toMatchObject({ tags: [], priority: null });
+    await request(app).get(`/api/tags/${tag.id}`).set('Authorization', user.auth).expect(404);
+
+    const trash = (await getTrash('?type=tag').expect(200)).body.data;
+    expect(trash.map((item) => item.data)).toEqual([{ id: tag.id.toString(), name: 'Legal' }]);
+    await getTrash('?type=project').expect(400);
+
+    const restoredTag = await post(`/api/trash/tag/${tag.id}/restore`, {}).expect(200);
+    expect(restoredTag.body).toEqual({ id: tag.id.toString(), name: 'Legal', version: 2 });
+    await post(`/api/trash/priority/${priority.id}/restore`, {}).expect(200);
+
+    expect((await getTask(task.id)).body).toMatchObject({
+      tags: [expect.objectContaining({ name: 'Legal' })],
+      priority: expect.objectContaining({ name: 'Media' })
+    });
+    const tags = await request(app).get('/api/tags').set('Authorization', user.auth).expect(200);
+    expect(tags.body.map((item) => item.name)).toContain('Legal');
+  });
+
+  it('debe purgar en el acto con permanent=true o desde la papelera', async () => {
+    const gone = await createTask({ title: 'Sin vuelta atrás' });
+    await remove(`/api/tasks/${gone.id}?permanent=true`).expect(200);
+    expect(await client.hGetAll(`trash:task:${gone.id}`)).toEqual({});
+    await post(`/api/trash/task/${gone.id}/restore`, {}).expect(404);
+
+    const task = await createTask({ title: 'Purgar luego', tagIds: [backend.id] });
+    await remove(`/api/tasks/${task.id}`).expect(200);
+    await remove(`/api/trash/task/${task.id}`, other).expect(404);
+    await remove(`/api/trash/task/${task.id}`).expect(200);
+    expect(await client.sMembers(`taskTags:${task.id}`)).toEqual([]);
+    await remove(`/api/trash/task/${task.id}`).expect(404);
+  });
+
+  it('debe purgar automáticamente lo que superó la retención', async () => {
+    const task = await createTask({ title: 'Vieja' });
+    await remove(`/api/tasks/${task.id}`).expect(200);
+
+    expect(await purgeExpired(Date.now() + 29 * DAY_MS)).toEqual([]);
+    expect(await purgeExpired(Date.now() + 31 * DAY_MS)).toContain(`task:${task.id}`);
+    expect((await getTrash().expect(200)).body.data).toEqual([]);
+    await post(`/api/trash/task/${task.id}/restore`, {}).expect(404);
+  });
+
+  it('debe paginar la papelera como el listado de tareas', async () => {
+    const ids = [];
+    for (const title of ['Primera', 'Segunda', 'Tercera']) {
+      const task = (await post('/api/tasks', { title }, other).expect(201)).body;
+      await remove(`/api/tasks/${task.id}`, other).expect(200);
+      ids.push(task.id);
+    }
+
+    const first = (await getTrash('?type=task&limit=2', other).expect(200)).body;
+    expect(first.total).toBe(3);
+    expect(first.nextCursor).toBe('2');
+    const second = (await getTrash(`?type=task&limit=2&cursor=${first.nextCursor}`, other).expect(200)).body;
+    expect(second.nextCursor).toBeNull();
+    expect([...first.data, ...second.data].map((item) => item.id).sort()).toEqual([...ids].sort());
+    await getTrash('?limit=0', other).expect(400);
+
+    // Sin filtro de tipo también figuran las etiquetas y prioridades compartidas
+    const all = (await getTrash('?limit=100', other).expect(200)).body;
+    expect(all.total).toBe(3 + (await getTrash('?type=tag').expect(200)).body.total
+      + (await getTrash('?type=priority').expect(200)).body.total);
+  });
+});
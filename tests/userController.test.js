@@ -57,4 +57,43 @@ describe('User Controller', () => {
 
     expect(res.body).toHaveProperty('message', 'Usuario no encontrado');
   });
+
+  it('debe iniciar sesión con credenciales válidas', async () => {
+    const res = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'juan@example.com', password: '1234' })
+      .expect(200);
+
+    expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('expiresIn');
+    expect(res.body.user).toHaveProperty('email', 'juan@example.com');
+    expect(res.body.user).not.toHaveProperty('password');
+  });
+
+  it('debe retornar 401 si la contraseña es incorrecta', async () => {
+    const res = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'juan@example.com', password: 'incorrecta' })
+      .expect(401);
+
+    expect(res.body).toHaveProperty('message', 'Credenciales inválidas');
+  });
+
+  it('debe cerrar sesión e invalidar el token', async () => {
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'maria@example.com', password: 'abc' })
+      .expect(200);
+
+    await request(app)
+      .post('/api/users/logout')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .expect(200);
+
+    // El mismo token ya no sirve
+    await request(app)
+      .post('/api/users/logout')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .expect(401);
+  });
 });
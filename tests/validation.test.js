@@ -0,0 +1,125 @@
+/**
+ * Tests de validación y formato de errores
+ * ========================================
+ * Verifica que los esquemas rechacen tipos y formatos inválidos en body,
+ * query y params con VALIDATION_ERROR y un detalle por campo, que el
+ * endpoint por lotes valide igual que el individual, y que el manejador
+ * central responda JSON mal formado, rutas inexistentes y errores
+ * inesperados sin exponer el error original.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const priorityRoutes = require('../src/routes/priorityRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { notFound, errorHandler } = require('../src/middlewares/errorHandler');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/priorities', authenticate, priorityRoutes);
+app.use(notFound);
+app.use(errorHandler);
+
+describe('Validación y formato de errores', () => {
+  let user;
+
+  const post = (url, body) => request(app).post(url).set('Authorization', user.auth).send(body);
+  const get = (url) => request(app).get(url).set('Authorization', user.auth);
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Ana', email: 'ana-validacion@example.com', password: 'pass' });
+  });
+
+  it('debe rechazar tipos inválidos con un detalle por campo', async () => {
+    const res = await post('/api/priorities', { name: 'Alta', color: 'rojo', order: null }).expect(400);
+
+    expect(res.body).toEqual({
+      code: 'VALIDATION_ERROR',
+      message: 'color debe tener el formato #RRGGBB',
+      details: [
+        { in: 'body', field: 'color', code: 'invalid_format', message: 'color debe tener el formato #RRGGBB' },
+        { in: 'body', field: 'order', code: 'invalid_type', message: 'order debe ser un entero' }
+      ]
+    });
+    expect(await client.get('priorityIdCounter')).toBeNull();
+  });
+
+  it('debe conservar los mensajes de los campos obligatorios', async () => {
+    const res = await post('/api/priorities', { name: '   ' }).expect(400);
+    expect(res.body).toMatchObject({
+      code: 'VALIDATION_ERROR',
+      message: 'El nombre es obligatorio',
+      details: [expect.objectContaining({ field: 'name', code: 'required' })]
+    });
+
+    const task = await post('/api/tasks', { title: 'Informe', tagIds: 'backend', dueAt: 'mañana' }).expect(400);
+    expect(task.body.details.map(({ field, code }) => [field, code])).toEqual([
+      ['tagIds', 'invalid_type'],
+      ['dueAt', 'invalid_type']
+    ]);
+  });
+
+  it('debe validar query y params', async () => {
+    const limit = await get('/api/tasks?limit=0&sort=color').expect(400);
+    expect(limit.body.details).toEqual([
+      { in: 'query', field: 'sort', code: 'invalid_enum', message: expect.stringMatching(/^sort debe ser uno de:/) },
+      { in: 'query', field: 'limit', code: 'too_small', message: 'limit debe ser un entero entre 1 y 100' }
+    ]);
+
+    const id = await get('/api/tasks/abc').expect(400);
+    expect(id.body.details).toEqual([expect.objectContaining({ in: 'params', field: 'id', code: 'invalid_type' })]);
+
+    await get('/api/tasks?limit=5&cursor=0').expect(200);
+  });
+
+  it('debe validar igual las altas del endpoint por lotes', async () => {
+    const res = await post('/api/tasks/bulk', {
+      operations: [
+        { op: 'create', data: { title: 'Válida' } },
+        { op: 'create', data: { title: 'Sin fecha', dueAt: 42 } }
+      ]
+    }).expect(200);
+
+    expect(res.body.results[1]).toMatchObject({
+      status: 400,
+      error: expect.stringMatching(/dueAt debe ser una fecha ISO 8601/)
+    });
+    await post('/api/tasks/bulk', { operations: [], atomic: 'sí' }).expect(400);
+  });
+
+  it('debe responder JSON mal formado y rutas inexistentes con el formato común', async () => {
+    const invalid = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .set('Content-Type', 'application/json')
+      .send('{"title": ')
+      .expect(400);
+    expect(invalid.body).toEqual({ code: 'INVALID_JSON', message: 'El cuerpo de la solicitud no es JSON válido' });
+
+    const missing = await get('/api/nada').expect(404);
+    expect(missing.body).toEqual({ code: 'NOT_FOUND', message: 'Ruta no encontrada: GET /api/nada' });
+
+    const unauthenticated = await request(app).get('/api/tasks').expect(401);
+    expect(unauthenticated.body).toEqual({ code: 'UNAUTHORIZED', message: 'No autenticado' });
+  });
+
+  it('no debe exponer los errores inesperados', async () => {
+    const logged = jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+    client.sMembers.mockImplementationOnce(() => Promise.reject(new Error('ECONNRESET redis://10.0.0.5:6379')));
+
+    const res = await get('/api/priorities').expect(500);
+
+    expect(res.body).toEqual({ code: 'INTERNAL_ERROR', message: 'Error interno del servidor' });
+    expect(JSON.stringify(res.body)).not.toMatch(/ECONNRESET/);
+    expect(logged).toHaveBeenCalledWith('[GET /api/priorities] Error:', expect.any(Error));
+  });
+});
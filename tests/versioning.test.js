@@ -0,0 +1,205 @@
+/**
+ * Tests de concurrencia optimista
+ * ===============================
+ * Verifica que tareas, etiquetas y prioridades envíen su versión como ETag,
+ * que PUT/DELETE respeten If-Match (412 si no coincide) y que una escritura
+ * concurrente entre WATCH y EXEC se detecte sin dejar nada a medio escribir.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { client } = require('../src/config/redis');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const tagRoutes = require('../src/routes/tagRoutes');
+const priorityRoutes = require('../src/routes/priorityRoutes');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { matchesIfMatch } = require('../src/services/versioning');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api/priorities', authenticate, priorityRoutes);
+
+describe('Versiones, ETag e If-Match', () => {
+  let user;
+
+  /**
+   * Simula que otra petición escribe el Hash justo después del WATCH
+   * @param {string} key - Clave que modifica la "otra" petición
+   */
+  const concurrentWriteAfterWatch = (key) => {
+    const realWatch = client.watch.getMockImplementation();
+    client.watch.mockImplementationOnce(async function watch(keys) {
+      const result = await realWatch.call(this, keys);
+      await client.hIncrBy(key, 'version', 1);
+      return result;
+    });
+  };
+
+  beforeAll(async () => {
+    user = await loginAs(app, { name: 'Ana', email: 'ana-versiones@example.com', password: 'pass' });
+  });
+
+  it('debe interpretar If-Match como lo define HTTP', () => {
+    expect(matchesIfMatch(undefined, '3')).toBe(true);
+    expect(matchesIfMatch('*', '3')).toBe(true);
+    expect(matchesIfMatch('"2", "3"', '3')).toBe(true);
+    expect(matchesIfMatch('W/"3"', '3')).toBe(true);
+    expect(matchesIfMatch('"2"', '3')).toBe(false);
+    // Las entidades anteriores a las versiones cuentan como versión 0
+    expect(matchesIfMatch('"0"', undefined)).toBe(true);
+  });
+
+  it('debe versionar las tareas y rechazar con 412 las escrituras sobre una versión vieja', async () => {
+    const created = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Versionada' })
+      .expect(201);
+    expect(created.headers.etag).toBe('"1"');
+    expect(created.body.version).toBe(1);
+
+    const { id } = created.body;
+    const read = await request(app).get(`/api/tasks/${id}`).set('Authorization', user.auth).expect(200);
+    expect(read.headers.etag).toBe('"1"');
+
+    // Dos compañeros leen la versión 1; el primero guarda y el segundo ya no puede pisarlo
+    const first = await request(app)
+      .put(`/api/tasks/${id}`)
+      .set('Authorization', user.auth)
+      .set('If-Match', read.headers.etag)
+      .send({ title: 'Cambio de Ana' })
+      .expect(200);
+    expect(first.headers.etag).toBe('"2"');
+    expect(first.body.version).toBe(2);
+
+    const second = await request(app)
+      .put(`/api/tasks/${id}`)
+      .set('Authorization', user.auth)
+      .set('If-Match', read.headers.etag)
+      .send({ title: 'Cambio de Beto' })
+      .expect(412);
+    expect(second.body.message).toMatch(/If-Match/);
+
+    const current = await request(app).get(`/api/tasks/${id}`).set('Authorization', user.auth).expect(200);
+    expect(current.body).toMatchObject({ title: 'Cambio de Ana', version: 2 });
+
+    // Sin If-Match la escritura se acepta y la versión sigue aumentando
+    const blind = await request(app)
+      .put(`/api/tasks/${id}`)
+      .set('Authorization', user.auth)
+      .send({ description: 'Sin condición' })
+      .expect(200);
+    expect(blind.body.version).toBe(3);
+
+    await request(app).delete(`/api/tasks/${id}`).set('Authorization', user.auth).set('If-Match', '"2"').expect(412);
+    await request(app).delete(`/api/tasks/${id}`).set('Authorization', user.auth).set('If-Match', '"3"').expect(200);
+  });
+
+  it('debe detectar una escritura concurrente entre WATCH y EXEC', async () => {
+    const { id } = (await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Carrera' })
+      .expect(201)).body;
+
+    // Con If-Match la transacción descartada es un 412 y no se escribe nada
+    concurrentWriteAfterWatch(`task:${id}`);
+    await request(app)
+      .put(`/api/tasks/${id}`)
+      .set('Authorization', user.auth)
+      .set('If-Match', '"1"')
+      .send({ title: 'Perdedora' })
+      .expect(412);
+    expect(await client.hGet(`task:${id}`, 'title')).toBe('Carrera');
+
+    // Sin If-Match se reintenta sobre la versión nueva
+    concurrentWriteAfterWatch(`task:${id}`);
+    const res = await request(app)
+      .put(`/api/tasks/${id}`)
+      .set('Authorization', user.auth)
+      .send({ title: 'Reintentada' })
+      .expect(200);
+    expect(res.body).toMatchObject({ title: 'Reintentada', version: 4 });
+  });
+
+  it('debe versionar etiquetas y prioridades', async () => {
+    const tag = await request(app)
+      .post('/api/tags')
+      .set('Authorization', user.auth)
+      .send({ name: 'Concurrencia' })
+      .expect(201);
+    expect(tag.headers.etag).toBe('"1"');
+
+    await request(app)
+      .put(`/api/tags/${tag.body.id}`)
+      .set('Authorization', user.auth)
+      .set('If-Match', '"1"')
+      .send({ name: 'Concurrencia optimista' })
+      .expect(200);
+    await request(app)
+      .put(`/api/tags/${tag.body.id}`)
+      .set('Authorization', user.auth)
+      .set('If-Match', '"1"')
+      .send({ name: 'Pisada' })
+      .expect(412);
+    await request(app).delete(`/api/tags/${tag.body.id}`).set('Authorization', user.auth).set('If-Match', '"1"').expect(412);
+    await request(app).delete(`/api/tags/${tag.body.id}`).set('Authorization', user.auth).set('If-Match', '"2"').expect(200);
+
+    const priority = await request(app)
+      .post('/api/priorities')
+      .set('Authorization', user.auth)
+      .send({ name: 'Urgente', order: 1 })
+      .expect(201);
+
+    const updated = await request(app)
+      .put(`/api/priorities/${priority.body.id}`)
+      .set('Authorization', user.auth)
+      .set('If-Match', priority.headers.etag)
+      .send({ color: '#ff0000' })
+      .expect(200);
+    expect(updated.headers.etag).toBe('"2"');
+    expect(updated.body).toMatchObject({ color: '#ff0000', version: 2 });
+
+    await request(app)
+      .put(`/api/priorities/${priority.body.id}`)
+      .set('Authorization', user.auth)
+      .set('If-Match', priority.headers.etag)
+      .send({ order: 9 })
+      .expect(412);
+    const read = await request(app).get(`/api/priorities/${priority.body.id}`).set('Authorization', user.auth).expect(200);
+    expect(read.body.order).toBe(1);
+  });
+
+  it('no debe liberar las tareas de una etiqueta si su versión cambia antes de eliminarla', async () => {
+    const tag = (await request(app)
+      .post('/api/tags')
+      .set('Authorization', user.auth)
+      .send({ name: 'En uso' })
+      .expect(201)).body;
+    const task = (await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Etiquetada', tagIds: [tag.id] })
+      .expect(201)).body;
+
+    // La etiqueta cambia entre la comprobación de If-Match y la transacción
+    concurrentWriteAfterWatch(`tag:${tag.id}`);
+    await request(app)
+      .delete(`/api/tags/${tag.id}?strategy=detach`)
+      .set('Authorization', user.auth)
+      .set('If-Match', '"1"')
+      .expect(412);
+
+    const read = await request(app).get(`/api/tasks/${task.id}`).set('Authorization', user.auth).expect(200);
+    expect(read.body.tags.map((item) => item.id)).toEqual([tag.id]);
+    expect(await client.sMembers(`tagTasks:${tag.id}`)).toEqual([`task:${task.id}`]);
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Tests de Webhooks
+ * =================
+ * Registra webhooks contra un servidor HTTP local que hace de stub y verifica
+ * la firma HMAC, el reparto de eventos fuera del request, el filtrado por
+ * evento, los reintentos con backoff, el log de entregas, el reenvío manual y
+ * que no se entregue a hosts de la red interna (salvo el stub, permitido con
+ * WEBHOOK_ALLOWED_HOSTS).
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const userRoutes = require('../src/routes/userRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const webhookRoutes = require('../src/routes/webhookRoutes');
+const { client } = require('../src/config/redis');
+const { authenticate } = require('../src/middlewares/authMiddleware');
+const { signPayload, fanOutEvents, processWebhookQueue } = require('../src/services/webhookService');
+const { loginAs } = require('./helpers/auth');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/users', userRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/webhooks', authenticate, webhookRoutes);
+
+describe('Webhooks', () => {
+  let stub;
+  let stubUrl;
+  let received = [];
+  // Códigos que responderá el stub en orden (luego 200)
+  let nextStatuses = [];
+  let user;
+  let webhook;
+
+  beforeAll(async () => {
+    stub = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = nextStatuses.length > 0 ? nextStatuses.shift() : 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => stub.listen(0, resolve));
+    stubUrl = `http://127.0.0.1:${stub.address().port}/hook`;
+
+    user = await loginAs(app, { name: 'Hook', email: 'hook@example.com', password: 'pass' });
+  });
+
+  afterAll((done) => {
+    stub.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+    nextStatuses = [];
+  });
+
+  it('debe registrar un webhook y devolver su secreto', async () => {
+    const res = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', user.auth)
+      .send({ url: stubUrl, events: ['task.created', 'task.status_changed'], secret: 's3cr3t' })
+      .expect(201);
+
+    webhook = res.body;
+    expect(webhook).toMatchObject({ url: stubUrl, active: true, secret: 's3cr3t' });
+
+    const get = await request(app)
+      .get(`/api/webhooks/${webhook.id}`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(get.body).not.toHaveProperty('secret');
+  });
+
+  it('debe rechazar eventos desconocidos o URLs inválidas', async () => {
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', user.auth)
+      .send({ url: stubUrl, events: ['task.exploded'] })
+      .expect(400);
+
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', user.auth)
+      .send({ url: 'ftp://example.com', events: ['*'] })
+      .expect(400);
+  });
+
+  it('debe rechazar URLs de la red interna', async () => {
+    for (const url of [
+      'http://169.254.169.254/latest/meta-data',
+      'http://10.0.0.8/hook',
+      'http://[::1]:8080/hook',
+      'http://[::ffff:192.168.0.1]/hook',
+      'http://localhost:3000/hook'
+    ]) {
+      const res = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', user.auth)
+        .send({ url, events: ['*'] })
+        .expect(400);
+      expect(res.body.message).toMatch(/no pública/);
+    }
+
+    await request(app)
+      .put(`/api/webhooks/${webhook.id}`)
+      .set('Authorization', user.auth)
+      .send({ url: 'http://172.16.0.1/hook' })
+      .expect(400);
+  });
+
+  it('debe entregar los eventos suscritos con firma HMAC', async () => {
+    const created = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Avisar al chat' })
+      .expect(201);
+
+    // Un cambio de título no es un evento suscrito
+    await request(app)
+      .put(`/api/tasks/${created.body.id}`)
+      .set('Authorization', user.auth)
+      .send({ title: 'Avisar al chat y a CI' })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/tasks/${created.body.id}`)
+      .set('Authorization', user.auth)
+      .send({ status: 'completada' })
+      .expect(200);
+
+    await processWebhookQueue();
+
+    expect(received.map((r) => r.headers['x-webhook-event'])).toEqual(['task.created', 'task.status_changed']);
+
+    const [{ headers, body }] = received;
+    expect(headers['x-webhook-signature']).toBe(signPayload('s3cr3t', headers['x-webhook-timestamp'], body));
+    expect(JSON.parse(body)).toMatchObject({ event: 'task.created', data: { title: 'Avisar al chat' } });
+  });
+
+  it('debe reintentar con backoff exponencial y registrar los intentos', async () => {
+    nextStatuses = [500, 503];
+    await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Falla dos veces' })
+      .expect(201);
+
+    const now = Date.now();
+    const [first] = await processWebhookQueue(now);
+    expect(first).toMatchObject({ status: 'pending', attempts: 1, lastStatusCode: 500 });
+
+    // Antes de que venza el backoff no se reintenta
+    expect(await processWebhookQueue(now + 1000)).toEqual([]);
+
+    const [second] = await processWebhookQueue(now + 30000);
+    expect(second).toMatchObject({ status: 'pending', attempts: 2, lastStatusCode: 503 });
+    expect(Date.parse(second.nextAttemptAt)).toBe(now + 30000 + 60000);
+
+    const [third] = await processWebhookQueue(now + 90000);
+    expect(third).toMatchObject({ status: 'success', attempts: 3, lastStatusCode: 200 });
+
+    const log = await request(app)
+      .get(`/api/webhooks/${webhook.id}/deliveries`)
+      .set('Authorization', user.auth)
+      .expect(200);
+    expect(log.body[0]).toMatchObject({ id: first.id, status: 'success', attempts: 3 });
+  });
+
+  it('debe reenviar manualmente una entrega', async () => {
+    const log = await request(app)
+      .get(`/api/webhooks/${webhook.id}/deliveries`)
+      .set('Authorization', user.auth)
+      .expect(200);
+
+    const res = await request(app)
+      .post(`/api/webhooks/${webhook.id}/deliveries/${log.body[0].id}/redeliver`)
+      .set('Authorization', user.auth)
+      .expect(202);
+    expect(res.body).toMatchObject({ status: 'pending', attempts: 0 });
+
+    await processWebhookQueue();
+    expect(received).toHaveLength(1);
+    expect(received[0].headers['x-webhook-delivery']).toBe(res.body.id);
+  });
+
+  it('no debe dejar una entrega a medias si falla su transacción', async () => {
+    const logKey = `webhookDeliveries:${webhook.id}`;
+    const before = await client.lRange(logKey, 0, -1);
+
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+    client.multi.mockImplementationOnce(() => {
+      const chain = new Proxy({}, {
+        get: (target, command) => (command === 'exec' ? () => Promise.reject(new Error('Conexión perdida')) : () => chain)
+      });
+      return chain;
+    });
+    await request(app)
+      .post(`/api/webhooks/${webhook.id}/deliveries/${before[0]}/redeliver`)
+      .set('Authorization', user.auth)
+      .expect(500);
+
+    expect(await client.lRange(logKey, 0, -1)).toEqual(before);
+    expect(await processWebhookQueue()).toEqual([]);
+  });
+
+  it('debe retomar una entrega si la instancia cae a mitad del intento', async () => {
+    await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Entrega interrumpida' })
+      .expect(201);
+
+    // La instancia reclama la entrega y cae antes de terminar el intento
+    const now = Date.now();
+    await fanOutEvents(now);
+    client.hGetAll.mockRejectedValueOnce(new Error('Conexión perdida'));
+    await expect(processWebhookQueue(now)).rejects.toThrow('Conexión perdida');
+
+    // Mientras dure el lease nadie la retoma; al vencer vuelve a la cola
+    expect(await processWebhookQueue(now + 1000)).toEqual([]);
+    const [delivery] = await processWebhookQueue(now + 61000);
+    expect(delivery).toMatchObject({ event: 'task.created', status: 'success', attempts: 1 });
+    expect(received).toHaveLength(1);
+  });
+
+  it('debe repartir los eventos en entregas fuera del request', async () => {
+    const logKey = `webhookDeliveries:${webhook.id}`;
+    const before = await client.lRange(logKey, 0, -1);
+
+    await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Repartir después' })
+      .expect(201);
+    expect(await client.lRange(logKey, 0, -1)).toEqual(before);
+
+    const now = Date.now();
+    expect(await fanOutEvents(now)).toBe(1);
+    expect(await fanOutEvents(now)).toBe(0);
+    const [deliveryId] = await client.lRange(logKey, 0, 0);
+    expect(await client.zScore('webhookQueue', deliveryId)).toBe(now);
+
+    await processWebhookQueue(now);
+    expect(JSON.parse(received[0].body)).toMatchObject({ event: 'task.created', data: { title: 'Repartir después' } });
+  });
+
+  it('no debe entregar eventos de webhooks desactivados', async () => {
+    await request(app)
+      .put(`/api/webhooks/${webhook.id}`)
+      .set('Authorization', user.auth)
+      .send({ active: false })
+      .expect(200);
+
+    await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Silenciosa' })
+      .expect(201);
+
+    expect(await processWebhookQueue()).toEqual([]);
+  });
+
+  it('no debe entregar a una URL que dejó de ser pública', async () => {
+    await request(app)
+      .put(`/api/webhooks/${webhook.id}`)
+      .set('Authorization', user.auth)
+      .send({ active: true })
+      .expect(200);
+    await client.hSet(`webhook:${webhook.id}`, 'url', 'http://192.168.1.20/hook');
+
+    await request(app)
+      .post('/api/tasks')
+      .set('Authorization', user.auth)
+      .send({ title: 'Hacia la red interna' })
+      .expect(201);
+
+    const [delivery] = await processWebhookQueue();
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, lastStatusCode: null });
+    expect(delivery.lastError).toMatch(/no pública/);
+    expect(received).toEqual([]);
+  });
+});